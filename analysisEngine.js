@@ -1,5 +1,15 @@
 // Analysis Engine - Coordinates multiple distribution analyzers and compares results
 
+// Load dependencies if in Node.js environment
+if (typeof module !== "undefined" && typeof vuongTest === "undefined") {
+  const statisticalTests = require("./statisticalTests.js");
+  global.vuongTest = statisticalTests.vuongTest;
+  global.nestedLikelihoodRatioTest = statisticalTests.nestedLikelihoodRatioTest;
+}
+
+// Vuong p-values below this let the likelihood ratio pick a side (Clauset, Shalizi & Newman 2009)
+const LIKELIHOOD_RATIO_SIGNIFICANCE = 0.1;
+
 /**
  * Analysis Engine Class
  * Manages multiple distribution analyzers and provides unified analysis interface
@@ -83,14 +93,44 @@ class AnalysisEngine {
     return DistributionUtils.standardizeResult(rawResult, analyzer);
   }
 
+  /**
+   * Chooses the default analyzers that suit the data
+   * Analyzers with a continuousCounterpart are discrete variants: for integer data they run in place
+   * of their counterpart, otherwise they are skipped. Analyzers marked discreteOnly (discrete models
+   * without a continuous counterpart) likewise run only for integer data.
+   * @param {Array} data - Data to analyze
+   * @returns {Array<string>} Names of the analyzers to run
+   */
+  selectDefaultAnalyzers(data) {
+    const integerData = DistributionUtils.isIntegerValued(data);
+    const replaced = new Set();
+
+    for (const name of this.defaultAnalyzers) {
+      const counterpart = this.analyzers.get(name).continuousCounterpart;
+      if (counterpart && integerData) {
+        replaced.add(counterpart);
+      }
+    }
+
+    return this.defaultAnalyzers.filter((name) => {
+      const analyzer = this.analyzers.get(name);
+      if (analyzer.continuousCounterpart || analyzer.discreteOnly) {
+        return integerData;
+      }
+      return !replaced.has(name);
+    });
+  }
+
   /**
    * Analyzes data with multiple distribution analyzers
    * @param {Array} data - Data to analyze (should have CCDF values)
    * @param {Array<string>} analyzerNames - Names of analyzers to use (defaults to all default analyzers)
+   * @param {Object} [options] - Additional analysis context
+   * @param {Object} [options.preprocessing] - Preprocessing record from applyZeroHandling, carried into the result
    * @returns {Object} Multi-distribution analysis results
    */
-  analyzeMultiple(data, analyzerNames = null) {
-    const analyzersToUse = analyzerNames || this.defaultAnalyzers;
+  analyzeMultiple(data, analyzerNames = null, options = {}) {
+    const analyzersToUse = analyzerNames || this.selectDefaultAnalyzers(data);
 
     if (analyzersToUse.length === 0) {
       throw new Error(
@@ -114,26 +154,239 @@ class AnalysisEngine {
       }
     }
 
-    // Rank results by goodness of fit
-    const rankedResults = DistributionUtils.rankResults(results);
-    const bestFit = DistributionUtils.getBestFit(rankedResults);
+    // Rank results by likelihood, on the same observations wherever their likelihoods differ
+    const comparisons = this.compareDistributions(data, results);
+    const rankedResults = DistributionUtils.rankResults(results, comparisons);
+    const bestFit = DistributionUtils.getBestFit(rankedResults, comparisons);
+    const preprocessing = options.preprocessing || null;
 
     return {
       results: rankedResults,
       bestFit: bestFit,
+      comparisons,
       errors: errors,
-      summary: this.generateSummary(rankedResults, bestFit, errors),
+      preprocessing: preprocessing,
+      summary: this.generateSummary(
+        rankedResults,
+        bestFit,
+        errors,
+        preprocessing
+      ),
     };
   }
 
+  /**
+   * Compares every pair of fitted distributions with Vuong's likelihood-ratio test
+   * Every pair is compared on the same observations: those at or above the highest lower support
+   * bound among the fits (the power law's xmin), with each density conditioned on that bound. Fits
+   * that start below the bound are replaced by their truncated fit to those observations (see
+   * DistributionAnalyzer.fitTruncated) where the analyzer provides one.
+   * On integer data compared with a discrete distribution, every distribution gives each value its
+   * probability: continuous ones the mass of [x, x + 1) (see
+   * DistributionAnalyzer.getConditionalLogProbability), so that the ratios compare like with like.
+   * Analyzers that do not implement getLogDensity are left out. A distribution whose analyzer names
+   * the other as its nestedModel contains it as a special case, so Vuong's test does not apply; that
+   * pair gets the nested likelihood-ratio test instead. Vuong's test is corrected for the number
+   * of parameters (parameterNames) of each analyzer. A pair whose test fails (say, on a
+   * non-finite likelihood) is reported with the error instead of a verdict.
+   * @param {Array} data - Analyzed data with value and frequency
+   * @param {Array<Object>} results - Standardized results of the analyzers
+   * @returns {Array<Object>} One comparison per pair, in result order: first and second (distribution
+   *   types and display names), favored (distribution type, or null when p ≥ LIKELIHOOD_RATIO_SIGNIFICANCE),
+   *   lowerBound, sampleSize, nested, discretized, and either the vuongTest fields (normalizedRatio is
+   *   null for nested pairs) or error; empty for binned data
+   */
+  compareDistributions(data, results) {
+    if (DistributionUtils.isBinned(data) || results.length < 2) {
+      return [];
+    }
+
+    const fits = results
+      .map((result) => ({
+        result,
+        analyzer: this.getAnalyzer(result.distributionType),
+      }))
+      .filter(
+        ({ analyzer }) =>
+          analyzer.getLogDensity !== DistributionAnalyzer.prototype.getLogDensity
+      );
+    if (fits.length < 2) {
+      return [];
+    }
+    const lowerBound = Math.max(
+      ...fits.map(({ analyzer, result }) =>
+        analyzer.getSupportMinimum(result.parameters)
+      )
+    );
+    const observations = data.filter(
+      (item) =>
+        item.value > 0 &&
+        item.value >= lowerBound &&
+        (item.frequency === undefined || item.frequency > 0)
+    );
+    if (observations.length === 0) {
+      return [];
+    }
+    const weights = observations.map((item) =>
+      item.frequency !== undefined ? item.frequency : 1
+    );
+    const sampleSize = weights.reduce((sum, weight) => sum + weight, 0);
+    const discretized =
+      DistributionUtils.isIntegerValued(observations) &&
+      fits.some(({ analyzer }) => analyzer.isDiscrete());
+    const logDensities = fits.map(({ analyzer, result }) => {
+      try {
+        // Distributions fitted below the bound are refitted to the compared observations if they can be
+        const parameters =
+          (analyzer.getSupportMinimum(result.parameters) < lowerBound &&
+            analyzer.fitTruncated(observations, lowerBound)) ||
+          result.parameters;
+        return observations.map((item) =>
+          discretized
+            ? analyzer.getConditionalLogProbability(
+                item.value,
+                parameters,
+                lowerBound
+              )
+            : analyzer.getConditionalLogDensity(
+                item.value,
+                parameters,
+                lowerBound
+              )
+        );
+      } catch (error) {
+        return error;
+      }
+    });
+
+    const comparisons = [];
+    for (let i = 0; i < fits.length; i++) {
+      for (let j = i + 1; j < fits.length; j++) {
+        const first = fits[i].result;
+        const second = fits[j].result;
+        const nested =
+          fits[i].analyzer.nestedModel === second.distributionType ||
+          fits[j].analyzer.nestedModel === first.distributionType;
+        const comparison = {
+          first: first.distributionType,
+          firstName: first.displayName,
+          second: second.distributionType,
+          secondName: second.displayName,
+          favored: null,
+          lowerBound,
+          sampleSize,
+          nested,
+          discretized,
+        };
+
+        try {
+          for (const densities of [logDensities[i], logDensities[j]]) {
+            if (densities instanceof Error) {
+              throw densities;
+            }
+          }
+          const test = nested
+            ? this.testNestedPair(logDensities[i], logDensities[j], weights)
+            : vuongTest(
+                logDensities[i],
+                logDensities[j],
+                weights,
+                fits[i].analyzer.parameterNames.length -
+                  fits[j].analyzer.parameterNames.length
+              );
+          if (test.pValue < LIKELIHOOD_RATIO_SIGNIFICANCE) {
+            comparison.favored =
+              (nested ? test.logLikelihoodRatio : test.normalizedRatio) > 0
+                ? first.distributionType
+                : second.distributionType;
+          }
+          comparisons.push({ ...comparison, ...test });
+        } catch (error) {
+          comparisons.push({ ...comparison, error: error.message });
+        }
+      }
+    }
+
+    return comparisons;
+  }
+
+  /**
+   * Tests a distribution against one nested within it on the same observations
+   * @param {Array<number>} logDensitiesA - Log-density of each observation under the first distribution
+   * @param {Array<number>} logDensitiesB - Log-density of each observation under the second distribution
+   * @param {Array<number>} weights - Frequency of each observation
+   * @returns {Object} {logLikelihoodRatio, normalizedRatio: null, pValue, sampleSize}, oriented like
+   *   vuongTest: a positive ratio favors the first distribution
+   */
+  testNestedPair(logDensitiesA, logDensitiesB, weights) {
+    const sumWeighted = (logDensities) =>
+      logDensities.reduce((sum, value, i) => sum + weights[i] * value, 0);
+    const logLikelihoodA = sumWeighted(logDensitiesA);
+    const logLikelihoodB = sumWeighted(logDensitiesB);
+    // The larger likelihood belongs to the full model, up to optimizer noise
+    const test =
+      logLikelihoodA >= logLikelihoodB
+        ? nestedLikelihoodRatioTest(logLikelihoodA, logLikelihoodB)
+        : nestedLikelihoodRatioTest(logLikelihoodB, logLikelihoodA);
+
+    return {
+      logLikelihoodRatio: logLikelihoodA - logLikelihoodB,
+      normalizedRatio: null,
+      pValue: test.pValue,
+      sampleSize: weights.reduce((sum, weight) => sum + weight, 0),
+    };
+  }
+
+  /**
+   * Records a bootstrap test of a fitted distribution (see PowerLawAnalyzer.bootstrapGoodnessOfFit)
+   * and redraws the verdict: a fit that the test rules out is no longer a good fit, so it cannot be
+   * the best fit
+   * @param {Object} analysis - Result of analyzeMultiple, updated in place
+   * @param {string} distributionType - Name of the tested distribution's analyzer
+   * @param {Object} test - Bootstrap test result
+   * @returns {Object} The analysis, with the test as bootstrap and a new bestFit and summary
+   */
+  applyBootstrapTest(analysis, distributionType, test) {
+    const analyzer = this.getAnalyzer(distributionType);
+    const result = analysis.results.find(
+      (r) => r.distributionType === distributionType
+    );
+    if (!analyzer || !result) {
+      throw new Error(
+        `No ${distributionType} fit to apply the bootstrap test to`
+      );
+    }
+
+    result.goodnessOfFit = analyzer.withBootstrapTest(
+      result.goodnessOfFit,
+      test
+    );
+    result.isGoodFit = analyzer.isGoodFit(result);
+    result.summary = analyzer.getSummary(result);
+
+    analysis.bootstrap = test;
+    analysis.bestFit = DistributionUtils.getBestFit(
+      analysis.results,
+      analysis.comparisons
+    );
+    analysis.summary = this.generateSummary(
+      analysis.results,
+      analysis.bestFit,
+      analysis.errors,
+      analysis.preprocessing
+    );
+    return analysis;
+  }
+
   /**
    * Generates a human-readable summary of multi-distribution analysis
    * @param {Array} rankedResults - Results ranked by goodness of fit
    * @param {Object|null} bestFit - Best fitting distribution or null
    * @param {Array} errors - Any errors that occurred during analysis
+   * @param {Object|null} preprocessing - Preprocessing record, if any
    * @returns {Object} Summary with verdict and details
    */
-  generateSummary(rankedResults, bestFit, errors) {
+  generateSummary(rankedResults, bestFit, errors, preprocessing = null) {
     const totalAnalyzers = rankedResults.length + errors.length;
     const successfulAnalyzers = rankedResults.length;
 
@@ -150,7 +403,8 @@ class AnalysisEngine {
       // Add information about other distributions tested
       if (rankedResults.length > 1) {
         const alternatives = rankedResults
-          .slice(1, 3)
+          .filter((r) => r !== bestFit)
+          .slice(0, 2)
           .map(
             (r) => `${r.displayName} (${(r.confidenceScore * 100).toFixed(1)}%)`
           )
@@ -185,9 +439,60 @@ class AnalysisEngine {
       successfulAnalyses: successfulAnalyzers,
       hasErrors: errors.length > 0,
       errorCount: errors.length,
+      preprocessingNote: this.describePreprocessing(preprocessing),
     };
   }
 
+  /**
+   * Describes how zero and negative values were handled before analysis
+   * @param {Object|null} preprocessing - Preprocessing record from applyZeroHandling
+   * @returns {string|null} Human-readable note, or null if nothing was changed
+   */
+  describePreprocessing(preprocessing) {
+    if (!preprocessing) return null;
+
+    const notes = [];
+    const plural = (count, noun) =>
+      `${count.toLocaleString()} ${noun} observation${count === 1 ? " was" : "s were"}`;
+
+    if (preprocessing.shift) {
+      notes.push(
+        `All values were shifted by +${preprocessing.shift} so that ${plural(
+          preprocessing.zeroObservations,
+          "zero-valued"
+        )} included.`
+      );
+    }
+    if (preprocessing.clippedObservations > 0) {
+      notes.push(
+        `${plural(
+          preprocessing.clippedObservations,
+          "binned"
+        )} kept, with the lower edge of their bins moved above zero.`
+      );
+    }
+    if (!preprocessing.shift && preprocessing.excludedObservations > 0) {
+      if (preprocessing.zeroObservations > 0) {
+        notes.push(`${plural(preprocessing.zeroObservations, "zero-valued")} excluded.`);
+      }
+      if (preprocessing.negativeObservations > 0) {
+        notes.push(
+          `${plural(preprocessing.negativeObservations, "negative-valued")} excluded.`
+        );
+      }
+      if (preprocessing.zeroHandling === "report") {
+        const share =
+          (preprocessing.excludedObservations / preprocessing.totalObservations) *
+          100;
+        notes.push(
+          `They make up ${share.toFixed(1)}% of all ${preprocessing.totalObservations.toLocaleString()} observations and are reported separately.`
+        );
+      }
+    }
+
+    return notes.length > 0 ? notes.join(" ") : null;
+  }
+
   /**
    * Validates data against all registered analyzers
    * @param {Array} data - Data to validate
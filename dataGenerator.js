@@ -0,0 +1,295 @@
+// Synthetic Data Generator - Seeded samples from known distributions for testing and demos
+
+// Load dependencies if in Node.js environment
+if (typeof module !== 'undefined' && typeof buildHistogram === 'undefined') {
+    const dataProcessor = require('./dataProcessor.js');
+
+    global.buildHistogram = dataProcessor.buildHistogram;
+}
+
+/**
+ * Distributions the generator can sample, with their parameters
+ * - powerLaw: continuous, p(x) ∝ x^(-alpha) for x ≥ xmin (alpha > 1, xmin > 0)
+ * - discretePowerLaw: integers, p(x) ∝ x^(-alpha) for x ≥ xmin (alpha > 1, integer xmin ≥ 1)
+ * - powerLawWithCutoff: continuous, p(x) ∝ x^(-alpha) e^(-lambda x) for x ≥ xmin (alpha ≥ 0, lambda > 0, xmin > 0)
+ * - logNormal: ln(x) ~ Normal(mu, sigma)
+ * - exponential: p(x) = lambda e^(-lambda (x - xmin)) for x ≥ xmin (xmin defaults to 0)
+ * - weibull: P(X > x) = e^(-(x/scale)^shape) (shape > 0, scale > 0)
+ * - gamma: p(x) ∝ x^(shape-1) e^(-rate x) (shape > 0, rate > 0)
+ * - lomax: P(X > x) = (1 + x/scale)^(-alpha) (alpha > 0, scale > 0)
+ * - yuleSimon: integers, P(X = k) = rho B(k, rho + 1) for k ≥ 1 (rho > 0)
+ * - mixture: components, each a distribution spec with a relative weight
+ */
+const GENERATOR_DISTRIBUTIONS = ['powerLaw', 'discretePowerLaw', 'powerLawWithCutoff', 'logNormal', 'exponential', 'weibull', 'gamma', 'lomax', 'yuleSimon', 'mixture'];
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The same seed always yields the same sequence, in the browser and in Node.
+ * @param {number|string} seed - Integer seed, or a string that is hashed into one
+ * @returns {Function} Function returning uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+    if (typeof seed !== 'string' && !isFinite(seed)) {
+        throw new Error('Seed must be a number or a string');
+    }
+    let state = typeof seed === 'string' ? hashSeed(seed) : (Math.floor(seed) >>> 0);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a string seed into a 32-bit integer (FNV-1a)
+ * @param {string} text - Seed text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Draws one value from a distribution spec
+ * @param {Object} spec - Distribution spec, e.g. {distribution: 'powerLaw', alpha: 2.5, xmin: 1}
+ * @param {Function} random - Uniform generator from createRandom
+ * @returns {number} Sampled value
+ * @throws {Error} If the spec is unknown or its parameters are out of range
+ */
+function sampleValue(spec, random) {
+    // 1 - u lies in (0, 1], which keeps the logarithms and negative powers finite
+    const u = 1 - random();
+
+    switch (spec.distribution) {
+        case 'powerLaw':
+            return spec.xmin * Math.pow(u, -1 / (spec.alpha - 1));
+        case 'discretePowerLaw':
+            return sampleDiscretePowerLaw(spec, u, random);
+        case 'powerLawWithCutoff':
+            return samplePowerLawWithCutoff(spec, u, random);
+        case 'logNormal': {
+            // Box-Muller transform
+            const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+            return Math.exp(spec.mu + spec.sigma * z);
+        }
+        case 'exponential':
+            return (spec.xmin || 0) - Math.log(u) / spec.lambda;
+        case 'weibull':
+            return spec.scale * Math.pow(-Math.log(u), 1 / spec.shape);
+        case 'gamma':
+            return sampleGamma(spec, u, random);
+        case 'lomax':
+            return spec.scale * Math.expm1(-Math.log(u) / spec.alpha);
+        case 'yuleSimon': {
+            // A geometric with success probability p = e^(-W), W exponential with rate rho
+            const p = Math.exp(Math.log(u) / spec.rho);
+            return Math.max(1, Math.ceil(Math.log(1 - random()) / Math.log1p(-p)));
+        }
+        case 'mixture': {
+            const total = spec.components.reduce((sum, component) => sum + component.weight, 0);
+            let pick = random() * total;
+            for (const component of spec.components) {
+                pick -= component.weight;
+                if (pick < 0) {
+                    return sampleValue(component, random);
+                }
+            }
+            return sampleValue(spec.components[spec.components.length - 1], random);
+        }
+        default:
+            throw new Error(`Unknown distribution "${spec.distribution}". Expected one of: ${GENERATOR_DISTRIBUTIONS.join(', ')}.`);
+    }
+}
+
+/**
+ * Draws an integer k ≥ xmin with probability proportional to k^(-alpha)
+ * Exact rejection sampling (a generalization of Devroye's Zipf generator): the proposal is the
+ * floor of a continuous power law, whose probabilities are proportional to k^(1-alpha) - (k+1)^(1-alpha);
+ * the acceptance ratio r(k) = k^(-alpha) / (k^(1-alpha) - (k+1)^(1-alpha)) decreases in k, so it
+ * is bounded by r(xmin).
+ * @param {Object} spec - {alpha, xmin}
+ * @param {number} u - First uniform draw in (0, 1]
+ * @param {Function} random - Uniform generator for further draws
+ * @returns {number} Sampled integer
+ */
+function sampleDiscretePowerLaw(spec, u, random) {
+    const { alpha, xmin } = spec;
+    const ratio = k => 1 / (k * -Math.expm1((1 - alpha) * Math.log1p(1 / k)));
+    const bound = ratio(xmin);
+
+    for (;;) {
+        const k = Math.floor(xmin * Math.pow(u, -1 / (alpha - 1)));
+        if (random() * bound <= ratio(k)) {
+            return k;
+        }
+        u = 1 - random();
+    }
+}
+
+/**
+ * Draws x ≥ xmin with density proportional to x^(-alpha) e^(-lambda x)
+ * Rejection sampling from whichever factor is normalizable: for alpha > 1 the proposal is the pure
+ * power law, accepted with probability e^(-lambda (x - xmin)); otherwise it is the exponential
+ * above xmin, accepted with probability (x / xmin)^(-alpha).
+ * @param {Object} spec - {alpha, lambda, xmin}
+ * @param {number} u - First uniform draw in (0, 1]
+ * @param {Function} random - Uniform generator for further draws
+ * @returns {number} Sampled value
+ */
+function samplePowerLawWithCutoff(spec, u, random) {
+    const { alpha, lambda, xmin } = spec;
+
+    for (;;) {
+        const x = alpha > 1
+            ? xmin * Math.pow(u, -1 / (alpha - 1))
+            : xmin - Math.log(u) / lambda;
+        const acceptance = alpha > 1
+            ? Math.exp(-lambda * (x - xmin))
+            : Math.pow(x / xmin, -alpha);
+        if (random() < acceptance) {
+            return x;
+        }
+        u = 1 - random();
+    }
+}
+
+/**
+ * Draws from a gamma distribution with the given shape and rate
+ * Marsaglia and Tsang's squeeze-free rejection method: with d = shape - 1/3, d (1 + z / √(9d))³ for a
+ * standard normal z is accepted with the ratio of the gamma density to the proposal. Shapes below 1
+ * draw with shape + 1 and multiply by u^(1/shape).
+ * @param {Object} spec - {shape, rate}
+ * @param {number} u - First uniform draw in (0, 1]
+ * @param {Function} random - Uniform generator for further draws
+ * @returns {number} Sampled value
+ */
+function sampleGamma(spec, u, random) {
+    const { shape, rate } = spec;
+    const boost = shape < 1 ? Math.pow(u, 1 / shape) : 1;
+    const d = (shape < 1 ? shape + 1 : shape) - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+
+    for (;;) {
+        // Box-Muller transform
+        const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        const v = Math.pow(1 + c * z, 3);
+        if (v > 0 && Math.log(1 - random()) < z * z / 2 + d - d * v + d * Math.log(v)) {
+            return boost * d * v / rate;
+        }
+    }
+}
+
+/**
+ * Checks a distribution spec's parameters
+ * @param {Object} spec - Distribution spec
+ * @throws {Error} If a parameter is missing or out of range
+ */
+function validateSpec(spec) {
+    if (!spec || !GENERATOR_DISTRIBUTIONS.includes(spec.distribution)) {
+        throw new Error(`Unknown distribution "${spec && spec.distribution}". Expected one of: ${GENERATOR_DISTRIBUTIONS.join(', ')}.`);
+    }
+
+    if (spec.distribution === 'powerLaw' || spec.distribution === 'discretePowerLaw') {
+        if (!(spec.alpha > 1)) {
+            throw new Error('Power law alpha must be greater than 1.');
+        }
+        if (!(spec.xmin > 0) || (spec.distribution === 'discretePowerLaw' && !Number.isInteger(spec.xmin))) {
+            throw new Error(spec.distribution === 'powerLaw'
+                ? 'Power law xmin must be positive.'
+                : 'Discrete power law xmin must be a positive integer.');
+        }
+    } else if (spec.distribution === 'powerLawWithCutoff') {
+        if (!(spec.alpha >= 0) || !(spec.lambda > 0) || !(spec.xmin > 0)) {
+            throw new Error('Power law with cutoff needs a non-negative alpha and a positive lambda and xmin.');
+        }
+    } else if (spec.distribution === 'logNormal') {
+        if (!isFinite(spec.mu) || !(spec.sigma > 0)) {
+            throw new Error('Log-normal needs a finite mu and a positive sigma.');
+        }
+    } else if (spec.distribution === 'exponential') {
+        if (!(spec.lambda > 0) || (spec.xmin !== undefined && !(spec.xmin >= 0))) {
+            throw new Error('Exponential needs a positive lambda and a non-negative xmin.');
+        }
+    } else if (spec.distribution === 'weibull') {
+        if (!(spec.shape > 0) || !(spec.scale > 0)) {
+            throw new Error('Weibull needs a positive shape and scale.');
+        }
+    } else if (spec.distribution === 'gamma') {
+        if (!(spec.shape > 0) || !(spec.rate > 0)) {
+            throw new Error('Gamma needs a positive shape and rate.');
+        }
+    } else if (spec.distribution === 'lomax') {
+        if (!(spec.alpha > 0) || !(spec.scale > 0)) {
+            throw new Error('Lomax needs a positive alpha and scale.');
+        }
+    } else if (spec.distribution === 'yuleSimon') {
+        if (!(spec.rho > 0)) {
+            throw new Error('Yule-Simon needs a positive rho.');
+        }
+    } else {
+        if (!Array.isArray(spec.components) || spec.components.length === 0) {
+            throw new Error('A mixture needs at least one component.');
+        }
+        for (const component of spec.components) {
+            if (!(component.weight > 0)) {
+                throw new Error('Mixture component weights must be positive.');
+            }
+            validateSpec(component);
+        }
+    }
+}
+
+/**
+ * Draws raw observations from a distribution
+ * @param {Object} spec - Distribution spec (see GENERATOR_DISTRIBUTIONS)
+ * @param {Object} [options] - Sampling options
+ * @param {number} [options.size=1000] - Number of observations
+ * @param {number|string} [options.seed=1] - PRNG seed
+ * @param {number} [options.precision] - Round values to this many significant digits
+ * @returns {Array<number>} Sampled values in draw order
+ * @throws {Error} If the spec or options are invalid
+ */
+function generateValues(spec, options = {}) {
+    validateSpec(spec);
+
+    const size = options.size === undefined ? 1000 : options.size;
+    if (!Number.isInteger(size) || size < 1) {
+        throw new Error('Sample size must be a positive integer.');
+    }
+
+    const random = createRandom(options.seed === undefined ? 1 : options.seed);
+    const values = [];
+    for (let i = 0; i < size; i++) {
+        const value = sampleValue(spec, random);
+        values.push(options.precision ? Number(value.toPrecision(options.precision)) : value);
+    }
+    return values;
+}
+
+/**
+ * Draws a sample and aggregates it into the {value, frequency} shape parseInputData produces
+ * @param {Object} spec - Distribution spec (see GENERATOR_DISTRIBUTIONS)
+ * @param {Object} [options] - Same options as generateValues
+ * @returns {Array<{value: number, frequency: number}>} Histogram sorted by value
+ */
+function generateSample(spec, options = {}) {
+    return buildHistogram(generateValues(spec, options));
+}
+
+// Export functions for testing (if in Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GENERATOR_DISTRIBUTIONS,
+        createRandom,
+        generateValues,
+        generateSample
+    };
+}
@@ -0,0 +1,192 @@
+// Tests for dataGenerator.js functions
+
+describe("createRandom", () => {
+  it("should repeat the same sequence for the same seed", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const first = [a(), a(), a()];
+
+    expect([b(), b(), b()]).toEqual(first);
+    expect([c(), c(), c()]).not.toEqual(first);
+    first.forEach((u) => {
+      expect(u).toBeGreaterThanOrEqual(0);
+      expect(u).toBeLessThan(1);
+    });
+  });
+
+  it("should accept string seeds", () => {
+    expect(createRandom("junit")()).toBe(createRandom("junit")());
+    expect(() => createRandom(NaN)).toThrow("Seed must be a number or a string");
+  });
+});
+
+describe("generateValues", () => {
+  const size = 20000;
+
+  it("should sample a continuous power law above xmin", () => {
+    const values = generateValues(
+      { distribution: "powerLaw", alpha: 2.5, xmin: 2 },
+      { size, seed: 7 }
+    );
+    // Maximum-likelihood exponent: 1 + n / Σ ln(x / xmin)
+    const alpha =
+      1 + size / values.reduce((sum, x) => sum + Math.log(x / 2), 0);
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(2);
+    expect(alpha).toBeCloseTo(2.5, 1);
+  });
+
+  it("should sample an exact discrete power law", () => {
+    const values = generateValues(
+      { distribution: "discretePowerLaw", alpha: 2.5, xmin: 1 },
+      { size, seed: 7 }
+    );
+    const ones = values.filter((x) => x === 1).length / size;
+
+    expect(values.every((x) => Number.isInteger(x) && x >= 1)).toBe(true);
+    // P(X = 1) = 1 / ζ(2.5)
+    expect(ones).toBeCloseTo(1 / 1.341487, 1);
+  });
+
+  it("should sample a power law with exponential cutoff for any alpha", () => {
+    const mean = (alpha) =>
+      generateValues(
+        { distribution: "powerLawWithCutoff", alpha, lambda: 1, xmin: 1 },
+        { size, seed: 7 }
+      ).reduce((sum, x) => sum + x, 0) / size;
+
+    // E[X] = ∫ x^(1-α) e^(-x) / ∫ x^(-α) e^(-x) over [1, ∞), with E1(1) = 0.219384
+    expect(mean(2)).toBeCloseTo(0.219384 / (Math.exp(-1) - 0.219384), 1);
+    expect(mean(1)).toBeCloseTo(Math.exp(-1) / 0.219384, 1);
+  });
+
+  it("should sample log-normal and shifted exponential distributions", () => {
+    const logs = generateValues(
+      { distribution: "logNormal", mu: 1, sigma: 0.5 },
+      { size, seed: 7 }
+    ).map(Math.log);
+    const mean = logs.reduce((sum, x) => sum + x, 0) / size;
+    expect(mean).toBeCloseTo(1, 1);
+
+    const exponential = generateValues(
+      { distribution: "exponential", lambda: 0.25, xmin: 3 },
+      { size, seed: 7 }
+    );
+    const excess = exponential.reduce((sum, x) => sum + x - 3, 0) / size;
+    expect(Math.min(...exponential)).toBeGreaterThanOrEqual(3);
+    expect(excess).toBeCloseTo(4, 0);
+  });
+
+  it("should sample a Weibull distribution", () => {
+    const values = generateValues(
+      { distribution: "weibull", shape: 0.5, scale: 2 },
+      { size, seed: 7 }
+    );
+    // (X / scale)^shape is a unit exponential
+    const mean =
+      values.reduce((sum, x) => sum + Math.pow(x / 2, 0.5), 0) / size;
+
+    expect(mean).toBeCloseTo(1, 1);
+  });
+
+  it("should sample gamma distributions with shapes below and above 1", () => {
+    [
+      { shape: 0.5, rate: 2 },
+      { shape: 3, rate: 0.5 },
+    ].forEach(({ shape, rate }) => {
+      const values = generateValues(
+        { distribution: "gamma", shape, rate },
+        { size, seed: 7 }
+      );
+      const mean = values.reduce((sum, x) => sum + x, 0) / size;
+      const variance =
+        values.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / size;
+
+      expect(mean / (shape / rate)).toBeCloseTo(1, 1);
+      expect(variance / (shape / (rate * rate))).toBeCloseTo(1, 1);
+    });
+  });
+
+  it("should sample a Lomax distribution", () => {
+    const values = generateValues(
+      { distribution: "lomax", alpha: 1.5, scale: 3 },
+      { size, seed: 7 }
+    );
+    // α ln(1 + X / σ) is a unit exponential
+    const mean =
+      values.reduce((sum, x) => sum + 1.5 * Math.log1p(x / 3), 0) / size;
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(mean).toBeCloseTo(1, 1);
+  });
+
+  it("should sample an exact Yule–Simon distribution", () => {
+    const values = generateValues(
+      { distribution: "yuleSimon", rho: 2 },
+      { size, seed: 7 }
+    );
+    const ones = values.filter((x) => x === 1).length / size;
+
+    expect(values.every((x) => Number.isInteger(x) && x >= 1)).toBe(true);
+    // P(X = 1) = ρ / (ρ + 1)
+    expect(ones).toBeCloseTo(2 / 3, 1);
+  });
+
+  it("should draw mixture components by weight", () => {
+    const values = generateValues(
+      {
+        distribution: "mixture",
+        components: [
+          { weight: 3, distribution: "exponential", lambda: 1, xmin: 1000 },
+          { weight: 1, distribution: "powerLaw", alpha: 3, xmin: 1 },
+        ],
+      },
+      { size: 4000, seed: 7 }
+    );
+    const fromFirst = values.filter((x) => x >= 1000).length / 4000;
+
+    expect(fromFirst).toBeCloseTo(0.75, 1);
+  });
+
+  it("should round to the requested precision", () => {
+    const values = generateValues(
+      { distribution: "logNormal", mu: 0, sigma: 1 },
+      { size: 10, seed: 1, precision: 3 }
+    );
+    values.forEach((x) => expect(Number(x.toPrecision(3))).toBe(x));
+  });
+
+  it("should reject invalid specs and options", () => {
+    expect(() => generateValues({ distribution: "cauchy" })).toThrow(
+      'Unknown distribution "cauchy"'
+    );
+    expect(() =>
+      generateValues({ distribution: "powerLaw", alpha: 1, xmin: 1 })
+    ).toThrow("alpha must be greater than 1");
+    expect(() =>
+      generateValues({ distribution: "discretePowerLaw", alpha: 2, xmin: 1.5 })
+    ).toThrow("xmin must be a positive integer");
+    expect(() =>
+      generateValues(
+        { distribution: "exponential", lambda: 1 },
+        { size: 0 }
+      )
+    ).toThrow("Sample size must be a positive integer");
+  });
+});
+
+describe("generateSample", () => {
+  it("should return the histogram shape parseInputData produces", () => {
+    const spec = { distribution: "discretePowerLaw", alpha: 2, xmin: 1 };
+    const sample = generateSample(spec, { size: 500, seed: "abc" });
+    const total = sample.reduce((sum, d) => sum + d.frequency, 0);
+
+    expect(total).toBe(500);
+    expect(Object.keys(sample[0]).sort()).toEqual(["frequency", "value"]);
+    expect(sample).toEqual(generateSample(spec, { size: 500, seed: "abc" }));
+
+    const pasted = sample.map((d) => `${d.value} ${d.frequency}`).join("\n");
+    expect(parseInputData(pasted)).toEqual(sample);
+  });
+});
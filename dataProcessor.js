@@ -2,25 +2,118 @@
 
 /**
  * Parses input text into structured data array
- * @param {string} inputText - Raw input text with "value frequency" pairs
- * @returns {Array<{value: number, frequency: number}>} Parsed data array
+ * Accepts pre-aggregated "value count" pairs, one raw observation per line,
+ * labeled "label value" observations, delimited text (CSV/TSV) handled by
+ * parseDelimitedData, or binned "lower-upper count" histograms handled by parseBinnedData.
+ * Labeled input yields items with a labels array naming the observations behind each value.
+ * @param {string} inputText - Raw input text
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.format='auto'] - 'pairs', 'raw', 'labeled', 'delimited', 'binned', or 'auto' to detect from the input
+ * @param {string|number} [options.valueColumn] - Value column for delimited input (see parseDelimitedData)
+ * @param {string|number} [options.countColumn] - Count column for delimited input (see parseDelimitedData)
+ * @param {string|number} [options.labelColumn] - Label column for delimited input (see parseDelimitedData)
+ * @param {string} [options.zeroHandling='error'] - 'error' rejects zero and negative values; any mode
+ *   accepted by applyZeroHandling lets them through so it can drop, shift or report them
+ * @returns {Array<{value: number, frequency: number, labels?: Array<string>}>} Parsed data array
  * @throws {Error} If input is invalid
  */
-function parseInputData(inputText) {
+function parseInputData(inputText, options = {}) {
     if (typeof inputText !== 'string') {
         throw new Error('Input must be a string');
     }
 
+    const format = options.format || 'auto';
+    if (!['auto', 'pairs', 'raw', 'labeled', 'delimited', 'binned'].includes(format)) {
+        throw new Error(`Unknown input format "${format}". Expected "auto", "pairs", "raw", "labeled", "delimited" or "binned".`);
+    }
+
+    const zeroHandling = options.zeroHandling || 'error';
+    if (!ZERO_HANDLING_MODES.includes(zeroHandling)) {
+        throw new Error(`Unknown zero handling "${zeroHandling}". Expected one of: ${ZERO_HANDLING_MODES.join(', ')}.`);
+    }
+    const allowNonPositive = zeroHandling !== 'error';
+
     // Split by newlines and filter out empty lines
     const lines = inputText
         .trim()
         .split('\n')
         .filter(line => line.trim() !== '');
 
-    if (lines.length < 5) {
+    const resolvedFormat = format === 'auto' ? detectInputFormat(lines) : format;
+
+    let parsedData;
+    if (resolvedFormat === 'delimited') {
+        parsedData = parseDelimitedData(inputText, {
+            valueColumn: options.valueColumn,
+            countColumn: options.countColumn,
+            labelColumn: options.labelColumn,
+            allowNonPositive
+        });
+    } else if (resolvedFormat === 'binned') {
+        parsedData = parseBinnedData(lines, allowNonPositive);
+    } else if (resolvedFormat === 'raw') {
+        parsedData = parseRawObservations(lines, allowNonPositive);
+    } else if (resolvedFormat === 'labeled') {
+        parsedData = parseLabeledObservations(lines, allowNonPositive);
+    } else {
+        parsedData = parseValueCountPairs(lines, allowNonPositive);
+    }
+
+    if (parsedData.length < 5) {
         throw new Error('Please provide at least 5 data points for meaningful analysis.');
     }
 
+    return parsedData;
+}
+
+/**
+ * Detects whether input lines hold delimited text, raw observations or "value count" pairs
+ * @param {Array<string>} lines - Non-empty input lines
+ * @returns {string} 'binned' for "lower-upper count" bins, 'labeled' for "label value" lines,
+ *   'delimited' for CSV-like text, 'raw' if every line holds a single token, otherwise 'pairs'
+ */
+function detectInputFormat(lines) {
+    if (lines.length === 0) {
+        return 'pairs';
+    }
+
+    const firstToken = lines[0].trim().split(/\s+/)[0];
+    if (parseBinEdges(firstToken)) {
+        return 'binned';
+    }
+
+    // A label may contain commas (e.g. "Foo.bar(int, String) 74"), so check before delimiters
+    const firstTokens = lines[0].trim().split(/\s+/);
+    if (firstTokens.length >= 2 &&
+        isNaN(Number(firstTokens[0])) &&
+        !isNaN(Number(firstTokens[firstTokens.length - 1])) &&
+        !/[,;|\t]$/.test(firstTokens[firstTokens.length - 2])) {
+        return 'labeled';
+    }
+
+    if (/[,;|]/.test(lines[0])) {
+        return 'delimited';
+    }
+
+    // Tab-separated "value count" pairs are still plain pairs; anything wider or with a header is a table
+    if (lines[0].includes('\t')) {
+        const firstRow = splitDelimitedLine(lines[0].trim(), '\t');
+        const secondRow = lines.length > 1 ? splitDelimitedLine(lines[1].trim(), '\t') : null;
+        if (firstRow.length !== 2 || detectHeader(firstRow, secondRow)) {
+            return 'delimited';
+        }
+    }
+    const allSingle = lines.every(line => line.trim().split(/\s+/).length === 1);
+    return allSingle ? 'raw' : 'pairs';
+}
+
+/**
+ * Parses "value count" lines
+ * @param {Array<string>} lines - Non-empty input lines
+ * @param {boolean} [allowNonPositive=false] - Accept zero and negative values (counts must still be positive)
+ * @returns {Array<{value: number, frequency: number}>} Parsed data array
+ */
+function parseValueCountPairs(lines, allowNonPositive = false) {
     const parsedData = [];
 
     for (let i = 0; i < lines.length; i++) {
@@ -31,15 +124,14 @@ function parseInputData(inputText) {
         }
 
         const value = parseFloat(parts[0]);
-        const frequency = parseInt(parts[1], 10);
+        // Counts may be fractional weights (e.g. sampling weights), so they are not truncated
+        const frequency = parseFloat(parts[1]);
 
-        if (isNaN(value) || isNaN(frequency)) {
+        if (!isFinite(value) || !isFinite(frequency)) {
             throw new Error(`Line ${i + 1} contains invalid numbers.`);
         }
 
-        if (value <= 0 || frequency <= 0) {
-            throw new Error(`Line ${i + 1} contains zero or negative numbers. Both value and count must be positive.`);
-        }
+        checkPositive(value, frequency, i + 1, allowNonPositive);
 
         parsedData.push({ value, frequency });
     }
@@ -47,10 +139,583 @@ function parseInputData(inputText) {
     return parsedData;
 }
 
+/**
+ * Parses one raw observation per line and aggregates them into a histogram
+ * @param {Array<string>} lines - Non-empty input lines
+ * @param {boolean} [allowNonPositive=false] - Accept zero and negative values
+ * @returns {Array<{value: number, frequency: number}>} Histogram sorted by value
+ */
+function parseRawObservations(lines, allowNonPositive = false) {
+    const values = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const parts = lines[i].trim().split(/\s+/);
+
+        if (parts.length !== 1) {
+            throw new Error(`Line ${i + 1} is not in the correct format. Expected a single value per line.`);
+        }
+
+        const value = Number(parts[0]);
+
+        if (parts[0] === '' || isNaN(value)) {
+            throw new Error(`Line ${i + 1} contains an invalid number.`);
+        }
+
+        if (value <= 0 && !allowNonPositive) {
+            throw new Error(`Line ${i + 1} contains a zero or negative number. Values must be positive.`);
+        }
+
+        values.push(value);
+    }
+
+    return buildHistogram(values);
+}
+
+/**
+ * Parses "label value" lines, one labeled observation per line, and aggregates them into a histogram
+ * The value is the last whitespace-separated token; everything before it is the label.
+ * @param {Array<string>} lines - Non-empty input lines
+ * @param {boolean} [allowNonPositive=false] - Accept zero and negative values
+ * @returns {Array<{value: number, frequency: number, labels: Array<string>}>} Histogram sorted by value
+ */
+function parseLabeledObservations(lines, allowNonPositive = false) {
+    const values = [];
+    const labels = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].trim().match(/^(.*\S)\s+(\S+)$/);
+
+        if (!match) {
+            throw new Error(`Line ${i + 1} is not in the correct format. Expected "label value".`);
+        }
+
+        const value = Number(match[2]);
+
+        if (isNaN(value)) {
+            throw new Error(`Line ${i + 1} contains an invalid number.`);
+        }
+
+        if (value <= 0 && !allowNonPositive) {
+            throw new Error(`Line ${i + 1} contains a zero or negative number. Values must be positive.`);
+        }
+
+        values.push(value);
+        labels.push(match[1]);
+    }
+
+    return buildHistogram(values, labels);
+}
+
+/**
+ * Parses delimited text (CSV, TSV, semicolon- or pipe-separated) into a histogram.
+ * Each row is one observation of the value column, unless a count column is given,
+ * in which case rows carry pre-aggregated counts. Rows with the same value are merged.
+ * Columns are referenced by header name (case-insensitive) or by 1-based position.
+ * @param {string} inputText - Delimited text, optionally starting with a header row
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.delimiter] - Field delimiter; detected from the input when omitted
+ * @param {boolean} [options.hasHeader] - Whether the first row is a header; detected when omitted
+ * @param {string|number} [options.valueColumn] - Value column; defaults to the last numeric column
+ * @param {string|number} [options.countColumn] - Count column; defaults to a header named "count" or "frequency", if any
+ * @param {string|number} [options.labelColumn] - Label column; each value then carries the labels of its rows
+ * @param {boolean} [options.allowNonPositive=false] - Accept zero and negative values (counts must still be positive)
+ * @returns {Array<{value: number, frequency: number, labels?: Array<string>}>} Histogram sorted by value ascending
+ * @throws {Error} If the table or any row is invalid, naming the offending line
+ */
+function parseDelimitedData(inputText, options = {}) {
+    if (typeof inputText !== 'string') {
+        throw new Error('Input must be a string');
+    }
+
+    const table = inspectDelimitedData(inputText, options);
+    const { rows, header } = table;
+
+    if (rows.length === 0) {
+        throw new Error('No data rows found in delimited input.');
+    }
+
+    const countIndex = options.countColumn !== undefined && options.countColumn !== null && options.countColumn !== ''
+        ? resolveColumn(options.countColumn, header, table.columnCount, 'Count')
+        : findCountColumn(header);
+    const valueIndex = options.valueColumn !== undefined && options.valueColumn !== null && options.valueColumn !== ''
+        ? resolveColumn(options.valueColumn, header, table.columnCount, 'Value')
+        : findValueColumn(rows, countIndex);
+
+    const labelIndex = options.labelColumn !== undefined && options.labelColumn !== null && options.labelColumn !== ''
+        ? resolveColumn(options.labelColumn, header, table.columnCount, 'Label')
+        : -1;
+
+    if (valueIndex === countIndex) {
+        throw new Error('Value and count columns must be different.');
+    }
+    if (labelIndex !== -1 && (labelIndex === valueIndex || labelIndex === countIndex)) {
+        throw new Error('The label column must differ from the value and count columns.');
+    }
+
+    const counts = new Map();
+    const labels = new Map();
+    const requiredColumns = Math.max(valueIndex, countIndex, labelIndex) + 1;
+    for (const row of rows) {
+        const cells = row.cells;
+        if (cells.length < requiredColumns) {
+            throw new Error(`Line ${row.lineNumber} has ${cells.length} columns; expected at least ${requiredColumns}.`);
+        }
+
+        const value = parseNumericCell(cells[valueIndex]);
+        const frequency = countIndex === -1 ? 1 : parseNumericCell(cells[countIndex]);
+
+        if (!isFinite(value) || !isFinite(frequency)) {
+            throw new Error(`Line ${row.lineNumber} contains invalid numbers.`);
+        }
+
+        checkPositive(value, frequency, row.lineNumber, options.allowNonPositive);
+
+        counts.set(value, (counts.get(value) || 0) + frequency);
+        if (labelIndex !== -1) {
+            labels.set(value, (labels.get(value) || []).concat(cells[labelIndex]));
+        }
+    }
+
+    return Array.from(counts, ([value, frequency]) => (
+        labelIndex === -1 ? { value, frequency } : { value, frequency, labels: labels.get(value) }
+    )).sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Splits delimited text into rows and detects its delimiter and header.
+ * Useful for offering column choices before parsing.
+ * @param {string} inputText - Delimited text
+ * @param {Object} [options] - Optional delimiter and hasHeader overrides
+ * @returns {Object} Table description with delimiter, hasHeader, header names, columnCount and rows
+ */
+function inspectDelimitedData(inputText, options = {}) {
+    const lines = inputText
+        .split(/\r?\n/)
+        .map((text, index) => ({ text: text.trim(), lineNumber: index + 1 }))
+        .filter(line => line.text !== '');
+
+    if (lines.length === 0) {
+        throw new Error('Delimited input is empty.');
+    }
+
+    const delimiter = options.delimiter || detectDelimiter(lines.map(line => line.text));
+    const rows = lines.map(line => ({
+        lineNumber: line.lineNumber,
+        cells: splitDelimitedLine(line.text, delimiter)
+    }));
+
+    const hasHeader = typeof options.hasHeader === 'boolean'
+        ? options.hasHeader
+        : detectHeader(rows[0].cells, rows.length > 1 ? rows[1].cells : null);
+
+    const header = hasHeader ? rows[0].cells : null;
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const columnCount = Math.max(...rows.map(row => row.cells.length));
+
+    return {
+        delimiter,
+        hasHeader,
+        header,
+        columns: header || Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`),
+        columnCount,
+        rows: dataRows
+    };
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the most, consistently sized, fields
+ * @param {Array<string>} lines - Non-empty input lines
+ * @returns {string} Detected delimiter
+ */
+function detectDelimiter(lines) {
+    const candidates = [',', '\t', ';', '|'];
+    const sample = lines.slice(0, 10);
+    let best = null;
+    let bestFields = 1;
+
+    for (const delimiter of candidates) {
+        const fieldCounts = sample.map(line => splitDelimitedLine(line, delimiter).length);
+        const consistent = fieldCounts.every(count => count === fieldCounts[0]);
+        if (consistent && fieldCounts[0] > bestFields) {
+            best = delimiter;
+            bestFields = fieldCounts[0];
+        }
+    }
+
+    if (best) {
+        return best;
+    }
+
+    // Fall back to whichever delimiter appears on the first line at all
+    return candidates.find(delimiter => lines[0].includes(delimiter)) || ',';
+}
+
+/**
+ * Decides whether the first row is a header: some column is non-numeric in the
+ * first row but numeric in the second (or, for a single row, any cell is non-numeric)
+ * @param {Array<string>} firstRow - Cells of the first row
+ * @param {Array<string>|null} secondRow - Cells of the second row, if any
+ * @returns {boolean} True if the first row looks like a header
+ */
+function detectHeader(firstRow, secondRow) {
+    if (!secondRow) {
+        return firstRow.some(cell => isNaN(parseNumericCell(cell)));
+    }
+    return firstRow.some((cell, i) =>
+        isNaN(parseNumericCell(cell)) && i < secondRow.length && !isNaN(parseNumericCell(secondRow[i]))
+    );
+}
+
+/**
+ * Splits one line of delimited text, honoring double-quoted fields
+ * @param {string} line - Line to split
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>} Trimmed cell values
+ */
+function splitDelimitedLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+
+    return cells;
+}
+
+/**
+ * Parses a table cell as a number; empty or partly numeric cells are NaN
+ * @param {string} cell - Cell text
+ * @returns {number} Parsed number or NaN
+ */
+function parseNumericCell(cell) {
+    return cell === '' ? NaN : Number(cell);
+}
+
+/**
+ * Resolves a column reference (header name or 1-based position) to a 0-based index
+ * @param {string|number} column - Column reference
+ * @param {Array<string>|null} header - Header names, if the table has a header
+ * @param {number} columnCount - Number of columns in the table
+ * @param {string} role - Column role used in error messages
+ * @returns {number} 0-based column index
+ */
+function resolveColumn(column, header, columnCount, role) {
+    const position = Number(column);
+    if (Number.isInteger(position)) {
+        if (position < 1 || position > columnCount) {
+            throw new Error(`${role} column ${position} is out of range. The input has ${columnCount} columns.`);
+        }
+        return position - 1;
+    }
+
+    const name = String(column).trim().toLowerCase();
+    const index = header ? header.findIndex(cell => cell.toLowerCase() === name) : -1;
+    if (index === -1) {
+        throw new Error(`${role} column "${column}" not found.${header ? ` Available columns: ${header.join(', ')}.` : ' The input has no header row.'}`);
+    }
+    return index;
+}
+
+/**
+ * Finds a header conventionally used for counts
+ * @param {Array<string>|null} header - Header names
+ * @returns {number} 0-based column index, or -1 if there is none
+ */
+function findCountColumn(header) {
+    if (!header) {
+        return -1;
+    }
+    return header.findIndex(cell => /^(count|frequency|freq)$/i.test(cell));
+}
+
+/**
+ * Finds the last column whose first data row is numeric, skipping the count column
+ * @param {Array<Object>} rows - Data rows
+ * @param {number} countIndex - Count column index, or -1
+ * @returns {number} 0-based column index
+ */
+function findValueColumn(rows, countIndex) {
+    const cells = rows[0].cells;
+    for (let i = cells.length - 1; i >= 0; i--) {
+        if (i !== countIndex && !isNaN(parseNumericCell(cells[i]))) {
+            return i;
+        }
+    }
+    throw new Error(`Line ${rows[0].lineNumber} has no numeric column to use as the value.`);
+}
+
+/**
+ * Parses interval-binned histogram lines such as "10-19 340", "20-49 120" and "50+ 7".
+ * Integer ranges written like 10-19 and 20-49 are inclusive, so each covers [lower, upper + 1);
+ * if any bin's upper edge equals the next bin's lower edge (0-10, 10-20) the bins are taken
+ * as half-open [lower, upper) instead. "lower+" is an open-ended bin [lower, ∞).
+ * Each bin's value is its lower edge, so bins sort and plot by where they start.
+ * @param {Array<string>} lines - Non-empty input lines
+ * @param {boolean} [allowNonPositive=false] - Accept bins starting at zero or below
+ * @returns {Array<{value: number, frequency: number, binLower: number, binUpper: number}>} Bins sorted by lower edge
+ */
+function parseBinnedData(lines, allowNonPositive = false) {
+    const bins = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const parts = lines[i].trim().split(/\s+/);
+
+        if (parts.length !== 2) {
+            throw new Error(`Line ${i + 1} is not in the correct format. Expected "lower-upper count" or "lower+ count".`);
+        }
+
+        const edges = parseBinEdges(parts[0]);
+        const frequency = parseFloat(parts[1]);
+
+        if (!edges) {
+            throw new Error(`Line ${i + 1} has an invalid bin "${parts[0]}". Expected "lower-upper" or "lower+".`);
+        }
+
+        if (!isFinite(frequency)) {
+            throw new Error(`Line ${i + 1} contains invalid numbers.`);
+        }
+
+        if (edges.upper !== Infinity && edges.upper < edges.lower) {
+            throw new Error(`Line ${i + 1} has a bin whose upper edge is below its lower edge.`);
+        }
+
+        checkPositive(edges.lower, frequency, i + 1, allowNonPositive);
+
+        bins.push({ ...edges, frequency, lineNumber: i + 1 });
+    }
+
+    bins.sort((a, b) => a.lower - b.lower);
+
+    const integerBins = bins.every(bin =>
+        Number.isInteger(bin.lower) && (bin.upper === Infinity || Number.isInteger(bin.upper))
+    );
+    const halfOpen = bins.some((bin, i) => i > 0 && bins[i - 1].upper === bin.lower);
+    const inclusive = integerBins && !halfOpen;
+
+    const parsedData = bins.map(bin => ({
+        value: bin.lower,
+        frequency: bin.frequency,
+        binLower: bin.lower,
+        binUpper: bin.upper === Infinity || !inclusive ? bin.upper : bin.upper + 1
+    }));
+
+    for (let i = 1; i < parsedData.length; i++) {
+        if (parsedData[i].binLower < parsedData[i - 1].binUpper) {
+            throw new Error(`Line ${bins[i].lineNumber} has a bin that overlaps another bin.`);
+        }
+    }
+
+    return parsedData;
+}
+
+/**
+ * Parses a bin label such as "10-19", "0.5-1.5" or "50+"
+ * @param {string} token - Bin label
+ * @returns {{lower: number, upper: number}|null} Bin edges (upper is Infinity for open bins), or null if not a bin
+ */
+function parseBinEdges(token) {
+    const number = '(-?\\d+(?:\\.\\d+)?)';
+    const closed = token.match(new RegExp(`^${number}-${number}$`));
+    if (closed) {
+        return { lower: Number(closed[1]), upper: Number(closed[2]) };
+    }
+
+    const open = token.match(new RegExp(`^${number}\\+$`));
+    if (open) {
+        return { lower: Number(open[1]), upper: Infinity };
+    }
+
+    return null;
+}
+
+/**
+ * Rejects non-positive counts, and non-positive values unless they are allowed
+ * @param {number} value - Parsed value
+ * @param {number} frequency - Parsed count
+ * @param {number} lineNumber - Line number for error messages
+ * @param {boolean} allowNonPositive - Whether zero and negative values are acceptable
+ * @throws {Error} If the value or count is out of range
+ */
+function checkPositive(value, frequency, lineNumber, allowNonPositive) {
+    if (!allowNonPositive && (value <= 0 || frequency <= 0)) {
+        throw new Error(`Line ${lineNumber} contains zero or negative numbers. Both value and count must be positive.`);
+    }
+    if (frequency <= 0) {
+        throw new Error(`Line ${lineNumber} contains a zero or negative count. Counts must be positive.`);
+    }
+}
+
+/**
+ * Builds a value/frequency histogram from individual observations
+ * @param {Array<number>} values - Observed values
+ * @param {Array<string>} [labels] - Label of each observation; each value then carries its labels in input order
+ * @returns {Array<{value: number, frequency: number, labels?: Array<string>}>} Histogram sorted by value ascending
+ */
+function buildHistogram(values, labels) {
+    const counts = new Map();
+    const labelsByValue = new Map();
+    values.forEach((value, i) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+        if (labels) {
+            labelsByValue.set(value, (labelsByValue.get(value) || []).concat(labels[i]));
+        }
+    });
+
+    return Array.from(counts, ([value, frequency]) => (
+        labels ? { value, frequency, labels: labelsByValue.get(value) } : { value, frequency }
+    )).sort((a, b) => a.value - b.value);
+}
+
+/**
+ * Supported ways of dealing with zero and negative values
+ * - error: reject them while parsing (the default)
+ * - drop: exclude them from the analysis
+ * - shift: analyze x + 1 instead of x (values must not be negative)
+ * - report: exclude them from the fit but keep them as a separately reported group
+ */
+const ZERO_HANDLING_MODES = ['error', 'drop', 'shift', 'report'];
+
+/**
+ * Applies the chosen zero handling mode and records what was done
+ * Bins that start at or below zero but reach above it (0-10) are kept whole by drop and report,
+ * with their lower edge clipped by clippedBinLower, because their positive values cannot be told
+ * apart from the zeros.
+ * @param {Array<{value: number, frequency: number}>} data - Parsed data, possibly with non-positive values
+ * @param {string} [mode='error'] - One of ZERO_HANDLING_MODES
+ * @returns {Object} Data ready for analysis and a preprocessing record with zeroHandling, shift,
+ *   totalObservations, zeroObservations, negativeObservations, excludedObservations, excludedData
+ *   and clippedObservations (observations in bins whose lower edge was clipped)
+ * @throws {Error} If the mode is unknown or the data cannot be handled in that mode
+ */
+function applyZeroHandling(data, mode = 'error') {
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('Data must be a non-empty array');
+    }
+    if (!ZERO_HANDLING_MODES.includes(mode)) {
+        throw new Error(`Unknown zero handling "${mode}". Expected one of: ${ZERO_HANDLING_MODES.join(', ')}.`);
+    }
+
+    const sumFrequency = items => items.reduce((sum, item) => sum + item.frequency, 0);
+    const zeros = data.filter(item => item.value === 0);
+    const negatives = data.filter(item => item.value < 0);
+
+    const preprocessing = {
+        zeroHandling: mode,
+        shift: 0,
+        totalObservations: sumFrequency(data),
+        zeroObservations: sumFrequency(zeros),
+        negativeObservations: sumFrequency(negatives),
+        excludedObservations: 0,
+        excludedData: [],
+        clippedObservations: 0
+    };
+
+    if (mode === 'error') {
+        if (zeros.length > 0 || negatives.length > 0) {
+            throw new Error('Data contains zero or negative values. Choose how to handle them or remove them.');
+        }
+        return { data, preprocessing };
+    }
+
+    if (mode === 'shift') {
+        if (negatives.length > 0) {
+            throw new Error('Cannot shift negative values. Shifting by +1 only handles zero values.');
+        }
+        preprocessing.shift = 1;
+        return {
+            data: data.map(item => shiftItem(item, 1)),
+            preprocessing
+        };
+    }
+
+    // drop and report both leave non-positive values out of the fit; report also keeps them for display.
+    // A bin that reaches above zero keeps its positive values, so only its lower edge is clipped.
+    const clipped = data.filter(item => item.value <= 0 && clippedBinLower(item) !== null);
+    const excluded = [...negatives, ...zeros].filter(item => !clipped.includes(item));
+    preprocessing.zeroObservations = sumFrequency(zeros.filter(item => !clipped.includes(item)));
+    preprocessing.negativeObservations = sumFrequency(negatives.filter(item => !clipped.includes(item)));
+    preprocessing.excludedObservations = sumFrequency(excluded);
+    preprocessing.clippedObservations = sumFrequency(clipped);
+    if (mode === 'report') {
+        preprocessing.excludedData = excluded.map(item => ({ ...item }));
+    }
+
+    const positives = data
+        .filter(item => item.value > 0 || clipped.includes(item))
+        .map(item => {
+            if (!clipped.includes(item)) {
+                return item;
+            }
+            const binLower = clippedBinLower(item);
+            return { ...item, value: binLower, binLower };
+        });
+
+    if (positives.length === 0) {
+        throw new Error('No positive values remain after excluding zero and negative values.');
+    }
+
+    return { data: positives, preprocessing };
+}
+
+/**
+ * Moves the lower edge of a bin that starts at or below zero up to where its positive values start
+ * Integer-edged bins hold integers, so their positive part starts at 1; other bins are cut at half
+ * their upper edge.
+ * @param {Object} item - Data point
+ * @returns {number|null} New lower edge, or null if the item is not a bin or holds no positive values
+ */
+function clippedBinLower(item) {
+    if (item.binLower === undefined || item.binUpper <= 0) {
+        return null;
+    }
+    const integerEdges = Number.isInteger(item.binLower) &&
+        (item.binUpper === Infinity || Number.isInteger(item.binUpper));
+    if (!integerEdges) {
+        return item.binUpper === Infinity ? 1 : item.binUpper / 2;
+    }
+    return item.binUpper > 1 ? 1 : null;
+}
+
+/**
+ * Shifts a data point, including any bin edges, by a constant
+ * @param {Object} item - Data point
+ * @param {number} shift - Amount to add
+ * @returns {Object} Shifted copy
+ */
+function shiftItem(item, shift) {
+    const shifted = { ...item, value: item.value + shift };
+    if (item.binLower !== undefined) {
+        shifted.binLower = item.binLower + shift;
+        shifted.binUpper = item.binUpper + shift;
+    }
+    return shifted;
+}
+
 /**
  * Calculates basic statistics from parsed data
+ * Frequencies act as weights and need not be integers.
  * @param {Array<{value: number, frequency: number}>} data - Parsed data array
- * @returns {Object} Statistics object with totalObservations, minValue, maxValue, meanValue
+ * @returns {Object} Statistics object with totalObservations (sum of weights), minValue, maxValue, meanValue
  */
 function calculateBasicStats(data) {
     if (!Array.isArray(data) || data.length === 0) {
@@ -70,8 +735,59 @@ function calculateBasicStats(data) {
     };
 }
 
+/**
+ * Sorts data by value and merges repeated values by summing their frequencies (and joining their labels)
+ * @param {Array<{value: number, frequency: number}>} data - Parsed data array, in any order
+ * @returns {Object} Normalized data plus a report: wasReordered flag and mergedValues
+ *   listing each repeated value with how many entries were merged and their total frequency
+ */
+function normalizeData(data) {
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('Data must be a non-empty array');
+    }
+
+    const wasReordered = data.some((item, i) => i > 0 && item.value < data[i - 1].value);
+
+    const sorted = data
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => a.item.value - b.item.value || a.index - b.index)
+        .map(entry => entry.item);
+
+    const normalized = [];
+    const mergedValues = [];
+
+    for (const item of sorted) {
+        const last = normalized[normalized.length - 1];
+        if (last && last.value === item.value) {
+            last.frequency += item.frequency;
+            if (last.labels || item.labels) {
+                last.labels = (last.labels || []).concat(item.labels || []);
+            }
+
+            const merged = mergedValues[mergedValues.length - 1];
+            if (merged && merged.value === item.value) {
+                merged.occurrences += 1;
+                merged.frequency = last.frequency;
+            } else {
+                mergedValues.push({ value: item.value, occurrences: 2, frequency: last.frequency });
+            }
+        } else {
+            normalized.push({ ...item });
+        }
+    }
+
+    return {
+        data: normalized,
+        wasReordered,
+        mergedValues
+    };
+}
+
 /**
  * Calculates probability, CDF, and CCDF for each data point
+ * Input is normalized first (sorted ascending, duplicate values merged), so paste order does not matter.
+ * For binned rows (with binLower/binUpper) the CDF and CCDF are evaluated at the bin's lower edge,
+ * where the empirical distribution is known exactly: ccdf is the share of observations in this bin and above.
  * @param {Array<{value: number, frequency: number}>} data - Parsed data array
  * @returns {Array<{value: number, frequency: number, probability: number, cdf: number, ccdf: number}>}
  */
@@ -80,10 +796,11 @@ function calculateCCDF(data) {
         throw new Error('Data must be a non-empty array');
     }
 
-    const totalObservations = data.reduce((sum, item) => sum + item.frequency, 0);
+    const normalizedData = normalizeData(data).data;
+    const totalObservations = normalizedData.reduce((sum, item) => sum + item.frequency, 0);
 
     // Calculate PDF (Probability Density Function)
-    const dataWithProbability = data.map(item => ({
+    const dataWithProbability = normalizedData.map(item => ({
         ...item,
         probability: item.frequency / totalObservations
     }));
@@ -91,6 +808,16 @@ function calculateCCDF(data) {
     // Calculate CDF and CCDF
     let cumulativeProbability = 0;
     const dataWithCCDF = dataWithProbability.map(item => {
+        if (item.binLower !== undefined) {
+            const below = cumulativeProbability;
+            cumulativeProbability += item.probability;
+            return {
+                ...item,
+                cdf: below,
+                ccdf: 1 - below
+            };
+        }
+
         cumulativeProbability += item.probability;
         return {
             ...item,
@@ -102,11 +829,48 @@ function calculateCCDF(data) {
     return dataWithCCDF;
 }
 
+/**
+ * Lists the labeled observations with the largest values
+ * @param {Array<{value: number, labels?: Array<string>, probability?: number, ccdf?: number}>} data - Data, e.g. from calculateCCDF
+ * @param {number} [limit=10] - Maximum number of members to return
+ * @returns {Array<{label: string, value: number, ccdf: number|undefined, tailProbability: number|undefined}>} Tail
+ *   members, largest value first; ccdf is P(X > value) and tailProbability is P(X ≥ value), the share of
+ *   observations at least as large as the member
+ */
+function getTailMembers(data, limit = 10) {
+    const members = [];
+    const byValueDescending = [...data].sort((a, b) => b.value - a.value);
+
+    for (const item of byValueDescending) {
+        const tailProbability = item.ccdf !== undefined && item.probability !== undefined
+            ? item.ccdf + item.probability
+            : undefined;
+        for (const label of item.labels || []) {
+            if (members.length >= limit) {
+                return members;
+            }
+            members.push({ label, value: item.value, ccdf: item.ccdf, tailProbability });
+        }
+    }
+
+    return members;
+}
+
 // Export functions for testing (if in Node.js environment)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         parseInputData,
+        detectInputFormat,
+        buildHistogram,
+        parseBinnedData,
+        parseDelimitedData,
+        inspectDelimitedData,
+        splitDelimitedLine,
+        normalizeData,
+        ZERO_HANDLING_MODES,
+        applyZeroHandling,
         calculateBasicStats,
-        calculateCCDF
+        calculateCCDF,
+        getTailMembers
     };
 }
@@ -30,6 +30,25 @@ describe("parseInputData", () => {
     expect(result[1].value).toBeCloseTo(2.7);
   });
 
+  it("should keep fractional weights instead of truncating them", () => {
+    const input = "1 0.5\n2 2.25\n3 1\n4 0.125\n5 3";
+    const result = parseInputData(input);
+
+    expect(result[0]).toEqual({ value: 1, frequency: 0.5 });
+    expect(result[3]).toEqual({ value: 4, frequency: 0.125 });
+
+    const stats = calculateBasicStats(result);
+    expect(stats.totalObservations).toBeCloseTo(6.875, 10);
+    expect(stats.meanValue).toBeCloseTo(
+      (0.5 + 4.5 + 3 + 0.5 + 15) / 6.875,
+      10
+    );
+
+    const withCCDF = calculateCCDF(result);
+    expect(withCCDF[0].probability).toBeCloseTo(0.5 / 6.875, 10);
+    expect(withCCDF[4].cdf).toBeCloseTo(1, 10);
+  });
+
   it("should throw error for non-string input", () => {
     expect(() => parseInputData(123)).toThrow("Input must be a string");
     expect(() => parseInputData(null)).toThrow("Input must be a string");
@@ -69,6 +88,437 @@ describe("parseInputData", () => {
   });
 });
 
+describe("parseInputData raw observations", () => {
+  it("should auto-detect one observation per line and build a histogram", () => {
+    const input = "3\n1\n2\n1\n5\n4\n1\n2";
+    const result = parseInputData(input);
+
+    expect(result).toEqual([
+      { value: 1, frequency: 3 },
+      { value: 2, frequency: 2 },
+      { value: 3, frequency: 1 },
+      { value: 4, frequency: 1 },
+      { value: 5, frequency: 1 },
+    ]);
+  });
+
+  it("should honor an explicit format option", () => {
+    const input = "1\n2\n3\n4\n5";
+    expect(parseInputData(input, { format: "raw" }).length).toBe(5);
+    expect(() => parseInputData(input, { format: "pairs" })).toThrow(
+      "Line 1 is not in the correct format"
+    );
+  });
+
+  it("should require at least 5 distinct values", () => {
+    const input = "1\n1\n2\n2\n3\n3";
+    expect(() => parseInputData(input)).toThrow(
+      "Please provide at least 5 data points"
+    );
+  });
+
+  it("should report invalid observations with line numbers", () => {
+    expect(() =>
+      parseInputData("1\n2\nabc\n4\n5", { format: "raw" })
+    ).toThrow("Line 3 contains an invalid number");
+    expect(() => parseInputData("1\n2\n3\n0\n5", { format: "raw" })).toThrow(
+      "Line 4 contains a zero or negative number"
+    );
+  });
+
+  it("should reject unknown formats", () => {
+    expect(() => parseInputData("1 2", { format: "xml" })).toThrow(
+      'Unknown input format "xml"'
+    );
+  });
+});
+
+describe("buildHistogram", () => {
+  it("should count and sort observations", () => {
+    expect(buildHistogram([10, 2, 10, 7])).toEqual([
+      { value: 2, frequency: 1 },
+      { value: 7, frequency: 1 },
+      { value: 10, frequency: 2 },
+    ]);
+  });
+});
+
+describe("parseDelimitedData", () => {
+  const csv = `function,file,lines
+Foo.bar,Foo.java,12
+Foo.baz,Foo.java,3
+"Bar.qux(int, int)",Bar.java,12
+Bar.quux,Bar.java,70`;
+
+  it("should detect the header and use the last numeric column as the value", () => {
+    expect(parseDelimitedData(csv)).toEqual([
+      { value: 3, frequency: 1 },
+      { value: 12, frequency: 2 },
+      { value: 70, frequency: 1 },
+    ]);
+  });
+
+  it("should accept value and count columns by name or position", () => {
+    const input = "size\tn\tlabel\n1\t100\ta\n2\t50\tb\n1\t5\tc";
+    const byName = parseDelimitedData(input, {
+      valueColumn: "SIZE",
+      countColumn: "n",
+    });
+    const byPosition = parseDelimitedData(input, {
+      valueColumn: 1,
+      countColumn: "2",
+    });
+
+    expect(byName).toEqual([
+      { value: 1, frequency: 105 },
+      { value: 2, frequency: 50 },
+    ]);
+    expect(byPosition).toEqual(byName);
+  });
+
+  it("should pick up a count column from the header", () => {
+    const input = "value;count\n1;10\n2;4";
+    expect(parseDelimitedData(input)).toEqual([
+      { value: 1, frequency: 10 },
+      { value: 2, frequency: 4 },
+    ]);
+  });
+
+  it("should report bad rows with their line numbers", () => {
+    const input = "name,lines\na,4\n\nb,x\nc,5";
+    expect(() => parseDelimitedData(input)).toThrow(
+      "Line 4 contains invalid numbers"
+    );
+  });
+
+  it("should report unknown columns", () => {
+    expect(() => parseDelimitedData(csv, { valueColumn: "size" })).toThrow(
+      'Value column "size" not found'
+    );
+    expect(() => parseDelimitedData(csv, { valueColumn: 9 })).toThrow(
+      "Value column 9 is out of range"
+    );
+  });
+
+  it("should be reachable through parseInputData", () => {
+    const input = "name,lines\na,1\nb,2\nc,3\nd,4\ne,5\nf,5";
+    const result = parseInputData(input);
+    expect(result.length).toBe(5);
+    expect(result[4]).toEqual({ value: 5, frequency: 2 });
+  });
+
+  it("should describe columns for the column picker", () => {
+    const table = inspectDelimitedData(csv);
+    expect(table.delimiter).toBe(",");
+    expect(table.hasHeader).toBe(true);
+    expect(table.columns).toEqual(["function", "file", "lines"]);
+    expect(table.rows.length).toBe(4);
+  });
+});
+
+describe("normalizeData", () => {
+  it("should sort by value and merge duplicates", () => {
+    const result = normalizeData([
+      { value: 3, frequency: 5 },
+      { value: 1, frequency: 10 },
+      { value: 3, frequency: 2 },
+      { value: 2, frequency: 4 },
+      { value: 3, frequency: 1 },
+    ]);
+
+    expect(result.data).toEqual([
+      { value: 1, frequency: 10 },
+      { value: 2, frequency: 4 },
+      { value: 3, frequency: 8 },
+    ]);
+    expect(result.wasReordered).toBe(true);
+    expect(result.mergedValues).toEqual([
+      { value: 3, occurrences: 3, frequency: 8 },
+    ]);
+  });
+
+  it("should report nothing for clean input", () => {
+    const input = [
+      { value: 1, frequency: 10 },
+      { value: 2, frequency: 4 },
+    ];
+    const result = normalizeData(input);
+
+    expect(result.data).toEqual(input);
+    expect(result.wasReordered).toBe(false);
+    expect(result.mergedValues).toEqual([]);
+  });
+
+  it("should throw error for empty array", () => {
+    expect(() => normalizeData([])).toThrow("Data must be a non-empty array");
+  });
+});
+
+describe("applyZeroHandling", () => {
+  const input = "0 412\n1 100\n2 50\n3 25\n4 12\n5 6";
+
+  it("should let zeros through parsing only when a handling mode is chosen", () => {
+    expect(() => parseInputData(input)).toThrow(
+      "Line 1 contains zero or negative numbers"
+    );
+    expect(parseInputData(input, { zeroHandling: "drop" })[0]).toEqual({
+      value: 0,
+      frequency: 412,
+    });
+    expect(() =>
+      parseInputData("1 0\n2 1\n3 1\n4 1\n5 1", { zeroHandling: "drop" })
+    ).toThrow("Line 1 contains a zero or negative count");
+  });
+
+  it("should drop zero values and record how many were excluded", () => {
+    const data = parseInputData(input, { zeroHandling: "drop" });
+    const result = applyZeroHandling(data, "drop");
+
+    expect(result.data.length).toBe(5);
+    expect(result.data[0].value).toBe(1);
+    expect(result.preprocessing.zeroObservations).toBe(412);
+    expect(result.preprocessing.excludedObservations).toBe(412);
+    expect(result.preprocessing.totalObservations).toBe(605);
+    expect(result.preprocessing.excludedData).toEqual([]);
+  });
+
+  it("should shift all values by one", () => {
+    const data = parseInputData(input, { zeroHandling: "shift" });
+    const result = applyZeroHandling(data, "shift");
+
+    expect(result.data.map((item) => item.value)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(result.preprocessing.shift).toBe(1);
+    expect(result.preprocessing.excludedObservations).toBe(0);
+
+    expect(() =>
+      applyZeroHandling([{ value: -1, frequency: 1 }], "shift")
+    ).toThrow("Cannot shift negative values");
+  });
+
+  it("should keep excluded values when reporting them separately", () => {
+    const data = [
+      { value: -2, frequency: 3 },
+      { value: 0, frequency: 7 },
+      { value: 1, frequency: 10 },
+    ];
+    const result = applyZeroHandling(data, "report");
+
+    expect(result.data).toEqual([{ value: 1, frequency: 10 }]);
+    expect(result.preprocessing.negativeObservations).toBe(3);
+    expect(result.preprocessing.excludedData).toEqual([
+      { value: -2, frequency: 3 },
+      { value: 0, frequency: 7 },
+    ]);
+  });
+
+  it("should reject zeros in the default mode and unknown modes", () => {
+    expect(() => applyZeroHandling([{ value: 0, frequency: 1 }])).toThrow(
+      "Data contains zero or negative values"
+    );
+    expect(() =>
+      applyZeroHandling([{ value: 1, frequency: 1 }], "ignore")
+    ).toThrow('Unknown zero handling "ignore"');
+  });
+});
+
+describe("parseBinnedData", () => {
+  const input = "10-19 340\n20-49 120\n50-99 30\n100-199 12\n200+ 7";
+
+  it("should auto-detect bins and treat integer ranges as inclusive", () => {
+    const result = parseInputData(input);
+
+    expect(result[0]).toEqual({
+      value: 10,
+      frequency: 340,
+      binLower: 10,
+      binUpper: 20,
+    });
+    expect(result[1].binUpper).toBe(50);
+    expect(result[4]).toEqual({
+      value: 200,
+      frequency: 7,
+      binLower: 200,
+      binUpper: Infinity,
+    });
+  });
+
+  it("should treat touching edges as half-open bins", () => {
+    const result = parseBinnedData(["0.5-1 4", "1-2 3", "2-4 2"]);
+    expect(result.map((bin) => [bin.binLower, bin.binUpper])).toEqual([
+      [0.5, 1],
+      [1, 2],
+      [2, 4],
+    ]);
+  });
+
+  it("should reject malformed and overlapping bins", () => {
+    expect(() => parseBinnedData(["10-19 5", "abc 3"])).toThrow(
+      'Line 2 has an invalid bin "abc"'
+    );
+    expect(() => parseBinnedData(["10-5 5"])).toThrow(
+      "Line 1 has a bin whose upper edge is below its lower edge"
+    );
+    expect(() => parseBinnedData(["10-30 5", "20-40 3"])).toThrow(
+      "Line 2 has a bin that overlaps another bin"
+    );
+  });
+
+  it("should evaluate the CCDF exactly at each bin's lower edge", () => {
+    const result = calculateCCDF(parseInputData(input));
+
+    expect(result[0].ccdf).toBe(1);
+    expect(result[1].ccdf).toBeCloseTo(169 / 509, 10);
+    expect(result[4].ccdf).toBeCloseTo(7 / 509, 10);
+    expect(result[4].cdf).toBeCloseTo(502 / 509, 10);
+  });
+
+  it("should shift bin edges along with values", () => {
+    const bins = parseInputData("0-9 100\n10-19 50\n20-29 25\n30-39 12\n40+ 6", {
+      zeroHandling: "shift",
+    });
+    const result = applyZeroHandling(bins, "shift");
+
+    expect(result.data[0]).toEqual({
+      value: 1,
+      frequency: 100,
+      binLower: 1,
+      binUpper: 11,
+    });
+  });
+
+  it("should keep a bin that starts at zero when dropping zeros, clipping its lower edge", () => {
+    const bins = parseInputData("0-10 100\n10-20 50\n20-40 25\n40-80 12\n80+ 6", {
+      zeroHandling: "drop",
+    });
+    const result = applyZeroHandling(bins, "drop");
+
+    expect(result.data[0]).toEqual({
+      value: 1,
+      frequency: 100,
+      binLower: 1,
+      binUpper: 10,
+    });
+    expect(result.data.length).toBe(5);
+    expect(result.preprocessing.zeroObservations).toBe(0);
+    expect(result.preprocessing.excludedObservations).toBe(0);
+    expect(result.preprocessing.clippedObservations).toBe(100);
+  });
+
+  it("should still exclude bins that hold only zeros or negative values", () => {
+    const bins = [
+      { value: -0.5, frequency: 4, binLower: -0.5, binUpper: 0 },
+      { value: 0, frequency: 7, binLower: 0, binUpper: 1 },
+      { value: 1, frequency: 10, binLower: 1, binUpper: 2 },
+    ];
+    const result = applyZeroHandling(bins, "report");
+
+    expect(result.data).toEqual([bins[2]]);
+    expect(result.preprocessing.excludedObservations).toBe(11);
+    expect(result.preprocessing.clippedObservations).toBe(0);
+    expect(
+      applyZeroHandling(
+        [
+          { value: 0, frequency: 3, binLower: 0, binUpper: 0.5 },
+          { value: 0.5, frequency: 2, binLower: 0.5, binUpper: 1 },
+        ],
+        "drop"
+      ).data[0]
+    ).toEqual({ value: 0.25, frequency: 3, binLower: 0.25, binUpper: 0.5 });
+  });
+});
+
+describe("labeled observations", () => {
+  const input =
+    "Foo.bar 74\nFoo.baz(int, String) 3\nQux.run 12\nQux.stop 3\nMain.main 1\nUtil.max 5";
+
+  it("should auto-detect labels and keep them with their values", () => {
+    const result = parseInputData(input);
+
+    expect(result).toEqual([
+      { value: 1, frequency: 1, labels: ["Main.main"] },
+      { value: 3, frequency: 2, labels: ["Foo.baz(int, String)", "Qux.stop"] },
+      { value: 5, frequency: 1, labels: ["Util.max"] },
+      { value: 12, frequency: 1, labels: ["Qux.run"] },
+      { value: 74, frequency: 1, labels: ["Foo.bar"] },
+    ]);
+  });
+
+  it("should reject lines without a value", () => {
+    expect(() =>
+      parseInputData("a 1\nb 2\nc\nd 4\ne 5", { format: "labeled" })
+    ).toThrow('Line 3 is not in the correct format. Expected "label value".');
+  });
+
+  it("should read labels from a delimited label column", () => {
+    const csv = "function,file,lines\nrun,a.js,7\nstop,a.js,7\ngo,b.js,3";
+    const result = parseDelimitedData(csv, { labelColumn: "function" });
+
+    expect(result).toEqual([
+      { value: 3, frequency: 1, labels: ["go"] },
+      { value: 7, frequency: 2, labels: ["run", "stop"] },
+    ]);
+    expect(() =>
+      parseDelimitedData(csv, { labelColumn: "lines" })
+    ).toThrow("The label column must differ");
+  });
+
+  it("should merge labels of duplicate values and carry them through the CCDF", () => {
+    const result = calculateCCDF([
+      { value: 2, frequency: 1, labels: ["b"] },
+      { value: 1, frequency: 1, labels: ["a"] },
+      { value: 2, frequency: 1, labels: ["c"] },
+    ]);
+
+    expect(result[1]).toMatchObject({ value: 2, labels: ["b", "c"] });
+    expect(result[1].ccdf).toBeCloseTo(0, 10);
+  });
+
+  it("should list tail members largest value first", () => {
+    const data = calculateCCDF(parseInputData(input));
+
+    expect(getTailMembers(data, 3)).toEqual([
+      {
+        label: "Foo.bar",
+        value: 74,
+        ccdf: data[4].ccdf,
+        tailProbability: data[4].ccdf + data[4].probability,
+      },
+      {
+        label: "Qux.run",
+        value: 12,
+        ccdf: data[3].ccdf,
+        tailProbability: data[3].ccdf + data[3].probability,
+      },
+      {
+        label: "Util.max",
+        value: 5,
+        ccdf: data[2].ccdf,
+        tailProbability: data[2].ccdf + data[2].probability,
+      },
+    ]);
+    expect(getTailMembers(calculateCCDF([{ value: 1, frequency: 2 }]))).toEqual(
+      []
+    );
+  });
+
+  it("should give each tail member the share of observations at least as large", () => {
+    const data = calculateCCDF(
+      parseInputData(
+        "Foo.a 1\nFoo.b 2\nBar.c 3\nBar.d 5\nBaz.e 8\nBaz.f 13\nQux.g 21\nQux.h 40",
+        { format: "labeled" }
+      )
+    );
+    const members = getTailMembers(data, 8);
+
+    // The largest of 8 values is 1 in 8 at or above it; every value is at or above the smallest
+    expect(members[0].label).toBe("Qux.h");
+    expect(members[0].tailProbability).toBeCloseTo(0.125, 10);
+    expect(members[0].ccdf).toBeCloseTo(0, 10);
+    expect(members[7].label).toBe("Foo.a");
+    expect(members[7].tailProbability).toBeCloseTo(1, 10);
+  });
+});
+
 describe("calculateBasicStats", () => {
   const testData = [
     { value: 1, frequency: 100 },
@@ -155,6 +605,19 @@ describe("calculateCCDF", () => {
     expect(result[1].frequency).toBe(50);
   });
 
+  it("should give the same CCDF regardless of input order or duplicates", () => {
+    const shuffled = [
+      { value: 3, frequency: 25 },
+      { value: 1, frequency: 60 },
+      { value: 2, frequency: 50 },
+      { value: 1, frequency: 40 },
+    ];
+    const result = calculateCCDF(shuffled);
+    const expected = calculateCCDF(testData);
+
+    expect(result).toEqual(expected);
+  });
+
   it("should throw error for empty array", () => {
     expect(() => calculateCCDF([])).toThrow("Data must be a non-empty array");
   });
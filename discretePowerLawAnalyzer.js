@@ -0,0 +1,208 @@
+// Discrete Power Law Analyzer - Power law fitted to integer-valued data (counts, line numbers)
+
+// Load dependencies if in Node.js environment
+if (
+  typeof module !== "undefined" &&
+  typeof PowerLawAnalyzer === "undefined"
+) {
+  const mathUtils = require("./mathUtils.js");
+
+  // Make functions available globally
+  global.PowerLawAnalyzer = require("./powerLawAnalyzer.js");
+  global.hurwitzZeta = mathUtils.hurwitzZeta;
+}
+
+/**
+ * Discrete Power Law Analyzer Class
+ * Fits P(X = x) = x^(-α) / ζ(α, xmin) for integers x ≥ xmin, where ζ is the Hurwitz zeta function
+ * (Clauset, Shalizi & Newman 2009, section 3). Shares the log-log diagnostics of PowerLawAnalyzer;
+ * the engine runs it instead of the continuous power law when every value is an integer.
+ */
+class DiscretePowerLawAnalyzer extends PowerLawAnalyzer {
+  constructor() {
+    super();
+    this.name = "discretePowerLaw";
+    this.displayName = "Discrete Power Law";
+    this.description = "P(X = x) ∝ x^(-α), x = xmin, xmin + 1, ...";
+    this.parameterNames = ["alpha", "xmin"];
+    this.continuousCounterpart = "powerLaw";
+  }
+
+  /**
+   * Fits the exponent by maximizing the discrete likelihood above an estimated xmin
+   * @param {Array} dataWithCCDF - Data points with CCDF values
+   * @returns {{fit: Object, fitMethod: string}} Fit with alpha, alphaStandardError, exponent, xmin,
+   *   sampleSize and ksDistance
+   */
+  fitExponent(dataWithCCDF) {
+    return {
+      fit: this.estimateXmin(dataWithCCDF),
+      fitMethod: "discreteMLE",
+    };
+  }
+
+  /**
+   * Estimates α by maximum likelihood
+   * ln L(α) = -n ln ζ(α, xmin) - α Σ ln x has no closed-form maximum, so it is maximized numerically,
+   * starting from the approximation α ≈ 1 + n / Σ ln(x / (xmin - 1/2)). The standard error comes from
+   * the observed information: 1 / √(n d²/dα² ln ζ(α, xmin)).
+   * @param {Array} data - Data points with integer value and frequency (weight), none below xmin
+   * @param {number} [xmin] - Lower bound; defaults to the smallest value
+   * @returns {Object} {alpha, alphaStandardError, exponent, xmin, sampleSize}; exponent is the
+   *   tail exponent α - 1 of the CCDF
+   * @throws {Error} If the values are not positive integers or all equal xmin
+   */
+  fitMaximumLikelihood(data, xmin) {
+    if (
+      !data.every((item) => Number.isInteger(item.value) && item.value > 0)
+    ) {
+      throw new Error("Discrete power law requires positive integer values");
+    }
+
+    const lowerBound = xmin !== undefined ? xmin : this.getLowerBound(data);
+
+    let sampleSize = 0;
+    let logSum = 0;
+    let shiftedLogSum = 0;
+    for (const item of data) {
+      const weight = item.frequency !== undefined ? item.frequency : 1;
+      sampleSize += weight;
+      logSum += weight * Math.log(item.value);
+      shiftedLogSum += weight * Math.log(item.value / (lowerBound - 0.5));
+    }
+
+    if (!(logSum > sampleSize * Math.log(lowerBound))) {
+      throw new Error(
+        "Cannot estimate a power-law exponent: every observation equals the smallest value."
+      );
+    }
+
+    // Optimize ln(α - 1) so that α stays above 1
+    const negativeLogLikelihood = (alpha) =>
+      sampleSize * Math.log(hurwitzZeta(alpha, lowerBound)) + alpha * logSum;
+    const fit = nelderMead(
+      ([logExcess]) => negativeLogLikelihood(1 + Math.exp(logExcess)),
+      [Math.log(sampleSize / shiftedLogSum)]
+    );
+    const alpha = 1 + Math.exp(fit.point[0]);
+
+    return {
+      alpha,
+      alphaStandardError:
+        1 / Math.sqrt(sampleSize * this.logZetaCurvature(alpha, lowerBound)),
+      exponent: alpha - 1,
+      xmin: lowerBound,
+      sampleSize,
+    };
+  }
+
+  /**
+   * Second derivative of ln ζ(α, xmin) in α, i.e. ζ''/ζ - (ζ'/ζ)², by central differences
+   * @param {number} alpha - Exponent
+   * @param {number} xmin - Smallest value
+   * @returns {number} Curvature (the Fisher information per observation)
+   */
+  logZetaCurvature(alpha, xmin) {
+    const h = Math.min(1e-3, (alpha - 1) / 2);
+    const logZeta = (a) => Math.log(hurwitzZeta(a, xmin));
+    return (
+      (logZeta(alpha + h) - 2 * logZeta(alpha) + logZeta(alpha - h)) / (h * h)
+    );
+  }
+
+  /**
+   * Calculates the frequency-weighted log-likelihood
+   * ln P(X = x) = -α ln x - ln ζ(α, xmin)
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {Object} parameters - {alpha, xmin}; alpha defaults to exponent + 1 and xmin to the smallest value
+   * @returns {number} Log-likelihood value
+   */
+  calculateLogLikelihood(data, parameters) {
+    const alpha =
+      parameters.alpha !== undefined
+        ? parameters.alpha
+        : parameters.exponent + 1;
+    const xmin =
+      parameters.xmin !== undefined ? parameters.xmin : this.getLowerBound(data);
+    if (!(alpha > 1) || data.length === 0) {
+      return -Infinity;
+    }
+
+    const logNormalization = Math.log(hurwitzZeta(alpha, xmin));
+    let logLikelihood = 0;
+
+    for (const item of data) {
+      const weight = item.frequency !== undefined ? item.frequency : 1;
+      logLikelihood +=
+        (-alpha * Math.log(item.value) - logNormalization) * weight;
+    }
+
+    return logLikelihood;
+  }
+
+  /**
+   * Gets theoretical CCDF values P(X > x) = ζ(α, ⌊x⌋ + 1) / ζ(α, xmin), scaled by the tail fraction
+   * @param {Array<number>} xValues - X values to calculate CCDF for
+   * @param {Object} parameters - {alpha, xmin, tailFraction}; tailFraction defaults to 1
+   * @returns {Array<number>} Theoretical CCDF values
+   */
+  getTheoreticalCCDF(xValues, parameters) {
+    const { alpha, xmin } = parameters;
+    const scale =
+      parameters.tailFraction !== undefined ? parameters.tailFraction : 1;
+    const normalization = hurwitzZeta(alpha, xmin) / scale;
+    return xValues.map((x) =>
+      x < xmin ? 1 : hurwitzZeta(alpha, Math.floor(x) + 1) / normalization
+    );
+  }
+
+  /**
+   * Gets the log-probability ln P(X = x) = -α ln x - ln ζ(α, xmin)
+   * @param {number} x - Integer at or above xmin
+   * @param {Object} parameters - {alpha, xmin}
+   * @returns {number} ln P(X = x)
+   */
+  getLogDensity(x, parameters) {
+    const { alpha, xmin } = parameters;
+    return -alpha * Math.log(x) - Math.log(hurwitzZeta(alpha, xmin));
+  }
+
+  /**
+   * Gets the theoretical probability P(X ≥ x) = ζ(α, ⌈x⌉) / ζ(α, xmin) of the tail
+   * @param {number} x - Value at or above xmin
+   * @param {Object} parameters - {alpha, xmin}
+   * @returns {number} Tail probability
+   */
+  getTailProbability(x, parameters) {
+    const { alpha, xmin } = parameters;
+    return x <= xmin
+      ? 1
+      : hurwitzZeta(alpha, Math.ceil(x)) / hurwitzZeta(alpha, xmin);
+  }
+
+  /**
+   * Validates if data is suitable for discrete power law analysis
+   * @param {Array} data - Data to validate
+   * @returns {Object} Validation result with success flag and message
+   */
+  validateData(data) {
+    const validation = super.validateData(data);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    if (!DistributionUtils.isIntegerValued(data)) {
+      return {
+        valid: false,
+        message: "Discrete power law analysis needs positive integer values",
+      };
+    }
+
+    return validation;
+  }
+}
+
+// Export for testing (if in Node.js environment)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DiscretePowerLawAnalyzer;
+}
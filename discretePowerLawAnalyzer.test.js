@@ -0,0 +1,216 @@
+// Tests for DiscretePowerLawAnalyzer
+
+describe("DiscretePowerLawAnalyzer", () => {
+  let DiscretePowerLawAnalyzer;
+  let PowerLawAnalyzer;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      PowerLawAnalyzer = require("./powerLawAnalyzer.js");
+      DiscretePowerLawAnalyzer = require("./discretePowerLawAnalyzer.js");
+    } else {
+      // Browser environment - classes should be available globally
+      PowerLawAnalyzer = window.PowerLawAnalyzer;
+      DiscretePowerLawAnalyzer = window.DiscretePowerLawAnalyzer;
+    }
+  });
+
+  // Expected (fractional) counts of a discrete power law, truncated at maxValue
+  function discretePowerLawHistogram(alpha, xmin, total, maxValue) {
+    const normalization = hurwitzZeta(alpha, xmin);
+    const histogram = [];
+    for (let x = xmin; x <= maxValue; x++) {
+      histogram.push({
+        value: x,
+        frequency: (total * Math.pow(x, -alpha)) / normalization,
+      });
+    }
+    return histogram;
+  }
+
+  describe("constructor", () => {
+    it("should create a discrete variant of the power law", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+
+      expect(analyzer.name).toBe("discretePowerLaw");
+      expect(analyzer.displayName).toBe("Discrete Power Law");
+      expect(analyzer.parameterNames).toEqual(["alpha", "xmin"]);
+      expect(analyzer.continuousCounterpart).toBe("powerLaw");
+      expect(analyzer instanceof PowerLawAnalyzer).toBe(true);
+    });
+  });
+
+  describe("fitMaximumLikelihood", () => {
+    it("should recover the exponent of integer data starting at 1", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const fit = analyzer.fitMaximumLikelihood(
+        discretePowerLawHistogram(2.5, 1, 100000, 100000)
+      );
+
+      expect(fit.xmin).toBe(1);
+      expect(fit.alpha).toBeCloseTo(2.5, 3);
+      expect(fit.exponent).toBeCloseTo(fit.alpha - 1, 10);
+      // At xmin = 1 the exact standard error exceeds the large-xmin approximation (α - 1) / √n
+      expect(fit.alphaStandardError).toBeGreaterThan(1.5 / Math.sqrt(100000));
+      expect(fit.alphaStandardError).toBeLessThan(0.01);
+    });
+
+    it("should improve on the continuous estimator for discrete data", () => {
+      const data = discretePowerLawHistogram(2.2, 1, 10000, 100000);
+      const discrete = new DiscretePowerLawAnalyzer().fitMaximumLikelihood(data);
+      const continuous = new PowerLawAnalyzer().fitMaximumLikelihood(data);
+
+      expect(Math.abs(discrete.alpha - 2.2)).toBeLessThan(0.01);
+      expect(Math.abs(continuous.alpha - 2.2)).toBeGreaterThan(0.3);
+    });
+
+    it("should fit above a given xmin below the smallest value", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const data = discretePowerLawHistogram(2.5, 1, 100000, 100000).filter(
+        (d) => d.value >= 3
+      );
+      const fit = analyzer.fitMaximumLikelihood(data, 1);
+
+      const logLikelihood = (alpha) =>
+        analyzer.calculateLogLikelihood(data, { alpha, xmin: 1 });
+
+      expect(fit.xmin).toBe(1);
+      expect(logLikelihood(fit.alpha)).toBeGreaterThan(
+        logLikelihood(fit.alpha + 0.01)
+      );
+      expect(logLikelihood(fit.alpha)).toBeGreaterThan(
+        logLikelihood(fit.alpha - 0.01)
+      );
+      // With no 1s and 2s observed, the fit flattens to put less probability on them
+      expect(fit.alpha).toBeLessThan(analyzer.fitMaximumLikelihood(data).alpha);
+    });
+
+    it("should reject non-integer and degenerate data", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 1.5, frequency: 2 }])
+      ).toThrow("requires positive integer values");
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+      ).toThrow("every observation equals the smallest value");
+    });
+  });
+
+  describe("analyze", () => {
+    it("should fit the discrete likelihood and its exact CCDF", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const data = calculateCCDF(
+        discretePowerLawHistogram(2.5, 1, 100000, 2000).map((d) => ({
+          ...d,
+          frequency: Math.round(d.frequency),
+        }))
+      );
+      const result = analyzer.analyze(data);
+
+      expect(result.distributionName).toBe("discretePowerLaw");
+      expect(result.fitMethod).toBe("discreteMLE");
+      expect(result.parameters.alpha).toBeCloseTo(2.5, 1);
+      // P(X > 1) = 1 - 1 / ζ(α)
+      expect(result.theoreticalValues[0].theoreticalCCDF).toBeCloseTo(
+        1 - 1 / hurwitzZeta(result.parameters.alpha, 1),
+        10
+      );
+      expect(result.theoreticalValues[0].ccdf).toBeCloseTo(
+        result.theoreticalValues[0].theoreticalCCDF,
+        2
+      );
+    });
+
+    it("should estimate xmin above a flat head", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const head = [1, 2, 3, 4].map((value) => ({ value, frequency: 300 }));
+      const tail = discretePowerLawHistogram(2.5, 5, 20000, 3000)
+        .map((d) => ({ ...d, frequency: Math.round(d.frequency) }))
+        .filter((d) => d.frequency > 0);
+      const result = analyzer.analyze(calculateCCDF([...head, ...tail]));
+
+      expect(result.parameters.xmin).toBe(5);
+      expect(result.parameters.alpha).toBeCloseTo(2.5, 1);
+      expect(result.parameters.tailObservations).toBe(
+        tail.reduce((sum, d) => sum + d.frequency, 0)
+      );
+      // P(X ≥ 5) = 1 and P(X ≥ 6) = ζ(α, 6) / ζ(α, 5) within the tail
+      expect(analyzer.getTailProbability(5, result.parameters)).toBe(1);
+      expect(
+        analyzer.getTailProbability(6, result.parameters)
+      ).toBeCloseTo(
+        hurwitzZeta(result.parameters.alpha, 6) /
+          hurwitzZeta(result.parameters.alpha, 5),
+        10
+      );
+    });
+
+    it("should count the weighted tail observations in BIC and adjusted R²", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const head = [1, 2, 3, 4].map((value) => ({ value, frequency: 300 }));
+      const tail = discretePowerLawHistogram(2.5, 5, 20000, 3000)
+        .map((d) => ({ ...d, frequency: Math.round(d.frequency) }))
+        .filter((d) => d.frequency > 0);
+      const result = analyzer.analyze(calculateCCDF([...head, ...tail]));
+      const { logLikelihood, rSquared } = result.goodnessOfFit;
+      const n = result.parameters.tailObservations;
+
+      expect(result.goodnessOfFit.bic).toBeCloseTo(
+        2 * Math.log(n) - 2 * logLikelihood,
+        8
+      );
+      expect(result.goodnessOfFit.adjustedRSquared).toBeCloseTo(
+        1 - ((1 - rSquared) * (n - 1)) / (n - 3),
+        10
+      );
+    });
+
+    it("should bootstrap from the discrete power law", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const data = calculateCCDF(
+        generateSample(
+          { distribution: "discretePowerLaw", alpha: 2.2, xmin: 1 },
+          { size: 500, seed: 3 }
+        )
+      );
+      const test = analyzer.bootstrapGoodnessOfFit(data, { replicates: 20 });
+
+      expect(test.replicates).toBe(20);
+      expect(test.plausible).toBe(true);
+    });
+
+    it("should compute the log-likelihood from the normalized PMF", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const data = [
+        { value: 1, frequency: 3 },
+        { value: 4, frequency: 1 },
+      ];
+      const zeta = hurwitzZeta(2, 1);
+      const expected = 3 * -Math.log(zeta) + (-2 * Math.log(4) - Math.log(zeta));
+
+      expect(
+        analyzer.calculateLogLikelihood(data, { alpha: 2, xmin: 1 })
+      ).toBeCloseTo(expected, 10);
+    });
+  });
+
+  describe("validateData", () => {
+    it("should only accept positive integer values", () => {
+      const analyzer = new DiscretePowerLawAnalyzer();
+      const integers = calculateCCDF(
+        [1, 2, 3, 5, 8, 13].map((value) => ({ value, frequency: 1 }))
+      );
+      const decimals = calculateCCDF(
+        [1.5, 2, 3, 5, 8, 13].map((value) => ({ value, frequency: 1 }))
+      );
+
+      expect(analyzer.validateData(integers).valid).toBe(true);
+      expect(analyzer.validateData(decimals).valid).toBe(false);
+      expect(analyzer.validateData(decimals).message).toContain(
+        "positive integer values"
+      );
+    });
+  });
+});
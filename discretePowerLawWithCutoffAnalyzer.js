@@ -0,0 +1,181 @@
+// Discrete Power Law with Cutoff Analyzer - Power law with an exponential cutoff, fitted to integer-valued data
+
+// Load dependencies if in Node.js environment
+if (
+  typeof module !== "undefined" &&
+  typeof PowerLawWithCutoffAnalyzer === "undefined"
+) {
+  // Make classes available globally (this also loads the power-law analyzers and their dependencies)
+  global.PowerLawWithCutoffAnalyzer = require("./powerLawWithCutoffAnalyzer.js");
+}
+
+// Terms of the normalizing sum added one by one before the Euler-Maclaurin tail takes over; from
+// there on the first neglected correction, of order (α/k + λ)³ / 720, is negligible
+const CUTOFF_SUM_DIRECT_TERMS = 50;
+
+/**
+ * Discrete Power Law with Cutoff Analyzer Class
+ * Fits P(X = x) = x^(-α) e^(-λx) / S(xmin) for integers x ≥ xmin, where S(a) = Σ_{k ≥ a} k^(-α) e^(-λk),
+ * above the xmin estimated for the discrete power law. The nested likelihood-ratio test compares it
+ * with the discrete power law (λ = 0) fitted to the same tail. The engine runs it instead of the
+ * continuous model when every value is an integer.
+ */
+class DiscretePowerLawWithCutoffAnalyzer extends PowerLawWithCutoffAnalyzer {
+  constructor() {
+    super();
+    this.name = "discretePowerLawWithCutoff";
+    this.displayName = "Discrete Power Law with Cutoff";
+    this.description = "P(X = x) ∝ x^(-α) e^(-λx), x = xmin, xmin + 1, ...";
+    this.continuousCounterpart = "powerLawWithCutoff";
+    this.nestedModel = "discretePowerLaw";
+  }
+
+  /**
+   * Fits the cutoff model and the discrete power law it is nested in to the tail above the xmin
+   * estimated for the discrete power law
+   * @param {Array} dataWithCCDF - Data points with integer values and CCDF values
+   * @returns {Object} {fit, powerLawFit, tailData, fitMethod}; both fits carry their logLikelihood
+   */
+  fitWithPowerLaw(dataWithCCDF) {
+    const { alpha, xmin } = this.discretePowerLaw.estimateXmin(dataWithCCDF);
+    const tailData = dataWithCCDF.filter(
+      (item) =>
+        item.value >= xmin &&
+        (item.frequency === undefined || item.frequency > 0)
+    );
+    return {
+      fit: this.fitMaximumLikelihood(tailData, xmin, alpha),
+      powerLawFit: {
+        alpha,
+        logLikelihood: this.discretePowerLaw.calculateLogLikelihood(tailData, {
+          alpha,
+          xmin,
+        }),
+      },
+      tailData,
+      fitMethod: "discreteMLE",
+    };
+  }
+
+  /**
+   * Calculates the log of the normalizing sum S(a) over the integers from ⌈a⌉
+   * @param {number} alpha - Exponent
+   * @param {number} lambda - Cutoff rate λ > 0
+   * @param {number} lowerLimit - Lower limit a > 0
+   * @returns {number} ln S(⌈a⌉)
+   */
+  logNormalization(alpha, lambda, lowerLimit) {
+    return this.logTailSum(alpha, lambda, Math.ceil(lowerLimit));
+  }
+
+  /**
+   * Calculates ln S(a) = ln Σ_{k ≥ a} k^(-α) e^(-λk)
+   * The first CUTOFF_SUM_DIRECT_TERMS terms are added directly; the rest follows from the
+   * Euler-Maclaurin formula Σ_{k ≥ m} f(k) ≈ ∫_m^∞ f + f(m)/2 - f'(m)/12, where
+   * f'(m) = -f(m) (α/m + λ) and the integral is logTailIntegral. The parts are added relative to the
+   * largest so that neither tiny nor huge values overflow.
+   * @param {number} alpha - Exponent
+   * @param {number} lambda - Cutoff rate λ > 0
+   * @param {number} lowerLimit - Integer lower limit a ≥ 1
+   * @returns {number} ln S(a)
+   */
+  logTailSum(alpha, lambda, lowerLimit) {
+    const logTerm = (k) => -alpha * Math.log(k) - lambda * k;
+    const logParts = [];
+    let k = lowerLimit;
+    for (; k < lowerLimit + CUTOFF_SUM_DIRECT_TERMS; k++) {
+      logParts.push(logTerm(k));
+    }
+    logParts.push(this.logTailIntegral(alpha, lambda, k));
+    logParts.push(logTerm(k) + Math.log(0.5 + (alpha / k + lambda) / 12));
+
+    const peak = Math.max(...logParts);
+    return (
+      peak +
+      Math.log(logParts.reduce((sum, part) => sum + Math.exp(part - peak), 0))
+    );
+  }
+
+  /**
+   * Calculates the Kolmogorov-Smirnov distance between a tail and the distribution fitted to it,
+   * comparing the empirical CDF with the fitted one just below and at every observed value
+   * @param {Array} tail - Data points at or above xmin with integer value and frequency
+   * @param {Object} parameters - {alpha, lambda, xmin}
+   * @returns {number} Largest absolute difference between the empirical and fitted CDFs
+   */
+  calculateKSDistance(tail, parameters) {
+    const { alpha, lambda, xmin } = parameters;
+    const sorted = [...tail].sort((a, b) => a.value - b.value);
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+    const total = sorted.reduce((sum, item) => sum + weightOf(item), 0);
+    const logNormalization = this.logTailSum(alpha, lambda, xmin);
+    const fittedCDFBelow = (k) =>
+      1 - Math.exp(this.logTailSum(alpha, lambda, k) - logNormalization);
+
+    let below = 0;
+    let distance = 0;
+    for (const item of sorted) {
+      const cdfBefore = below / total;
+      below += weightOf(item);
+      distance = Math.max(
+        distance,
+        Math.abs(below / total - fittedCDFBelow(item.value + 1)),
+        Math.abs(cdfBefore - fittedCDFBelow(item.value))
+      );
+    }
+
+    return distance;
+  }
+
+  /**
+   * Gets theoretical CCDF values P(X > x) = S(⌊x⌋ + 1) / S(xmin), scaled by the tail fraction
+   * @param {Array<number>} xValues - X values to calculate CCDF for
+   * @param {Object} parameters - {alpha, lambda, xmin, tailFraction}; tailFraction defaults to 1
+   * @returns {Array<number>} Theoretical CCDF values
+   */
+  getTheoreticalCCDF(xValues, parameters) {
+    const { alpha, lambda, xmin } = parameters;
+    const scale =
+      parameters.tailFraction !== undefined ? parameters.tailFraction : 1;
+    const logNormalization = this.logTailSum(alpha, lambda, xmin);
+    return xValues.map((x) =>
+      x < xmin
+        ? 1
+        : scale *
+          Math.exp(
+            this.logTailSum(alpha, lambda, Math.floor(x) + 1) - logNormalization
+          )
+    );
+  }
+
+  /**
+   * Gets the probability P(X ≥ x) = S(⌈x⌉) / S(xmin) within the tail above xmin
+   * @param {number} x - Value at or above xmin
+   * @param {Object} parameters - {alpha, lambda, xmin}
+   * @returns {number} Tail probability
+   */
+  getTailProbability(x, parameters) {
+    const { alpha, lambda, xmin } = parameters;
+    return x <= xmin
+      ? 1
+      : Math.exp(
+          this.logTailSum(alpha, lambda, Math.ceil(x)) -
+            this.logTailSum(alpha, lambda, xmin)
+        );
+  }
+
+  /**
+   * Validates if data is suitable for discrete power law with cutoff analysis
+   * @param {Array} data - Data to validate
+   * @returns {Object} Validation result with success flag and message
+   */
+  validateData(data) {
+    return this.discretePowerLaw.validateData(data);
+  }
+}
+
+// Export for testing (if in Node.js environment)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DiscretePowerLawWithCutoffAnalyzer;
+}
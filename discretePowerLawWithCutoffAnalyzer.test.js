@@ -0,0 +1,146 @@
+// Tests for DiscretePowerLawWithCutoffAnalyzer
+
+describe("DiscretePowerLawWithCutoffAnalyzer", () => {
+  let DiscretePowerLawWithCutoffAnalyzer;
+  let PowerLawWithCutoffAnalyzer;
+  let DiscretePowerLawAnalyzer;
+  let AnalysisEngine;
+  let calculateCCDF;
+  let generateSample;
+  let hurwitzZeta;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      DiscretePowerLawWithCutoffAnalyzer = require("./discretePowerLawWithCutoffAnalyzer.js");
+      PowerLawWithCutoffAnalyzer = require("./powerLawWithCutoffAnalyzer.js");
+      DiscretePowerLawAnalyzer = require("./discretePowerLawAnalyzer.js");
+      AnalysisEngine = require("./analysisEngine.js");
+      ({ calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateSample } = require("./dataGenerator.js"));
+      ({ hurwitzZeta } = require("./mathUtils.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      DiscretePowerLawWithCutoffAnalyzer =
+        window.DiscretePowerLawWithCutoffAnalyzer;
+      PowerLawWithCutoffAnalyzer = window.PowerLawWithCutoffAnalyzer;
+      DiscretePowerLawAnalyzer = window.DiscretePowerLawAnalyzer;
+      AnalysisEngine = window.AnalysisEngine;
+      calculateCCDF = window.calculateCCDF;
+      generateSample = window.generateSample;
+      hurwitzZeta = window.hurwitzZeta;
+    }
+  });
+
+  // Expected counts of P(X = x) ∝ x^(-α) e^(-λx) from xmin, rounded, up to the last nonzero count
+  function truncatedPowerLawHistogram(alpha, lambda, xmin, total) {
+    const weightOf = (x) => Math.pow(x, -alpha) * Math.exp(-lambda * x);
+    let normalization = 0;
+    for (let x = xmin; x < xmin + 100 / lambda; x++) {
+      normalization += weightOf(x);
+    }
+    const histogram = [];
+    for (let x = xmin; (total * weightOf(x)) / normalization >= 0.5; x++) {
+      histogram.push({
+        value: x,
+        frequency: Math.round((total * weightOf(x)) / normalization),
+      });
+    }
+    return histogram;
+  }
+
+  describe("constructor", () => {
+    it("should create a discrete variant nested over the discrete power law", () => {
+      const analyzer = new DiscretePowerLawWithCutoffAnalyzer();
+
+      expect(analyzer.name).toBe("discretePowerLawWithCutoff");
+      expect(analyzer.parameterNames).toEqual(["alpha", "lambda", "xmin"]);
+      expect(analyzer.continuousCounterpart).toBe("powerLawWithCutoff");
+      expect(analyzer.nestedModel).toBe("discretePowerLaw");
+    });
+  });
+
+  describe("logTailSum", () => {
+    it("should match the sum of the terms", () => {
+      const analyzer = new DiscretePowerLawWithCutoffAnalyzer();
+      let sum = 0;
+      for (let k = 3; k < 100000; k++) {
+        sum += Math.pow(k, -1.5) * Math.exp(-0.01 * k);
+      }
+
+      expect(analyzer.logTailSum(1.5, 0.01, 3)).toBeCloseTo(Math.log(sum), 8);
+      // A negligible cutoff leaves the Hurwitz zeta function of the discrete power law
+      expect(analyzer.logTailSum(2.5, 1e-12, 3)).toBeCloseTo(
+        Math.log(hurwitzZeta(2.5, 3)),
+        8
+      );
+    });
+  });
+
+  describe("analyze", () => {
+    it("should find a significant cutoff in a discrete truncated power law", () => {
+      const analyzer = new DiscretePowerLawWithCutoffAnalyzer();
+      const data = calculateCCDF(
+        truncatedPowerLawHistogram(1.5, 0.02, 1, 20000)
+      );
+      const result = analyzer.analyze(data);
+      const { alpha, lambda, xmin } = result.parameters;
+
+      expect(result.fitMethod).toBe("discreteMLE");
+      expect(alpha).toBeCloseTo(1.5, 1);
+      expect(lambda).toBeCloseTo(0.02, 2);
+      expect(result.goodnessOfFit.nestedTest.favorsCutoff).toBe(true);
+      // The probabilities of the integers from xmin sum to 1
+      let total = 0;
+      for (let k = xmin; k < 5000; k++) {
+        total += Math.exp(analyzer.getLogDensity(k, result.parameters));
+      }
+      expect(total).toBeCloseTo(1, 8);
+      expect(
+        analyzer.getTailProbability(xmin + 1, result.parameters)
+      ).toBeCloseTo(
+        analyzer.getTheoreticalCCDF([xmin], { alpha, lambda, xmin })[0],
+        12
+      );
+    });
+
+    it("should report no cutoff when λ collapses toward 0", () => {
+      const analyzer = new DiscretePowerLawWithCutoffAnalyzer();
+      const data = calculateCCDF(
+        generateSample(
+          { distribution: "discretePowerLaw", alpha: 2.2, xmin: 1 },
+          { size: 2000, seed: 4 }
+        )
+      );
+      const result = analyzer.analyze(data);
+
+      expect(result.parameters.cutoff).toBeNull();
+      expect(result.goodnessOfFit.nestedTest.favorsCutoff).toBe(false);
+    });
+  });
+
+  describe("engine", () => {
+    it("should replace the continuous model for integer data and test it against the discrete power law", () => {
+      const engine = new AnalysisEngine();
+      engine.registerAnalyzer(new DiscretePowerLawAnalyzer());
+      engine.registerAnalyzer(new PowerLawWithCutoffAnalyzer());
+      engine.registerAnalyzer(new DiscretePowerLawWithCutoffAnalyzer());
+      const data = calculateCCDF(
+        truncatedPowerLawHistogram(1.5, 0.02, 1, 20000)
+      );
+
+      const analysis = engine.analyzeMultiple(data);
+
+      expect(analysis.results.map((r) => r.distributionType).sort()).toEqual([
+        "discretePowerLaw",
+        "discretePowerLawWithCutoff",
+      ]);
+      expect(analysis.comparisons).toEqual([
+        expect.objectContaining({
+          nested: true,
+          favored: "discretePowerLawWithCutoff",
+        }),
+      ]);
+    });
+  });
+});
@@ -1,6 +1,9 @@
 // Distribution Analyzer Base Interface and Utilities
 // Defines the standard interface that all distribution analyzers must implement
 
+// Simpson subintervals per unit when a continuous density is integrated over [x, x + 1)
+const DISCRETIZATION_STEPS = 8;
+
 /**
  * Base class defining the interface for distribution analyzers
  * All distribution analyzers (PowerLaw, LogNormal, Exponential) should extend this class
@@ -50,6 +53,109 @@ class DistributionAnalyzer {
     );
   }
 
+  /**
+   * Gets the log-density of a value under the fitted distribution (log-probability for discrete ones)
+   * @param {number} x - Value within the distribution's support
+   * @param {Object} parameters - Distribution parameters
+   * @returns {number} ln p(x)
+   */
+  getLogDensity(x, parameters) {
+    throw new Error("getLogDensity() method must be implemented by subclass");
+  }
+
+  /**
+   * Gets the theoretical probability P(X ≥ x), which equals the CCDF for continuous distributions
+   * @param {number} x - Value
+   * @param {Object} parameters - Distribution parameters
+   * @returns {number} Tail probability
+   */
+  getTailProbability(x, parameters) {
+    return this.getTheoreticalCCDF([x], parameters)[0];
+  }
+
+  /**
+   * Gets the smallest value the fitted distribution describes
+   * @param {Object} parameters - Distribution parameters
+   * @returns {number} Lower end of the support
+   */
+  getSupportMinimum(parameters) {
+    return 0;
+  }
+
+  /**
+   * Refits the distribution to the observations at or above xmin, conditioned on X ≥ xmin
+   * Analyzers that support a truncated fit override this; the engine uses it to compare
+   * distributions on the power-law tail.
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {number} xmin - Truncation point
+   * @returns {Object|null} Truncated fit parameters, or null if not supported
+   */
+  fitTruncated(data, xmin) {
+    return null;
+  }
+
+  /**
+   * Gets the log-density of a value conditioned on X ≥ lowerBound, so that distributions with
+   * different supports can be compared on the same observations
+   * @param {number} x - Value at or above lowerBound
+   * @param {Object} parameters - Distribution parameters
+   * @param {number} lowerBound - Conditioning bound, at or above getSupportMinimum(parameters)
+   * @returns {number} ln p(x | X ≥ lowerBound)
+   */
+  getConditionalLogDensity(x, parameters, lowerBound) {
+    return (
+      this.getLogDensity(x, parameters) -
+      Math.log(this.getTailProbability(lowerBound, parameters))
+    );
+  }
+
+  /**
+   * Checks whether the analyzer fits a probability mass function on the integers
+   * @returns {boolean} True for discrete variants (continuousCounterpart) and discreteOnly models
+   */
+  isDiscrete() {
+    return Boolean(this.continuousCounterpart || this.discreteOnly);
+  }
+
+  /**
+   * Gets the log-probability of an integer value conditioned on X ≥ lowerBound, so that continuous
+   * distributions can be compared with discrete ones on integer data. A continuous distribution
+   * gives x the mass of [x, x + 1), which sums to one over the integers from an integer lowerBound;
+   * the conditional density is integrated in log space so that the mass stays finite far into the tail.
+   * @param {number} x - Integer at or above lowerBound
+   * @param {Object} parameters - Distribution parameters
+   * @param {number} lowerBound - Integer conditioning bound, at or above getSupportMinimum(parameters)
+   * @returns {number} ln P(X = x | X ≥ lowerBound), or ln P(x ≤ X < x + 1 | X ≥ lowerBound)
+   */
+  getConditionalLogProbability(x, parameters, lowerBound) {
+    if (this.isDiscrete()) {
+      return this.getConditionalLogDensity(x, parameters, lowerBound);
+    }
+
+    // Simpson's rule: weights 1, 4, 2, ..., 4, 1 times h / 3
+    const logTerms = [];
+    for (let i = 0; i <= DISCRETIZATION_STEPS; i++) {
+      const weight =
+        i === 0 || i === DISCRETIZATION_STEPS ? 1 : i % 2 === 1 ? 4 : 2;
+      logTerms.push(
+        Math.log(weight / (3 * DISCRETIZATION_STEPS)) +
+          this.getConditionalLogDensity(
+            x + i / DISCRETIZATION_STEPS,
+            parameters,
+            lowerBound
+          )
+      );
+    }
+    const peak = Math.max(...logTerms);
+    if (!isFinite(peak)) {
+      return peak;
+    }
+    return (
+      peak +
+      Math.log(logTerms.reduce((sum, term) => sum + Math.exp(term - peak), 0))
+    );
+  }
+
   /**
    * Gets plot data for distribution visualization
    * @param {Array} data - Data points
@@ -85,6 +191,35 @@ class DistributionAnalyzer {
     );
   }
 
+  /**
+   * Calculates the log-likelihood of interval-binned data, where each bin's probability
+   * is the drop in the theoretical CCDF across it: P(bin) = S(binLower) - S(binUpper)
+   * Relies on getTheoreticalCCDF returning a normalized CCDF for the given parameters.
+   * @param {Array} data - Bins with binLower, binUpper (may be Infinity) and frequency (weight)
+   * @param {Object} parameters - Distribution parameters
+   * @returns {number} Log-likelihood value (-Infinity if any observed bin has zero probability)
+   */
+  calculateBinnedLogLikelihood(data, parameters) {
+    let logLikelihood = 0;
+
+    for (const item of data) {
+      const weight = item.frequency !== undefined ? item.frequency : 1;
+      const lowerCCDF = this.getTheoreticalCCDF([item.binLower], parameters)[0];
+      const upperCCDF =
+        item.binUpper === Infinity
+          ? 0
+          : this.getTheoreticalCCDF([item.binUpper], parameters)[0];
+      const binProbability = lowerCCDF - upperCCDF;
+
+      if (!(binProbability > 0)) {
+        return -Infinity;
+      }
+      logLikelihood += weight * Math.log(binProbability);
+    }
+
+    return logLikelihood;
+  }
+
   /**
    * Gets the minimum number of data points required for reliable analysis
    * @returns {number} Minimum required data points
@@ -205,6 +340,34 @@ class DistributionAnalyzer {
  * Utility functions for distribution analysis
  */
 class DistributionUtils {
+  /**
+   * Checks whether data came from an interval-binned histogram (see parseBinnedData)
+   * @param {Array} data - Data points
+   * @returns {boolean} True if the data points carry bin edges
+   */
+  static isBinned(data) {
+    return (
+      Array.isArray(data) &&
+      data.length > 0 &&
+      data.every((item) => item.binLower !== undefined)
+    );
+  }
+
+  /**
+   * Checks whether every data point is a positive integer (and not a bin)
+   * Such data is fitted with discrete analyzers in place of their continuous counterparts.
+   * @param {Array} data - Data points
+   * @returns {boolean} True if all values are positive integers
+   */
+  static isIntegerValued(data) {
+    return (
+      Array.isArray(data) &&
+      data.length > 0 &&
+      !DistributionUtils.isBinned(data) &&
+      data.every((item) => Number.isInteger(item.value) && item.value > 0)
+    );
+  }
+
   /**
    * Standardizes analysis results across different distribution types
    * @param {Object} rawResult - Raw result from a distribution analyzer
@@ -216,7 +379,10 @@ class DistributionUtils {
       distributionType: analyzer.name,
       displayName: analyzer.displayName,
       description: analyzer.description,
+      discrete: analyzer.isDiscrete(),
+      nestedModel: analyzer.nestedModel || null,
       parameters: rawResult.parameters || {},
+      fitMethod: rawResult.fitMethod || null,
       goodnessOfFit: rawResult.goodnessOfFit || {},
       theoreticalValues: rawResult.theoreticalValues || [],
       plotData: rawResult.plotData || null,
@@ -229,22 +395,117 @@ class DistributionUtils {
   }
 
   /**
-   * Ranks multiple analysis results by goodness of fit
+   * Gets the lower bound of the observations that a result's likelihood, and so its AIC, covers
+   * Tail fits (tailFraction below 1) cover only the observations at or above their xmin; every other
+   * fit covers all of the data.
+   * @param {Object} result - Standardized analysis result
+   * @returns {number|null} xmin of a tail fit, or null for a fit to all of the data
+   */
+  static getLikelihoodLowerBound(result) {
+    const { tailFraction, xmin } = result.parameters || {};
+    return tailFraction !== undefined && tailFraction < 1 ? xmin : null;
+  }
+
+  /**
+   * Finds the likelihood-ratio test of two distributions, in either order
+   * @param {Array<Object>} comparisons - Pairwise comparisons from AnalysisEngine.compareDistributions
+   * @param {string} typeA - Distribution type
+   * @param {string} typeB - Distribution type
+   * @returns {Object|undefined} The pair's comparison, unless it is missing or failed
+   */
+  static findComparison(comparisons, typeA, typeB) {
+    return comparisons.find(
+      (c) =>
+        !c.error &&
+        ((c.first === typeA && c.second === typeB) ||
+          (c.first === typeB && c.second === typeA))
+    );
+  }
+
+  /**
+   * Decides which of two results the likelihood favors
+   * A pair where one distribution is nested within the other (nestedModel) is decided by its nested
+   * likelihood-ratio test from AnalysisEngine.compareDistributions; unless the test favors the larger
+   * distribution significantly, the nested one stands. Other fits whose likelihoods cover the same
+   * observations (see getLikelihoodLowerBound) and are both densities or both probabilities are
+   * decided by AIC. Any other pair is decided by its Vuong test from compareDistributions, which
+   * evaluates both fits on the same observations; an inconclusive or missing test decides nothing.
+   * @param {Object} a - Standardized analysis result
+   * @param {Object} b - Standardized analysis result
+   * @param {Array<Object>} comparisons - Pairwise comparisons from compareDistributions
+   * @returns {number} Positive if a is favored, negative if b is favored, 0 if undecided
+   */
+  static compareByLikelihood(a, b, comparisons) {
+    const comparison = DistributionUtils.findComparison(
+      comparisons,
+      a.distributionType,
+      b.distributionType
+    );
+    if (comparison && comparison.nested) {
+      const favored =
+        comparison.favored ||
+        (a.nestedModel === b.distributionType
+          ? b.distributionType
+          : a.distributionType);
+      return favored === a.distributionType ? 1 : -1;
+    }
+
+    const aicA = a.goodnessOfFit && a.goodnessOfFit.aic;
+    const aicB = b.goodnessOfFit && b.goodnessOfFit.aic;
+    if (
+      Number.isFinite(aicA) &&
+      Number.isFinite(aicB) &&
+      Boolean(a.discrete) === Boolean(b.discrete) &&
+      DistributionUtils.getLikelihoodLowerBound(a) ===
+        DistributionUtils.getLikelihoodLowerBound(b)
+    ) {
+      return Math.sign(aicB - aicA);
+    }
+
+    if (!comparison || !comparison.favored) {
+      return 0;
+    }
+    return comparison.favored === a.distributionType ? 1 : -1;
+  }
+
+  /**
+   * Ranks multiple analysis results by likelihood
+   * Each result scores a point for every other result the likelihood favors it over, and half a
+   * point for every pair it leaves undecided (see compareByLikelihood); results are sorted by score.
+   * The confidence score, an R² of the distribution's plot, only breaks ties in the score, as for
+   * results without likelihoods.
    * @param {Array<Object>} results - Array of standardized analysis results
+   * @param {Array<Object>} [comparisons] - Pairwise comparisons from AnalysisEngine.compareDistributions
    * @returns {Array<Object>} Results sorted by goodness of fit (best first)
    */
-  static rankResults(results) {
+  static rankResults(results, comparisons = []) {
+    const scores = new Map(results.map((result) => [result, 0]));
+    for (let i = 0; i < results.length; i++) {
+      for (let j = i + 1; j < results.length; j++) {
+        const outcome = DistributionUtils.compareByLikelihood(
+          results[i],
+          results[j],
+          comparisons
+        );
+        const winner = outcome > 0 ? results[i] : results[j];
+        if (outcome === 0) {
+          scores.set(results[i], scores.get(results[i]) + 0.5);
+          scores.set(results[j], scores.get(results[j]) + 0.5);
+        } else {
+          scores.set(winner, scores.get(winner) + 1);
+        }
+      }
+    }
+
     return results.sort((a, b) => {
-      // Primary: confidence score (higher is better)
-      const confidenceDiff = b.confidenceScore - a.confidenceScore;
-      if (Math.abs(confidenceDiff) > 0.01) return confidenceDiff;
+      const scoreDiff = scores.get(b) - scores.get(a);
+      if (scoreDiff !== 0) return scoreDiff;
 
-      // Secondary: AIC (lower is better)
-      if (a.goodnessOfFit.aic && b.goodnessOfFit.aic) {
-        return a.goodnessOfFit.aic - b.goodnessOfFit.aic;
-      }
+      // Then the confidence score (higher is better)
+      const confidenceDiff = b.confidenceScore - a.confidenceScore;
+      if (confidenceDiff !== 0) return confidenceDiff;
 
-      // Tertiary: number of valid data points (more is better for reliability)
+      // Then the number of valid data points (more is better for reliability)
       return b.validDataPoints - a.validDataPoints;
     });
   }
@@ -252,14 +513,14 @@ class DistributionUtils {
   /**
    * Determines the best fitting distribution from multiple results
    * @param {Array<Object>} results - Array of standardized analysis results
-   * @returns {Object|null} Best fitting result, or null if none are good fits
+   * @param {Array<Object>} [comparisons] - Pairwise comparisons from AnalysisEngine.compareDistributions
+   * @returns {Object|null} Highest-ranked result that is a good fit, or null if none are good fits
    */
-  static getBestFit(results) {
-    const rankedResults = this.rankResults(results);
-    const bestResult = rankedResults[0];
+  static getBestFit(results, comparisons = []) {
+    const rankedResults = this.rankResults(results, comparisons);
 
-    // Only return as "best" if it's actually a good fit
-    return bestResult && bestResult.isGoodFit ? bestResult : null;
+    // A result the likelihood ranks higher but that fits poorly is not the "best" fit
+    return rankedResults.find((result) => result.isGoodFit) || null;
   }
 }
 
@@ -37,6 +37,10 @@ describe("DistributionAnalyzer", () => {
     expect(() => analyzer.calculateGoodnessOfFit([], [])).toThrow(
       "calculateGoodnessOfFit() method must be implemented"
     );
+    expect(() => analyzer.getLogDensity(1, {})).toThrow(
+      "getLogDensity() method must be implemented"
+    );
+    expect(analyzer.fitTruncated([{ value: 1 }], 1)).toBeNull();
   });
 
   it("should provide default implementations for utility methods", () => {
@@ -184,11 +188,26 @@ describe("DistributionUtils", () => {
     expect(standardized.validDataPoints).toBe(10);
   });
 
-  it("should rank results by confidence score", () => {
+  it("should rank results by AIC when their likelihoods cover the same observations", () => {
     const results = [
       { confidenceScore: 0.8, goodnessOfFit: { aic: 120 } },
-      { confidenceScore: 0.95, goodnessOfFit: { aic: 100 } },
-      { confidenceScore: 0.7, goodnessOfFit: { aic: 110 } },
+      { confidenceScore: 0.95, goodnessOfFit: { aic: 110 } },
+      { confidenceScore: 0.7, goodnessOfFit: { aic: 100 } },
+    ];
+
+    const ranked = DistributionUtils.rankResults(results);
+
+    // The confidence score plays no part while the AIC decides
+    expect(ranked[0].goodnessOfFit.aic).toBe(100);
+    expect(ranked[1].goodnessOfFit.aic).toBe(110);
+    expect(ranked[2].goodnessOfFit.aic).toBe(120);
+  });
+
+  it("should rank results without likelihoods by confidence score", () => {
+    const results = [
+      { confidenceScore: 0.8, goodnessOfFit: {} },
+      { confidenceScore: 0.95, goodnessOfFit: {} },
+      { confidenceScore: 0.7, goodnessOfFit: {} },
     ];
 
     const ranked = DistributionUtils.rankResults(results);
@@ -198,17 +217,100 @@ describe("DistributionUtils", () => {
     expect(ranked[2].confidenceScore).toBe(0.7);
   });
 
-  it("should use AIC as tiebreaker when confidence scores are similar", () => {
+  it("should not compare the AIC of a tail fit with that of a fit to all the data", () => {
     const results = [
-      { confidenceScore: 0.91, goodnessOfFit: { aic: 120 } },
-      { confidenceScore: 0.92, goodnessOfFit: { aic: 100 } },
+      {
+        confidenceScore: 0.915,
+        goodnessOfFit: { aic: 100 },
+        parameters: { alpha: 2.5, xmin: 10, tailFraction: 0.4 },
+        validDataPoints: 20,
+      },
+      {
+        confidenceScore: 0.92,
+        goodnessOfFit: { aic: 120 },
+        parameters: { mu: 1, sigma: 1 },
+        validDataPoints: 50,
+      },
     ];
 
     const ranked = DistributionUtils.rankResults(results);
 
-    // Should prefer lower AIC when confidence scores are close
-    expect(ranked[0].goodnessOfFit.aic).toBe(100);
-    expect(ranked[1].goodnessOfFit.aic).toBe(120);
+    // Without a likelihood-ratio test the pair is undecided, so the confidence score breaks the tie
+    expect(DistributionUtils.getLikelihoodLowerBound(ranked[0])).toBe(null);
+    expect(DistributionUtils.getLikelihoodLowerBound(ranked[1])).toBe(10);
+  });
+
+  it("should rank fits to different observations by their likelihood-ratio test", () => {
+    const results = [
+      {
+        distributionType: "logNormal",
+        confidenceScore: 0.95,
+        goodnessOfFit: { aic: 120 },
+        parameters: { mu: 1, sigma: 1 },
+      },
+      {
+        distributionType: "powerLaw",
+        confidenceScore: 0.9,
+        goodnessOfFit: { aic: 100 },
+        parameters: { alpha: 2.5, xmin: 10, tailFraction: 0.4 },
+      },
+      {
+        distributionType: "exponential",
+        confidenceScore: 0.85,
+        goodnessOfFit: { aic: 130 },
+        parameters: { lambda: 0.1, xmin: 1 },
+      },
+    ];
+    const comparisons = [
+      { first: "logNormal", second: "powerLaw", favored: "powerLaw" },
+      { first: "powerLaw", second: "exponential", favored: null },
+    ];
+
+    const ranked = DistributionUtils.rankResults(results, comparisons);
+
+    // The power law beats the log-normal and ties the exponential, which the log-normal beats by AIC
+    expect(ranked.map((r) => r.distributionType)).toEqual([
+      "powerLaw",
+      "logNormal",
+      "exponential",
+    ]);
+  });
+
+  it("should keep a nested distribution ahead unless the nested test favors the larger one", () => {
+    const results = [
+      {
+        distributionType: "powerLawWithCutoff",
+        nestedModel: "powerLaw",
+        confidenceScore: 0.95,
+        goodnessOfFit: { aic: 98 },
+        parameters: { alpha: 2.5, lambda: 0.01, xmin: 10, tailFraction: 0.4 },
+      },
+      {
+        distributionType: "powerLaw",
+        nestedModel: null,
+        confidenceScore: 0.9,
+        goodnessOfFit: { aic: 100 },
+        parameters: { alpha: 2.5, xmin: 10, tailFraction: 0.4 },
+      },
+    ];
+    const comparison = {
+      first: "powerLawWithCutoff",
+      second: "powerLaw",
+      nested: true,
+      favored: null,
+    };
+
+    const inconclusive = DistributionUtils.rankResults(
+      [...results],
+      [comparison]
+    );
+    const significant = DistributionUtils.rankResults(
+      [...results],
+      [{ ...comparison, favored: "powerLawWithCutoff" }]
+    );
+
+    expect(inconclusive[0].distributionType).toBe("powerLaw");
+    expect(significant[0].distributionType).toBe("powerLawWithCutoff");
   });
 
   it("should identify best fit correctly", () => {
@@ -230,6 +332,15 @@ describe("DistributionUtils", () => {
     expect(bestGood.confidenceScore).toBe(0.95);
     expect(bestBad).toBe(null);
   });
+
+  it("should pass over higher-ranked results that are not good fits", () => {
+    const results = [
+      { isGoodFit: false, confidenceScore: 0.8, goodnessOfFit: { aic: 100 } },
+      { isGoodFit: true, confidenceScore: 0.95, goodnessOfFit: { aic: 110 } },
+    ];
+
+    expect(DistributionUtils.getBestFit(results).goodnessOfFit.aic).toBe(110);
+  });
 });
 
 // Tests for AnalysisEngine
@@ -384,4 +495,344 @@ describe("AnalysisEngine", () => {
     expect(result.summary.successfulAnalyses).toBe(1);
     expect(result.summary.hasErrors).toBe(false);
   });
+
+  it("should record zero handling in the result and summary", () => {
+    engine.registerAnalyzer(new MockAnalyzer("good", "Good Analyzer"));
+
+    const preprocessing = {
+      zeroHandling: "drop",
+      shift: 0,
+      totalObservations: 1000,
+      zeroObservations: 412,
+      negativeObservations: 0,
+      excludedObservations: 412,
+      excludedData: [],
+    };
+    const result = engine.analyzeMultiple([{ value: 1, ccdf: 0.5 }], null, {
+      preprocessing,
+    });
+
+    expect(result.preprocessing).toBe(preprocessing);
+    expect(result.summary.preprocessingNote).toBe(
+      "412 zero-valued observations were excluded."
+    );
+  });
+
+  it("should run discrete variants in place of their counterparts for integer data", () => {
+    const discrete = new MockAnalyzer("discreteGood", "Discrete Good");
+    discrete.continuousCounterpart = "good";
+    engine.registerAnalyzer(new MockAnalyzer("good", "Good Analyzer"));
+    engine.registerAnalyzer(new MockAnalyzer("bad", "Bad Analyzer"));
+    engine.registerAnalyzer(discrete);
+
+    expect(
+      engine.selectDefaultAnalyzers([{ value: 1 }, { value: 2 }])
+    ).toEqual(["bad", "discreteGood"]);
+    expect(
+      engine.selectDefaultAnalyzers([{ value: 1 }, { value: 2.5 }])
+    ).toEqual(["good", "bad"]);
+    expect(
+      engine.selectDefaultAnalyzers([
+        { value: 1, binLower: 1, binUpper: 2 },
+        { value: 2, binLower: 2, binUpper: 4 },
+      ])
+    ).toEqual(["good", "bad"]);
+  });
+
+  it("should run discrete-only analyzers for integer data alone", () => {
+    const discrete = new MockAnalyzer("discreteOnly", "Discrete Only");
+    discrete.discreteOnly = true;
+    engine.registerAnalyzer(new MockAnalyzer("good", "Good Analyzer"));
+    engine.registerAnalyzer(discrete);
+
+    expect(
+      engine.selectDefaultAnalyzers([{ value: 1 }, { value: 2 }])
+    ).toEqual(["good", "discreteOnly"]);
+    expect(
+      engine.selectDefaultAnalyzers([{ value: 1 }, { value: 2.5 }])
+    ).toEqual(["good"]);
+  });
+
+  it("should compare Zipf and Yule–Simon with the discrete power law from exact probabilities", () => {
+    engine.registerAnalyzer(new DiscretePowerLawAnalyzer());
+    engine.registerAnalyzer(new YuleSimonAnalyzer());
+    engine.registerAnalyzer(new ZipfAnalyzer());
+    const data = calculateCCDF(
+      generateSample(
+        { distribution: "discretePowerLaw", alpha: 2.2, xmin: 1 },
+        { size: 2000, seed: 4 }
+      )
+    );
+
+    const result = engine.analyzeMultiple(data);
+    const [discretePowerLaw, yuleSimon, zipf] = [
+      "discretePowerLaw",
+      "yuleSimon",
+      "zipf",
+    ].map((name) => result.results.find((r) => r.distributionType === name));
+
+    expect(result.errors).toEqual([]);
+    // Both likelihoods cover every observation, so their AICs compare directly
+    expect(zipf.goodnessOfFit.aic).toBeLessThan(yuleSimon.goodnessOfFit.aic);
+    // The discrete power law covers only its tail: the Zipf is compared with it on the same tail,
+    // by the non-nested test
+    const versusZipf = result.comparisons.find(
+      (c) =>
+        [c.first, c.second].includes("discretePowerLaw") &&
+        [c.first, c.second].includes("zipf")
+    );
+    expect(versusZipf.nested).toBe(false);
+    expect(versusZipf.lowerBound).toBe(discretePowerLaw.parameters.xmin);
+    expect(versusZipf.sampleSize).toBe(
+      discretePowerLaw.parameters.tailObservations
+    );
+    expect(versusZipf.pValue).toBeGreaterThan(0.05);
+    // Exact log-probabilities: the conditional probabilities of every value in the tail sum to 1
+    const yuleSimonAnalyzer = engine.getAnalyzer("yuleSimon");
+    let total = 0;
+    for (let k = discretePowerLaw.parameters.xmin; k < 100000; k++) {
+      total += Math.exp(
+        yuleSimonAnalyzer.getConditionalLogDensity(
+          k,
+          yuleSimon.parameters,
+          discretePowerLaw.parameters.xmin
+        )
+      );
+    }
+    expect(total).toBeGreaterThan(0.99);
+    expect(total).toBeLessThanOrEqual(1 + 1e-9);
+  });
+
+  it("should compare every pair of distributions on the same observations", () => {
+    engine.registerAnalyzer(new PowerLawAnalyzer());
+    engine.registerAnalyzer(new LogNormalAnalyzer());
+    engine.registerAnalyzer(new ExponentialAnalyzer());
+    engine.registerAnalyzer(new MockAnalyzer("good", "Good Analyzer"));
+    const data = calculateCCDF(
+      generateSample(
+        { distribution: "powerLaw", alpha: 2.5, xmin: 1 },
+        { size: 1000, seed: 5 }
+      )
+    );
+
+    const result = engine.analyzeMultiple(data);
+    const powerLaw = result.results.find(
+      (r) => r.distributionType === "powerLaw"
+    );
+
+    // The mock analyzer has no densities, so three pairs remain
+    expect(result.comparisons.length).toBe(3);
+    result.comparisons.forEach((comparison) => {
+      expect(comparison.lowerBound).toBe(powerLaw.parameters.xmin);
+      expect(comparison.sampleSize).toBe(powerLaw.parameters.tailObservations);
+      expect(comparison.first).not.toBe(comparison.second);
+      expect(comparison.pValue).toBeGreaterThanOrEqual(0);
+      expect(comparison.pValue).toBeLessThanOrEqual(1);
+      if (comparison.second === "powerLaw") {
+        expect(comparison.logLikelihoodRatio).toBeLessThan(0);
+      }
+    });
+    const versusExponential = result.comparisons.find(
+      (c) =>
+        [c.first, c.second].includes("powerLaw") &&
+        [c.first, c.second].includes("exponential")
+    );
+    expect(versusExponential.favored).toBe("powerLaw");
+  });
+
+  it("should compare a distribution with one nested in it by the nested test", () => {
+    engine.registerAnalyzer(new PowerLawAnalyzer());
+    engine.registerAnalyzer(new PowerLawWithCutoffAnalyzer());
+    const data = calculateCCDF(
+      generateSample(
+        { distribution: "powerLaw", alpha: 2.5, xmin: 1 },
+        { size: 1000, seed: 5 }
+      )
+    );
+
+    const [comparison] = engine.analyzeMultiple(data).comparisons;
+    const powerLawFirst = comparison.first === "powerLaw";
+
+    expect(comparison.nested).toBe(true);
+    expect(comparison.normalizedRatio).toBeNull();
+    expect(comparison.favored).toBeNull();
+    // The cutoff model contains the power law, so it fits at least as well
+    expect(
+      powerLawFirst
+        ? comparison.logLikelihoodRatio
+        : -comparison.logLikelihoodRatio
+    ).toBeLessThan(1e-6);
+  });
+
+  it("should rank the exponential first on an exponential sample", () => {
+    engine.registerAnalyzer(new PowerLawAnalyzer());
+    engine.registerAnalyzer(new PowerLawWithCutoffAnalyzer());
+    engine.registerAnalyzer(new LogNormalAnalyzer());
+    engine.registerAnalyzer(new ExponentialAnalyzer());
+    const data = calculateCCDF(
+      generateSample(
+        { distribution: "exponential", lambda: 0.2, xmin: 1 },
+        { size: 1000, seed: 5 }
+      )
+    );
+
+    const result = engine.analyzeMultiple(data);
+
+    expect(result.results[0].distributionType).toBe("exponential");
+    expect(result.bestFit.distributionType).toBe("exponential");
+  });
+
+  it("should rank the Zipf and a discrete power law with a higher xmin by their test on the tail", () => {
+    engine.registerAnalyzer(new DiscretePowerLawAnalyzer());
+    engine.registerAnalyzer(new ZipfAnalyzer());
+    const data = calculateCCDF(loadSampleDataset("rbenv-commit-sizes"));
+
+    const result = engine.analyzeMultiple(data);
+    const [discretePowerLaw, zipf] = result.results;
+    const comparison = DistributionUtils.findComparison(
+      result.comparisons,
+      "zipf",
+      "discretePowerLaw"
+    );
+
+    expect(comparison.lowerBound).toBe(discretePowerLaw.parameters.xmin);
+    expect(comparison.favored).toBe("discretePowerLaw");
+    // The Zipf plot is straighter, but the likelihood on the tail decides
+    expect(discretePowerLaw.distributionType).toBe("discretePowerLaw");
+    expect(zipf.confidenceScore).toBeGreaterThan(
+      discretePowerLaw.confidenceScore
+    );
+  });
+
+  it("should discretize continuous distributions compared with discrete ones", () => {
+    engine.registerAnalyzer(new DiscretePowerLawAnalyzer());
+    engine.registerAnalyzer(new LogNormalAnalyzer());
+    const data = calculateCCDF(
+      generateSample(
+        { distribution: "discretePowerLaw", alpha: 2.5, xmin: 1 },
+        { size: 1000, seed: 6 }
+      )
+    );
+
+    const [comparison] = engine.analyzeMultiple(data).comparisons;
+    const logNormal = engine.getAnalyzer("logNormal");
+    const parameters = { mu: 0.5, sigma: 1.2 };
+
+    expect(comparison.discretized).toBe(true);
+    expect(comparison.error).toBeUndefined();
+    expect(Number.isFinite(comparison.normalizedRatio)).toBe(true);
+    // The masses of [k, k + 1) make a distribution on the integers from the bound
+    let total = 0;
+    for (let k = 3; k < 20000; k++) {
+      total += Math.exp(
+        logNormal.getConditionalLogProbability(k, parameters, 3)
+      );
+    }
+    expect(total).toBeGreaterThan(0.999);
+    expect(total).toBeLessThan(1 + 1e-6);
+  });
+
+  it("should report a pair whose test fails instead of aborting the analysis", () => {
+    class DensityMock extends MockAnalyzer {
+      getLogDensity(x, parameters) {
+        return this.name === "broken" ? -Infinity : -x;
+      }
+    }
+    const broken = new DensityMock("broken", "Broken Analyzer");
+    broken.nestedModel = "good";
+    engine.registerAnalyzer(new DensityMock("good", "Good Analyzer"));
+    engine.registerAnalyzer(broken);
+
+    const result = engine.analyzeMultiple([
+      { value: 1, ccdf: 1 },
+      { value: 2, ccdf: 0.5 },
+    ]);
+
+    expect(result.results.length).toBe(2);
+    expect(result.comparisons).toEqual([
+      expect.objectContaining({
+        nested: true,
+        favored: null,
+        error: "Both log-likelihoods must be finite",
+      }),
+    ]);
+  });
+
+  it("should take a failed bootstrap test into the verdict", () => {
+    engine.registerAnalyzer(new PowerLawAnalyzer());
+    const data = calculateCCDF(
+      generateSample(
+        { distribution: "powerLaw", alpha: 2.5, xmin: 1 },
+        { size: 1000, seed: 5 }
+      )
+    );
+    const analysis = engine.analyzeMultiple(data);
+    expect(analysis.bestFit.distributionType).toBe("powerLaw");
+
+    const test = {
+      pValue: 0.05,
+      worseFits: 1,
+      replicates: 20,
+      plausible: false,
+    };
+    engine.applyBootstrapTest(analysis, "powerLaw", test);
+
+    expect(analysis.bootstrap).toBe(test);
+    expect(analysis.results[0].goodnessOfFit.bootstrap).toBe(test);
+    expect(analysis.results[0].goodnessOfFit.isPowerLaw).toBe(false);
+    expect(analysis.results[0].isGoodFit).toBe(false);
+    expect(analysis.bestFit).toBeNull();
+    expect(analysis.summary.verdict).toBe(
+      "Data does not clearly follow any of the tested distributions"
+    );
+    expect(() => engine.applyBootstrapTest(analysis, "zipf", test)).toThrow(
+      "No zipf fit to apply the bootstrap test to"
+    );
+  });
+
+  it("should skip the likelihood-ratio tests for binned data", () => {
+    engine.registerAnalyzer(new LogNormalAnalyzer());
+    engine.registerAnalyzer(new ExponentialAnalyzer());
+    const bins = calculateCCDF(
+      [1, 2, 4, 8, 16, 32].map((lower, i) => ({
+        value: lower,
+        frequency: 60 - 10 * i,
+        binLower: lower,
+        binUpper: lower * 2,
+      }))
+    );
+
+    expect(engine.analyzeMultiple(bins).comparisons).toEqual([]);
+  });
+
+  it("should describe shifted and separately reported zeros", () => {
+    const shifted = engine.describePreprocessing({
+      zeroHandling: "shift",
+      shift: 1,
+      zeroObservations: 3,
+    });
+    const reported = engine.describePreprocessing({
+      zeroHandling: "report",
+      shift: 0,
+      totalObservations: 200,
+      zeroObservations: 50,
+      negativeObservations: 0,
+      excludedObservations: 50,
+    });
+
+    expect(shifted).toContain("shifted by +1");
+    expect(reported).toContain("50 zero-valued observations were excluded.");
+    expect(reported).toContain("25.0% of all 200 observations");
+    expect(
+      engine.describePreprocessing({
+        zeroHandling: "drop",
+        shift: 0,
+        excludedObservations: 0,
+        clippedObservations: 100,
+      })
+    ).toBe(
+      "100 binned observations were kept, with the lower edge of their bins moved above zero."
+    );
+    expect(engine.describePreprocessing(null)).toBe(null);
+  });
 });
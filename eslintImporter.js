@@ -0,0 +1,135 @@
+// ESLint Report Importer - Turns ESLint metric rule messages into a value/frequency histogram
+
+// Load dependencies if in Node.js environment
+if (typeof module !== 'undefined' && typeof buildHistogram === 'undefined') {
+    const dataProcessor = require('./dataProcessor.js');
+
+    global.buildHistogram = dataProcessor.buildHistogram;
+}
+
+/**
+ * ESLint core rules whose messages carry a metric value
+ * - complexity: "Function 'foo' has a complexity of 12. Maximum allowed is 1."
+ * - max-lines-per-function: "Function 'foo' has too many lines (57). Maximum allowed is 1."
+ * - max-statements: "Function 'foo' has too many statements (12). Maximum allowed is 1."
+ * - max-depth: "Blocks are nested too deeply (5). Maximum allowed is 1."
+ * Configure them with a maximum of 0 or 1 so that every function is reported.
+ */
+const ESLINT_METRIC_RULES = ['complexity', 'max-lines-per-function', 'max-statements', 'max-depth'];
+
+/**
+ * Parses an ESLint `--format json` report and builds the histogram of one rule's metric
+ * @param {string} reportText - JSON report (an array of file results)
+ * @param {Object} [options] - Import options
+ * @param {string} [options.rule] - Rule to import; may be omitted when the report holds a single metric rule
+ * @param {boolean} [options.allowNonPositive=false] - Accept zero and negative metric values
+ * @returns {Object} Import result with rule, rules (every rule with a numeric metric),
+ *   observations ({value, rule, file, line, message}) and data (the value/frequency histogram)
+ * @throws {Error} If the report cannot be read or the rule is missing or ambiguous
+ */
+function parseEslintReport(reportText, options = {}) {
+    let report;
+    try {
+        report = JSON.parse(reportText);
+    } catch (err) {
+        throw new Error(`The ESLint report could not be parsed: ${err.message}`);
+    }
+
+    if (!Array.isArray(report)) {
+        throw new Error('The JSON is not an ESLint report. Run ESLint with "--format json".');
+    }
+
+    const observations = [];
+    for (const fileResult of report) {
+        for (const message of fileResult.messages || []) {
+            if (!message.ruleId) {
+                continue; // Parse errors have no rule and no metric
+            }
+            const value = extractEslintMetricValue(message.message);
+            if (value === null) {
+                continue;
+            }
+            observations.push({
+                value,
+                rule: message.ruleId,
+                file: fileResult.filePath,
+                line: message.line,
+                message: message.message
+            });
+        }
+    }
+
+    const rules = [...new Set(observations.map(observation => observation.rule))];
+    const rule = selectEslintRule(rules, options.rule);
+    const selected = observations.filter(observation => observation.rule === rule);
+
+    if (!options.allowNonPositive) {
+        const invalid = selected.find(observation => observation.value <= 0);
+        if (invalid) {
+            throw new Error(`${invalid.file}:${invalid.line} reports a value of ${invalid.value}. Values must be positive.`);
+        }
+    }
+
+    const data = buildHistogram(selected.map(observation => observation.value));
+    if (data.length < 5) {
+        throw new Error(`The report has only ${data.length} distinct ${rule} values. Please provide at least 5 data points for meaningful analysis.`);
+    }
+
+    return { rule, rules, observations: selected, data };
+}
+
+/**
+ * Picks the rule to import
+ * When no rule is requested and the report mixes rules, a single ESLINT_METRIC_RULES
+ * entry is preferred over other rules that merely mention a number.
+ * @param {Array<string>} rules - Rules with numeric metrics in the report
+ * @param {string} [requested] - Rule chosen by the user
+ * @returns {string} Rule id as it appears in the report
+ * @throws {Error} If the requested rule is absent or the choice is ambiguous
+ */
+function selectEslintRule(rules, requested) {
+    if (rules.length === 0) {
+        throw new Error('The report contains no messages with a numeric metric value.');
+    }
+
+    if (requested) {
+        if (!rules.includes(requested)) {
+            throw new Error(`The report has no "${requested}" messages. Found: ${rules.join(', ')}.`);
+        }
+        return requested;
+    }
+
+    if (rules.length === 1) {
+        return rules[0];
+    }
+
+    const metricRules = rules.filter(rule => ESLINT_METRIC_RULES.includes(rule));
+    if (metricRules.length === 1) {
+        return metricRules[0];
+    }
+    throw new Error(`The report contains several metric rules (${rules.join(', ')}). Please choose one.`);
+}
+
+/**
+ * Extracts the metric value from an ESLint message
+ * Names in quotes and the "Maximum allowed is N." limit are ignored.
+ * @param {string} message - Lint message
+ * @returns {number|null} Metric value, or null if the message has none
+ */
+function extractEslintMetricValue(message) {
+    const text = String(message)
+        .replace(/'[^']*'/g, '')
+        .replace(/Maximum allowed is\s*-?\d+(\.\d+)?\.?/gi, '');
+
+    const match = text.match(/\((\d+(?:\.\d+)?)\)/) || text.match(/\bof\s+(\d+(?:\.\d+)?)/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// Export functions for testing (if in Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ESLINT_METRIC_RULES,
+        parseEslintReport,
+        extractEslintMetricValue
+    };
+}
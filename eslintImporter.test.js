@@ -0,0 +1,126 @@
+// Tests for eslintImporter.js functions
+
+function eslintReport(messages) {
+  return JSON.stringify([
+    {
+      filePath: "/repo/src/a.js",
+      messages,
+      errorCount: messages.length,
+      warningCount: 0,
+    },
+  ]);
+}
+
+const COMPLEXITY_VALUES = [1, 1, 2, 4, 4, 9, 15, 31];
+
+function complexityMessages() {
+  return COMPLEXITY_VALUES.map((value, i) => ({
+    ruleId: "complexity",
+    severity: 1,
+    message: `Function 'f${i}' has a complexity of ${value}. Maximum allowed is 0.`,
+    line: i + 1,
+    column: 1,
+  }));
+}
+
+describe("parseEslintReport", () => {
+  it("should build the histogram of a metric rule", () => {
+    const result = parseEslintReport(eslintReport(complexityMessages()));
+
+    expect(result.rule).toBe("complexity");
+    expect(result.observations[2]).toMatchObject({
+      file: "/repo/src/a.js",
+      line: 3,
+      value: 2,
+    });
+    expect(result.data).toEqual([
+      { value: 1, frequency: 2 },
+      { value: 2, frequency: 1 },
+      { value: 4, frequency: 2 },
+      { value: 9, frequency: 1 },
+      { value: 15, frequency: 1 },
+      { value: 31, frequency: 1 },
+    ]);
+  });
+
+  it("should let the user pick among several metric rules", () => {
+    const lines = COMPLEXITY_VALUES.map((value, i) => ({
+      ruleId: "max-lines-per-function",
+      severity: 1,
+      message: `Async function 'f${i}' has too many lines (${value * 3}). Maximum allowed is 1.`,
+      line: i + 1,
+    }));
+    const report = eslintReport([...complexityMessages(), ...lines]);
+
+    expect(() => parseEslintReport(report)).toThrow(
+      "several metric rules (complexity, max-lines-per-function)"
+    );
+    const result = parseEslintReport(report, {
+      rule: "max-lines-per-function",
+    });
+    expect(result.data.map((d) => d.value)).toEqual([3, 6, 12, 27, 45, 93]);
+    expect(() => parseEslintReport(report, { rule: "max-depth" })).toThrow(
+      'no "max-depth" messages'
+    );
+  });
+
+  it("should prefer the single known metric rule over other numeric messages", () => {
+    const other = {
+      ruleId: "no-magic-numbers",
+      severity: 1,
+      message: "No magic number: 42.",
+      line: 1,
+    };
+    const nested = COMPLEXITY_VALUES.map((value, i) => ({
+      ruleId: "max-depth",
+      severity: 1,
+      message: `Blocks are nested too deeply (${value}). Maximum allowed is 0.`,
+      line: i + 1,
+    }));
+
+    // The magic number message has no "(N)" or "of N" metric and is skipped entirely
+    expect(parseEslintReport(eslintReport([other, ...nested])).rules).toEqual([
+      "max-depth",
+    ]);
+  });
+
+  it("should skip parse errors without a rule", () => {
+    const parseError = {
+      ruleId: null,
+      fatal: true,
+      severity: 2,
+      message: "Parsing error: Unexpected token (3:4)",
+      line: 3,
+    };
+    const result = parseEslintReport(
+      eslintReport([parseError, ...complexityMessages()])
+    );
+    expect(result.observations.length).toBe(8);
+  });
+
+  it("should reject input that is not an ESLint report", () => {
+    expect(() => parseEslintReport("not json")).toThrow("could not be parsed");
+    expect(() => parseEslintReport('{"files": []}')).toThrow(
+      "not an ESLint report"
+    );
+  });
+});
+
+describe("extractEslintMetricValue", () => {
+  it("should read the value of each metric rule message", () => {
+    expect(
+      extractEslintMetricValue(
+        "Method 'get2' has a complexity of 7. Maximum allowed is 5."
+      )
+    ).toBe(7);
+    expect(
+      extractEslintMetricValue(
+        "Arrow function has too many statements (12). Maximum allowed is 10."
+      )
+    ).toBe(12);
+    expect(
+      extractEslintMetricValue("Blocks are nested too deeply (5). Maximum allowed is 4.")
+    ).toBe(5);
+    expect(extractEslintMetricValue("Unexpected console statement.")).toBe(null);
+  });
+});
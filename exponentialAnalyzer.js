@@ -23,16 +23,16 @@ if (
  * Exponential Distribution Analyzer Class
  * Implements the DistributionAnalyzer interface for exponential distributions
  *
- * Exponential distribution: P(X > x) = e^(-λx) for x ≥ 0
- * Parameter estimation: λ = 1/mean
+ * Shifted exponential distribution: P(X > x) = e^(-λ(x - xmin)) for x ≥ xmin
+ * Parameter estimation: xmin = smallest value, λ = 1 / mean(x - xmin), weighted by frequency
  */
 class ExponentialAnalyzer extends DistributionAnalyzer {
   constructor() {
     super();
     this.name = "exponential";
     this.displayName = "Exponential";
-    this.description = "P(X > x) = e^(-λx)";
-    this.parameterNames = ["lambda"];
+    this.description = "P(X > x) = e^(-λ(x - xmin))";
+    this.parameterNames = ["lambda", "xmin"];
 
     // Store references to utility functions
     if (typeof module !== "undefined") {
@@ -43,6 +43,7 @@ class ExponentialAnalyzer extends DistributionAnalyzer {
       // Browser environment - functions should be available globally
       this.mathUtils = {
         mean: mean,
+        nelderMead: nelderMead,
       };
       this.statisticalTests = {
         linearRegression: linearRegression,
@@ -72,13 +73,9 @@ class ExponentialAnalyzer extends DistributionAnalyzer {
       );
     }
 
-    // Estimate exponential parameter using method of moments
-    // For exponential distribution: λ = 1/mean
-    const values = validData.map((item) => item.value);
-    const meanValue = this.mathUtils.mean(values);
-    const lambda = 1 / meanValue;
-
-    const parameters = { lambda };
+    // Estimate the rate by frequency-weighted maximum likelihood above the smallest value
+    const { fit, fitMethod } = this.fitRate(validData);
+    const parameters = { lambda: fit.lambda, xmin: fit.xmin };
 
     // Calculate theoretical CCDF values for exponential
     const theoreticalValues = validData.map((item) => ({
@@ -100,6 +97,7 @@ class ExponentialAnalyzer extends DistributionAnalyzer {
     return {
       distributionName: this.name,
       parameters,
+      fitMethod,
       goodnessOfFit,
       theoreticalValues,
       exponentialProbabilityPlot,
@@ -108,6 +106,78 @@ class ExponentialAnalyzer extends DistributionAnalyzer {
     };
   }
 
+  /**
+   * Fits the rate above the smallest value (the lowest bin edge for binned data)
+   * @param {Array} data - Data points with positive value and frequency (weight)
+   * @returns {{fit: Object, fitMethod: string}} Fit with lambda, xmin and sampleSize
+   */
+  fitRate(data) {
+    const fit = this.fitMaximumLikelihood(data);
+
+    // Binned histograms are fitted by maximizing the binned likelihood instead
+    if (DistributionUtils.isBinned(data)) {
+      const xmin = Math.min(...data.map((item) => item.binLower));
+      return {
+        fit: {
+          ...fit,
+          lambda: this.fitBinnedLambda(data, { lambda: fit.lambda, xmin }),
+          xmin,
+        },
+        fitMethod: "binnedMLE",
+      };
+    }
+
+    return { fit, fitMethod: "MLE" };
+  }
+
+  /**
+   * Estimates λ by frequency-weighted maximum likelihood, λ = n / Σ w (x - xmin)
+   * Because the exponential is memoryless, the fit conditioned on X ≥ xmin is the same shifted
+   * exponential, so this also serves as the truncated fit.
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {number} [xmin] - Lower bound; defaults to the smallest positive value
+   * @returns {Object} {lambda, xmin, sampleSize}
+   * @throws {Error} If no observation lies above xmin
+   */
+  fitMaximumLikelihood(data, xmin) {
+    const observations = data.filter(
+      (item) =>
+        item.value > 0 && (item.frequency === undefined || item.frequency > 0)
+    );
+    const lowerBound =
+      xmin !== undefined
+        ? xmin
+        : Math.min(...observations.map((item) => item.value));
+
+    let sampleSize = 0;
+    let excessSum = 0;
+    for (const item of observations) {
+      if (item.value >= lowerBound) {
+        const weight = item.frequency !== undefined ? item.frequency : 1;
+        sampleSize += weight;
+        excessSum += weight * (item.value - lowerBound);
+      }
+    }
+
+    if (!(excessSum > 0)) {
+      throw new Error(
+        "Cannot estimate an exponential rate: every observation equals the smallest value."
+      );
+    }
+
+    return { lambda: sampleSize / excessSum, xmin: lowerBound, sampleSize };
+  }
+
+  /**
+   * Refits the distribution to the observations at or above xmin, conditioned on X ≥ xmin
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {number} xmin - Truncation point
+   * @returns {Object} Maximum-likelihood parameters {lambda, xmin, sampleSize}
+   */
+  fitTruncated(data, xmin) {
+    return this.fitMaximumLikelihood(data, xmin);
+  }
+
   /**
    * Generates exponential probability plot data
    * For exponential distribution, -ln(CCDF) vs x should be linear
@@ -185,15 +255,16 @@ class ExponentialAnalyzer extends DistributionAnalyzer {
   /**
    * Gets theoretical CCDF values for given x values and parameters
    * @param {Array<number>} xValues - X values to calculate CCDF for
-   * @param {Object} parameters - Exponential parameters {lambda}
+   * @param {Object} parameters - Exponential parameters {lambda, xmin}; xmin defaults to 0
    * @returns {Array<number>} Theoretical CCDF values
    */
   getTheoreticalCCDF(xValues, parameters) {
     const { lambda } = parameters;
+    const xmin = parameters.xmin || 0;
     return xValues.map((x) => {
-      if (x < 0) return 1; // CCDF = 1 for x < 0
+      if (x < xmin) return 1; // CCDF = 1 below xmin
       if (lambda === 0) return 1; // Handle edge case
-      return Math.exp(-lambda * x);
+      return Math.exp(-lambda * (x - xmin));
     });
   }
 
@@ -303,26 +374,85 @@ class ExponentialAnalyzer extends DistributionAnalyzer {
   }
 
   /**
-   * Calculates log-likelihood for exponential distribution
-   * @param {Array} data - Data points
-   * @param {Object} parameters - Exponential parameters {lambda}
+   * Calculates frequency-weighted log-likelihood for exponential distribution
+   * @param {Array} data - Data points; frequency is used as a (possibly fractional) weight
+   * @param {Object} parameters - Exponential parameters {lambda, xmin}
    * @returns {number} Log-likelihood value
    */
   calculateLogLikelihood(data, parameters) {
-    const { lambda } = parameters;
+    if (DistributionUtils.isBinned(data)) {
+      return this.calculateBinnedLogLikelihood(data, parameters);
+    }
+
     let logLikelihood = 0;
 
     for (const item of data) {
       if (item.value > 0) {
-        // Exponential PDF: λ * e^(-λx)
-        const logPdf = Math.log(lambda) - lambda * item.value;
-        logLikelihood += logPdf * item.frequency;
+        const logPdf = this.getLogDensity(item.value, parameters);
+        const weight = item.frequency !== undefined ? item.frequency : 1;
+        logLikelihood += logPdf * weight;
       }
     }
 
     return logLikelihood;
   }
 
+  /**
+   * Gets the log-density of a value at or above xmin
+   * Exponential PDF: λ * e^(-λ(x - xmin))
+   * @param {number} x - Value at or above xmin
+   * @param {Object} parameters - Exponential parameters {lambda, xmin}; xmin defaults to 0
+   * @returns {number} ln p(x)
+   */
+  getLogDensity(x, parameters) {
+    const { lambda } = parameters;
+    return Math.log(lambda) - lambda * (x - (parameters.xmin || 0));
+  }
+
+  /**
+   * Gets the smallest value the fitted distribution describes
+   * @param {Object} parameters - Exponential parameters {lambda, xmin}
+   * @returns {number} xmin
+   */
+  getSupportMinimum(parameters) {
+    return parameters.xmin || 0;
+  }
+
+  /**
+   * Gets the log-density conditioned on X ≥ lowerBound; by memorylessness this is the same
+   * exponential restarted at the bound, which avoids dividing by an underflowing tail probability
+   * @param {number} x - Value at or above lowerBound
+   * @param {Object} parameters - Exponential parameters {lambda, xmin}
+   * @param {number} lowerBound - Conditioning bound
+   * @returns {number} ln p(x | X ≥ lowerBound)
+   */
+  getConditionalLogDensity(x, parameters, lowerBound) {
+    return this.getLogDensity(x, {
+      ...parameters,
+      xmin: Math.max(lowerBound, this.getSupportMinimum(parameters)),
+    });
+  }
+
+  /**
+   * Fits λ to binned data by maximizing the binned log-likelihood
+   * @param {Array} data - Bins with binLower, binUpper and frequency
+   * @param {Object} start - Starting rate and fixed lower bound {lambda, xmin}
+   * @returns {number} Maximum-likelihood rate
+   */
+  fitBinnedLambda(data, start) {
+    // Optimize ln(λ) so the rate stays positive
+    const fit = this.mathUtils.nelderMead(
+      ([logLambda]) =>
+        -this.calculateBinnedLogLikelihood(data, {
+          lambda: Math.exp(logLambda),
+          xmin: start.xmin,
+        }),
+      [Math.log(start.lambda)]
+    );
+
+    return Math.exp(fit.point[0]);
+  }
+
   /**
    * Determines confidence level based on R² value
    * @param {number} rSquared - R² value
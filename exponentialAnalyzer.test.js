@@ -3,6 +3,9 @@
 describe("ExponentialAnalyzer", () => {
   let ExponentialAnalyzer;
   let DistributionAnalyzer;
+  let buildHistogram;
+  let calculateCCDF;
+  let generateValues;
 
   beforeAll(() => {
     // Load modules in Node.js environment
@@ -10,10 +13,15 @@ describe("ExponentialAnalyzer", () => {
       const { DistributionAnalyzer: DA } = require("./distributionAnalyzer.js");
       DistributionAnalyzer = DA;
       ExponentialAnalyzer = require("./exponentialAnalyzer.js");
+      ({ buildHistogram, calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateValues } = require("./dataGenerator.js"));
     } else {
       // Browser environment - classes should be available globally
       DistributionAnalyzer = window.DistributionAnalyzer;
       ExponentialAnalyzer = window.ExponentialAnalyzer;
+      buildHistogram = window.buildHistogram;
+      calculateCCDF = window.calculateCCDF;
+      generateValues = window.generateValues;
     }
   });
 
@@ -23,8 +31,8 @@ describe("ExponentialAnalyzer", () => {
 
       expect(analyzer.name).toBe("exponential");
       expect(analyzer.displayName).toBe("Exponential");
-      expect(analyzer.description).toBe("P(X > x) = e^(-λx)");
-      expect(analyzer.parameterNames).toEqual(["lambda"]);
+      expect(analyzer.description).toBe("P(X > x) = e^(-λ(x - xmin))");
+      expect(analyzer.parameterNames).toEqual(["lambda", "xmin"]);
     });
 
     it("should extend DistributionAnalyzer", () => {
@@ -117,6 +125,16 @@ describe("ExponentialAnalyzer", () => {
       expect(ccdfValues[3]).toBeCloseTo(Math.exp(-2.0), 5); // P(X > 4) = e^(-2.0)
     });
 
+    it("should shift the CCDF to start at xmin", () => {
+      const parameters = { lambda: 0.5, xmin: 3 };
+
+      const ccdfValues = analyzer.getTheoreticalCCDF([1, 3, 5], parameters);
+
+      expect(ccdfValues[0]).toBe(1);
+      expect(ccdfValues[1]).toBeCloseTo(1, 10);
+      expect(ccdfValues[2]).toBeCloseTo(Math.exp(-1), 10);
+    });
+
     it("should return 1 for negative x values", () => {
       const parameters = { lambda: 1.0 };
       const xValues = [-2, -1];
@@ -140,6 +158,59 @@ describe("ExponentialAnalyzer", () => {
     });
   });
 
+  describe("fitMaximumLikelihood", () => {
+    let analyzer;
+
+    beforeEach(() => {
+      analyzer = new ExponentialAnalyzer();
+    });
+
+    it("should fit the rate above the smallest value, weighted by frequency", () => {
+      const data = [
+        { value: 3, frequency: 5000 },
+        { value: 5, frequency: 1 },
+        { value: 13, frequency: 1 },
+      ];
+
+      const fit = analyzer.fitMaximumLikelihood(data);
+
+      // λ = n / Σ w (x - xmin) = 5002 / (2 + 10)
+      expect(fit.xmin).toBe(3);
+      expect(fit.sampleSize).toBe(5002);
+      expect(fit.lambda).toBeCloseTo(5002 / 12, 10);
+    });
+
+    it("should recover a shifted exponential sample", () => {
+      const values = generateValues(
+        { distribution: "exponential", lambda: 0.2, xmin: 1 },
+        { size: 20000, seed: 5 }
+      );
+      const result = analyzer.analyze(calculateCCDF(buildHistogram(values)));
+
+      expect(result.fitMethod).toBe("MLE");
+      expect(result.parameters.xmin).toBeCloseTo(1, 3);
+      expect(result.parameters.lambda).toBeCloseTo(0.2, 2);
+    });
+
+    it("should refit above a higher bound and condition on it", () => {
+      const data = [1, 2, 4, 8, 16].map((value) => ({ value, frequency: 1 }));
+
+      const fit = analyzer.fitTruncated(data, 4);
+
+      // Only 4, 8 and 16 count: λ = 3 / (0 + 4 + 12)
+      expect(fit).toEqual({ lambda: 3 / 16, xmin: 4, sampleSize: 3 });
+      expect(analyzer.getSupportMinimum(fit)).toBe(4);
+      // Memoryless: conditioning on X ≥ 10 restarts the exponential at 10
+      expect(analyzer.getConditionalLogDensity(12, fit, 10)).toBeCloseTo(
+        Math.log(3 / 16) - (3 / 16) * 2,
+        10
+      );
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+      ).toThrow("every observation equals the smallest value");
+    });
+  });
+
   describe("analyze", () => {
     let analyzer;
 
@@ -195,6 +266,45 @@ describe("ExponentialAnalyzer", () => {
       expect(result.validDataPoints).toBe(3); // Only positive values
       expect(result.originalDataPoints).toBe(5);
     });
+
+    it("should fit binned data by maximum likelihood", () => {
+      // Bins of an exponential with λ = 0.1, 10,000 observations
+      // (the first bin starts just above zero, where the exponential starts)
+      const ccdf = (x) => Math.exp(-0.1 * x);
+      const edges = [0.001, 5, 10, 20, 40];
+      const bins = edges.map((lower, i) => {
+        const upper = i < edges.length - 1 ? edges[i + 1] : Infinity;
+        const upperCCDF = upper === Infinity ? 0 : ccdf(upper);
+        return {
+          value: lower,
+          frequency: 10000 * (ccdf(lower) - upperCCDF),
+          binLower: lower,
+          binUpper: upper,
+          ccdf: ccdf(lower),
+        };
+      });
+
+      const result = analyzer.analyze(bins);
+
+      expect(result.fitMethod).toBe("binnedMLE");
+      expect(result.parameters.lambda).toBeCloseTo(0.1, 4);
+    });
+
+    it("should carry observation labels into the theoretical values", () => {
+      const data = [
+        { value: 1, frequency: 5, ccdf: 0.5, labels: ["a"] },
+        { value: 2, frequency: 3, ccdf: 0.2 },
+        { value: 4, frequency: 2, ccdf: 0.05, labels: ["b", "c"] },
+      ];
+
+      const result = analyzer.analyze(data);
+
+      expect(result.theoreticalValues.map((d) => d.labels)).toEqual([
+        ["a"],
+        undefined,
+        ["b", "c"],
+      ]);
+    });
   });
 
   describe("getDistributionSpecificPlot", () => {
@@ -0,0 +1,393 @@
+// Function Measurer - Counts lines per function in JavaScript/TypeScript and C-family source code
+
+/**
+ * File extensions mapped to the tokenizer dialect used for them
+ * 'javascript' understands regular expression and template literals;
+ * 'c-family' covers Java, C, C++, C#, Go, Kotlin, Scala and Swift.
+ */
+const SOURCE_LANGUAGES = {
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.jsx': 'javascript',
+    '.ts': 'javascript',
+    '.mts': 'javascript',
+    '.cts': 'javascript',
+    '.tsx': 'javascript',
+    '.java': 'c-family',
+    '.c': 'c-family',
+    '.h': 'c-family',
+    '.cc': 'c-family',
+    '.cpp': 'c-family',
+    '.cxx': 'c-family',
+    '.hh': 'c-family',
+    '.hpp': 'c-family',
+    '.hxx': 'c-family',
+    '.cs': 'c-family',
+    '.go': 'c-family',
+    '.kt': 'c-family',
+    '.scala': 'c-family',
+    '.swift': 'c-family'
+};
+
+// Words that precede "(...) {" without declaring a function
+const CONTROL_KEYWORDS = new Set([
+    'if', 'for', 'while', 'switch', 'catch', 'with', 'synchronized', 'using', 'lock',
+    'foreach', 'fixed', 'try', 'return', 'typeof', 'sizeof', 'await', 'yield', 'else', 'do'
+]);
+
+// After these tokens a "/" starts a regular expression rather than a division
+const REGEX_PRECEDING_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+// Keywords that introduce a type whose primary constructor parameters precede the body
+const TYPE_KEYWORDS = new Set(['class', 'record', 'struct', 'interface', 'object', 'enum']);
+
+// Keywords written in place of a name for anonymous functions ("function () {", Go's "func() {")
+const ANONYMOUS_FUNCTION_KEYWORDS = new Set(['function', 'func']);
+
+const MULTI_CHAR_PUNCTUATORS = ['=>', '->', '::'];
+
+/**
+ * Determines the tokenizer dialect for a file name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} 'javascript', 'c-family', or null for unsupported files
+ */
+function detectSourceLanguage(fileName) {
+    const match = String(fileName).toLowerCase().match(/\.[a-z]+$/);
+    return match && SOURCE_LANGUAGES[match[0]] ? SOURCE_LANGUAGES[match[0]] : null;
+}
+
+/**
+ * Splits source code into tokens, dropping whitespace and comments
+ * Strings, character literals, template literals and regular expressions become single
+ * tokens so that braces inside them are not mistaken for blocks.
+ * @param {string} source - Source code
+ * @param {string} [language='javascript'] - 'javascript' or 'c-family'
+ * @returns {Array<{type: string, value: string, line: number}>} Tokens with their starting line (1-based)
+ *   and type 'identifier', 'number', 'string', 'regex' or 'punctuator'
+ */
+function tokenizeSource(source, language = 'javascript') {
+    const tokens = [];
+    const isJavaScript = language === 'javascript';
+    let line = 1;
+    let i = 0;
+
+    const push = (type, start, startLine) => {
+        tokens.push({ type, value: source.slice(start, i), line: startLine });
+    };
+    const advance = count => {
+        for (let k = 0; k < count && i < source.length; k++, i++) {
+            if (source[i] === '\n') {
+                line++;
+            }
+        }
+    };
+    // Skips a quoted literal; JavaScript template literals may nest expressions in ${...}
+    const skipQuoted = quote => {
+        advance(1);
+        while (i < source.length && source[i] !== quote) {
+            if (source[i] === '\\') {
+                advance(2);
+            } else if (isJavaScript && quote === '`' && source[i] === '$' && source[i + 1] === '{') {
+                advance(2);
+                skipTemplateExpression();
+            } else {
+                advance(1);
+            }
+        }
+        advance(1);
+    };
+    const skipTemplateExpression = () => {
+        let depth = 1;
+        while (i < source.length && depth > 0) {
+            const char = source[i];
+            if (char === '"' || char === '\'' || char === '`') {
+                skipQuoted(char);
+                continue;
+            }
+            if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+            }
+            advance(1);
+        }
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+        const start = i;
+        const startLine = line;
+
+        if (/\s/.test(char)) {
+            advance(1);
+        } else if (char === '/' && next === '/') {
+            while (i < source.length && source[i] !== '\n') {
+                i++;
+            }
+        } else if (char === '/' && next === '*') {
+            const end = source.indexOf('*/', i + 2);
+            advance((end === -1 ? source.length : end + 2) - i);
+        } else if (char === '"' || char === '\'' || char === '`') {
+            skipQuoted(char);
+            push('string', start, startLine);
+        } else if (isJavaScript && char === '/' && startsRegex(tokens[tokens.length - 1])) {
+            advance(1);
+            let inClass = false;
+            while (i < source.length && source[i] !== '\n' && (inClass || source[i] !== '/')) {
+                if (source[i] === '\\') {
+                    i++;
+                } else if (source[i] === '[') {
+                    inClass = true;
+                } else if (source[i] === ']') {
+                    inClass = false;
+                }
+                i++;
+            }
+            i++;
+            while (i < source.length && /[a-z]/i.test(source[i])) {
+                i++;
+            }
+            push('regex', start, startLine);
+        } else if (/[A-Za-z_$@]/.test(char)) {
+            i++;
+            while (i < source.length && /[\w$]/.test(source[i])) {
+                i++;
+            }
+            push('identifier', start, startLine);
+        } else if (/[0-9]/.test(char)) {
+            while (i < source.length && /[\w.]/.test(source[i])) {
+                i++;
+            }
+            push('number', start, startLine);
+        } else {
+            const punctuator = MULTI_CHAR_PUNCTUATORS.find(p => source.startsWith(p, i));
+            i += punctuator ? punctuator.length : 1;
+            push('punctuator', start, startLine);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Decides whether a "/" after the given token starts a regular expression
+ * @param {Object|undefined} previous - Previous token
+ * @returns {boolean} True if a regular expression literal can start here
+ */
+function startsRegex(previous) {
+    if (!previous) {
+        return true;
+    }
+    if (previous.type === 'identifier') {
+        return REGEX_PRECEDING_WORDS.has(previous.value);
+    }
+    if (previous.type === 'punctuator') {
+        return ![')', ']', '}'].includes(previous.value);
+    }
+    return false;
+}
+
+/**
+ * Finds the functions in a source file and counts their lines
+ * A function is a block that follows "name(...)" or a generic "name<T>(...)" (optionally with a
+ * return type, throws clause or similar between ")" and "{"), an arrow "=>" or a lambda "->".
+ * Lines are counted from the line holding the name to the closing brace, skipping blank and
+ * comment-only lines.
+ * Nested functions are measured on their own and also count towards the enclosing function.
+ * @param {string} source - Source code
+ * @param {string} [language='javascript'] - 'javascript' or 'c-family'
+ * @returns {Array<{name: string, startLine: number, endLine: number, lines: number}>} Functions in source order
+ */
+function measureFunctions(source, language = 'javascript') {
+    const tokens = tokenizeSource(source, language);
+    const matching = matchBrackets(tokens);
+    const functions = [];
+
+    for (let index = 0; index < tokens.length; index++) {
+        if (tokens[index].value !== '{' || matching[index] === undefined) {
+            continue;
+        }
+
+        const head = findFunctionHead(tokens, matching, index, language);
+        if (!head) {
+            continue;
+        }
+
+        const end = matching[index];
+        const codeLines = new Set();
+        for (let k = head.start; k <= end; k++) {
+            codeLines.add(tokens[k].line);
+        }
+
+        functions.push({
+            name: head.name,
+            startLine: tokens[head.start].line,
+            endLine: tokens[end].line,
+            lines: codeLines.size
+        });
+    }
+
+    return functions;
+}
+
+/**
+ * Pairs up (), [] and {} tokens
+ * @param {Array} tokens - Tokens from tokenizeSource
+ * @returns {Array<number|undefined>} For each bracket token, the index of its partner
+ */
+function matchBrackets(tokens) {
+    const pairs = { ')': '(', ']': '[', '}': '{' };
+    const matching = [];
+    const stack = [];
+
+    tokens.forEach((token, index) => {
+        if (token.type !== 'punctuator') {
+            return;
+        }
+        if (token.value === '(' || token.value === '[' || token.value === '{') {
+            stack.push(index);
+        } else if (pairs[token.value]) {
+            // Unbalanced code (e.g. preprocessor branches) only loses the affected blocks
+            while (stack.length > 0 && tokens[stack[stack.length - 1]].value !== pairs[token.value]) {
+                stack.pop();
+            }
+            if (stack.length > 0) {
+                const open = stack.pop();
+                matching[open] = index;
+                matching[index] = open;
+            }
+        }
+    });
+
+    return matching;
+}
+
+/**
+ * Looks backwards from an opening brace for a function signature
+ * @param {Array} tokens - Tokens from tokenizeSource
+ * @param {Array} matching - Bracket partners from matchBrackets
+ * @param {number} braceIndex - Index of the "{" token
+ * @param {string} language - 'javascript' or 'c-family'
+ * @returns {{name: string, start: number}|null} Function name and index of its first token, or null
+ */
+function findFunctionHead(tokens, matching, braceIndex, language) {
+    const previous = tokens[braceIndex - 1];
+    if (!previous) {
+        return null;
+    }
+
+    // Arrow functions and lambdas: "(a, b) => {", "x -> {"
+    if (previous.value === '=>' || previous.value === '->') {
+        let start = braceIndex - 2;
+        if (start >= 0 && tokens[start].value === ')' && matching[start] !== undefined) {
+            start = matching[start];
+            // Generic arrows: "<T,>(x: T) => {"
+            const typeParameters = findTypeParametersStart(tokens, start - 1);
+            if (typeParameters !== -1) {
+                start = typeParameters;
+            }
+        }
+        return start >= 0 ? { name: describeAnonymous(tokens, start), start } : null;
+    }
+
+    // Walk back over whatever may sit between ")" and "{"
+    let k = braceIndex - 1;
+    while (k >= 0) {
+        const token = tokens[k];
+        if (token.value === ')' && matching[k] !== undefined) {
+            const open = matching[k];
+            // Generic functions and methods: "g<T>(x: T) {", "map<U>(f) {"
+            const typeParameters = findTypeParametersStart(tokens, open - 1);
+            const nameIndex = (typeParameters !== -1 ? typeParameters : open) - 1;
+            const name = tokens[nameIndex];
+            if (name && isFunctionName(name, tokens[nameIndex - 1])) {
+                const anonymous = ANONYMOUS_FUNCTION_KEYWORDS.has(name.value);
+                return { name: anonymous ? describeAnonymous(tokens, nameIndex + 1) : name.value, start: nameIndex };
+            }
+            if (language === 'javascript' && tokens[k + 1] !== undefined && k + 1 !== braceIndex && tokens[k + 1].value !== ':') {
+                return null;
+            }
+            // Go result lists, C++ initializer lists: skip the group and keep looking
+            k = open - 1;
+        } else if (token.type === 'identifier' || ['.', ',', ':', '::', '<', '>', '*', '&', '->', '?', '|', '[', ']'].includes(token.value)) {
+            // Without semicolons, "foo()\nclass Bar {" and "foo()\nswitch (x) {" are not the body of foo
+            if (CONTROL_KEYWORDS.has(token.value) || (TYPE_KEYWORDS.has(token.value) && !(k > 0 && tokens[k - 1].value === ':'))) {
+                return null;
+            }
+            k--;
+        } else {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the start of a type parameter list "<...>" that ends at the given token
+ * @param {Array} tokens - Tokens from tokenizeSource
+ * @param {number} index - Index of the token that may be the closing ">"
+ * @returns {number} Index of the matching "<", or -1 if there is no balanced type parameter list
+ */
+function findTypeParametersStart(tokens, index) {
+    if (index < 0 || tokens[index].value !== '>') {
+        return -1;
+    }
+    let depth = 0;
+    for (let k = index; k >= 0; k--) {
+        const value = tokens[k].value;
+        if (value === '>') {
+            depth++;
+        } else if (value === '<') {
+            depth--;
+            if (depth === 0) {
+                return k;
+            }
+        } else if (['(', ')', '{', '}', ';'].includes(value)) {
+            return -1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Checks whether the token before "(" names a function declaration
+ * @param {Object} token - Token before the parameter list
+ * @param {Object|undefined} before - Token before that
+ * @returns {boolean} True for declaration names, false for control statements and constructor calls
+ */
+function isFunctionName(token, before) {
+    if (token.type !== 'identifier' || CONTROL_KEYWORDS.has(token.value)) {
+        return false;
+    }
+    // "new Foo() {" is an anonymous class and "class Foo(val x: Int) {" a type, not functions
+    return !(before && (before.value === 'new' || TYPE_KEYWORDS.has(before.value)));
+}
+
+/**
+ * Names an anonymous function after the variable or property it is assigned to
+ * @param {Array} tokens - Tokens from tokenizeSource
+ * @param {number} start - Index of the function's first token
+ * @returns {string} Assigned name, or '(anonymous)'
+ */
+function describeAnonymous(tokens, start) {
+    let k = start - 1;
+    while (k >= 0 && (ANONYMOUS_FUNCTION_KEYWORDS.has(tokens[k].value) || ['async', '*'].includes(tokens[k].value))) {
+        k--;
+    }
+    if (k >= 1 && ['=', ':'].includes(tokens[k].value) && tokens[k - 1].type === 'identifier') {
+        return tokens[k - 1].value;
+    }
+    return '(anonymous)';
+}
+
+// Export functions for testing (if in Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SOURCE_LANGUAGES,
+        detectSourceLanguage,
+        tokenizeSource,
+        measureFunctions
+    };
+}
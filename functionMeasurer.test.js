@@ -0,0 +1,153 @@
+// Tests for functionMeasurer.js functions
+
+describe("detectSourceLanguage", () => {
+  it("should map extensions to tokenizer dialects", () => {
+    expect(detectSourceLanguage("src/app.tsx")).toBe("javascript");
+    expect(detectSourceLanguage("Main.JAVA")).toBe("c-family");
+    expect(detectSourceLanguage("lib/util.go")).toBe("c-family");
+    expect(detectSourceLanguage("README.md")).toBe(null);
+  });
+});
+
+describe("tokenizeSource", () => {
+  it("should keep braces inside strings, templates and regexes out of the token stream", () => {
+    const source =
+      'const a = "{"; const b = `x ${ f({}) } }`; const c = /[}]/g; // {\n/* { */';
+    const braces = tokenizeSource(source).filter(
+      (t) => t.value === "{" || t.value === "}"
+    );
+
+    expect(braces).toEqual([]);
+  });
+
+  it("should record the line each token starts on", () => {
+    const tokens = tokenizeSource("a\n/* two\nlines */ b\n'c'");
+
+    expect(tokens.map((t) => [t.value, t.line])).toEqual([
+      ["a", 1],
+      ["b", 3],
+      ["'c'", 4],
+    ]);
+  });
+
+  it("should treat a slash after a value as division", () => {
+    const tokens = tokenizeSource("x = a / b / c;");
+    expect(tokens.filter((t) => t.type === "regex")).toEqual([]);
+  });
+});
+
+describe("measureFunctions", () => {
+  it("should measure JavaScript declarations, methods and arrow functions", () => {
+    const source = [
+      "function outer(a) {", // 1
+      "  // comment only", // 2
+      "", // 3
+      "  function inner() {", // 4
+      "    return a;", // 5
+      "  }", // 6
+      "  return inner();", // 7
+      "}", // 8
+      "const handler = async (event) => {", // 9
+      "  if (event) {", // 10
+      "    log(event);", // 11
+      "  }", // 12
+      "};", // 13
+      "class Shape {", // 14
+      "  area(): number {", // 15
+      "    return 0;", // 16
+      "  }", // 17
+      "}", // 18
+      "const double = (x) => x * 2;", // 19
+    ].join("\n");
+
+    expect(measureFunctions(source)).toEqual([
+      { name: "outer", startLine: 1, endLine: 8, lines: 6 },
+      { name: "inner", startLine: 4, endLine: 6, lines: 3 },
+      { name: "handler", startLine: 9, endLine: 13, lines: 5 },
+      { name: "area", startLine: 15, endLine: 17, lines: 3 },
+    ]);
+  });
+
+  it("should measure TypeScript generic functions, methods and arrows", () => {
+    const source = [
+      "function first<T>(x: T) {", // 1
+      "  return x;", // 2
+      "}", // 3
+      "function second<T>(x: T): T {", // 4
+      "  return x;", // 5
+      "}", // 6
+      "class List<T> {", // 7
+      "  map<U>(f: (x: T) => U): U[] {", // 8
+      "    return [];", // 9
+      "  }", // 10
+      "}", // 11
+      "const id = <T,>(x: T) => {", // 12
+      "  return x;", // 13
+      "};", // 14
+      "function nested<K, V extends Map<K, Array<K>>>(map: V) {", // 15
+      "}", // 16
+    ].join("\n");
+
+    expect(measureFunctions(source, "javascript")).toEqual([
+      { name: "first", startLine: 1, endLine: 3, lines: 3 },
+      { name: "second", startLine: 4, endLine: 6, lines: 3 },
+      { name: "map", startLine: 8, endLine: 10, lines: 3 },
+      { name: "id", startLine: 12, endLine: 14, lines: 3 },
+      { name: "nested", startLine: 15, endLine: 16, lines: 2 },
+    ]);
+  });
+
+  it("should not mistake blocks after a semicolon-free call for a function body", () => {
+    const source = [
+      "const pkg = require('./package.json')",
+      "class Npm extends Base {",
+      "  load(er) {",
+      "    er.message = redact(er.message)",
+      "    switch (er.code) {",
+      "      default: return pkg",
+      "    }",
+      "  }",
+      "}",
+    ].join("\n");
+
+    expect(measureFunctions(source)).toEqual([
+      { name: "load", startLine: 3, endLine: 8, lines: 6 },
+    ]);
+  });
+
+  it("should measure Java methods by brace matching", () => {
+    const source = [
+      "public class Foo {",
+      "  static { init(); }",
+      "  @Override",
+      "  public int compute(int x) throws IOException {",
+      "    if (x > 0) {",
+      "      return '}';",
+      "    }",
+      "    return new Object() { }.hashCode();",
+      "  }",
+      "  Foo() { }",
+      "}",
+    ].join("\n");
+
+    expect(measureFunctions(source, "c-family")).toEqual([
+      { name: "compute", startLine: 4, endLine: 9, lines: 6 },
+      { name: "Foo", startLine: 10, endLine: 10, lines: 1 },
+    ]);
+  });
+
+  it("should handle Go receivers and result lists", () => {
+    const source = [
+      "func (r *Repo) Load(id int) (Item, error) {",
+      "\tif v := r.get(id); v != nil {",
+      "\t\treturn *v, nil",
+      "\t}",
+      "\treturn Item{}, errNotFound",
+      "}",
+    ].join("\n");
+
+    expect(measureFunctions(source, "c-family")).toEqual([
+      { name: "Load", startLine: 1, endLine: 6, lines: 6 },
+    ]);
+  });
+});
@@ -0,0 +1,171 @@
+// Tests for GammaAnalyzer
+
+describe("GammaAnalyzer", () => {
+  let GammaAnalyzer;
+  let DistributionAnalyzer;
+  let buildHistogram;
+  let calculateCCDF;
+  let generateValues;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      const { DistributionAnalyzer: DA } = require("./distributionAnalyzer.js");
+      DistributionAnalyzer = DA;
+      GammaAnalyzer = require("./gammaAnalyzer.js");
+      ({ buildHistogram, calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateValues } = require("./dataGenerator.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      DistributionAnalyzer = window.DistributionAnalyzer;
+      GammaAnalyzer = window.GammaAnalyzer;
+      buildHistogram = window.buildHistogram;
+      calculateCCDF = window.calculateCCDF;
+      generateValues = window.generateValues;
+    }
+  });
+
+  const skewedGamma = { distribution: "gamma", shape: 2.5, rate: 0.1 };
+
+  describe("constructor", () => {
+    it("should create a GammaAnalyzer with correct properties", () => {
+      const analyzer = new GammaAnalyzer();
+
+      expect(analyzer.name).toBe("gamma");
+      expect(analyzer.displayName).toBe("Gamma");
+      expect(analyzer.description).toBe("p(x) ∝ x^(k-1) e^(-βx)");
+      expect(analyzer.parameterNames).toEqual(["shape", "rate"]);
+      expect(analyzer instanceof DistributionAnalyzer).toBe(true);
+    });
+  });
+
+  describe("getTheoreticalCCDF", () => {
+    it("should reduce to the exponential when k = 1", () => {
+      const analyzer = new GammaAnalyzer();
+      const ccdf = analyzer.getTheoreticalCCDF([-1, 2, 10], {
+        shape: 1,
+        rate: 0.25,
+      });
+
+      expect(ccdf[0]).toBe(1);
+      expect(ccdf[1]).toBeCloseTo(Math.exp(-0.5), 12);
+      expect(ccdf[2]).toBeCloseTo(Math.exp(-2.5), 12);
+    });
+  });
+
+  describe("fitMaximumLikelihood", () => {
+    let analyzer;
+
+    beforeEach(() => {
+      analyzer = new GammaAnalyzer();
+    });
+
+    it("should recover the shape and rate", () => {
+      const fit = analyzer.fitMaximumLikelihood(
+        buildHistogram(generateValues(skewedGamma, { size: 5000, seed: 4 }))
+      );
+
+      expect(fit.sampleSize).toBe(5000);
+      expect(fit.shape).toBeCloseTo(2.5, 1);
+      expect(fit.rate).toBeCloseTo(0.1, 2);
+    });
+
+    it("should weight values by frequency", () => {
+      const values = generateValues(
+        { distribution: "gamma", shape: 0.8, rate: 1 },
+        { size: 500, seed: 5 }
+      ).map((x) => Math.ceil(x));
+      const weighted = analyzer.fitMaximumLikelihood(buildHistogram(values));
+      const expanded = analyzer.fitMaximumLikelihood(
+        values.map((value) => ({ value }))
+      );
+
+      expect(weighted.shape).toBeCloseTo(expanded.shape, 4);
+      expect(weighted.rate).toBeCloseTo(expanded.rate, 4);
+    });
+
+    it("should refit above a higher bound and condition on it", () => {
+      const data = buildHistogram(
+        generateValues(skewedGamma, { size: 5000, seed: 4 })
+      );
+      const fit = analyzer.fitTruncated(data, 25);
+
+      expect(fit.xmin).toBe(25);
+      expect(fit.sampleSize).toBe(
+        data
+          .filter((d) => d.value >= 25)
+          .reduce((sum, d) => sum + d.frequency, 0)
+      );
+      expect(fit.shape).toBeCloseTo(2.5, 0);
+      expect(analyzer.getConditionalLogDensity(40, fit, 25)).toBeCloseTo(
+        analyzer.getLogDensity(40, fit) -
+          Math.log(analyzer.getTailProbability(25, fit)),
+        8
+      );
+      // Far in the tail Q underflows, but the conditional density stays finite
+      expect(
+        analyzer.getConditionalLogDensity(5000, fit, 4000)
+      ).toBeGreaterThan(-Infinity);
+    });
+
+    it("should reject data with a single distinct value", () => {
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+      ).toThrow("need at least two distinct positive values");
+    });
+  });
+
+  describe("analyze", () => {
+    it("should fit a gamma sample and report its probability plot", () => {
+      const analyzer = new GammaAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(generateValues(skewedGamma, { size: 5000, seed: 4 }))
+      );
+
+      const result = analyzer.analyze(data);
+
+      expect(result.distributionName).toBe("gamma");
+      expect(result.fitMethod).toBe("MLE");
+      expect(result.parameters.shape).toBeCloseTo(2.5, 1);
+      expect(result.goodnessOfFit.rSquared).toBeGreaterThan(0.99);
+      expect(result.goodnessOfFit.aic).toBeCloseTo(
+        4 - 2 * result.goodnessOfFit.logLikelihood,
+        8
+      );
+      // Slope 1 and intercept -ln β at the fitted shape
+      expect(result.gammaProbabilityPlot.regression.slope).toBeCloseTo(1, 1);
+      expect(result.gammaProbabilityPlot.estimatedRate).toBeCloseTo(0.1, 1);
+      expect(result.plotData).toHaveLength(data.length);
+    });
+
+    it("should throw error for empty data", () => {
+      expect(() => new GammaAnalyzer().analyze([])).toThrow(
+        "Data must be a non-empty array"
+      );
+    });
+  });
+
+  describe("getDistributionSpecificPlot", () => {
+    it("should generate a gamma probability plot at the fitted shape", () => {
+      const analyzer = new GammaAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(
+          generateValues(
+            { distribution: "gamma", shape: 0.5, rate: 2 },
+            { size: 500, seed: 9 }
+          )
+        )
+      );
+
+      const plotData = analyzer.getDistributionSpecificPlot(data);
+
+      expect(plotData.type).toBe("gammaProbability");
+      expect(plotData.shape).toBeCloseTo(
+        analyzer.fitMaximumLikelihood(data).shape,
+        12
+      );
+      expect(plotData.data).toHaveLength(data.length);
+      expect(plotData.description).toContain("straight lines");
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// Geometric Distribution Analyzer - Discrete exponential fitted to integer-valued data (counts, line numbers)
+
+// Load dependencies if in Node.js environment
+if (
+  typeof module !== "undefined" &&
+  typeof ExponentialAnalyzer === "undefined"
+) {
+  // Make functions available globally
+  global.ExponentialAnalyzer = require("./exponentialAnalyzer.js");
+}
+
+/**
+ * Geometric Distribution Analyzer Class
+ * Fits P(X = x) = (1 - e^(-λ)) e^(-λ(x - xmin)) for integers x ≥ xmin, the discrete counterpart of
+ * the shifted exponential. Shares the exponential probability plot of ExponentialAnalyzer; the
+ * engine runs it instead of the exponential when every value is an integer.
+ */
+class GeometricAnalyzer extends ExponentialAnalyzer {
+  constructor() {
+    super();
+    this.name = "geometric";
+    this.displayName = "Geometric";
+    this.description = "P(X = x) ∝ e^(-λx), x = xmin, xmin + 1, ...";
+    this.parameterNames = ["lambda", "xmin"];
+    this.continuousCounterpart = "exponential";
+  }
+
+  /**
+   * Fits the rate above the smallest value
+   * @param {Array} data - Data points with positive integer value and frequency (weight)
+   * @returns {{fit: Object, fitMethod: string}} Fit with lambda, xmin and sampleSize
+   */
+  fitRate(data) {
+    return { fit: this.fitMaximumLikelihood(data), fitMethod: "discreteMLE" };
+  }
+
+  /**
+   * Estimates λ by frequency-weighted maximum likelihood
+   * With m = Σ w (x - xmin) / n the mean excess over xmin, the maximum is at e^(-λ) = m / (1 + m),
+   * i.e. λ = ln(1 + 1 / m). Like the exponential, the geometric is memoryless, so this is also the
+   * fit conditioned on X ≥ xmin.
+   * @param {Array} data - Data points with integer value and frequency (weight)
+   * @param {number} [xmin] - Lower bound; defaults to the smallest positive value
+   * @returns {Object} {lambda, xmin, sampleSize}
+   * @throws {Error} If the values are not positive integers or none lies above xmin
+   */
+  fitMaximumLikelihood(data, xmin) {
+    if (
+      !data.every((item) => Number.isInteger(item.value) && item.value > 0)
+    ) {
+      throw new Error("Geometric distribution requires positive integer values");
+    }
+
+    const fit = super.fitMaximumLikelihood(
+      data,
+      xmin !== undefined ? Math.ceil(xmin) : undefined
+    );
+    // The continuous fit's rate is 1 / m, so λ = ln(1 + 1 / m)
+    return { ...fit, lambda: Math.log1p(fit.lambda) };
+  }
+
+  /**
+   * Gets theoretical CCDF values P(X > x) = e^(-λ(⌊x⌋ + 1 - xmin))
+   * @param {Array<number>} xValues - X values to calculate CCDF for
+   * @param {Object} parameters - {lambda, xmin}
+   * @returns {Array<number>} Theoretical CCDF values
+   */
+  getTheoreticalCCDF(xValues, parameters) {
+    const { lambda, xmin } = parameters;
+    return xValues.map((x) =>
+      x < xmin ? 1 : Math.exp(-lambda * (Math.floor(x) + 1 - xmin))
+    );
+  }
+
+  /**
+   * Gets the log-probability ln P(X = x) = ln(1 - e^(-λ)) - λ(x - xmin)
+   * @param {number} x - Integer at or above xmin
+   * @param {Object} parameters - {lambda, xmin}
+   * @returns {number} ln P(X = x)
+   */
+  getLogDensity(x, parameters) {
+    const { lambda, xmin } = parameters;
+    return Math.log(-Math.expm1(-lambda)) - lambda * (x - xmin);
+  }
+
+  /**
+   * Gets the theoretical probability P(X ≥ x) = e^(-λ(⌈x⌉ - xmin))
+   * @param {number} x - Value
+   * @param {Object} parameters - {lambda, xmin}
+   * @returns {number} Tail probability
+   */
+  getTailProbability(x, parameters) {
+    const { lambda, xmin } = parameters;
+    return x <= xmin ? 1 : Math.exp(-lambda * (Math.ceil(x) - xmin));
+  }
+
+  /**
+   * Gets the log-probability conditioned on X ≥ lowerBound, i.e. on X ≥ ⌈lowerBound⌉
+   * @param {number} x - Integer at or above lowerBound
+   * @param {Object} parameters - {lambda, xmin}
+   * @param {number} lowerBound - Conditioning bound
+   * @returns {number} ln P(X = x | X ≥ lowerBound)
+   */
+  getConditionalLogDensity(x, parameters, lowerBound) {
+    return super.getConditionalLogDensity(
+      x,
+      parameters,
+      Math.ceil(lowerBound)
+    );
+  }
+
+  /**
+   * Validates if data is suitable for geometric analysis
+   * @param {Array} data - Data to validate
+   * @returns {Object} Validation result with success flag and message
+   */
+  validateData(data) {
+    const validation = super.validateData(data);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    if (!DistributionUtils.isIntegerValued(data)) {
+      return {
+        valid: false,
+        message: "Geometric analysis needs positive integer values",
+      };
+    }
+
+    return validation;
+  }
+}
+
+// Export for testing (if in Node.js environment)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GeometricAnalyzer;
+}
@@ -0,0 +1,143 @@
+// Tests for GeometricAnalyzer
+
+describe("GeometricAnalyzer", () => {
+  let GeometricAnalyzer;
+  let ExponentialAnalyzer;
+  let calculateCCDF;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      ExponentialAnalyzer = require("./exponentialAnalyzer.js");
+      GeometricAnalyzer = require("./geometricAnalyzer.js");
+      ({ calculateCCDF } = require("./dataProcessor.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      ExponentialAnalyzer = window.ExponentialAnalyzer;
+      GeometricAnalyzer = window.GeometricAnalyzer;
+      calculateCCDF = window.calculateCCDF;
+    }
+  });
+
+  // Expected counts of a geometric distribution with P(X = x) = (1 - q) q^(x - xmin), q = e^(-λ)
+  function geometricHistogram(lambda, xmin, total, maxValue) {
+    const histogram = [];
+    for (let x = xmin; x <= maxValue; x++) {
+      histogram.push({
+        value: x,
+        frequency: Math.round(
+          total * -Math.expm1(-lambda) * Math.exp(-lambda * (x - xmin))
+        ),
+      });
+    }
+    return histogram.filter((d) => d.frequency > 0);
+  }
+
+  describe("constructor", () => {
+    it("should create a discrete variant of the exponential", () => {
+      const analyzer = new GeometricAnalyzer();
+
+      expect(analyzer.name).toBe("geometric");
+      expect(analyzer.displayName).toBe("Geometric");
+      expect(analyzer.parameterNames).toEqual(["lambda", "xmin"]);
+      expect(analyzer.continuousCounterpart).toBe("exponential");
+      expect(analyzer instanceof ExponentialAnalyzer).toBe(true);
+    });
+  });
+
+  describe("fitMaximumLikelihood", () => {
+    it("should recover the rate of integer data starting at 1", () => {
+      const data = geometricHistogram(0.5, 1, 100000, 200);
+      const fit = new GeometricAnalyzer().fitMaximumLikelihood(data);
+      const continuous = new ExponentialAnalyzer().fitMaximumLikelihood(data);
+
+      expect(fit.xmin).toBe(1);
+      expect(fit.lambda).toBeCloseTo(0.5, 2);
+      expect(fit.sampleSize).toBe(
+        data.reduce((sum, d) => sum + d.frequency, 0)
+      );
+      // The continuous rate 1 / mean excess misreads the unit steps
+      expect(Math.abs(continuous.lambda - 0.5)).toBeGreaterThan(0.1);
+    });
+
+    it("should refit above a higher bound by memorylessness", () => {
+      const analyzer = new GeometricAnalyzer();
+      const data = geometricHistogram(0.2, 1, 100000, 300);
+      const fit = analyzer.fitTruncated(data, 10);
+
+      expect(fit.xmin).toBe(10);
+      expect(fit.lambda).toBeCloseTo(0.2, 2);
+      expect(analyzer.fitTruncated(data, 9.5).xmin).toBe(10);
+    });
+
+    it("should reject non-integer and degenerate data", () => {
+      const analyzer = new GeometricAnalyzer();
+
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 1.5, frequency: 2 }])
+      ).toThrow("requires positive integer values");
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+      ).toThrow("every observation equals the smallest value");
+    });
+  });
+
+  describe("analyze", () => {
+    it("should fit the discrete likelihood and its exact CCDF", () => {
+      const analyzer = new GeometricAnalyzer();
+      const data = calculateCCDF(geometricHistogram(0.3, 2, 50000, 200));
+      const result = analyzer.analyze(data);
+
+      expect(result.distributionName).toBe("geometric");
+      expect(result.fitMethod).toBe("discreteMLE");
+      expect(result.parameters.xmin).toBe(2);
+      expect(result.parameters.lambda).toBeCloseTo(0.3, 2);
+      // P(X > 2) = q = e^(-λ)
+      expect(result.theoreticalValues[0].theoreticalCCDF).toBeCloseTo(
+        Math.exp(-result.parameters.lambda),
+        10
+      );
+      expect(result.theoreticalValues[0].ccdf).toBeCloseTo(
+        result.theoreticalValues[0].theoreticalCCDF,
+        2
+      );
+    });
+
+    it("should compute the log-likelihood from the normalized PMF", () => {
+      const analyzer = new GeometricAnalyzer();
+      const parameters = { lambda: Math.log(2), xmin: 1 };
+      // q = 1/2: P(X = 1) = 1/2 and P(X = 3) = 1/8
+      const data = [
+        { value: 1, frequency: 3 },
+        { value: 3, frequency: 1 },
+      ];
+
+      expect(
+        analyzer.calculateLogLikelihood(data, parameters)
+      ).toBeCloseTo(3 * Math.log(0.5) + Math.log(0.125), 10);
+      expect(analyzer.getTailProbability(3, parameters)).toBeCloseTo(0.25, 10);
+      // Conditioned on X ≥ 2.5, i.e. X ≥ 3: P(X = 3 | X ≥ 3) = 1/2
+      expect(
+        analyzer.getConditionalLogDensity(3, parameters, 2.5)
+      ).toBeCloseTo(Math.log(0.5), 10);
+    });
+  });
+
+  describe("validateData", () => {
+    it("should only accept positive integer values", () => {
+      const analyzer = new GeometricAnalyzer();
+      const integers = calculateCCDF(
+        [1, 2, 3, 5, 8, 13].map((value) => ({ value, frequency: 1 }))
+      );
+      const decimals = calculateCCDF(
+        [1.5, 2, 3, 5, 8, 13].map((value) => ({ value, frequency: 1 }))
+      );
+
+      expect(analyzer.validateData(integers).valid).toBe(true);
+      expect(analyzer.validateData(decimals).valid).toBe(false);
+      expect(analyzer.validateData(decimals).message).toContain(
+        "positive integer values"
+      );
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// Git History Parser - Builds churn histograms from `git log --numstat` output
+
+// Load dependencies if in Node.js environment
+if (typeof module !== 'undefined' && typeof buildHistogram === 'undefined') {
+    const dataProcessor = require('./dataProcessor.js');
+
+    global.buildHistogram = dataProcessor.buildHistogram;
+}
+
+/**
+ * Churn distributions that can be built from a commit history, with display names
+ * - linesPerCommit: lines added plus lines deleted in each commit
+ * - filesPerCommit: files touched by each commit
+ * - commitsPerFile: commits that touched each file
+ */
+const CHURN_METRICS = {
+    linesPerCommit: 'Lines changed per commit',
+    filesPerCommit: 'Files touched per commit',
+    commitsPerFile: 'Commits per file'
+};
+
+/**
+ * Parses `git log --numstat` output into commits
+ * Commits start with a "commit <hash>" line (the default format) or a bare hash line
+ * (e.g. --format=%H); everything else except "added<tab>deleted<tab>path" lines is ignored.
+ * Binary files are listed with "-" counts and contribute no lines.
+ * @param {string} logText - Output of git log --numstat
+ * @returns {Array<{hash: string, files: Array<{path: string, added: number, deleted: number, binary: boolean}>}>} Commits in log order
+ * @throws {Error} If the text contains no commits
+ */
+function parseGitNumstat(logText) {
+    if (typeof logText !== 'string') {
+        throw new Error('Input must be a string');
+    }
+
+    const commits = [];
+    let current = null;
+    const lines = logText.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const header = line.match(/^(?:commit\s+)?([0-9a-f]{7,64})(?:\s|$)/);
+        if (header && (line.startsWith('commit') || /^[0-9a-f]+$/.test(line.trim()))) {
+            current = { hash: header[1], files: [] };
+            commits.push(current);
+            continue;
+        }
+
+        const stat = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+        if (!stat) {
+            continue;
+        }
+        if (!current) {
+            throw new Error(`Line ${i + 1} has file statistics before any commit. Use the output of "git log --numstat".`);
+        }
+
+        const binary = stat[1] === '-';
+        current.files.push({
+            path: resolveRenamedPath(stat[3]),
+            added: binary ? 0 : parseInt(stat[1], 10),
+            deleted: binary ? 0 : parseInt(stat[2], 10),
+            binary
+        });
+    }
+
+    if (commits.length === 0) {
+        throw new Error('No commits found. Use the output of "git log --numstat".');
+    }
+
+    return commits;
+}
+
+/**
+ * Resolves numstat rename notation to the new path
+ * "src/{old => new}/a.js" becomes "src/new/a.js" and "old.js => new.js" becomes "new.js".
+ * @param {string} path - Path as printed by git
+ * @returns {string} Path after the rename
+ */
+function resolveRenamedPath(path) {
+    if (/\{[^}]* => [^}]*\}/.test(path)) {
+        return path.replace(/\{[^}]* => ([^}]*)\}/, '$1').replace(/\/\//g, '/');
+    }
+    const arrow = path.indexOf(' => ');
+    return arrow === -1 ? path : path.slice(arrow + 4);
+}
+
+/**
+ * Builds every churn histogram from parsed commits
+ * Commits without file statistics (typically merges) are left out. Commits that only touch
+ * binary files change zero lines and are left out of linesPerCommit.
+ * @param {Array} commits - Commits from parseGitNumstat
+ * @returns {Object} Histograms keyed by CHURN_METRICS name, plus commitCount (commits with file statistics)
+ */
+function buildChurnHistograms(commits) {
+    const withFiles = commits.filter(commit => commit.files.length > 0);
+    const commitsPerFile = new Map();
+
+    for (const commit of withFiles) {
+        for (const path of new Set(commit.files.map(file => file.path))) {
+            commitsPerFile.set(path, (commitsPerFile.get(path) || 0) + 1);
+        }
+    }
+
+    const linesChanged = withFiles
+        .map(commit => commit.files.reduce((sum, file) => sum + file.added + file.deleted, 0))
+        .filter(lines => lines > 0);
+
+    return {
+        commitCount: withFiles.length,
+        linesPerCommit: buildHistogram(linesChanged),
+        filesPerCommit: buildHistogram(withFiles.map(commit => commit.files.length)),
+        commitsPerFile: buildHistogram(Array.from(commitsPerFile.values()))
+    };
+}
+
+/**
+ * Parses `git log --numstat` output and builds one churn histogram
+ * @param {string} logText - Output of git log --numstat
+ * @param {string} [metric='linesPerCommit'] - A CHURN_METRICS key
+ * @returns {Array<{value: number, frequency: number}>} Histogram sorted by value
+ * @throws {Error} If the metric is unknown, the log is invalid or there are too few distinct values
+ */
+function parseGitChurn(logText, metric = 'linesPerCommit') {
+    if (!CHURN_METRICS[metric]) {
+        throw new Error(`Unknown churn metric "${metric}". Expected one of: ${Object.keys(CHURN_METRICS).join(', ')}.`);
+    }
+
+    const histogram = buildChurnHistograms(parseGitNumstat(logText))[metric];
+    if (histogram.length < 5) {
+        throw new Error(`The history has only ${histogram.length} distinct values for ${CHURN_METRICS[metric].toLowerCase()}. Please provide at least 5 data points for meaningful analysis.`);
+    }
+
+    return histogram;
+}
+
+// Export functions for testing (if in Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHURN_METRICS,
+        parseGitNumstat,
+        buildChurnHistograms,
+        parseGitChurn
+    };
+}
@@ -0,0 +1,125 @@
+// Tests for gitHistoryParser.js functions
+
+const SAMPLE_LOG = `commit 1111111111111111111111111111111111111111
+Author: Ada <ada@example.com>
+Date:   Mon Jan 1 10:00:00 2024 +0000
+
+    Add parser
+
+10\t2\tsrc/parser.js
+5\t0\tsrc/index.js
+
+commit 2222222222222222222222222222222222222222
+Merge: 1111111 3333333
+Author: Ada <ada@example.com>
+Date:   Tue Jan 2 10:00:00 2024 +0000
+
+    Merge branch 'feature'
+
+commit 3333333333333333333333333333333333333333
+Author: Bob <bob@example.com>
+Date:   Wed Jan 3 10:00:00 2024 +0000
+
+    Move parser
+
+3\t1\tsrc/{parser.js => lib/parser.js}
+-\t-\tdocs/diagram.png
+`;
+
+describe("parseGitNumstat", () => {
+  it("should read commits and their file statistics", () => {
+    const commits = parseGitNumstat(SAMPLE_LOG);
+
+    expect(commits.map((c) => c.hash.slice(0, 3))).toEqual([
+      "111",
+      "222",
+      "333",
+    ]);
+    expect(commits[0].files).toEqual([
+      { path: "src/parser.js", added: 10, deleted: 2, binary: false },
+      { path: "src/index.js", added: 5, deleted: 0, binary: false },
+    ]);
+    expect(commits[1].files).toEqual([]);
+    expect(commits[2].files).toEqual([
+      { path: "src/lib/parser.js", added: 3, deleted: 1, binary: false },
+      { path: "docs/diagram.png", added: 0, deleted: 0, binary: true },
+    ]);
+  });
+
+  it("should accept bare hash headers from --format=%H", () => {
+    const commits = parseGitNumstat("abcdef1\n\n1\t1\ta.js\nabcdef2\n\n2\t0\tb.js\n");
+    expect(commits.map((c) => c.files[0].path)).toEqual(["a.js", "b.js"]);
+  });
+
+  it("should resolve whole-path renames", () => {
+    const commits = parseGitNumstat("commit abcdef1\n\n1\t1\told.js => new.js\n");
+    expect(commits[0].files[0].path).toBe("new.js");
+  });
+
+  it("should reject text without commits", () => {
+    expect(() => parseGitNumstat("1\t2\ta.js")).toThrow(
+      "Line 1 has file statistics before any commit"
+    );
+    expect(() => parseGitNumstat("hello")).toThrow("No commits found");
+  });
+});
+
+describe("buildChurnHistograms", () => {
+  it("should build lines per commit, files per commit and commits per file", () => {
+    const histograms = buildChurnHistograms(parseGitNumstat(SAMPLE_LOG));
+
+    // The merge commit has no file statistics and is left out
+    expect(histograms.commitCount).toBe(2);
+    expect(histograms.linesPerCommit).toEqual([
+      { value: 4, frequency: 1 },
+      { value: 17, frequency: 1 },
+    ]);
+    expect(histograms.filesPerCommit).toEqual([{ value: 2, frequency: 2 }]);
+    expect(histograms.commitsPerFile).toEqual([{ value: 1, frequency: 4 }]);
+  });
+
+  it("should count a file once per commit", () => {
+    const commits = [
+      { hash: "a", files: [{ path: "x", added: 1, deleted: 0 }] },
+      {
+        hash: "b",
+        files: [
+          { path: "x", added: 1, deleted: 0 },
+          { path: "x", added: 2, deleted: 0 },
+        ],
+      },
+    ];
+    expect(buildChurnHistograms(commits).commitsPerFile).toEqual([
+      { value: 2, frequency: 1 },
+    ]);
+  });
+});
+
+describe("parseGitChurn", () => {
+  it("should build the selected histogram", () => {
+    const log = [1, 2, 3, 5, 8, 13]
+      .map((files, i) => {
+        const stats = Array.from(
+          { length: files },
+          (_, f) => `1\t0\tfile${f}.js`
+        );
+        return [`commit ${String(i + 1).repeat(7)}`, "", ...stats].join("\n");
+      })
+      .join("\n\n");
+
+    expect(parseGitChurn(log, "filesPerCommit").map((d) => d.value)).toEqual([
+      1, 2, 3, 5, 8, 13,
+    ]);
+    expect(parseGitChurn(log, "commitsPerFile")[0]).toEqual({
+      value: 1,
+      frequency: 5,
+    });
+  });
+
+  it("should reject unknown metrics and small histories", () => {
+    expect(() => parseGitChurn(SAMPLE_LOG, "authors")).toThrow(
+      'Unknown churn metric "authors"'
+    );
+    expect(() => parseGitChurn(SAMPLE_LOG)).toThrow("at least 5 data points");
+  });
+});
@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+// Command-line interface - Measures local source code and runs the distribution analyzers on it
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { buildHistogram, calculateCCDF } = require('./dataProcessor.js');
+const { detectSourceLanguage, measureFunctions } = require('./functionMeasurer.js');
+const { CHURN_METRICS, parseGitNumstat, buildChurnHistograms } = require('./gitHistoryParser.js');
+const AnalysisEngine = require('./analysisEngine.js');
+const { DistributionUtils } = require('./distributionAnalyzer.js');
+const PowerLawAnalyzer = require('./powerLawAnalyzer.js');
+const DiscretePowerLawAnalyzer = require('./discretePowerLawAnalyzer.js');
+const PowerLawWithCutoffAnalyzer = require('./powerLawWithCutoffAnalyzer.js');
+const DiscretePowerLawWithCutoffAnalyzer = require('./discretePowerLawWithCutoffAnalyzer.js');
+const LogNormalAnalyzer = require('./logNormalAnalyzer.js');
+const ExponentialAnalyzer = require('./exponentialAnalyzer.js');
+const GeometricAnalyzer = require('./geometricAnalyzer.js');
+const WeibullAnalyzer = require('./weibullAnalyzer.js');
+const GammaAnalyzer = require('./gammaAnalyzer.js');
+const LomaxAnalyzer = require('./lomaxAnalyzer.js');
+const YuleSimonAnalyzer = require('./yuleSimonAnalyzer.js');
+const ZipfAnalyzer = require('./zipfAnalyzer.js');
+
+const USAGE = `Usage: isitapowerlaw measure <dir> [--bootstrap <n>] [--histogram] [--json]
+       isitapowerlaw churn [<repo>] [--metric <name>] [--bootstrap <n>] [--histogram] [--json]
+
+Commands:
+  measure <dir>   Count lines per function in the JavaScript/TypeScript and
+                  Java/C-family sources under <dir> and analyze the distribution
+  churn [<repo>]  Read the history of a local git repository (default: the current
+                  directory) and analyze ${Object.keys(CHURN_METRICS).join(', ')}
+
+Options:
+  --metric <name> Analyze only one churn metric
+  --bootstrap <n> Test the power-law fit against <n> synthetic datasets and report
+                  its bootstrap p-value (progress goes to stderr)
+  --histogram     Print only the "value count" histogram (paste it into the web page)
+  --json          Print the measurements and analysis as JSON`;
+
+// Options followed by a value
+const VALUE_OPTIONS = ['--metric', '--bootstrap'];
+
+// Directories that hold dependencies or build output rather than the project's own code
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'bower_components', 'vendor', 'dist', 'build', 'target', 'out']);
+
+/**
+ * Lists the measurable source files below a directory
+ * Hidden directories and SKIPPED_DIRECTORIES are not entered.
+ * @param {string} dir - Directory to walk
+ * @returns {Array<string>} Source file paths, sorted
+ */
+function collectSourceFiles(dir) {
+    const files = [];
+    const walk = current => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                if (!entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name)) {
+                    walk(fullPath);
+                }
+            } else if (entry.isFile() && detectSourceLanguage(entry.name)) {
+                files.push(fullPath);
+            }
+        }
+    };
+    walk(dir);
+    return files.sort();
+}
+
+/**
+ * Measures the length of every function below a directory
+ * @param {string} dir - Directory to walk
+ * @returns {Object} Measurement with files (number scanned), functions ({file, name, startLine, lines})
+ *   and histogram (value/frequency pairs of lines per function)
+ */
+function measureDirectory(dir) {
+    const files = collectSourceFiles(dir);
+    const functions = [];
+
+    for (const file of files) {
+        const source = fs.readFileSync(file, 'utf8');
+        for (const fn of measureFunctions(source, detectSourceLanguage(file))) {
+            functions.push({ file: path.relative(dir, file), name: fn.name, startLine: fn.startLine, lines: fn.lines });
+        }
+    }
+
+    return {
+        files: files.length,
+        functions,
+        histogram: buildHistogram(functions.map(fn => fn.lines))
+    };
+}
+
+/**
+ * Creates an engine with the same analyzers as the web page
+ * @returns {AnalysisEngine} Engine with all analyzers registered
+ */
+function createAnalysisEngine() {
+    const engine = new AnalysisEngine();
+    engine.registerAnalyzer(new PowerLawAnalyzer());
+    engine.registerAnalyzer(new DiscretePowerLawAnalyzer());
+    engine.registerAnalyzer(new PowerLawWithCutoffAnalyzer());
+    engine.registerAnalyzer(new DiscretePowerLawWithCutoffAnalyzer());
+    engine.registerAnalyzer(new LogNormalAnalyzer());
+    engine.registerAnalyzer(new ExponentialAnalyzer());
+    engine.registerAnalyzer(new GeometricAnalyzer());
+    engine.registerAnalyzer(new WeibullAnalyzer());
+    engine.registerAnalyzer(new GammaAnalyzer());
+    engine.registerAnalyzer(new LomaxAnalyzer());
+    engine.registerAnalyzer(new YuleSimonAnalyzer());
+    engine.registerAnalyzer(new ZipfAnalyzer());
+    return engine;
+}
+
+/**
+ * Runs every analyzer on a histogram
+ * @param {Array<{value: number, frequency: number}>} histogram - Value/frequency pairs
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.bootstrap] - Bootstrap replicates for testing the power-law fit; when set,
+ *   the result carries the test as bootstrap and the verdict takes it into account
+ *   (see AnalysisEngine.applyBootstrapTest)
+ * @param {Function} [options.onProgress] - Called with (completed, replicates) during the bootstrap
+ * @returns {Object} Result of AnalysisEngine.analyzeMultiple
+ * @throws {Error} If there are too few distinct values for meaningful analysis
+ */
+function analyzeHistogram(histogram, options = {}) {
+    if (histogram.length < 5) {
+        throw new Error('Please provide at least 5 data points for meaningful analysis.');
+    }
+    const engine = createAnalysisEngine();
+    const data = calculateCCDF(histogram);
+    const analysis = engine.analyzeMultiple(data);
+
+    // The engine runs either the continuous or the discrete power law; the Zipf, also a
+    // PowerLawAnalyzer, fixes xmin at 1 and is not the fit to test
+    const powerLaw = analysis.results
+        .map(result => engine.getAnalyzer(result.distributionType))
+        .find(analyzer => analyzer instanceof PowerLawAnalyzer && !analyzer.discreteOnly);
+    if (options.bootstrap && powerLaw) {
+        const test = powerLaw.bootstrapGoodnessOfFit(data, {
+            replicates: options.bootstrap,
+            onProgress: options.onProgress
+        });
+        engine.applyBootstrapTest(analysis, powerLaw.name, test);
+    }
+    return analysis;
+}
+
+/**
+ * Lists the positional arguments, skipping flags and the values of VALUE_OPTIONS
+ * @param {Array<string>} args - Command arguments
+ * @returns {Array<string>} Positional arguments in order
+ */
+function positionalArguments(args) {
+    return args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+}
+
+/**
+ * Reads the --bootstrap option
+ * @param {Array<string>} args - Command arguments
+ * @returns {number|null} Number of replicates, or null if the option is absent
+ * @throws {Error} If the value is not a positive integer
+ */
+function parseBootstrapOption(args) {
+    const index = args.indexOf('--bootstrap');
+    if (index === -1) {
+        return null;
+    }
+    const replicates = Number(args[index + 1]);
+    if (!Number.isInteger(replicates) || replicates < 1) {
+        throw new Error(`--bootstrap needs a positive number of replicates, got "${args[index + 1]}".`);
+    }
+    return replicates;
+}
+
+/**
+ * Creates an onProgress callback that keeps a bootstrap progress line updated on stderr
+ * @param {Object} io - Output streams {stdout, stderr} with a write method
+ * @param {string} [label] - What is being tested, shown before the count
+ * @returns {Function} Progress callback for analyzeHistogram
+ */
+function reportBootstrapProgress(io, label = 'Bootstrap') {
+    return (completed, replicates) => {
+        io.stderr.write(`\r${label}: ${completed}/${replicates} replicates` + (completed === replicates ? '\n' : ''));
+    };
+}
+
+/**
+ * Formats an analysis as a plain-text report
+ * @param {Object} analysis - Result of analyzeHistogram
+ * @returns {string} Verdict followed by one line per distribution
+ */
+function formatAnalysis(analysis) {
+    const lines = [analysis.summary.verdict + '.', analysis.summary.recommendation, ''];
+    const engine = createAnalysisEngine();
+
+    for (const result of analysis.results) {
+        // Only the fitted parameters, not bookkeeping such as the tail size; integers such as a discrete xmin stay integers
+        const parameters = engine.getAnalyzer(result.distributionType).parameterNames
+            .map(name => [name, result.parameters[name]])
+            .filter(([, value]) => typeof value === 'number')
+            .map(([name, value]) => `${name}=${Number.isInteger(value) ? value : value.toFixed(3)}`)
+            .join(', ');
+        const rSquared = result.goodnessOfFit.rSquared;
+        lines.push(
+            `  ${result.displayName.padEnd(14)} confidence ${(result.confidenceScore * 100).toFixed(1).padStart(5)}%` +
+            `  R²=${typeof rSquared === 'number' ? rSquared.toFixed(3) : 'n/a'}  ${parameters}`
+        );
+    }
+    for (const error of analysis.errors) {
+        lines.push(`  ${error.analyzer} failed: ${error.error}`);
+    }
+    const cutoff = analysis.results.find(result =>
+        ['powerLawWithCutoff', 'discretePowerLawWithCutoff'].includes(result.distributionType));
+    if (cutoff) {
+        const test = cutoff.goodnessOfFit.nestedTest;
+        const xmin = cutoff.parameters.xmin;
+        if (test.favorsCutoff) {
+            lines.push('', `Cutoff: a power law with a cutoff at ~${Number(cutoff.parameters.cutoff.toPrecision(2))} fits significantly ` +
+                `better than a pure power law above xmin = ${xmin} (p = ${test.pValue.toFixed(3)}).`);
+        } else if (cutoff.parameters.cutoff === null) {
+            lines.push('', `Cutoff: none; the fitted cutoff lies far beyond the largest value, so the tail above xmin = ${xmin} is a pure power law.`);
+        } else {
+            lines.push('', `Cutoff: no significant improvement on a pure power law above xmin = ${xmin} (p = ${test.pValue.toFixed(3)}).`);
+        }
+    }
+    const lomax = analysis.results.find(result => result.distributionType === 'lomax');
+    if (lomax && lomax.parameters.exponentialLimit) {
+        lines.push('', `Lomax: the scale runs off to its bound, so the fit is the exponential limit with rate ` +
+            `${Number(lomax.parameters.rate.toPrecision(3))}; the data is no heavier-tailed than an exponential.`);
+    }
+    const zipf = DistributionUtils.findComparison(analysis.comparisons || [], 'zipf', 'discretePowerLaw');
+    if (zipf) {
+        const bound = zipf.lowerBound;
+        if (bound <= 1) {
+            lines.push('', 'Zipf: the discrete power law runs from xmin = 1, so it is the Zipf distribution.');
+        } else if (zipf.favored === 'zipf') {
+            lines.push('', `Zipf: one power law from 1 fits the values >= ${bound} significantly better than the discrete power law ` +
+                `fitted to them alone (p = ${zipf.pValue.toFixed(3)}).`);
+        } else if (zipf.favored) {
+            lines.push('', `Zipf: the discrete power law fitted to the values >= ${bound} fits them significantly better than the Zipf ` +
+                `distribution (p = ${zipf.pValue.toFixed(3)}), so the power law does not run down to 1.`);
+        } else {
+            lines.push('', `Zipf: on the values >= ${bound}, the likelihood-ratio test cannot tell the Zipf distribution from the ` +
+                `discrete power law (p = ${zipf.pValue.toFixed(3)}).`);
+        }
+    }
+    if (analysis.comparisons && analysis.comparisons.length > 0) {
+        lines.push('', `Likelihood-ratio tests on the ${Math.round(analysis.comparisons[0].sampleSize)} values >= ${analysis.comparisons[0].lowerBound}:`);
+        if (analysis.comparisons[0].discretized) {
+            lines.push('  (continuous distributions give each integer x the probability of [x, x + 1))');
+        }
+        for (const comparison of analysis.comparisons) {
+            if (comparison.error) {
+                lines.push(`  ${comparison.firstName} vs ${comparison.secondName}: not tested (${comparison.error})`);
+                continue;
+            }
+            const favored = comparison.favored === comparison.first ? comparison.firstName : comparison.secondName;
+            lines.push(
+                `  ${comparison.firstName} vs ${comparison.secondName}: R=${comparison.logLikelihoodRatio.toFixed(1)}` +
+                `  p=${comparison.pValue.toFixed(3)}  ${comparison.favored ? `favors ${favored}` : 'inconclusive'}`
+            );
+        }
+    }
+    if (analysis.bootstrap) {
+        const test = analysis.bootstrap;
+        lines.push(
+            '',
+            `Bootstrap test: p = ${test.pValue.toFixed(2)} (${test.worseFits} of ${test.replicates} synthetic datasets fit worse), ` +
+            (test.plausible ? 'so a power law is plausible.' : 'so the power law is ruled out (p <= 0.1).')
+        );
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Runs the "measure" command
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - Output streams {stdout, stderr} with a write method
+ * @returns {number} Process exit code
+ */
+function runMeasure(args, io) {
+    const dir = positionalArguments(args)[0];
+    if (!dir) {
+        io.stderr.write(USAGE + '\n');
+        return 2;
+    }
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        io.stderr.write(`Not a directory: ${dir}\n`);
+        return 2;
+    }
+
+    const bootstrap = parseBootstrapOption(args);
+    const measurement = measureDirectory(dir);
+
+    if (args.includes('--histogram')) {
+        io.stdout.write(measurement.histogram.map(d => `${d.value} ${d.frequency}`).join('\n') + '\n');
+        return 0;
+    }
+
+    const analysis = analyzeHistogram(measurement.histogram, { bootstrap, onProgress: reportBootstrapProgress(io) });
+
+    if (args.includes('--json')) {
+        const results = analysis.results.map(({ theoreticalValues, plotData, ...rest }) => rest);
+        io.stdout.write(JSON.stringify({ ...measurement, analysis: { ...analysis, results } }, null, 2) + '\n');
+        return 0;
+    }
+
+    const longest = [...measurement.functions].sort((a, b) => b.lines - a.lines).slice(0, 5);
+    io.stdout.write([
+        `Measured ${measurement.functions.length.toLocaleString()} functions in ${measurement.files.toLocaleString()} files under ${dir}.`,
+        '',
+        formatAnalysis(analysis),
+        '',
+        'Longest functions:',
+        ...longest.map(fn => `  ${String(fn.lines).padStart(5)}  ${fn.file}:${fn.startLine} ${fn.name}`)
+    ].join('\n') + '\n');
+    return 0;
+}
+
+/**
+ * Reads the numstat history of a local repository
+ * @param {string} repo - Repository directory
+ * @returns {string} Output of git log --numstat
+ * @throws {Error} If git fails (e.g. the directory is not a repository)
+ */
+function readGitLog(repo) {
+    return childProcess.execFileSync('git', ['-C', repo, 'log', '--numstat', '--format=commit %H'], {
+        encoding: 'utf8',
+        maxBuffer: 512 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+}
+
+/**
+ * Runs the "churn" command
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} io - Output streams {stdout, stderr} with a write method
+ * @returns {number} Process exit code
+ */
+function runChurn(args, io) {
+    const metricIndex = args.indexOf('--metric');
+    const metric = metricIndex === -1 ? null : args[metricIndex + 1];
+    if (metricIndex !== -1 && !CHURN_METRICS[metric]) {
+        io.stderr.write(`Unknown churn metric "${metric}". Expected one of: ${Object.keys(CHURN_METRICS).join(', ')}.\n`);
+        return 2;
+    }
+    const repo = positionalArguments(args)[0] || '.';
+    const bootstrap = parseBootstrapOption(args);
+
+    const histograms = buildChurnHistograms(parseGitNumstat(readGitLog(repo)));
+    const metrics = metric ? [metric] : Object.keys(CHURN_METRICS);
+
+    if (args.includes('--histogram')) {
+        if (metrics.length > 1) {
+            io.stderr.write('--histogram needs --metric to choose one churn metric.\n');
+            return 2;
+        }
+        io.stdout.write(histograms[metric].map(d => `${d.value} ${d.frequency}`).join('\n') + '\n');
+        return 0;
+    }
+
+    const analyses = {};
+    for (const name of metrics) {
+        try {
+            analyses[name] = analyzeHistogram(histograms[name], {
+                bootstrap,
+                onProgress: reportBootstrapProgress(io, CHURN_METRICS[name])
+            });
+        } catch (err) {
+            analyses[name] = { error: err.message };
+        }
+    }
+
+    if (args.includes('--json')) {
+        const stripped = {};
+        for (const [name, analysis] of Object.entries(analyses)) {
+            stripped[name] = analysis.results
+                ? { ...analysis, results: analysis.results.map(({ theoreticalValues, plotData, ...rest }) => rest) }
+                : analysis;
+        }
+        io.stdout.write(JSON.stringify({ commits: histograms.commitCount, histograms, analyses: stripped }, null, 2) + '\n');
+        return 0;
+    }
+
+    const sections = [`Read ${histograms.commitCount.toLocaleString()} commits from ${repo}.`];
+    for (const name of metrics) {
+        const analysis = analyses[name];
+        sections.push('', `${CHURN_METRICS[name]}:`, analysis.error ? `  Skipped: ${analysis.error}` : formatAnalysis(analysis));
+    }
+    io.stdout.write(sections.join('\n') + '\n');
+    return 0;
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} [io] - Output streams, defaulting to the process streams
+ * @returns {number} Process exit code
+ */
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const [command, ...args] = argv;
+
+    try {
+        if (command === 'measure') {
+            return runMeasure(args, io);
+        }
+        if (command === 'churn') {
+            return runChurn(args, io);
+        }
+    } catch (err) {
+        io.stderr.write(`Error: ${err.message.trim()}\n`);
+        return 1;
+    }
+
+    io.stderr.write(USAGE + '\n');
+    return command === undefined || command === '--help' ? 0 : 2;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    collectSourceFiles,
+    measureDirectory,
+    analyzeHistogram,
+    formatAnalysis,
+    readGitLog,
+    main
+};
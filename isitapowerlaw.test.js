@@ -0,0 +1,176 @@
+// Tests for the isitapowerlaw command-line interface
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cli = require("./isitapowerlaw.js");
+
+function captureIO() {
+  const io = { out: "", err: "" };
+  io.stdout = { write: (text) => (io.out += text) };
+  io.stderr = { write: (text) => (io.err += text) };
+  return io;
+}
+
+function functionOfLength(name, lines) {
+  const body = Array.from({ length: lines - 2 }, (_, i) => `  step(${i});`);
+  return [`function ${name}() {`, ...body, "}"].join("\n");
+}
+
+describe("isitapowerlaw measure", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "isitapowerlaw-"));
+    const lengths = [3, 3, 3, 3, 4, 4, 5, 6, 8, 11, 15, 24];
+    fs.writeFileSync(
+      path.join(dir, "a.js"),
+      lengths.map((n, i) => functionOfLength(`f${i}`, n)).join("\n\n")
+    );
+    fs.writeFileSync(
+      path.join(dir, "B.java"),
+      "class B {\n  void run() {\n    go();\n  }\n}\n"
+    );
+    fs.mkdirSync(path.join(dir, "node_modules"));
+    fs.writeFileSync(
+      path.join(dir, "node_modules", "dep.js"),
+      functionOfLength("dep", 40)
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should measure every source file outside dependency folders", () => {
+    const measurement = cli.measureDirectory(dir);
+
+    expect(measurement.files).toBe(2);
+    expect(measurement.functions.length).toBe(13);
+    expect(measurement.histogram[0]).toEqual({ value: 3, frequency: 5 });
+    expect(measurement.histogram[measurement.histogram.length - 1]).toEqual({
+      value: 24,
+      frequency: 1,
+    });
+  });
+
+  it("should print the histogram for pasting into the web page", () => {
+    const io = captureIO();
+
+    expect(cli.main(["measure", dir, "--histogram"], io)).toBe(0);
+    expect(io.out.split("\n")[0]).toBe("3 5");
+  });
+
+  it("should analyze the measured distribution", () => {
+    const io = captureIO();
+
+    expect(cli.main(["measure", dir], io)).toBe(0);
+    expect(io.out).toContain("Measured 13 functions in 2 files");
+    expect(io.out).toContain("Power Law");
+    expect(io.out).toContain("Likelihood-ratio tests on the");
+    expect(io.out).toContain("a.js:");
+  });
+
+  it("should run the bootstrap test with progress on stderr", () => {
+    const io = captureIO();
+
+    expect(cli.main(["measure", "--bootstrap", "5", dir], io)).toBe(0);
+    expect(io.out).toContain("Bootstrap test: p = ");
+    expect(io.err).toContain("5/5 replicates\n");
+    expect(cli.main(["measure", dir, "--bootstrap", "many"], io)).toBe(1);
+    expect(io.err).toContain(
+      "--bootstrap needs a positive number of replicates"
+    );
+  });
+
+  it("should report usage errors", () => {
+    const io = captureIO();
+
+    expect(cli.main(["measure"], io)).toBe(2);
+    expect(io.err).toContain("Usage: isitapowerlaw measure <dir>");
+    expect(cli.main(["measure", path.join(dir, "missing")], io)).toBe(2);
+    expect(cli.main(["bogus"], io)).toBe(2);
+  });
+});
+
+describe("isitapowerlaw churn", () => {
+  let repo;
+
+  beforeAll(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), "isitapowerlaw-git-"));
+    const git = (...args) =>
+      require("child_process").execFileSync("git", ["-C", repo, ...args], {
+        env: {
+          ...process.env,
+          GIT_AUTHOR_NAME: "Test",
+          GIT_AUTHOR_EMAIL: "test@example.com",
+          GIT_COMMITTER_NAME: "Test",
+          GIT_COMMITTER_EMAIL: "test@example.com",
+        },
+        stdio: "ignore",
+      });
+    git("init", "-q");
+    [1, 2, 4].forEach((files, i) => {
+      for (let f = 0; f < files; f++) {
+        fs.writeFileSync(path.join(repo, `file${f}.txt`), `commit ${i}\n`);
+      }
+      git("add", "-A");
+      git("commit", "-q", "-m", `commit ${i}`);
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it("should read the history of a local repository", () => {
+    const io = captureIO();
+
+    expect(
+      cli.main(["churn", repo, "--metric", "filesPerCommit", "--histogram"], io)
+    ).toBe(0);
+    expect(io.out).toBe("1 1\n2 1\n4 1\n");
+  });
+
+  it("should report metrics with too little history instead of failing", () => {
+    const io = captureIO();
+
+    expect(cli.main(["churn", repo], io)).toBe(0);
+    expect(io.out).toContain("Read 3 commits");
+    expect(io.out).toContain("Commits per file:\n  Skipped:");
+  });
+
+  it("should reject unknown metrics", () => {
+    const io = captureIO();
+
+    expect(cli.main(["churn", repo, "--metric", "authors"], io)).toBe(2);
+    expect(io.err).toContain('Unknown churn metric "authors"');
+  });
+});
+
+describe("formatAnalysis", () => {
+  let report;
+
+  beforeAll(() => {
+    const { loadSampleDataset } = require("./sampleDatasets.js");
+    report = cli.formatAnalysis(
+      cli.analyzeHistogram(loadSampleDataset("rbenv-commit-sizes"))
+    );
+  });
+
+  it("should print each distribution's fitted parameters, integers as integers", () => {
+    const discretePowerLaw = report
+      .split("\n")
+      .find((line) => line.startsWith("  Discrete Power Law confidence"));
+
+    expect(discretePowerLaw).toMatch(/ alpha=\d+\.\d{3}, xmin=19$/);
+    expect(report).not.toContain("tailObservations");
+    expect(report).not.toContain("scalingConstant");
+  });
+
+  it("should report whether one power law runs down to 1 from the Zipf test", () => {
+    expect(report).toContain(
+      "Zipf: the discrete power law fitted to the values >= 19 fits them significantly better than the Zipf distribution"
+    );
+  });
+});
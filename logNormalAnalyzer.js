@@ -46,6 +46,8 @@ class LogNormalAnalyzer extends DistributionAnalyzer {
         standardDeviation: standardDeviation,
         normalCDF: normalCDF,
         normalInverseCDF: normalInverseCDF,
+        normalLogSurvival: normalLogSurvival,
+        nelderMead: nelderMead,
       };
       this.statisticalTests = {
         linearRegression: linearRegression,
@@ -80,10 +82,15 @@ class LogNormalAnalyzer extends DistributionAnalyzer {
       );
     }
 
-    // Estimate log-normal parameters using method of moments on ln(X)
-    const lnValues = validLnData.map((item) => item.lnValue);
-    const mu = this.mathUtils.mean(lnValues);
-    const sigma = this.mathUtils.standardDeviation(lnValues, true); // Sample standard deviation
+    // Estimate log-normal parameters by frequency-weighted maximum likelihood on ln(X)
+    let { mu, sigma } = this.fitMaximumLikelihood(validLnData);
+    let fitMethod = "MLE";
+
+    // Binned histograms are fitted by maximizing the binned likelihood instead
+    if (DistributionUtils.isBinned(validLnData)) {
+      ({ mu, sigma } = this.fitBinnedParameters(validLnData, { mu, sigma }));
+      fitMethod = "binnedMLE";
+    }
 
     const parameters = { mu, sigma };
 
@@ -107,9 +114,11 @@ class LogNormalAnalyzer extends DistributionAnalyzer {
     return {
       distributionName: this.name,
       parameters,
+      fitMethod,
       goodnessOfFit,
       theoreticalValues,
       normalProbabilityPlot,
+      plotData: normalProbabilityPlot.plotData,
       validDataPoints: validLnData.length,
       originalDataPoints: dataWithCCDF.length,
     };
@@ -127,20 +136,103 @@ class LogNormalAnalyzer extends DistributionAnalyzer {
     }));
   }
 
+  /**
+   * Fits μ and σ by frequency-weighted maximum likelihood
+   * Without xmin the estimates have a closed form: the weighted mean and standard deviation
+   * (divided by the total weight, not n - 1) of ln(x). With xmin only the values at or above it are
+   * used and the truncated likelihood Σ w [ln p(x) - ln(1 - Φ((ln xmin - μ) / σ))] is maximized
+   * numerically, starting from the closed-form fit to those values.
+   * @param {Array} data - Data points with value and frequency (weight); non-positive values are ignored
+   * @param {number} [xmin] - Truncation point for a fit conditioned on X ≥ xmin
+   * @returns {Object} {mu, sigma, sampleSize}, plus xmin for a truncated fit
+   * @throws {Error} If fewer than two distinct values remain
+   */
+  fitMaximumLikelihood(data, xmin) {
+    let sampleSize = 0;
+    let logSum = 0;
+    let squaredLogSum = 0;
+    for (const item of data) {
+      const weight = item.frequency !== undefined ? item.frequency : 1;
+      if (
+        item.value > 0 &&
+        weight > 0 &&
+        (xmin === undefined || item.value >= xmin)
+      ) {
+        const lnValue = Math.log(item.value);
+        sampleSize += weight;
+        logSum += weight * lnValue;
+        squaredLogSum += weight * lnValue * lnValue;
+      }
+    }
+
+    const mu = logSum / sampleSize;
+    const variance = squaredLogSum / sampleSize - mu * mu;
+    if (!(variance > 1e-12 * Math.max(1, mu * mu))) {
+      throw new Error(
+        "Cannot fit a log-normal: need at least two distinct positive values."
+      );
+    }
+    const sigma = Math.sqrt(variance);
+
+    if (xmin === undefined) {
+      return { mu, sigma, sampleSize };
+    }
+
+    // Optimize ln(σ) so the spread stays positive; Σ w (ln x - m)² = n (variance + (mu - m)²)
+    const logXmin = Math.log(xmin);
+    const fit = this.mathUtils.nelderMead(
+      ([m, logSigma]) => {
+        const s = Math.exp(logSigma);
+        return (
+          sampleSize *
+          (logSigma +
+            (variance + (mu - m) * (mu - m)) / (2 * s * s) +
+            this.mathUtils.normalLogSurvival((logXmin - m) / s))
+        );
+      },
+      [mu, Math.log(sigma)]
+    );
+
+    return {
+      mu: fit.point[0],
+      sigma: Math.exp(fit.point[1]),
+      xmin,
+      sampleSize,
+    };
+  }
+
+  /**
+   * Refits the distribution to the observations at or above xmin, conditioned on X ≥ xmin
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {number} xmin - Truncation point
+   * @returns {Object} Truncated maximum-likelihood parameters {mu, sigma, xmin, sampleSize}
+   */
+  fitTruncated(data, xmin) {
+    return this.fitMaximumLikelihood(data, xmin);
+  }
+
   /**
    * Generates normal probability plot data for log-normal distribution
-   * @param {Array} data - Data points with ln transforms
+   * Each distinct value is placed at the Blom plotting position of the middle of its run in the
+   * frequency-weighted empirical CDF, so a value seen 5,000 times spans 5,000 ranks.
+   * @param {Array} data - Data points with ln transforms and frequency (weight)
    * @returns {Object} Normal probability plot data
    */
   generateNormalProbabilityPlot(data) {
     // Sort data by ln(value)
     const sortedData = [...data].sort((a, b) => a.lnValue - b.lnValue);
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
 
     // Calculate empirical quantiles (using plotting positions)
-    const n = sortedData.length;
-    const plotData = sortedData.map((item, i) => {
-      // Use Blom plotting position: (i + 1 - 3/8) / (n + 1/4)
-      const empiricalQuantile = (i + 1 - 3 / 8) / (n + 1 / 4);
+    const n = sortedData.reduce((sum, item) => sum + weightOf(item), 0);
+    let cumulativeWeight = 0;
+    const plotData = sortedData.map((item) => {
+      // Blom plotting position (rank - 3/8) / (n + 1/4) at the mid-rank of the run
+      const weight = weightOf(item);
+      const rank = cumulativeWeight + (weight + 1) / 2;
+      cumulativeWeight += weight;
+      const empiricalQuantile = (rank - 3 / 8) / (n + 1 / 4);
       const theoreticalQuantile =
         this.mathUtils.normalInverseCDF(empiricalQuantile);
 
@@ -149,6 +241,7 @@ class LogNormalAnalyzer extends DistributionAnalyzer {
         theoreticalQuantile,
         empiricalQuantile,
         originalValue: item.value,
+        frequency: weight,
         ccdf: item.ccdf,
       };
     });
@@ -332,32 +425,84 @@ class LogNormalAnalyzer extends DistributionAnalyzer {
   }
 
   /**
-   * Calculates log-likelihood for log-normal distribution
-   * @param {Array} data - Data points
+   * Calculates frequency-weighted log-likelihood for log-normal distribution
+   * @param {Array} data - Data points; frequency is used as a (possibly fractional) weight
    * @param {Object} parameters - Log-normal parameters {mu, sigma}
    * @returns {number} Log-likelihood value
    */
   calculateLogLikelihood(data, parameters) {
+    if (DistributionUtils.isBinned(data)) {
+      return this.calculateBinnedLogLikelihood(data, parameters);
+    }
+
     const { mu, sigma } = parameters;
     let logLikelihood = 0;
 
     for (const item of data) {
       if (item.value > 0) {
-        // Log-normal PDF: (1/(x*σ*√(2π))) * exp(-((ln(x)-μ)²)/(2σ²))
-        const lnX = Math.log(item.value);
-        const z = (lnX - mu) / sigma;
-        const logPdf =
-          -Math.log(item.value) -
-          Math.log(sigma) -
-          0.5 * Math.log(2 * Math.PI) -
-          0.5 * z * z;
-        logLikelihood += logPdf * item.frequency;
+        const logPdf = this.getLogDensity(item.value, { mu, sigma });
+        const weight = item.frequency !== undefined ? item.frequency : 1;
+        logLikelihood += logPdf * weight;
       }
     }
 
     return logLikelihood;
   }
 
+  /**
+   * Gets the log-density of a positive value
+   * Log-normal PDF: (1/(x*σ*√(2π))) * exp(-((ln(x)-μ)²)/(2σ²))
+   * @param {number} x - Positive value
+   * @param {Object} parameters - Log-normal parameters {mu, sigma}
+   * @returns {number} ln p(x)
+   */
+  getLogDensity(x, parameters) {
+    const { mu, sigma } = parameters;
+    const z = (Math.log(x) - mu) / sigma;
+    return (
+      -Math.log(x) - Math.log(sigma) - 0.5 * Math.log(2 * Math.PI) - 0.5 * z * z
+    );
+  }
+
+  /**
+   * Gets the log-density conditioned on X ≥ lowerBound, with the normal tail taken in log space so
+   * that bounds far above the median stay finite
+   * @param {number} x - Value at or above lowerBound
+   * @param {Object} parameters - Log-normal parameters {mu, sigma}
+   * @param {number} lowerBound - Conditioning bound
+   * @returns {number} ln p(x | X ≥ lowerBound)
+   */
+  getConditionalLogDensity(x, parameters, lowerBound) {
+    if (!(lowerBound > 0)) {
+      return this.getLogDensity(x, parameters);
+    }
+    const { mu, sigma } = parameters;
+    return (
+      this.getLogDensity(x, parameters) -
+      this.mathUtils.normalLogSurvival((Math.log(lowerBound) - mu) / sigma)
+    );
+  }
+
+  /**
+   * Fits μ and σ to binned data by maximizing the binned log-likelihood
+   * @param {Array} data - Bins with binLower, binUpper and frequency
+   * @param {Object} start - Starting parameters {mu, sigma}
+   * @returns {Object} Maximum-likelihood parameters {mu, sigma}
+   */
+  fitBinnedParameters(data, start) {
+    // Optimize ln(σ) so the spread stays positive
+    const fit = this.mathUtils.nelderMead(
+      ([mu, logSigma]) =>
+        -this.calculateBinnedLogLikelihood(data, {
+          mu,
+          sigma: Math.exp(logSigma),
+        }),
+      [start.mu, Math.log(start.sigma)]
+    );
+
+    return { mu: fit.point[0], sigma: Math.exp(fit.point[1]) };
+  }
+
   /**
    * Determines confidence level based on R² value
    * @param {number} rSquared - R² value
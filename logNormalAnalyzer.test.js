@@ -172,6 +172,79 @@ describe('LogNormalAnalyzer', () => {
         expect(plotData.semiLog.empirical[0].x).toBeCloseTo(0, 5); // log10(1) = 0
     });
 
+    it('should fit μ and σ by frequency-weighted maximum likelihood', () => {
+        const data = [
+            { value: 1, frequency: 5000 },
+            { value: 10, frequency: 1 },
+            { value: 100, frequency: 1 }
+        ];
+        const expanded = [...Array(5000).fill(0), Math.log(10), Math.log(100)];
+        const mu = expanded.reduce((sum, x) => sum + x, 0) / expanded.length;
+        const variance = expanded.reduce((sum, x) => sum + (x - mu) ** 2, 0) / expanded.length;
+
+        const fit = analyzer.fitMaximumLikelihood(data);
+
+        expect(fit.mu).toBeCloseTo(mu, 10);
+        expect(fit.sigma).toBeCloseTo(Math.sqrt(variance), 10);
+        expect(fit.sampleSize).toBe(5002);
+        expect(fit.xmin).toBeUndefined();
+        expect(() => analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }]))
+            .toThrow('need at least two distinct positive values');
+    });
+
+    it('should report the weighted fit from analyze', () => {
+        const result = analyzer.analyze(logNormalTestData);
+        const fit = analyzer.fitMaximumLikelihood(logNormalTestData);
+
+        expect(result.fitMethod).toBe('MLE');
+        expect(result.parameters.mu).toBe(fit.mu);
+        expect(result.parameters.sigma).toBe(fit.sigma);
+        expect(result.plotData).toBe(result.normalProbabilityPlot.plotData);
+    });
+
+    it('should fit a log-normal truncated at xmin', () => {
+        const values = generateValues(
+            { distribution: 'logNormal', mu: 1, sigma: 0.5 },
+            { size: 20000, seed: 3 }
+        );
+        const data = values.map(value => ({ value, frequency: 1 }));
+        const fit = analyzer.fitMaximumLikelihood(data, 2);
+        const untruncated = analyzer.fitMaximumLikelihood(
+            data.filter(d => d.value >= 2)
+        );
+
+        expect(fit.xmin).toBe(2);
+        expect(fit.sampleSize).toBe(values.filter(x => x >= 2).length);
+        expect(fit.mu).toBeCloseTo(1, 1);
+        expect(fit.sigma).toBeCloseTo(0.5, 1);
+        // Ignoring the truncation overestimates μ and underestimates σ
+        expect(untruncated.mu).toBeGreaterThan(1.1);
+        expect(untruncated.sigma).toBeLessThan(0.4);
+        expect(analyzer.fitTruncated(data, 2)).toEqual(fit);
+    });
+
+    it('should keep conditional log-densities finite far above the median', () => {
+        const parameters = { mu: 0, sigma: 0.5 };
+        const conditional = analyzer.getConditionalLogDensity(100, parameters, 50);
+
+        expect(Number.isFinite(conditional)).toBe(true);
+        expect(conditional).toBeGreaterThan(analyzer.getLogDensity(100, parameters));
+        expect(analyzer.getConditionalLogDensity(2, parameters, 0))
+            .toBe(analyzer.getLogDensity(2, parameters));
+    });
+
+    it('should place repeated values at their mid-rank in the probability plot', () => {
+        const probPlot = analyzer.generateNormalProbabilityPlot([
+            { value: 1, lnValue: 0, frequency: 3 },
+            { value: 2, lnValue: Math.log(2), frequency: 1 }
+        ]);
+
+        // Ranks 1-3 have mid-rank 2; Blom position (2 - 3/8) / (4 + 1/4)
+        expect(probPlot.plotData[0].empiricalQuantile).toBeCloseTo(1.625 / 4.25, 10);
+        expect(probPlot.plotData[1].empiricalQuantile).toBeCloseTo(3.625 / 4.25, 10);
+        expect(probPlot.plotData[0].frequency).toBe(3);
+    });
+
     it('should calculate log-likelihood correctly', () => {
         const parameters = { mu: 1, sigma: 0.5 };
         const testData = [
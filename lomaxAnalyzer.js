@@ -0,0 +1,540 @@
+// Lomax (Pareto Type II) Distribution Analyzer - Power-law tail with a flattened head
+
+// Load dependencies if in Node.js environment
+if (
+  typeof module !== "undefined" &&
+  typeof DistributionAnalyzer === "undefined"
+) {
+  const {
+    DistributionAnalyzer,
+    DistributionUtils,
+  } = require("./distributionAnalyzer.js");
+  const mathUtils = require("./mathUtils.js");
+  const statisticalTests = require("./statisticalTests.js");
+
+  // Make functions available globally
+  global.DistributionAnalyzer = DistributionAnalyzer;
+  global.DistributionUtils = DistributionUtils;
+  global.mathUtils = mathUtils;
+  global.statisticalTests = statisticalTests;
+}
+
+// The scale is bounded at this multiple of the largest value. There (1 + x/σ)^(-α) is within 0.05%
+// (in the log) of its exponential limit e^(-αx/σ) over the data, so a fit that reaches the bound is
+// reported as the exponential limit instead of letting α and σ run off together.
+const LOMAX_MAX_SCALE = 1000;
+
+/**
+ * Lomax Distribution Analyzer Class
+ * Implements the DistributionAnalyzer interface for Lomax (Pareto Type II) distributions
+ *
+ * Lomax distribution: P(X > x) = (1 + x/σ)^(-α) = ((x + σ) / σ)^(-α) with exponent α and scale σ
+ * Far above σ the CCDF falls like x^(-α), a power law; below σ it flattens out. σ → 0 gives a pure
+ * power law and σ → ∞ with α/σ fixed an exponential; light-tailed data drives the fit to that
+ * limit, which is reported as exponentialLimit with the rate α/σ.
+ * Lomax plot: ln(CCDF) vs ln(1 + x/σ) at the fitted scale is a straight line with slope -α.
+ */
+class LomaxAnalyzer extends DistributionAnalyzer {
+  constructor() {
+    super();
+    this.name = "lomax";
+    this.displayName = "Lomax (Pareto II)";
+    this.description = "P(X > x) = (1 + x/σ)^(-α)";
+    this.parameterNames = ["alpha", "scale"];
+    // Conditioned on X ≥ xmin, σ = 0 is the power law above xmin
+    this.nestedModel = "powerLaw";
+
+    // Store references to utility functions
+    if (typeof module !== "undefined") {
+      // Node.js environment - require modules directly
+      this.mathUtils = require("./mathUtils.js");
+      this.statisticalTests = require("./statisticalTests.js");
+    } else {
+      // Browser environment - functions should be available globally
+      this.mathUtils = {
+        nelderMead: nelderMead,
+      };
+      this.statisticalTests = {
+        linearRegression: linearRegression,
+        kolmogorovSmirnovTest: kolmogorovSmirnovTest,
+        calculateAIC: calculateAIC,
+        calculateBIC: calculateBIC,
+      };
+    }
+  }
+
+  /**
+   * Analyzes data for Lomax distribution
+   * @param {Array} dataWithCCDF - Data points with CCDF values
+   * @returns {Object} Analysis results with parameters, goodness of fit, and theoretical values
+   */
+  analyze(dataWithCCDF) {
+    if (!Array.isArray(dataWithCCDF) || dataWithCCDF.length === 0) {
+      throw new Error("Data must be a non-empty array");
+    }
+
+    // Filter out points with non-positive values
+    const validData = dataWithCCDF.filter((item) => item.value > 0);
+
+    if (validData.length < 3) {
+      throw new Error(
+        "Not enough valid data points after filtering. Need at least 3 points with positive values."
+      );
+    }
+
+    // Estimate the exponent and scale by frequency-weighted maximum likelihood
+    let { alpha, scale, exponentialLimit } =
+      this.fitMaximumLikelihood(validData);
+    let fitMethod = "MLE";
+
+    // Binned histograms are fitted by maximizing the binned likelihood instead
+    if (DistributionUtils.isBinned(validData)) {
+      ({ alpha, scale, exponentialLimit } = this.fitBinnedParameters(
+        validData,
+        { alpha, scale }
+      ));
+      fitMethod = "binnedMLE";
+    }
+
+    const parameters = exponentialLimit
+      ? { alpha, scale, rate: alpha / scale, exponentialLimit }
+      : { alpha, scale };
+
+    // Calculate theoretical CCDF values for the Lomax
+    const theoreticalValues = validData.map((item) => ({
+      ...item,
+      theoreticalCCDF: this.getTheoreticalCCDF([item.value], parameters)[0],
+    }));
+
+    // Calculate goodness of fit metrics
+    const goodnessOfFit = this.calculateGoodnessOfFit(
+      validData,
+      theoreticalValues,
+      { parameters }
+    );
+
+    // Generate Lomax plot data
+    const lomaxPlot = this.generateLomaxPlot(validData, scale);
+
+    return {
+      distributionName: this.name,
+      parameters,
+      fitMethod,
+      goodnessOfFit,
+      theoreticalValues,
+      lomaxPlot,
+      plotData: lomaxPlot.plotData,
+      validDataPoints: validData.length,
+      originalDataPoints: dataWithCCDF.length,
+    };
+  }
+
+  /**
+   * Fits α and σ by frequency-weighted maximum likelihood
+   * Conditioned on X ≥ b (b = 0 without xmin), the CCDF is ((x + σ) / (b + σ))^(-α), so for a given σ
+   * the likelihood is maximized by α = n / Σ w ln(1 + (x - b) / (b + σ)). The profile
+   * n ln α - n ln(b + σ) - (α + 1) Σ w ln(1 + (x - b) / (b + σ)) is maximized numerically over ln σ,
+   * starting from σ = mean, with σ bounded at LOMAX_MAX_SCALE times the largest value: the profile
+   * keeps rising towards the exponential limit when the data is no heavier-tailed than an exponential.
+   * @param {Array} data - Data points with value and frequency (weight); non-positive values are ignored
+   * @param {number} [xmin] - Truncation point for a fit conditioned on X ≥ xmin
+   * @returns {Object} {alpha, scale, sampleSize, exponentialLimit}, plus xmin for a truncated fit;
+   *   exponentialLimit is true when σ reached its bound
+   * @throws {Error} If fewer than two distinct values remain
+   */
+  fitMaximumLikelihood(data, xmin) {
+    const observations = data.filter(
+      (item) =>
+        item.value > 0 &&
+        (item.frequency === undefined || item.frequency > 0) &&
+        (xmin === undefined || item.value >= xmin)
+    );
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+
+    if (new Set(observations.map((item) => item.value)).size < 2) {
+      throw new Error(
+        "Cannot fit a Lomax: need at least two distinct positive values."
+      );
+    }
+
+    const lowerBound = xmin !== undefined ? xmin : 0;
+    let sampleSize = 0;
+    let sum = 0;
+    let largest = 0;
+    for (const item of observations) {
+      sampleSize += weightOf(item);
+      sum += weightOf(item) * item.value;
+      largest = Math.max(largest, item.value);
+    }
+    const maxScale = LOMAX_MAX_SCALE * largest;
+
+    // The maximum-likelihood α for a given σ and the weighted log-sum it is computed from
+    const profile = (scale) => {
+      const shift = lowerBound + scale;
+      let logSum = 0;
+      for (const item of observations) {
+        logSum +=
+          weightOf(item) * Math.log1p((item.value - lowerBound) / shift);
+      }
+      return { alpha: sampleSize / logSum, logSum, shift };
+    };
+
+    const negativeProfileLikelihood = ([logScale]) => {
+      const { alpha, logSum, shift } = profile(
+        Math.min(Math.exp(logScale), maxScale)
+      );
+      return -(
+        sampleSize * (Math.log(alpha) - Math.log(shift)) -
+        (alpha + 1) * logSum
+      );
+    };
+
+    const fit = this.mathUtils.nelderMead(negativeProfileLikelihood, [
+      Math.log(sum / sampleSize),
+    ]);
+    const scale = Math.min(Math.exp(fit.point[0]), maxScale);
+
+    const result = {
+      alpha: profile(scale).alpha,
+      scale,
+      sampleSize,
+      exponentialLimit: scale === maxScale,
+    };
+    return xmin !== undefined ? { ...result, xmin } : result;
+  }
+
+  /**
+   * Refits the distribution to the observations at or above xmin, conditioned on X ≥ xmin
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {number} xmin - Truncation point
+   * @returns {Object} Maximum-likelihood parameters {alpha, scale, xmin, sampleSize}
+   */
+  fitTruncated(data, xmin) {
+    return this.fitMaximumLikelihood(data, xmin);
+  }
+
+  /**
+   * Fits α and σ to binned data by maximizing the binned log-likelihood, with σ bounded at
+   * LOMAX_MAX_SCALE times the largest bin edge as in fitMaximumLikelihood
+   * @param {Array} data - Bins with binLower, binUpper and frequency
+   * @param {Object} start - Starting parameters {alpha, scale}
+   * @returns {Object} Maximum-likelihood parameters {alpha, scale, exponentialLimit}
+   */
+  fitBinnedParameters(data, start) {
+    const largest = Math.max(
+      ...data.map((item) =>
+        item.binUpper === Infinity ? item.binLower : item.binUpper
+      )
+    );
+    const maxLogScale = Math.log(LOMAX_MAX_SCALE * largest);
+
+    // Optimize ln(α) and ln(σ) so both stay positive
+    const fit = this.mathUtils.nelderMead(
+      ([logAlpha, logScale]) =>
+        -this.calculateBinnedLogLikelihood(data, {
+          alpha: Math.exp(logAlpha),
+          scale: Math.exp(Math.min(logScale, maxLogScale)),
+        }),
+      [Math.log(start.alpha), Math.min(Math.log(start.scale), maxLogScale)]
+    );
+
+    return {
+      alpha: Math.exp(fit.point[0]),
+      scale: Math.exp(Math.min(fit.point[1], maxLogScale)),
+      exponentialLimit: fit.point[1] >= maxLogScale,
+    };
+  }
+
+  /**
+   * Generates Lomax plot data
+   * ln(CCDF) vs ln(1 + x/σ) is linear with slope -α once the head is stretched by the fitted scale,
+   * just as a power law is linear on a log-log CCDF plot. The CCDF of each distinct value is taken
+   * at Bernard's median-rank plotting position (rank - 0.3) / (n + 0.4) of the middle of its run,
+   * which stays above 0 at the largest value. Light tails push σ so high that every ln(1 + x/σ) is
+   * tiny, so the regression runs on ln(1 + x/σ) relative to its largest value (R² is unaffected) and
+   * its slope is scaled back.
+   * @param {Array} data - Data points with positive value and frequency (weight)
+   * @param {number} scale - Lomax scale σ
+   * @returns {Object} Lomax plot data
+   */
+  generateLomaxPlot(data, scale) {
+    const sortedData = [...data].sort((a, b) => a.value - b.value);
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+
+    const n = sortedData.reduce((sum, item) => sum + weightOf(item), 0);
+    let cumulativeWeight = 0;
+    const plotData = sortedData.map((item) => {
+      const weight = weightOf(item);
+      const rank = cumulativeWeight + (weight + 1) / 2;
+      cumulativeWeight += weight;
+      const empiricalCCDF = 1 - (rank - 0.3) / (n + 0.4);
+
+      return {
+        x: Math.log1p(item.value / scale),
+        y: Math.log(empiricalCCDF),
+        originalValue: item.value,
+        originalCCDF: item.ccdf,
+        frequency: weight,
+      };
+    });
+
+    // Perform linear regression on ln(1 + x/σ) vs ln(CCDF)
+    const largestX = Math.max(...plotData.map((point) => point.x));
+    const scaledRegression = this.statisticalTests.linearRegression(
+      plotData.map((point) => ({ x: point.x / largestX, y: point.y }))
+    );
+    const regression = {
+      ...scaledRegression,
+      slope: scaledRegression.slope / largestX,
+    };
+
+    return {
+      plotData,
+      regression,
+      estimatedAlpha: -regression.slope,
+      rSquared: regression.rSquared,
+    };
+  }
+
+  /**
+   * Validates if data is suitable for Lomax analysis
+   * @param {Array} data - Data to validate
+   * @returns {Object} Validation result with success flag and message
+   */
+  validateData(data) {
+    if (!Array.isArray(data)) {
+      return { valid: false, message: "Data must be an array" };
+    }
+
+    if (data.length < 3) {
+      return {
+        valid: false,
+        message: "Need at least 3 data points for Lomax analysis",
+      };
+    }
+
+    const positiveValues = data.filter((item) => item.value > 0);
+    if (positiveValues.length < 3) {
+      return {
+        valid: false,
+        message:
+          "Need at least 3 data points with positive values for Lomax analysis",
+      };
+    }
+
+    if (positiveValues.length < data.length) {
+      return {
+        valid: true,
+        message: `Warning: ${
+          data.length - positiveValues.length
+        } data points with non-positive values will be excluded from Lomax analysis.`,
+        warning: true,
+      };
+    }
+
+    return { valid: true, message: "Data is suitable for Lomax analysis" };
+  }
+
+  /**
+   * Gets theoretical CCDF values for given x values and parameters
+   * @param {Array<number>} xValues - X values to calculate CCDF for
+   * @param {Object} parameters - Lomax parameters {alpha, scale}
+   * @returns {Array<number>} Theoretical CCDF values
+   */
+  getTheoreticalCCDF(xValues, parameters) {
+    const { alpha, scale } = parameters;
+    return xValues.map((x) => {
+      if (x <= 0) return 1; // CCDF = 1 for x <= 0
+      return Math.exp(-alpha * Math.log1p(x / scale));
+    });
+  }
+
+  /**
+   * Gets plot data for Lomax visualization
+   * @param {Array} data - Data points
+   * @param {Object} parameters - Lomax parameters
+   * @returns {Object} Plot data for different visualization types
+   */
+  getPlotData(data, parameters) {
+    const validData = data.filter((d) => d.value > 0 && d.ccdf > 0);
+    return {
+      linear: {
+        empirical: data.map((d) => ({ x: d.value, y: d.ccdf })),
+        theoretical: data.map((d) => ({
+          x: d.value,
+          y: this.getTheoreticalCCDF([d.value], parameters)[0],
+        })),
+      },
+      loglog: {
+        empirical: validData.map((d) => ({
+          x: Math.log10(d.value),
+          y: Math.log10(d.ccdf),
+        })),
+        theoretical: validData.map((d) => ({
+          x: Math.log10(d.value),
+          y:
+            (-parameters.alpha * Math.log1p(d.value / parameters.scale)) /
+            Math.LN10,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Gets the distribution-specific plot for Lomax (Lomax plot at the fitted scale)
+   * @param {Array} data - Data points
+   * @returns {Object} Lomax plot data
+   */
+  getDistributionSpecificPlot(data) {
+    const validData = data.filter((d) => d.value > 0);
+    const { scale } = this.fitMaximumLikelihood(validData);
+    const lomaxPlot = this.generateLomaxPlot(validData, scale);
+
+    return {
+      type: "lomax",
+      title: "Lomax Plot",
+      xLabel: "ln(1 + x/σ)",
+      yLabel: "ln(CCDF)",
+      data: lomaxPlot.plotData,
+      regression: lomaxPlot.regression,
+      scale,
+      description:
+        "Lomax distributions appear as straight lines in plots of ln(1 + x/σ) vs ln(CCDF) at the fitted scale, with slope -α",
+    };
+  }
+
+  /**
+   * Calculates goodness of fit metrics for Lomax distribution
+   * @param {Array} empiricalData - Empirical data points
+   * @param {Array} theoreticalData - Theoretical data points
+   * @param {Object} additionalInfo - Additional information including parameters
+   * @returns {Object} Goodness of fit metrics
+   */
+  calculateGoodnessOfFit(empiricalData, theoreticalData, additionalInfo = {}) {
+    // Calculate Kolmogorov-Smirnov test
+    const empiricalCCDF = empiricalData.map((d) => d.ccdf);
+    const theoreticalCCDF = theoreticalData.map((d) => d.theoreticalCCDF);
+    const ksTest = this.statisticalTests.kolmogorovSmirnovTest(
+      empiricalCCDF,
+      theoreticalCCDF
+    );
+
+    // Calculate Lomax plot R² at the fitted scale
+    const lomaxPlot = this.generateLomaxPlot(
+      empiricalData,
+      additionalInfo.parameters.scale
+    );
+    const lomaxR2 = lomaxPlot.rSquared;
+
+    // Calculate log-likelihood for AIC/BIC
+    const logLikelihood = this.calculateLogLikelihood(
+      empiricalData,
+      additionalInfo.parameters
+    );
+    const numParameters = 2; // Lomax has 2 parameters: α and σ
+    const sampleSize = empiricalData.length;
+
+    const aic = this.statisticalTests.calculateAIC(
+      logLikelihood,
+      numParameters
+    );
+    const bic = this.statisticalTests.calculateBIC(
+      logLikelihood,
+      numParameters,
+      sampleSize
+    );
+
+    // Use Lomax plot R² as primary goodness-of-fit measure
+    const confidenceLevel = this.getConfidenceLevel(lomaxR2);
+    const isLomax = lomaxR2 > 0.9;
+
+    return {
+      rSquared: lomaxR2,
+      lomaxR2,
+      adjustedRSquared:
+        1 -
+        ((1 - lomaxR2) * (sampleSize - 1)) / (sampleSize - numParameters - 1),
+      kolmogorovSmirnov: ksTest,
+      logLikelihood,
+      aic,
+      bic,
+      confidenceLevel,
+      isLomax,
+      confidenceScore: lomaxR2,
+    };
+  }
+
+  /**
+   * Calculates frequency-weighted log-likelihood for Lomax distribution
+   * @param {Array} data - Data points; frequency is used as a (possibly fractional) weight
+   * @param {Object} parameters - Lomax parameters {alpha, scale}
+   * @returns {number} Log-likelihood value
+   */
+  calculateLogLikelihood(data, parameters) {
+    if (DistributionUtils.isBinned(data)) {
+      return this.calculateBinnedLogLikelihood(data, parameters);
+    }
+
+    let logLikelihood = 0;
+
+    for (const item of data) {
+      if (item.value > 0) {
+        const logPdf = this.getLogDensity(item.value, parameters);
+        const weight = item.frequency !== undefined ? item.frequency : 1;
+        logLikelihood += logPdf * weight;
+      }
+    }
+
+    return logLikelihood;
+  }
+
+  /**
+   * Gets the log-density of a positive value
+   * Lomax PDF: (α/σ) (1 + x/σ)^(-α-1)
+   * @param {number} x - Positive value
+   * @param {Object} parameters - Lomax parameters {alpha, scale}
+   * @returns {number} ln p(x)
+   */
+  getLogDensity(x, parameters) {
+    const { alpha, scale } = parameters;
+    return Math.log(alpha / scale) - (alpha + 1) * Math.log1p(x / scale);
+  }
+
+  /**
+   * Gets the log-density conditioned on X ≥ lowerBound; ln P(X ≥ b) = -α ln(1 + b/σ) is exact, so
+   * bounds far in the tail stay finite
+   * @param {number} x - Value at or above lowerBound
+   * @param {Object} parameters - Lomax parameters {alpha, scale}
+   * @param {number} lowerBound - Conditioning bound
+   * @returns {number} ln p(x | X ≥ lowerBound)
+   */
+  getConditionalLogDensity(x, parameters, lowerBound) {
+    if (!(lowerBound > 0)) {
+      return this.getLogDensity(x, parameters);
+    }
+    return (
+      this.getLogDensity(x, parameters) +
+      parameters.alpha * Math.log1p(lowerBound / parameters.scale)
+    );
+  }
+
+  /**
+   * Determines confidence level based on R² value
+   * @param {number} rSquared - R² value
+   * @returns {string} Confidence level description
+   */
+  getConfidenceLevel(rSquared) {
+    if (rSquared > 0.98) return "Very High";
+    if (rSquared > 0.95) return "High";
+    if (rSquared > 0.9) return "Moderate";
+    if (rSquared > 0.8) return "Low";
+    return "Very Low";
+  }
+}
+
+// Export for testing (if in Node.js environment)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LomaxAnalyzer;
+}
@@ -0,0 +1,189 @@
+// Tests for LomaxAnalyzer
+
+describe("LomaxAnalyzer", () => {
+  let LomaxAnalyzer;
+  let DistributionAnalyzer;
+  let buildHistogram;
+  let calculateCCDF;
+  let generateSample;
+  let generateValues;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      const { DistributionAnalyzer: DA } = require("./distributionAnalyzer.js");
+      DistributionAnalyzer = DA;
+      LomaxAnalyzer = require("./lomaxAnalyzer.js");
+      ({ buildHistogram, calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateSample, generateValues } = require("./dataGenerator.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      DistributionAnalyzer = window.DistributionAnalyzer;
+      LomaxAnalyzer = window.LomaxAnalyzer;
+      buildHistogram = window.buildHistogram;
+      calculateCCDF = window.calculateCCDF;
+      generateSample = window.generateSample;
+      generateValues = window.generateValues;
+    }
+  });
+
+  const heavyLomax = { distribution: "lomax", alpha: 1.5, scale: 3 };
+
+  describe("constructor", () => {
+    it("should create a LomaxAnalyzer with correct properties", () => {
+      const analyzer = new LomaxAnalyzer();
+
+      expect(analyzer.name).toBe("lomax");
+      expect(analyzer.displayName).toBe("Lomax (Pareto II)");
+      expect(analyzer.description).toBe("P(X > x) = (1 + x/σ)^(-α)");
+      expect(analyzer.parameterNames).toEqual(["alpha", "scale"]);
+      expect(analyzer.nestedModel).toBe("powerLaw");
+      expect(analyzer instanceof DistributionAnalyzer).toBe(true);
+    });
+  });
+
+  describe("getTheoreticalCCDF", () => {
+    it("should flatten below the scale and fall like a power law above it", () => {
+      const analyzer = new LomaxAnalyzer();
+      const [atZero, atScale, farOut] = analyzer.getTheoreticalCCDF(
+        [0, 2, 2e6],
+        { alpha: 1.5, scale: 2 }
+      );
+
+      expect(atZero).toBe(1);
+      expect(atScale).toBeCloseTo(Math.pow(2, -1.5), 12);
+      expect(farOut / Math.pow(1e6, -1.5)).toBeCloseTo(1, 5);
+    });
+  });
+
+  describe("fitMaximumLikelihood", () => {
+    let analyzer;
+
+    beforeEach(() => {
+      analyzer = new LomaxAnalyzer();
+    });
+
+    it("should recover the exponent and the scale", () => {
+      const fit = analyzer.fitMaximumLikelihood(
+        buildHistogram(generateValues(heavyLomax, { size: 20000, seed: 7 }))
+      );
+
+      expect(fit.sampleSize).toBe(20000);
+      expect(fit.alpha).toBeCloseTo(1.5, 1);
+      expect(fit.scale / 3).toBeCloseTo(1, 1);
+    });
+
+    it("should refit above a higher bound and condition on it", () => {
+      const data = buildHistogram(
+        generateValues(heavyLomax, { size: 20000, seed: 7 })
+      );
+      const fit = analyzer.fitTruncated(data, 30);
+
+      expect(fit.xmin).toBe(30);
+      expect(fit.sampleSize).toBe(
+        data
+          .filter((d) => d.value >= 30)
+          .reduce((sum, d) => sum + d.frequency, 0)
+      );
+      expect(fit.alpha).toBeCloseTo(1.5, 0);
+      expect(analyzer.getConditionalLogDensity(50, fit, 30)).toBeCloseTo(
+        analyzer.getLogDensity(50, fit) -
+          Math.log(analyzer.getTailProbability(30, fit)),
+        8
+      );
+    });
+
+    it("should approach a pure power law above xmin as the scale vanishes", () => {
+      // Pure power-law tail above 1: the conditional CCDF ((x + σ) / (1 + σ))^(-α) needs σ → 0
+      const data = generateSample(
+        { distribution: "powerLaw", alpha: 2.5, xmin: 1 },
+        { size: 2000, seed: 3 }
+      );
+      const fit = analyzer.fitTruncated(data, 2);
+
+      expect(fit.scale).toBeLessThan(0.5);
+      expect(fit.alpha).toBeCloseTo(1.5, 0);
+    });
+
+    it("should reject data with a single distinct value", () => {
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+      ).toThrow("need at least two distinct positive values");
+    });
+  });
+
+  describe("analyze", () => {
+    it("should fit a Lomax sample and report its theoretical CCDF", () => {
+      const analyzer = new LomaxAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(generateValues(heavyLomax, { size: 20000, seed: 7 }))
+      );
+
+      const result = analyzer.analyze(data);
+
+      expect(result.distributionName).toBe("lomax");
+      expect(result.fitMethod).toBe("MLE");
+      expect(result.parameters.alpha).toBeCloseTo(1.5, 1);
+      expect(result.goodnessOfFit.rSquared).toBeGreaterThan(0.99);
+      expect(result.lomaxPlot.estimatedAlpha).toBeCloseTo(1.5, 1);
+      expect(result.theoreticalValues).toHaveLength(data.length);
+      result.theoreticalValues.forEach((d) => {
+        expect(d.theoreticalCCDF).toBeCloseTo(
+          Math.pow(
+            1 + d.value / result.parameters.scale,
+            -result.parameters.alpha
+          ),
+          12
+        );
+      });
+    });
+
+    it("should report the exponential limit on light-tailed data, where the scale runs off", () => {
+      const data = calculateCCDF(
+        generateSample(
+          { distribution: "exponential", lambda: 0.2, xmin: 1 },
+          { size: 2000, seed: 5 }
+        )
+      );
+      const largest = Math.max(...data.map((d) => d.value));
+      const mean =
+        data.reduce((sum, d) => sum + d.value * d.frequency, 0) /
+        data.reduce((sum, d) => sum + d.frequency, 0);
+
+      const result = new LomaxAnalyzer().analyze(data);
+
+      expect(result.parameters.exponentialLimit).toBe(true);
+      expect(result.parameters.scale).toBeCloseTo(1000 * largest, 6);
+      // The exponential limit from 0 has the rate 1 / mean
+      expect(result.parameters.rate).toBeCloseTo(1 / mean, 3);
+      expect(result.goodnessOfFit.rSquared).toBeGreaterThan(0.9);
+    });
+
+    it("should throw error for empty data", () => {
+      expect(() => new LomaxAnalyzer().analyze([])).toThrow(
+        "Data must be a non-empty array"
+      );
+    });
+  });
+
+  describe("getDistributionSpecificPlot", () => {
+    it("should generate a Lomax plot at the fitted scale", () => {
+      const analyzer = new LomaxAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(
+          generateValues(
+            { distribution: "lomax", alpha: 2, scale: 5 },
+            { size: 500, seed: 9 }
+          )
+        )
+      );
+
+      const plotData = analyzer.getDistributionSpecificPlot(data);
+
+      expect(plotData.type).toBe("lomax");
+      expect(plotData.yLabel).toBe("ln(CCDF)");
+      expect(plotData.data).toHaveLength(data.length);
+      expect(plotData.regression.slope).toBeLessThan(0);
+    });
+  });
+});
@@ -85,6 +85,29 @@ function erf(x) {
     return sign * y;
 }
 
+// Above this z, normalLogSurvival switches from the erf approximation to the Mills-ratio continued fraction
+const NORMAL_TAIL_THRESHOLD = 3;
+
+/**
+ * Calculates ln(1 - Φ(z)), the log of the standard normal survival function
+ * 1 - normalCDF(z) underflows to 0 beyond z ≈ 8, which breaks likelihoods conditioned on a far tail
+ * (e.g. a log-normal truncated at xmin). In the tail the Mills ratio (1 - Φ(z)) / φ(z) is evaluated
+ * by its continued fraction 1 / (z + 1 / (z + 2 / (z + 3 / (z + ...)))).
+ * @param {number} z - Z-score
+ * @returns {number} ln P(Z > z)
+ */
+function normalLogSurvival(z) {
+    if (z < NORMAL_TAIL_THRESHOLD) {
+        return Math.log(normalCDF(-z));
+    }
+
+    let denominator = z;
+    for (let k = 40; k >= 1; k--) {
+        denominator = z + k / denominator;
+    }
+    return -z * z / 2 - 0.5 * Math.log(2 * Math.PI) - Math.log(denominator);
+}
+
 /**
  * Calculates the inverse normal CDF (quantile function)
  * @param {number} p - Probability (0 < p < 1)
@@ -150,6 +173,345 @@ function standardDeviation(values, sample = true) {
     return Math.sqrt(variance);
 }
 
+/**
+ * Minimizes a function of several variables with the Nelder-Mead simplex method
+ * Used for maximum-likelihood fits that have no closed form (minimize the negative log-likelihood).
+ * @param {Function} objective - Function taking an array of numbers and returning a number
+ * @param {Array<number>} start - Starting point
+ * @param {Object} [options] - Optimizer options
+ * @param {number} [options.step=0.1] - Initial simplex step in each coordinate
+ * @param {number} [options.maxIterations=1000] - Iteration limit
+ * @param {number} [options.tolerance=1e-10] - Stop when the simplex values differ by less than this
+ * @returns {{point: Array<number>, value: number, iterations: number, converged: boolean}} Best point found
+ */
+function nelderMead(objective, start, options = {}) {
+    if (!Array.isArray(start) || start.length === 0) {
+        throw new Error('Start must be a non-empty array');
+    }
+
+    const step = options.step || 0.1;
+    const maxIterations = options.maxIterations || 1000;
+    const tolerance = options.tolerance || 1e-10;
+    const dimension = start.length;
+
+    // Non-finite objective values are treated as +Infinity so the simplex moves away from them
+    const evaluate = point => {
+        const value = objective(point);
+        return isFinite(value) ? value : Infinity;
+    };
+
+    let simplex = [start.slice()];
+    for (let i = 0; i < dimension; i++) {
+        const vertex = start.slice();
+        vertex[i] += vertex[i] !== 0 ? step * Math.abs(vertex[i]) : step;
+        simplex.push(vertex);
+    }
+    let values = simplex.map(evaluate);
+
+    const combine = (a, b, t) => a.map((x, i) => x + t * (b[i] - x));
+
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations) {
+        iterations++;
+
+        const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+        simplex = order.map(i => simplex[i]);
+        values = order.map(i => values[i]);
+
+        // Require both the values and the vertices to agree; symmetric vertices can share a value far from the minimum
+        const valueSpread = Math.abs(values[dimension] - values[0]);
+        const pointSpread = Math.max(...simplex.slice(1).map(vertex =>
+            Math.max(...vertex.map((x, j) => Math.abs(x - simplex[0][j]) / (1 + Math.abs(simplex[0][j]))))
+        ));
+        if (valueSpread <= tolerance * (Math.abs(values[0]) + tolerance) && pointSpread <= Math.sqrt(tolerance)) {
+            converged = true;
+            break;
+        }
+
+        const centroid = new Array(dimension).fill(0);
+        for (let i = 0; i < dimension; i++) {
+            for (let j = 0; j < dimension; j++) {
+                centroid[j] += simplex[i][j] / dimension;
+            }
+        }
+
+        const worst = simplex[dimension];
+        const reflected = combine(centroid, worst, -1);
+        const reflectedValue = evaluate(reflected);
+
+        if (reflectedValue < values[0]) {
+            const expanded = combine(centroid, worst, -2);
+            const expandedValue = evaluate(expanded);
+            if (expandedValue < reflectedValue) {
+                simplex[dimension] = expanded;
+                values[dimension] = expandedValue;
+            } else {
+                simplex[dimension] = reflected;
+                values[dimension] = reflectedValue;
+            }
+        } else if (reflectedValue < values[dimension - 1]) {
+            simplex[dimension] = reflected;
+            values[dimension] = reflectedValue;
+        } else {
+            const contracted = reflectedValue < values[dimension]
+                ? combine(centroid, reflected, 0.5)
+                : combine(centroid, worst, 0.5);
+            const contractedValue = evaluate(contracted);
+
+            if (contractedValue < Math.min(reflectedValue, values[dimension])) {
+                simplex[dimension] = contracted;
+                values[dimension] = contractedValue;
+            } else {
+                // Shrink every vertex towards the best one
+                for (let i = 1; i <= dimension; i++) {
+                    simplex[i] = combine(simplex[0], simplex[i], 0.5);
+                    values[i] = evaluate(simplex[i]);
+                }
+            }
+        }
+    }
+
+    const best = values.indexOf(Math.min(...values));
+    return {
+        point: simplex[best],
+        value: values[best],
+        iterations,
+        converged
+    };
+}
+
+// Bernoulli numbers B(2j) / (2j)! for j = 1..7, the Euler-Maclaurin correction coefficients
+const EULER_MACLAURIN_COEFFICIENTS = [
+    1 / 12, -1 / 720, 1 / 30240, -1 / 1209600, 1 / 47900160, -691 / 1307674368000, 1 / 74724249600
+];
+
+/**
+ * Calculates the Hurwitz zeta function ζ(s, q) = Σ_{k=0}^∞ (k + q)^(-s)
+ * Normalizes the discrete power law: P(X = x) = x^(-α) / ζ(α, xmin).
+ * Sums the first terms directly until k + q ≥ 15, then adds the Euler-Maclaurin tail,
+ * which is accurate to about 1e-13 relative error for s up to 10.
+ * @param {number} s - Exponent (s > 1)
+ * @param {number} q - Offset (q > 0)
+ * @returns {number} ζ(s, q)
+ * @throws {Error} If s ≤ 1 (the series diverges) or q ≤ 0
+ */
+function hurwitzZeta(s, q) {
+    if (!(s > 1) || !(q > 0)) {
+        throw new Error('Hurwitz zeta requires s > 1 and q > 0');
+    }
+
+    let sum = 0;
+    let k = 0;
+    for (; q + k < 15; k++) {
+        sum += Math.pow(q + k, -s);
+    }
+
+    const a = q + k;
+    sum += Math.pow(a, 1 - s) / (s - 1) + Math.pow(a, -s) / 2;
+
+    // Term j carries s (s + 1) ... (s + 2j - 2) a^(-s - 2j + 1)
+    let factor = s * Math.pow(a, -s - 1);
+    for (let j = 0; j < EULER_MACLAURIN_COEFFICIENTS.length; j++) {
+        sum += EULER_MACLAURIN_COEFFICIENTS[j] * factor;
+        factor *= (s + 2 * j + 1) * (s + 2 * j + 2) / (a * a);
+    }
+
+    return sum;
+}
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS_G = 7;
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+];
+
+// Convergence settings of the incomplete gamma series and continued fraction
+const INCOMPLETE_GAMMA_EPSILON = 1e-15;
+const INCOMPLETE_GAMMA_MAX_ITERATIONS = 1000;
+const INCOMPLETE_GAMMA_TINY = 1e-300;
+
+/**
+ * Calculates ln Γ(x) with the Lanczos approximation (about 15 significant digits)
+ * Values below 1/2 are shifted up with Γ(x) = Γ(x + 1) / x.
+ * @param {number} x - Argument (x > 0)
+ * @returns {number} ln Γ(x)
+ * @throws {Error} If x ≤ 0
+ */
+function logGamma(x) {
+    if (!(x > 0)) {
+        throw new Error('Log-gamma requires x > 0');
+    }
+    if (x < 0.5) {
+        return logGamma(x + 1) - Math.log(x);
+    }
+
+    const z = x - 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+        sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+    }
+    const t = z + LANCZOS_G + 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Calculates the regularized lower incomplete gamma function P(a, x) = γ(a, x) / Γ(a)
+ * by its power series, which converges quickly for x < a + 1
+ * @param {number} a - Shape (a > 0)
+ * @param {number} x - Argument (x ≥ 0)
+ * @returns {number} P(a, x)
+ */
+function lowerGammaSeries(a, x) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= INCOMPLETE_GAMMA_MAX_ITERATIONS; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * INCOMPLETE_GAMMA_EPSILON) {
+            break;
+        }
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+}
+
+/**
+ * Calculates ln Q(a, x), the log of the regularized upper incomplete gamma function, by its
+ * continued fraction (modified Lentz's method), which converges quickly for x ≥ a + 1
+ * @param {number} a - Shape (a > 0)
+ * @param {number} x - Argument (x ≥ a + 1)
+ * @returns {number} ln Q(a, x)
+ */
+function logUpperGammaContinuedFraction(a, x) {
+    let b = x + 1 - a;
+    let c = 1 / INCOMPLETE_GAMMA_TINY;
+    let d = 1 / b;
+    let fraction = d;
+    for (let n = 1; n <= INCOMPLETE_GAMMA_MAX_ITERATIONS; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < INCOMPLETE_GAMMA_TINY) {
+            d = INCOMPLETE_GAMMA_TINY;
+        }
+        c = b + an / c;
+        if (Math.abs(c) < INCOMPLETE_GAMMA_TINY) {
+            c = INCOMPLETE_GAMMA_TINY;
+        }
+        d = 1 / d;
+        const delta = d * c;
+        fraction *= delta;
+        if (Math.abs(delta - 1) < INCOMPLETE_GAMMA_EPSILON) {
+            break;
+        }
+    }
+    return -x + a * Math.log(x) - logGamma(a) + Math.log(fraction);
+}
+
+/**
+ * Calculates the regularized lower incomplete gamma function P(a, x) = γ(a, x) / Γ(a)
+ * P(a, x) is the CDF of a gamma distribution with shape a and unit rate.
+ * @param {number} a - Shape (a > 0)
+ * @param {number} x - Argument
+ * @returns {number} P(a, x); 0 for x ≤ 0
+ * @throws {Error} If a ≤ 0
+ */
+function lowerRegularizedGamma(a, x) {
+    if (!(a > 0)) {
+        throw new Error('Incomplete gamma requires a > 0');
+    }
+    if (!(x > 0)) {
+        return 0;
+    }
+    if (x < a + 1) {
+        return lowerGammaSeries(a, x);
+    }
+    return -Math.expm1(logUpperGammaContinuedFraction(a, x));
+}
+
+/**
+ * Calculates the regularized upper incomplete gamma function Q(a, x) = Γ(a, x) / Γ(a) = 1 - P(a, x)
+ * Q(a, x) is the survival function of a gamma distribution with shape a and unit rate.
+ * @param {number} a - Shape (a > 0)
+ * @param {number} x - Argument
+ * @returns {number} Q(a, x); 1 for x ≤ 0
+ * @throws {Error} If a ≤ 0
+ */
+function upperRegularizedGamma(a, x) {
+    return Math.exp(logUpperRegularizedGamma(a, x));
+}
+
+/**
+ * Calculates ln Q(a, x), the log of the regularized upper incomplete gamma function
+ * Q(a, x) underflows to 0 far in the tail, which breaks likelihoods conditioned on that tail (e.g. a
+ * gamma truncated at xmin); there the continued fraction gives the logarithm directly.
+ * @param {number} a - Shape (a > 0)
+ * @param {number} x - Argument
+ * @returns {number} ln Q(a, x); 0 for x ≤ 0
+ * @throws {Error} If a ≤ 0
+ */
+function logUpperRegularizedGamma(a, x) {
+    if (!(a > 0)) {
+        throw new Error('Incomplete gamma requires a > 0');
+    }
+    if (!(x > 0)) {
+        return 0;
+    }
+    if (x < a + 1) {
+        return Math.log1p(-lowerGammaSeries(a, x));
+    }
+    return logUpperGammaContinuedFraction(a, x);
+}
+
+/**
+ * Calculates the inverse of P(a, x) in x, the quantile function of a gamma distribution with shape a
+ * and unit rate
+ * Newton's method from the Wilson-Hilferty approximation (or the small-x limit P ≈ x^a / Γ(a + 1)),
+ * falling back on bisection of the bracket when a step leaves it.
+ * @param {number} a - Shape (a > 0)
+ * @param {number} p - Probability (0 < p < 1)
+ * @returns {number} x with P(a, x) = p
+ * @throws {Error} If a ≤ 0 or p is outside (0, 1)
+ */
+function inverseLowerRegularizedGamma(a, p) {
+    if (!(a > 0)) {
+        throw new Error('Incomplete gamma requires a > 0');
+    }
+    if (!(p > 0 && p < 1)) {
+        throw new Error('Probability must be between 0 and 1');
+    }
+
+    const cube = 1 - 1 / (9 * a) + normalInverseCDF(p) / (3 * Math.sqrt(a));
+    let x = a >= 1 && cube > 0
+        ? a * cube * cube * cube
+        : Math.exp((Math.log(p) + logGamma(a + 1)) / a);
+
+    let lower = 0;
+    let upper = Infinity;
+    for (let i = 0; i < 100; i++) {
+        const error = lowerRegularizedGamma(a, x) - p;
+        if (error < 0) {
+            lower = x;
+        } else {
+            upper = x;
+        }
+
+        const density = Math.exp((a - 1) * Math.log(x) - x - logGamma(a));
+        let next = x - error / density;
+        if (!(next > lower && next < upper)) {
+            next = upper === Infinity ? 2 * x : (lower + upper) / 2;
+        }
+        if (Math.abs(next - x) <= 1e-12 * x) {
+            return next;
+        }
+        x = next;
+    }
+    return x;
+}
+
 // Export functions for testing (if in Node.js environment)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -159,8 +521,16 @@ if (typeof module !== 'undefined' && module.exports) {
         filterValidLogData,
         normalCDF,
         normalInverseCDF,
+        normalLogSurvival,
         erf,
         mean,
-        standardDeviation
+        standardDeviation,
+        nelderMead,
+        hurwitzZeta,
+        logGamma,
+        lowerRegularizedGamma,
+        upperRegularizedGamma,
+        logUpperRegularizedGamma,
+        inverseLowerRegularizedGamma
     };
 }
@@ -98,6 +98,21 @@ describe("normalCDF", () => {
   });
 });
 
+describe("normalLogSurvival", () => {
+  it("should match ln(1 - Φ(z)) on both sides of the tail switch", () => {
+    expect(normalLogSurvival(0)).toBeCloseTo(Math.log(0.5), 6);
+    expect(normalLogSurvival(1.96)).toBeCloseTo(Math.log(0.025), 2);
+    expect(normalLogSurvival(3)).toBeCloseTo(Math.log(1.349898e-3), 4);
+  });
+
+  it("should stay finite far in the tail", () => {
+    // 1 - Φ(10) = 7.619853e-24
+    expect(normalLogSurvival(10)).toBeCloseTo(Math.log(7.619853e-24), 4);
+    expect(normalLogSurvival(40)).toBeLessThan(-800);
+    expect(Number.isFinite(normalLogSurvival(40))).toBe(true);
+  });
+});
+
 describe("normalInverseCDF", () => {
   it("should calculate inverse normal CDF correctly", () => {
     expect(normalInverseCDF(0.5)).toBeCloseTo(0, 2);
@@ -164,6 +179,105 @@ describe("standardDeviation", () => {
   });
 });
 
+describe("nelderMead", () => {
+  it("should find the minimum of a smooth function", () => {
+    const rosenbrock = ([x, y]) => (1 - x) ** 2 + 100 * (y - x * x) ** 2;
+    const result = nelderMead(rosenbrock, [-1, 2], { maxIterations: 5000 });
+
+    expect(result.converged).toBe(true);
+    expect(result.point[0]).toBeCloseTo(1, 2);
+    expect(result.point[1]).toBeCloseTo(1, 2);
+  });
+
+  it("should steer away from non-finite values", () => {
+    const result = nelderMead(([x]) => (x > 0 ? (x - 2) ** 2 : NaN), [1]);
+    expect(result.point[0]).toBeCloseTo(2, 3);
+  });
+
+  it("should reject an empty starting point", () => {
+    expect(() => nelderMead(() => 0, [])).toThrow(
+      "Start must be a non-empty array"
+    );
+  });
+});
+
+describe("hurwitzZeta", () => {
+  it("should match known values of the Riemann zeta function", () => {
+    expect(hurwitzZeta(2, 1)).toBeCloseTo(Math.PI ** 2 / 6, 12);
+    expect(hurwitzZeta(4, 1)).toBeCloseTo(Math.PI ** 4 / 90, 12);
+    // ζ(3, 1/2) = 7 ζ(3)
+    expect(hurwitzZeta(3, 0.5)).toBeCloseTo(7 * 1.2020569031595942, 12);
+  });
+
+  it("should equal the tail of the series for larger offsets", () => {
+    // ζ(s, q) - ζ(s, q + 1) = q^(-s)
+    expect(hurwitzZeta(2.5, 7) - hurwitzZeta(2.5, 8)).toBeCloseTo(
+      Math.pow(7, -2.5),
+      14
+    );
+    expect(hurwitzZeta(1.5, 1000) / (2 / Math.sqrt(1000))).toBeCloseTo(1, 3);
+  });
+
+  it("should reject divergent arguments", () => {
+    expect(() => hurwitzZeta(1, 1)).toThrow("requires s > 1 and q > 0");
+    expect(() => hurwitzZeta(2, 0)).toThrow("requires s > 1 and q > 0");
+  });
+});
+
+describe("logGamma", () => {
+  it("should match factorials and Γ(1/2) = √π", () => {
+    expect(logGamma(1)).toBeCloseTo(0, 12);
+    expect(logGamma(10)).toBeCloseTo(Math.log(362880), 12);
+    expect(logGamma(0.5)).toBeCloseTo(0.5 * Math.log(Math.PI), 12);
+    // Γ(x + 1) = x Γ(x) below the Lanczos range
+    expect(logGamma(0.1)).toBeCloseTo(logGamma(1.1) - Math.log(0.1), 12);
+  });
+
+  it("should reject non-positive arguments", () => {
+    expect(() => logGamma(0)).toThrow("requires x > 0");
+  });
+});
+
+describe("incomplete gamma functions", () => {
+  it("should reduce to the exponential for a = 1", () => {
+    expect(lowerRegularizedGamma(1, 0.5)).toBeCloseTo(1 - Math.exp(-0.5), 14);
+    expect(upperRegularizedGamma(1, 5)).toBeCloseTo(Math.exp(-5), 14);
+  });
+
+  it("should match closed forms on both sides of x = a + 1", () => {
+    // Q(3, x) = e^(-x) (1 + x + x² / 2)
+    const q3 = (x) => Math.exp(-x) * (1 + x + (x * x) / 2);
+    expect(upperRegularizedGamma(3, 2.5)).toBeCloseTo(q3(2.5), 14);
+    expect(upperRegularizedGamma(3, 4.5)).toBeCloseTo(q3(4.5), 14);
+    // P(1/2, x) = erf(√x)
+    expect(lowerRegularizedGamma(0.5, 2)).toBeCloseTo(0.9544997361036416, 12);
+    expect(lowerRegularizedGamma(2, 0)).toBe(0);
+    expect(upperRegularizedGamma(2, 0)).toBe(1);
+  });
+
+  it("should keep ln Q finite far in the tail", () => {
+    // ln Q(2, x) = -x + ln(1 + x)
+    expect(upperRegularizedGamma(2, 1000)).toBe(0);
+    expect(logUpperRegularizedGamma(2, 1000)).toBeCloseTo(
+      -1000 + Math.log(1001),
+      9
+    );
+  });
+
+  it("should invert P(a, x) in x", () => {
+    [0.05, 0.5, 2.5, 40].forEach((a) => {
+      [1e-6, 0.3, 0.9, 0.999999].forEach((p) => {
+        const x = inverseLowerRegularizedGamma(a, p);
+        expect(lowerRegularizedGamma(a, x) / p).toBeCloseTo(1, 9);
+      });
+    });
+    expect(inverseLowerRegularizedGamma(1, 0.5)).toBeCloseTo(Math.log(2), 12);
+    expect(() => inverseLowerRegularizedGamma(2, 1)).toThrow(
+      "Probability must be between 0 and 1"
+    );
+  });
+});
+
 // Tests for statisticalTests.js functions
 describe("linearRegression", () => {
   const perfectLineData = [
@@ -249,6 +363,99 @@ describe("kolmogorovSmirnovTest", () => {
   });
 });
 
+describe("kolmogorovSmirnovSignificance", () => {
+  it("should assess a precomputed statistic like kolmogorovSmirnovTest", () => {
+    const empiricalCDF = [0.1, 0.3, 0.6, 0.8, 1.0];
+    const theoreticalCDF = [0.15, 0.35, 0.55, 0.75, 0.95];
+
+    const result = kolmogorovSmirnovTest(empiricalCDF, theoreticalCDF);
+
+    expect(kolmogorovSmirnovSignificance(result.statistic, 5)).toEqual(result);
+    expect(kolmogorovSmirnovSignificance(0.1, 10000).significant).toBe(true);
+  });
+});
+
+describe("vuongTest", () => {
+  // Pointwise differences 1, 1, 1, 2: R = 5, σ² = 0.1875
+  const better = [0, 0, 0, 0];
+  const worse = [-1, -1, -1, -2];
+
+  it("should normalize the log-likelihood ratio by its standard deviation", () => {
+    const result = vuongTest(better, worse);
+    const normalizedRatio = 5 / Math.sqrt(4 * 0.1875);
+
+    expect(result.logLikelihoodRatio).toBeCloseTo(5, 10);
+    expect(result.normalizedRatio).toBeCloseTo(normalizedRatio, 10);
+    expect(result.pValue).toBeCloseTo(2 * normalCDF(-normalizedRatio), 10);
+    expect(result.sampleSize).toBe(4);
+
+    const reversed = vuongTest(worse, better);
+    expect(reversed.normalizedRatio).toBeCloseTo(-normalizedRatio, 10);
+    expect(reversed.pValue).toBeCloseTo(result.pValue, 10);
+  });
+
+  it("should weight observations by frequency", () => {
+    const weighted = vuongTest([0, 0], [-1, -2], [3, 1]);
+    const expanded = vuongTest(better, worse);
+
+    expect(weighted.logLikelihoodRatio).toBeCloseTo(
+      expanded.logLikelihoodRatio,
+      10
+    );
+    expect(weighted.normalizedRatio).toBeCloseTo(expanded.normalizedRatio, 10);
+  });
+
+  it("should not favor either of two identical models", () => {
+    const result = vuongTest(worse, worse);
+    const corrected = vuongTest(worse, worse, undefined, 1);
+
+    expect(result.normalizedRatio).toBe(0);
+    expect(result.pValue).toBe(1);
+    expect(corrected.normalizedRatio).toBe(0);
+    expect(corrected.pValue).toBe(1);
+  });
+
+  it("should charge the first model for its extra parameters", () => {
+    const result = vuongTest(better, worse, undefined, 2);
+
+    // R - (kA - kB) = 3, normalized by the same standard deviation
+    expect(result.logLikelihoodRatio).toBeCloseTo(5, 10);
+    expect(result.normalizedRatio).toBeCloseTo(3 / Math.sqrt(4 * 0.1875), 10);
+  });
+
+  it("should throw error for mismatched or empty arrays", () => {
+    expect(() => vuongTest([0, 1], [0])).toThrow(
+      "Log-likelihood arrays must have the same length"
+    );
+    expect(() => vuongTest([], [])).toThrow(
+      "Log-likelihood arrays cannot be empty"
+    );
+  });
+});
+
+describe("nestedLikelihoodRatioTest", () => {
+  it("should refer twice the log-likelihood ratio to chi-squared with one degree of freedom", () => {
+    // 3.841 is the 95th percentile of χ²₁
+    const result = nestedLikelihoodRatioTest(-100, -100 - 3.841 / 2);
+
+    expect(result.logLikelihoodRatio).toBeCloseTo(1.9205, 10);
+    expect(result.statistic).toBeCloseTo(3.841, 10);
+    expect(result.pValue).toBeCloseTo(0.05, 3);
+  });
+
+  it("should not favor the full model when it fits no better", () => {
+    expect(nestedLikelihoodRatioTest(-100, -100).pValue).toBe(1);
+    // Optimizer noise can leave the full model marginally below the nested one
+    expect(nestedLikelihoodRatioTest(-100.000001, -100).statistic).toBe(0);
+  });
+
+  it("should throw error for non-finite log-likelihoods", () => {
+    expect(() => nestedLikelihoodRatioTest(-Infinity, -100)).toThrow(
+      "Both log-likelihoods must be finite"
+    );
+  });
+});
+
 describe("calculateAIC", () => {
   it("should calculate AIC correctly", () => {
     const aic = calculateAIC(-100, 3); // logLikelihood = -100, parameters = 3
@@ -331,6 +538,205 @@ describe("PowerLawAnalyzer", () => {
     expect(analyzer.getConfidenceLevel(0.7)).toBe("Very Low");
   });
 
+  it("should weight the log-likelihood by (fractional) frequencies", () => {
+    const data = [
+      { value: 1, frequency: 0.5 },
+      { value: 2, frequency: 1.5 },
+      { value: 4, frequency: 2 },
+    ];
+    const doubled = data.map((d) => ({ ...d, frequency: d.frequency * 2 }));
+    const parameters = { exponent: 1.5 };
+
+    const logLikelihood = analyzer.calculateLogLikelihood(data, parameters);
+    // ln p(x) = ln(1.5) - 2.5 ln(x) for xmin = 1
+    const expected =
+      4 * Math.log(1.5) - 2.5 * (1.5 * Math.log(2) + 2 * Math.log(4));
+
+    expect(logLikelihood).toBeCloseTo(expected, 10);
+    expect(analyzer.calculateLogLikelihood(doubled, parameters)).toBeCloseTo(
+      2 * expected,
+      10
+    );
+  });
+
+  it("should estimate the exponent by maximum likelihood with its standard error", () => {
+    // Quantiles of a power law with p(x) ∝ x^(-2.5) above xmin = 1
+    const n = 2000;
+    const data = Array.from({ length: n }, (_, i) => ({
+      value: Math.pow(1 - (i + 0.5) / n, -1 / 1.5),
+      frequency: 1,
+    }));
+    const result = analyzer.analyze(calculateCCDF(data));
+    const xmin = data[0].value;
+    const logSum = data.reduce((sum, d) => sum + Math.log(d.value / xmin), 0);
+
+    expect(result.fitMethod).toBe("MLE");
+    expect(result.parameters.alpha).toBeCloseTo(1 + n / logSum, 10);
+    expect(result.parameters.alpha).toBeCloseTo(2.5, 1);
+    expect(result.parameters.alphaStandardError).toBeCloseTo(
+      (result.parameters.alpha - 1) / Math.sqrt(n),
+      10
+    );
+    expect(result.parameters.exponent).toBeCloseTo(
+      result.parameters.alpha - 1,
+      10
+    );
+    expect(result.parameters.xmin).toBe(xmin);
+  });
+
+  it("should weight the maximum-likelihood fit by frequencies", () => {
+    const weighted = analyzer.fitMaximumLikelihood([
+      { value: 1, frequency: 3 },
+      { value: 2, frequency: 1 },
+      { value: 4, frequency: 2 },
+    ]);
+    const expanded = analyzer.fitMaximumLikelihood(
+      [1, 1, 1, 2, 4, 4].map((value) => ({ value }))
+    );
+
+    expect(weighted.alpha).toBeCloseTo(expanded.alpha, 10);
+    expect(weighted.alpha).toBeCloseTo(1 + 6 / (5 * Math.log(2)), 10);
+    expect(() =>
+      analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+    ).toThrow("every observation equals the smallest value");
+  });
+
+  it("should estimate xmin and fit only the tail above it", () => {
+    // 1,000 uniform values below 10, then quantiles of p(x) ∝ x^(-2.5) above xmin = 10
+    const head = Array.from({ length: 1000 }, (_, i) => ({
+      value: 1 + (9 * (i + 0.5)) / 1000,
+      frequency: 1,
+    }));
+    const tail = Array.from({ length: 2000 }, (_, i) => ({
+      value: 10 * Math.pow(1 - (i + 0.5) / 2000, -1 / 1.5),
+      frequency: 1,
+    }));
+    const result = analyzer.analyze(calculateCCDF([...head, ...tail]));
+    const { parameters } = result;
+
+    expect(parameters.xmin).toBeCloseTo(10, 1);
+    expect(parameters.alpha).toBeCloseTo(2.5, 2);
+    expect(Math.abs(parameters.tailObservations - 2000)).toBeLessThanOrEqual(1);
+    expect(parameters.tailFraction).toBeCloseTo(2 / 3, 2);
+    expect(result.goodnessOfFit.kolmogorovSmirnov.significant).toBe(false);
+    expect(result.goodnessOfFit.kolmogorovSmirnov.criticalValue).toBeCloseTo(
+      1.36 / Math.sqrt(parameters.tailObservations),
+      10
+    );
+    // The fitted tail is scaled to overlay the CCDF of all the data
+    result.theoreticalValues.forEach((d) => {
+      expect(d.value).toBeGreaterThanOrEqual(parameters.xmin);
+    });
+    expect(result.theoreticalValues[0].theoreticalCCDF).toBeCloseTo(
+      result.theoreticalValues[0].ccdf,
+      2
+    );
+  });
+
+  it("should measure the KS distance over both sides of each step", () => {
+    const tail = [
+      { value: 1, frequency: 1 },
+      { value: 2, frequency: 1 },
+    ];
+    const fit = analyzer.fitMaximumLikelihood(tail);
+    // F(x) = 1 - x^(-(α - 1)); the empirical CDF jumps from 0.5 to 1 at x = 2
+    const cdfAtTwo = 1 - Math.pow(2, -fit.exponent);
+
+    expect(analyzer.calculateKSDistance(tail, fit)).toBeCloseTo(
+      Math.max(0.5, Math.abs(cdfAtTwo - 0.5)),
+      10
+    );
+  });
+
+  it("should test the power-law hypothesis with a bootstrap p-value", () => {
+    const sample = (spec) =>
+      calculateCCDF(generateSample(spec, { size: 500, seed: 3 }));
+    const powerLaw = sample({ distribution: "powerLaw", alpha: 2.5, xmin: 1 });
+    const exponential = sample({
+      distribution: "exponential",
+      lambda: 1,
+      xmin: 1,
+    });
+    const progress = [];
+
+    const plausible = analyzer.bootstrapGoodnessOfFit(powerLaw, {
+      replicates: 20,
+      onProgress: (completed, replicates) =>
+        progress.push([completed, replicates]),
+    });
+    const ruledOut = analyzer.bootstrapGoodnessOfFit(exponential, {
+      replicates: 20,
+    });
+
+    expect(plausible.replicates).toBe(20);
+    expect(plausible.pValue).toBe(plausible.worseFits / 20);
+    expect(plausible.plausible).toBe(true);
+    expect(ruledOut.pValue).toBeLessThanOrEqual(0.1);
+    expect(ruledOut.plausible).toBe(false);
+    expect(progress.length).toBe(20);
+    expect(progress[19]).toEqual([20, 20]);
+    expect(
+      analyzer.bootstrapGoodnessOfFit(exponential, { replicates: 20 })
+    ).toEqual(ruledOut);
+  });
+
+  it("should rule the power law out when the bootstrap test does", () => {
+    const result = analyzer.analyze(powerLawTestData);
+    const ruledOut = analyzer.withBootstrapTest(result.goodnessOfFit, {
+      pValue: 0,
+      plausible: false,
+    });
+    const plausible = analyzer.withBootstrapTest(result.goodnessOfFit, {
+      pValue: 0.5,
+      plausible: true,
+    });
+
+    expect(analyzer.isGoodFit(result)).toBe(true);
+    expect(ruledOut.isPowerLaw).toBe(false);
+    expect(ruledOut.rSquared).toBe(result.goodnessOfFit.rSquared);
+    expect(analyzer.isGoodFit({ goodnessOfFit: ruledOut })).toBe(false);
+    expect(plausible.isPowerLaw).toBe(result.goodnessOfFit.isPowerLaw);
+    expect(analyzer.isGoodFit({ goodnessOfFit: plausible })).toBe(true);
+  });
+
+  it("should reject binned data and invalid replicate counts in the bootstrap test", () => {
+    const bins = [1, 2, 4, 8, 16].map((lower) => ({
+      value: lower,
+      frequency: 10,
+      binLower: lower,
+      binUpper: lower * 2,
+    }));
+
+    expect(() => analyzer.bootstrapGoodnessOfFit(bins)).toThrow(
+      "needs individual values, not binned data"
+    );
+    expect(() =>
+      analyzer.bootstrapGoodnessOfFit(powerLawTestData, { replicates: 0 })
+    ).toThrow("must be a positive integer");
+  });
+
+  it("should fit binned data by maximum likelihood", () => {
+    // Doubling bins of a power law with CCDF x^(-1.5), 10,000 observations
+    const edges = [1, 2, 4, 8, 16, 32, 64];
+    const bins = edges.map((lower, i) => {
+      const upperCCDF =
+        i < edges.length - 1 ? Math.pow(edges[i + 1], -1.5) : 0;
+      return {
+        value: lower,
+        frequency: 10000 * (Math.pow(lower, -1.5) - upperCCDF),
+        binLower: lower,
+        binUpper: i < edges.length - 1 ? edges[i + 1] : Infinity,
+        ccdf: Math.pow(lower, -1.5),
+      };
+    });
+
+    const result = analyzer.analyze(bins);
+
+    expect(result.fitMethod).toBe("binnedMLE");
+    expect(result.parameters.exponent).toBeCloseTo(1.5, 3);
+    expect(result.parameters.scalingConstant).toBeCloseTo(1, 5);
+  });
+
   it("should generate plot data correctly", () => {
     const parameters = { exponent: 2, scalingConstant: 1 };
     const plotData = analyzer.getPlotData(powerLawTestData, parameters);
@@ -0,0 +1,286 @@
+// PMD Report Importer - Turns PMD metric rule violations into a value/frequency histogram
+
+// Load dependencies if in Node.js environment
+if (typeof module !== 'undefined' && typeof buildHistogram === 'undefined') {
+    const dataProcessor = require('./dataProcessor.js');
+
+    global.buildHistogram = dataProcessor.buildHistogram;
+    global.splitDelimitedLine = dataProcessor.splitDelimitedLine;
+}
+
+/**
+ * Parses a PMD report and builds the histogram of one metric rule
+ * Metric rules such as NcssCount, CyclomaticComplexity or CognitiveComplexity report their
+ * value in the violation message ("... has a NCSS line count of 12."), so each violation
+ * is one observation. Run the rule with a report level of 1 to get every method.
+ * @param {string} reportText - Report produced with PMD's text, xml, json or csv renderer
+ * @param {Object} [options] - Import options
+ * @param {string} [options.format='auto'] - 'text', 'xml', 'json', 'csv', or 'auto' to detect from the report
+ * @param {string} [options.rule] - Rule to import; may be omitted when the report holds a single metric rule
+ * @param {boolean} [options.allowNonPositive=false] - Accept zero and negative metric values
+ * @returns {Object} Import result with rule, rules (every rule with a numeric metric),
+ *   observations ({value, rule, file, line, message}) and data (the value/frequency histogram)
+ * @throws {Error} If the report cannot be read or the rule is missing or ambiguous
+ */
+function parsePmdReport(reportText, options = {}) {
+    if (typeof reportText !== 'string' || reportText.trim() === '') {
+        throw new Error('PMD report is empty.');
+    }
+
+    const format = options.format && options.format !== 'auto'
+        ? options.format
+        : detectPmdReportFormat(reportText);
+
+    let violations;
+    if (format === 'xml') {
+        violations = parsePmdXmlViolations(reportText);
+    } else if (format === 'json') {
+        violations = parsePmdJsonViolations(reportText);
+    } else if (format === 'csv') {
+        violations = parsePmdCsvViolations(reportText);
+    } else if (format === 'text') {
+        violations = parsePmdTextViolations(reportText);
+    } else {
+        throw new Error(`Unknown PMD report format "${format}". Expected "text", "xml", "json" or "csv".`);
+    }
+
+    const observations = violations
+        .map(violation => ({ ...violation, value: extractMetricValue(violation.message) }))
+        .filter(observation => observation.value !== null);
+
+    const rules = [...new Set(observations.map(observation => observation.rule))];
+    const rule = selectRule(rules, options.rule);
+    const selected = observations.filter(observation => observation.rule === rule);
+
+    if (!options.allowNonPositive) {
+        const invalid = selected.find(observation => observation.value <= 0);
+        if (invalid) {
+            throw new Error(`${invalid.file}:${invalid.line} reports a value of ${invalid.value}. Values must be positive.`);
+        }
+    }
+
+    const data = buildHistogram(selected.map(observation => observation.value));
+    if (data.length < 5) {
+        throw new Error(`The report has only ${data.length} distinct ${rule} values. Please provide at least 5 data points for meaningful analysis.`);
+    }
+
+    return { rule, rules, observations: selected, data };
+}
+
+/**
+ * Detects which PMD renderer produced a report
+ * @param {string} reportText - Report contents
+ * @returns {string} 'xml', 'json', 'csv' or 'text'
+ */
+function detectPmdReportFormat(reportText) {
+    const start = reportText.trimStart();
+    if (start.startsWith('<')) {
+        return 'xml';
+    }
+    if (start.startsWith('{')) {
+        return 'json';
+    }
+    if (/^"?Problem"?,/.test(start)) {
+        return 'csv';
+    }
+    return 'text';
+}
+
+/**
+ * Picks the rule to import
+ * @param {Array<string>} rules - Rules with numeric metrics in the report
+ * @param {string} [requested] - Rule chosen by the user (case-insensitive)
+ * @returns {string} Rule name as it appears in the report
+ * @throws {Error} If the requested rule is absent or several rules are present and none was chosen
+ */
+function selectRule(rules, requested) {
+    if (rules.length === 0) {
+        throw new Error('The report contains no violations with a numeric metric value.');
+    }
+
+    if (requested) {
+        const match = rules.find(rule => rule.toLowerCase() === String(requested).toLowerCase());
+        if (!match) {
+            throw new Error(`The report has no "${requested}" violations. Found: ${rules.join(', ')}.`);
+        }
+        return match;
+    }
+
+    if (rules.length > 1) {
+        throw new Error(`The report contains several metric rules (${rules.join(', ')}). Please choose one.`);
+    }
+    return rules[0];
+}
+
+/**
+ * Extracts the metric value from a PMD violation message
+ * Names in quotes (which may contain digits) and threshold clauses are ignored, so
+ * "The method 'run2()' has a cognitive complexity of 17, current threshold is 15" gives 17.
+ * PMD groups the thousands of large values ("an NPath complexity of 1,234"); the commas are dropped.
+ * @param {string} message - Violation message
+ * @returns {number|null} Metric value, or null if the message has none
+ */
+function extractMetricValue(message) {
+    const text = String(message)
+        .replace(/'[^']*'/g, '')
+        .replace(/"[^"]*"/g, '')
+        .replace(/\(?\s*,?\s*(current\s+)?threshold(\s+is)?\s*:?\s*-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?\)?/gi, '');
+
+    const labelled = text.match(/\b(?:of|is|=)\s*(-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)/i);
+    const match = labelled || text.match(/(-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)/);
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+/**
+ * Reads violations from PMD's xml renderer
+ * @param {string} reportText - XML report
+ * @returns {Array<{rule: string, file: string, line: number, message: string}>} Violations
+ */
+function parsePmdXmlViolations(reportText) {
+    const violations = [];
+    const filePattern = /<file\s+name="([^"]*)"\s*>([\s\S]*?)<\/file>/g;
+    const violationPattern = /<violation\b([^>]*)>([\s\S]*?)<\/violation>/g;
+
+    let fileMatch;
+    while ((fileMatch = filePattern.exec(reportText)) !== null) {
+        const file = decodeXmlEntities(fileMatch[1]);
+        let violationMatch;
+        while ((violationMatch = violationPattern.exec(fileMatch[2])) !== null) {
+            const attributes = violationMatch[1];
+            violations.push({
+                rule: readXmlAttribute(attributes, 'rule'),
+                file,
+                line: parseInt(readXmlAttribute(attributes, 'beginline'), 10),
+                message: decodeXmlEntities(violationMatch[2].trim())
+            });
+        }
+    }
+
+    if (violations.length === 0 && !/<pmd\b/.test(reportText)) {
+        throw new Error('The XML is not a PMD report.');
+    }
+    return violations;
+}
+
+/**
+ * Reads one attribute from an XML start tag's attribute list
+ * @param {string} attributes - Text between the tag name and '>'
+ * @param {string} name - Attribute name
+ * @returns {string} Decoded attribute value, or '' if absent
+ */
+function readXmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? decodeXmlEntities(match[1]) : '';
+}
+
+/**
+ * Decodes the predefined XML entities and numeric character references
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads violations from PMD's json renderer
+ * @param {string} reportText - JSON report
+ * @returns {Array<{rule: string, file: string, line: number, message: string}>} Violations
+ */
+function parsePmdJsonViolations(reportText) {
+    let report;
+    try {
+        report = JSON.parse(reportText);
+    } catch (err) {
+        throw new Error(`The JSON report could not be parsed: ${err.message}`);
+    }
+
+    if (!report || !Array.isArray(report.files)) {
+        throw new Error('The JSON is not a PMD report (no "files" array).');
+    }
+
+    const violations = [];
+    for (const file of report.files) {
+        for (const violation of file.violations || []) {
+            violations.push({
+                rule: violation.rule,
+                file: file.filename,
+                line: violation.beginline,
+                message: violation.description
+            });
+        }
+    }
+    return violations;
+}
+
+/**
+ * Reads violations from PMD's csv renderer
+ * Columns are located by header name: "File", "Line", "Description" and "Rule".
+ * @param {string} reportText - CSV report
+ * @returns {Array<{rule: string, file: string, line: number, message: string}>} Violations
+ */
+function parsePmdCsvViolations(reportText) {
+    const lines = reportText.trim().split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = splitDelimitedLine(lines[0], ',').map(cell => cell.toLowerCase());
+    const column = name => header.indexOf(name.toLowerCase());
+    const fileIndex = column('File');
+    const lineIndex = column('Line');
+    const descriptionIndex = column('Description');
+    const ruleIndex = column('Rule');
+
+    if (descriptionIndex === -1 || ruleIndex === -1) {
+        throw new Error('The CSV report needs "Description" and "Rule" columns.');
+    }
+
+    return lines.slice(1).map(line => {
+        const cells = splitDelimitedLine(line, ',');
+        return {
+            rule: cells[ruleIndex],
+            file: fileIndex === -1 ? '' : cells[fileIndex],
+            line: lineIndex === -1 ? NaN : parseInt(cells[lineIndex], 10),
+            message: cells[descriptionIndex]
+        };
+    });
+}
+
+/**
+ * Reads violations from PMD's text renderer
+ * PMD 7 writes "file:line:<tab>Rule:<tab>message"; PMD 6 omits the rule, in which case
+ * the violations are grouped under the rule name "unknown".
+ * @param {string} reportText - Text report
+ * @returns {Array<{rule: string, file: string, line: number, message: string}>} Violations
+ */
+function parsePmdTextViolations(reportText) {
+    const violations = [];
+    const lines = reportText.split(/\r?\n/);
+
+    for (const line of lines) {
+        const match = line.match(/^(.*?):(\d+):\s+(?:([A-Za-z][\w-]*):\s+)?(.*)$/);
+        if (!match) {
+            continue;
+        }
+        violations.push({
+            rule: match[3] || 'unknown',
+            file: match[1],
+            line: parseInt(match[2], 10),
+            message: match[4]
+        });
+    }
+    return violations;
+}
+
+// Export functions for testing (if in Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parsePmdReport,
+        detectPmdReportFormat,
+        extractMetricValue
+    };
+}
@@ -0,0 +1,178 @@
+// Tests for pmdImporter.js functions
+
+const NCSS_VALUES = [3, 3, 7, 12, 12, 12, 25, 40];
+
+describe("parsePmdReport", () => {
+  it("should read the text renderer output", () => {
+    const report = NCSS_VALUES.map(
+      (value, i) =>
+        `src/Foo.java:${10 * i + 1}:\tNcssCount:\tThe method 'm${i}()' has a NCSS line count of ${value}.`
+    ).join("\n");
+    const result = parsePmdReport(report);
+
+    expect(result.rule).toBe("NcssCount");
+    expect(result.observations.length).toBe(8);
+    expect(result.observations[1]).toMatchObject({
+      file: "src/Foo.java",
+      line: 11,
+      value: 3,
+    });
+    expect(result.data).toEqual([
+      { value: 3, frequency: 2 },
+      { value: 7, frequency: 1 },
+      { value: 12, frequency: 3 },
+      { value: 25, frequency: 1 },
+      { value: 40, frequency: 1 },
+    ]);
+  });
+
+  it("should read the xml renderer output and decode entities", () => {
+    const violations = NCSS_VALUES.map(
+      (value, i) => `<violation beginline="${i + 1}" endline="${i + 2}" rule="CyclomaticComplexity" ruleset="Design" priority="3">
+The method &apos;m${i}()&apos; has a cyclomatic complexity of ${value}.
+</violation>`
+    ).join("\n");
+    const report = `<?xml version="1.0" encoding="UTF-8"?>
+<pmd xmlns="http://pmd.sourceforge.net/report/2.0.0" version="7.7.0">
+<file name="src/A&amp;B.java">
+${violations}
+</file>
+</pmd>`;
+    const result = parsePmdReport(report);
+
+    expect(result.rule).toBe("CyclomaticComplexity");
+    expect(result.observations[0].file).toBe("src/A&B.java");
+    expect(result.observations[0].message).toBe(
+      "The method 'm0()' has a cyclomatic complexity of 3."
+    );
+    expect(result.data.length).toBe(5);
+  });
+
+  it("should read the json renderer output", () => {
+    const report = JSON.stringify({
+      formatVersion: 0,
+      files: [
+        {
+          filename: "src/Foo.java",
+          violations: NCSS_VALUES.map((value, i) => ({
+            beginline: i + 1,
+            rule: "CognitiveComplexity",
+            description: `The method 'm${i}()' has a cognitive complexity of ${value}, current threshold is 1`,
+          })),
+        },
+      ],
+    });
+    const result = parsePmdReport(report);
+
+    expect(result.rule).toBe("CognitiveComplexity");
+    expect(result.data.map((d) => d.value)).toEqual([3, 7, 12, 25, 40]);
+  });
+
+  it("should read the csv renderer output", () => {
+    const rows = NCSS_VALUES.map(
+      (value, i) =>
+        `"${i + 1}","com.example","src/Foo.java","3","${i + 1}","The method 'm${i}()' has a NCSS line count of ${value}.","Design","NcssCount"`
+    );
+    const report = [
+      '"Problem","Package","File","Priority","Line","Description","Rule set","Rule"',
+      ...rows,
+    ].join("\n");
+    const result = parsePmdReport(report);
+
+    expect(result.rule).toBe("NcssCount");
+    expect(result.observations[7]).toMatchObject({ line: 8, value: 40 });
+  });
+
+  it("should require a rule choice when several metric rules are present", () => {
+    const report = NCSS_VALUES.flatMap((value, i) => [
+      `Foo.java:${i + 1}:\tNcssCount:\tThe method 'm()' has a NCSS line count of ${value}.`,
+      `Foo.java:${i + 1}:\tCyclomaticComplexity:\tThe method 'm()' has a cyclomatic complexity of ${i + 1}.`,
+    ]).join("\n");
+
+    expect(() => parsePmdReport(report)).toThrow(
+      "several metric rules (NcssCount, CyclomaticComplexity)"
+    );
+    const result = parsePmdReport(report, { rule: "cyclomaticcomplexity" });
+    expect(result.rule).toBe("CyclomaticComplexity");
+    expect(result.rules).toEqual(["NcssCount", "CyclomaticComplexity"]);
+    expect(() => parsePmdReport(report, { rule: "NPathComplexity" })).toThrow(
+      'no "NPathComplexity" violations'
+    );
+  });
+
+  it("should ignore violations without a metric value", () => {
+    const report = [
+      ...NCSS_VALUES.map(
+        (value) =>
+          `Foo.java:1:\tNcssCount:\tThe method 'm()' has a NCSS line count of ${value}.`
+      ),
+      "Foo.java:2:\tUnusedPrivateField:\tAvoid unused private fields such as 'x'.",
+    ].join("\n");
+
+    expect(parsePmdReport(report).rules).toEqual(["NcssCount"]);
+  });
+
+  it("should reject zero values unless allowed", () => {
+    const report = [0, ...NCSS_VALUES]
+      .map(
+        (value) =>
+          `Foo.java:4:\tCognitiveComplexity:\tThe method 'm()' has a cognitive complexity of ${value}, current threshold is 0`
+      )
+      .join("\n");
+
+    expect(() => parsePmdReport(report)).toThrow(
+      "Foo.java:4 reports a value of 0"
+    );
+    expect(parsePmdReport(report, { allowNonPositive: true }).data[0]).toEqual({
+      value: 0,
+      frequency: 1,
+    });
+  });
+
+  it("should reject reports with too few distinct values", () => {
+    const report =
+      "Foo.java:1:\tNcssCount:\tThe method 'm()' has a NCSS line count of 4.";
+    expect(() => parsePmdReport(report)).toThrow("at least 5 data points");
+  });
+});
+
+describe("detectPmdReportFormat", () => {
+  it("should recognize each renderer", () => {
+    expect(detectPmdReportFormat('<?xml version="1.0"?><pmd/>')).toBe("xml");
+    expect(detectPmdReportFormat('{"files": []}')).toBe("json");
+    expect(detectPmdReportFormat('"Problem","Package","File"')).toBe("csv");
+    expect(detectPmdReportFormat("Foo.java:1:\tNcssCount:\tmsg")).toBe("text");
+  });
+});
+
+describe("extractMetricValue", () => {
+  it("should take the metric rather than digits in names or thresholds", () => {
+    expect(
+      extractMetricValue("The method 'run2()' has a NCSS line count of 12.")
+    ).toBe(12);
+    expect(
+      extractMetricValue(
+        "A value of 21 may denote a high amount of coupling within the class (threshold: 20)"
+      )
+    ).toBe(21);
+    expect(
+      extractMetricValue(
+        "The method 'foo()' has an NPath complexity of 240, current threshold is 200"
+      )
+    ).toBe(240);
+    expect(extractMetricValue("Avoid unused imports such as 'a.b'")).toBe(null);
+  });
+
+  it("should read values with grouped thousands", () => {
+    expect(
+      extractMetricValue(
+        "The method 'x' has an NPath complexity of 1,234, current threshold is 200"
+      )
+    ).toBe(1234);
+    expect(
+      extractMetricValue(
+        "The method 'y()' has an NPath complexity of 2,147,483,647, current threshold is 1,000"
+      )
+    ).toBe(2147483647);
+  });
+});
@@ -11,18 +11,40 @@ if (
   } = require("./distributionAnalyzer.js");
   const mathUtils = require("./mathUtils.js");
   const statisticalTests = require("./statisticalTests.js");
+  const dataProcessor = require("./dataProcessor.js");
+  const dataGenerator = require("./dataGenerator.js");
 
   // Make functions available globally
   global.DistributionAnalyzer = DistributionAnalyzer;
   global.DistributionUtils = DistributionUtils;
   global.addLogTransforms = mathUtils.addLogTransforms;
   global.filterValidLogData = mathUtils.filterValidLogData;
+  global.nelderMead = mathUtils.nelderMead;
   global.linearRegression = statisticalTests.linearRegression;
   global.kolmogorovSmirnovTest = statisticalTests.kolmogorovSmirnovTest;
+  global.kolmogorovSmirnovSignificance =
+    statisticalTests.kolmogorovSmirnovSignificance;
   global.calculateAIC = statisticalTests.calculateAIC;
   global.calculateBIC = statisticalTests.calculateBIC;
+  global.buildHistogram = dataProcessor.buildHistogram;
+  global.createRandom = dataGenerator.createRandom;
+  global.generateValues = dataGenerator.generateValues;
 }
 
+// Fewest distinct values a candidate tail may keep when xmin is estimated
+const MIN_TAIL_VALUES = 5;
+
+// Most candidate cutoffs scanned before the search around the best one is refined; each candidate
+// costs a pass over its tail, so scanning every value of large samples would take seconds
+const MAX_XMIN_CANDIDATES = 200;
+
+// Synthetic datasets drawn by the bootstrap test unless told otherwise; Clauset et al. recommend
+// 2,500 for a p-value accurate to about 0.01, which takes minutes on large samples
+const DEFAULT_BOOTSTRAP_REPLICATES = 100;
+
+// Bootstrap p-values at or below this rule the power law out (Clauset, Shalizi & Newman 2009)
+const BOOTSTRAP_PLAUSIBILITY_THRESHOLD = 0.1;
+
 /**
  * Power Law Distribution Analyzer Class
  * Implements the DistributionAnalyzer interface for power law distributions
@@ -33,7 +55,7 @@ class PowerLawAnalyzer extends DistributionAnalyzer {
     this.name = "powerLaw";
     this.displayName = "Power Law";
     this.description = "P(X > x) ∝ x^(-α)";
-    this.parameterNames = ["exponent", "scalingConstant"];
+    this.parameterNames = ["alpha", "xmin"];
   }
 
   /**
@@ -64,27 +86,63 @@ class PowerLawAnalyzer extends DistributionAnalyzer {
       y: item.logCCDF,
     }));
 
-    // Perform linear regression on log-log data
+    // The regression line is kept as a visual diagnostic; its slope is a biased exponent estimate
     const regression = linearRegression(regressionData);
-
-    // Extract power law parameters
     const slope = regression.slope;
     const intercept = regression.intercept;
-    const powerLawExponent = -slope; // α = -slope in log-log plot
-    const scalingConstant = Math.pow(10, intercept);
-
-    // Calculate theoretical CCDF values for power law
-    const theoreticalValues = logLogData.map((item) => ({
-      ...item,
-      theoreticalCCDF: Math.pow(10, intercept + slope * item.logValue),
-      theoreticalLogCCDF: intercept + slope * item.logValue,
-    }));
 
-    // Calculate goodness of fit metrics
+    const { fit, fitMethod } = this.fitExponent(dataWithCCDF, regression);
+
+    // The power law describes only the tail above xmin; scale it to the share of observations it
+    // covers so that it overlays the CCDF of all the data
+    const totalObservations = dataWithCCDF
+      .filter((item) => item.value > 0)
+      .reduce(
+        (sum, item) =>
+          sum + (item.frequency !== undefined ? item.frequency : 1),
+        0
+      );
+    const tailFraction = fit.sampleSize / totalObservations;
+    const tailData = dataWithCCDF.filter((item) => item.value >= fit.xmin);
+
+    const parameters = {
+      exponent: fit.exponent,
+      scalingConstant: tailFraction * Math.pow(fit.xmin, fit.exponent),
+      alpha: fit.alpha,
+      alphaStandardError: fit.alphaStandardError,
+      xmin: fit.xmin,
+      tailObservations: fit.sampleSize,
+      tailFraction,
+      slope: slope,
+      intercept: intercept,
+    };
+
+    // Calculate theoretical CCDF values for the points in the tail
+    const tailLogLogData = logLogData.filter((item) => item.value >= fit.xmin);
+    const theoreticalValues = tailLogLogData.map((item) => {
+      const theoreticalCCDF = this.getTheoreticalCCDF(
+        [item.value],
+        parameters
+      )[0];
+      return {
+        ...item,
+        theoreticalCCDF,
+        theoreticalLogCCDF: Math.log10(theoreticalCCDF),
+      };
+    });
+
+    // Calculate goodness of fit metrics (the likelihood and KS test use every observation in the tail,
+    // including the largest value)
     const goodnessOfFit = this.calculateGoodnessOfFit(
       logLogData,
       theoreticalValues,
-      regression
+      regression,
+      {
+        data: tailData,
+        parameters,
+        ksStatistic: fit.ksDistance,
+        tailObservations: fit.sampleSize,
+      }
     );
 
     // Generate regression line for plotting
@@ -98,12 +156,8 @@ class PowerLawAnalyzer extends DistributionAnalyzer {
 
     return {
       distributionName: this.name,
-      parameters: {
-        exponent: powerLawExponent,
-        scalingConstant: scalingConstant,
-        slope: slope,
-        intercept: intercept,
-      },
+      parameters,
+      fitMethod,
       goodnessOfFit,
       theoreticalValues,
       regressionLine,
@@ -112,28 +166,365 @@ class PowerLawAnalyzer extends DistributionAnalyzer {
     };
   }
 
+  /**
+   * Fits the exponent: by the binned likelihood over all bins for binned histograms, by the
+   * closed-form MLE above an estimated xmin otherwise
+   * @param {Array} dataWithCCDF - Data points with CCDF values
+   * @param {Object} regression - Log-log regression, whose slope starts the binned fit
+   * @returns {{fit: Object, fitMethod: string}} Fit with alpha, alphaStandardError, exponent, xmin,
+   *   sampleSize (observations in the tail) and, unless binned, ksDistance
+   */
+  fitExponent(dataWithCCDF, regression) {
+    if (DistributionUtils.isBinned(dataWithCCDF)) {
+      const exponent = this.fitBinnedExponent(
+        dataWithCCDF,
+        Math.max(-regression.slope, 0.1)
+      );
+      return {
+        fit: {
+          exponent,
+          alpha: exponent + 1,
+          alphaStandardError: null,
+          xmin: this.getLowerBound(dataWithCCDF),
+          sampleSize: dataWithCCDF.reduce(
+            (sum, item) => sum + item.frequency,
+            0
+          ),
+        },
+        fitMethod: "binnedMLE",
+      };
+    }
+
+    return { fit: this.estimateXmin(dataWithCCDF), fitMethod: "MLE" };
+  }
+
+  /**
+   * Estimates the lower cutoff xmin of the power-law tail (Clauset, Shalizi & Newman 2009, section 3.3)
+   * Every observed value that leaves at least MIN_TAIL_VALUES distinct values above it is a candidate;
+   * the tail above each candidate is fitted by maximum likelihood, and the candidate whose fit is
+   * closest to its tail in Kolmogorov-Smirnov distance wins. With more than MAX_XMIN_CANDIDATES
+   * candidates, evenly spaced ones are scanned first and then every candidate between the
+   * neighbours of the best.
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @returns {Object} Fit of the chosen tail (see fitMaximumLikelihood) plus its ksDistance
+   * @throws {Error} If every observation equals the smallest value
+   */
+  estimateXmin(data) {
+    // Values nobody observed (zero frequency) are neither candidates nor part of a tail
+    const positiveData = data
+      .filter(
+        (item) =>
+          item.value > 0 && (item.frequency === undefined || item.frequency > 0)
+      )
+      .sort((a, b) => a.value - b.value);
+    const lastCandidate = Math.max(0, positiveData.length - MIN_TAIL_VALUES);
+    const step = Math.ceil((lastCandidate + 1) / MAX_XMIN_CANDIDATES);
+
+    let best = null;
+    let bestIndex = 0;
+    const tryCandidate = (i) => {
+      const tail = positiveData.slice(i);
+      const fit = this.fitMaximumLikelihood(tail);
+      const ksDistance = this.calculateKSDistance(tail, fit);
+      if (!best || ksDistance < best.ksDistance) {
+        best = { ...fit, ksDistance };
+        bestIndex = i;
+      }
+    };
+
+    for (let i = 0; i <= lastCandidate; i += step) {
+      tryCandidate(i);
+    }
+    const coarseIndex = bestIndex;
+    for (
+      let i = Math.max(0, coarseIndex - step + 1);
+      i <= Math.min(lastCandidate, coarseIndex + step - 1);
+      i++
+    ) {
+      if (i !== coarseIndex) {
+        tryCandidate(i);
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Calculates the Kolmogorov-Smirnov distance between a tail and the power law fitted to it
+   * Both sides of every step of the empirical CDF are compared, so ties (and integer data) are
+   * handled exactly.
+   * @param {Array} tail - Data points at or above fit.xmin with value and frequency, sorted by value
+   * @param {Object} fit - Fit of the tail from fitMaximumLikelihood
+   * @returns {number} Largest absolute difference between the empirical and fitted CDFs
+   */
+  calculateKSDistance(tail, fit) {
+    const parameters = {
+      ...fit,
+      scalingConstant: Math.pow(fit.xmin, fit.exponent),
+      tailFraction: 1,
+    };
+    const total = tail.reduce(
+      (sum, item) => sum + (item.frequency !== undefined ? item.frequency : 1),
+      0
+    );
+
+    let below = 0;
+    let distance = 0;
+    for (const item of tail) {
+      const cdfBefore = below / total;
+      below += item.frequency !== undefined ? item.frequency : 1;
+      const cdfAt = below / total;
+      const ccdf = this.getTheoreticalCCDF([item.value], parameters)[0];
+      const tailProbability = this.getTailProbability(item.value, parameters);
+      distance = Math.max(
+        distance,
+        Math.abs(cdfAt - (1 - ccdf)),
+        Math.abs(cdfBefore - (1 - tailProbability))
+      );
+    }
+
+    return distance;
+  }
+
+  /**
+   * Estimates the exponent by maximum likelihood (Clauset, Shalizi & Newman 2009, eq. 3.1)
+   * α = 1 + n / Σ ln(x / xmin) with standard error (α - 1) / √n, where α is the exponent of the
+   * density p(x) ∝ x^(-α) reported in the literature and xmin is the smallest observed value.
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @returns {Object} {alpha, alphaStandardError, exponent, xmin, sampleSize}; exponent is the
+   *   CCDF exponent α - 1 used by the rest of the analyzer
+   * @throws {Error} If every observation equals xmin
+   */
+  fitMaximumLikelihood(data) {
+    const positiveData = data.filter((item) => item.value > 0);
+    const xmin = this.getLowerBound(positiveData);
+
+    let sampleSize = 0;
+    let logSum = 0;
+    for (const item of positiveData) {
+      const weight = item.frequency !== undefined ? item.frequency : 1;
+      sampleSize += weight;
+      logSum += weight * Math.log(item.value / xmin);
+    }
+
+    if (!(logSum > 0)) {
+      throw new Error(
+        "Cannot estimate a power-law exponent: every observation equals the smallest value."
+      );
+    }
+
+    const alpha = 1 + sampleSize / logSum;
+
+    return {
+      alpha,
+      alphaStandardError: (alpha - 1) / Math.sqrt(sampleSize),
+      exponent: alpha - 1,
+      xmin,
+      sampleSize,
+    };
+  }
+
+  /**
+   * Tests the power-law hypothesis with a semi-parametric bootstrap (Clauset, Shalizi & Newman 2009,
+   * section 4.1): synthetic datasets are drawn from the fitted model, each is refitted (xmin included),
+   * and the p-value is the fraction whose KS distance is at least that of the observed data.
+   * @param {Array} dataWithCCDF - Unbinned data points with value and frequency
+   * @param {Object} [options] - Test options
+   * @param {number} [options.replicates=DEFAULT_BOOTSTRAP_REPLICATES] - Number of synthetic datasets
+   * @param {number|string} [options.seed=1] - PRNG seed, for reproducible p-values
+   * @param {Function} [options.onProgress] - Called with (completed, replicates) after each replicate
+   * @returns {Object} Test result (see summarizeBootstrap)
+   * @throws {Error} If the data is binned or the number of replicates is not a positive integer
+   */
+  bootstrapGoodnessOfFit(dataWithCCDF, options = {}) {
+    if (DistributionUtils.isBinned(dataWithCCDF)) {
+      throw new Error(
+        "The bootstrap test needs individual values, not binned data"
+      );
+    }
+    const replicates =
+      options.replicates === undefined
+        ? DEFAULT_BOOTSTRAP_REPLICATES
+        : options.replicates;
+    if (!Number.isInteger(replicates) || replicates < 1) {
+      throw new Error(
+        "The number of bootstrap replicates must be a positive integer"
+      );
+    }
+
+    const random = createRandom(options.seed === undefined ? 1 : options.seed);
+    const fit = this.estimateXmin(dataWithCCDF);
+
+    let worseFits = 0;
+    for (let completed = 1; completed <= replicates; completed++) {
+      const ksDistance = this.simulateBootstrapReplicate(
+        dataWithCCDF,
+        fit,
+        random
+      );
+      if (ksDistance >= fit.ksDistance) {
+        worseFits++;
+      }
+      if (options.onProgress) {
+        options.onProgress(completed, replicates);
+      }
+    }
+
+    return this.summarizeBootstrap(fit, worseFits, replicates);
+  }
+
+  /**
+   * Draws one synthetic dataset of the same size as the data and refits it
+   * Each observation comes from the fitted power law with probability n_tail / n; otherwise it is
+   * resampled from the observed values below xmin, so the synthetic data shares the body of the data.
+   * @param {Array} data - Data points with value and frequency
+   * @param {Object} fit - Fit of the data from estimateXmin
+   * @param {Function} random - Uniform generator from createRandom
+   * @returns {number} KS distance of the refitted synthetic dataset
+   */
+  simulateBootstrapReplicate(data, fit, random) {
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+    const observations = data.filter(
+      (item) => item.value > 0 && weightOf(item) > 0
+    );
+    const body = observations.filter((item) => item.value < fit.xmin);
+    const total = observations.reduce((sum, item) => sum + weightOf(item), 0);
+    const tailFraction = fit.sampleSize / total;
+
+    const cumulativeWeights = [];
+    let bodyWeight = 0;
+    for (const item of body) {
+      bodyWeight += weightOf(item);
+      cumulativeWeights.push(bodyWeight);
+    }
+
+    let values = [];
+    let tailSize = 0;
+    for (let i = 0; i < Math.round(total); i++) {
+      if (body.length === 0 || random() < tailFraction) {
+        tailSize++;
+        continue;
+      }
+      // Binary search for the body value whose cumulative weight covers the draw
+      const target = random() * bodyWeight;
+      let low = 0;
+      let high = body.length - 1;
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (cumulativeWeights[middle] > target) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      values.push(body[low].value);
+    }
+
+    if (tailSize > 0) {
+      values = values.concat(
+        generateValues(
+          { distribution: this.name, alpha: fit.alpha, xmin: fit.xmin },
+          { size: tailSize, seed: Math.floor(random() * 4294967296) }
+        )
+      );
+    }
+
+    return this.estimateXmin(buildHistogram(values)).ksDistance;
+  }
+
+  /**
+   * Summarizes a bootstrap test
+   * @param {Object} fit - Fit of the observed data from estimateXmin
+   * @param {number} worseFits - Replicates with a KS distance at least that of the data
+   * @param {number} replicates - Number of replicates
+   * @returns {Object} {pValue, worseFits, replicates, ksDistance, plausible}; the power law is
+   *   plausible when pValue exceeds BOOTSTRAP_PLAUSIBILITY_THRESHOLD
+   */
+  summarizeBootstrap(fit, worseFits, replicates) {
+    const pValue = worseFits / replicates;
+    return {
+      pValue,
+      worseFits,
+      replicates,
+      ksDistance: fit.ksDistance,
+      plausible: pValue > BOOTSTRAP_PLAUSIBILITY_THRESHOLD,
+    };
+  }
+
+  /**
+   * Folds a bootstrap test into the goodness of fit: a p-value at or below
+   * BOOTSTRAP_PLAUSIBILITY_THRESHOLD rules the power law out whatever its R²
+   * @param {Object} goodnessOfFit - Goodness of fit metrics from calculateGoodnessOfFit
+   * @param {Object} test - Result of bootstrapGoodnessOfFit or summarizeBootstrap
+   * @returns {Object} Goodness of fit metrics with the test as bootstrap
+   */
+  withBootstrapTest(goodnessOfFit, test) {
+    return {
+      ...goodnessOfFit,
+      bootstrap: test,
+      isPowerLaw: goodnessOfFit.isPowerLaw && test.plausible,
+    };
+  }
+
+  /**
+   * Determines if the analysis result indicates a good power-law fit
+   * Once the bootstrap test has run (see withBootstrapTest), a fit it rules out is not good.
+   * @param {Object} analysisResult - Result from analyze() method
+   * @returns {boolean} True if the power law is a good fit
+   */
+  isGoodFit(analysisResult) {
+    const bootstrap = analysisResult.goodnessOfFit.bootstrap;
+    return (
+      super.isGoodFit(analysisResult) && (!bootstrap || bootstrap.plausible)
+    );
+  }
+
   /**
    * Calculates goodness of fit metrics for power law
+   * R² is that of the log-log regression line, i.e. how straight the CCDF looks on a log-log plot.
    * @param {Array} empiricalData - Empirical data points
    * @param {Array} theoreticalData - Theoretical data points
    * @param {Object} regression - Regression results
+   * @param {Object} [likelihoodInfo] - Observations (data) and fitted parameters for the log-likelihood,
+   *   defaulting to empiricalData and the regression exponent; ksStatistic and tailObservations, when
+   *   given, replace the KS comparison of empiricalData with theoreticalData
    * @returns {Object} Goodness of fit metrics
    */
-  calculateGoodnessOfFit(empiricalData, theoreticalData, regression) {
+  calculateGoodnessOfFit(
+    empiricalData,
+    theoreticalData,
+    regression,
+    likelihoodInfo = {}
+  ) {
     const rSquared = regression.rSquared;
 
-    // Calculate Kolmogorov-Smirnov test
-    const empiricalCCDF = empiricalData.map((d) => d.ccdf);
-    const theoreticalCCDF = theoreticalData.map((d) => d.theoreticalCCDF);
-    const ksTest = kolmogorovSmirnovTest(empiricalCCDF, theoreticalCCDF);
+    // Calculate Kolmogorov-Smirnov test (against the fitted tail when its distance is known)
+    let ksTest;
+    if (likelihoodInfo.ksStatistic !== undefined) {
+      ksTest = kolmogorovSmirnovSignificance(
+        likelihoodInfo.ksStatistic,
+        likelihoodInfo.tailObservations
+      );
+    } else {
+      const empiricalCCDF = empiricalData.map((d) => d.ccdf);
+      const theoreticalCCDF = theoreticalData.map((d) => d.theoreticalCCDF);
+      ksTest = kolmogorovSmirnovTest(empiricalCCDF, theoreticalCCDF);
+    }
 
     // Calculate log-likelihood for AIC/BIC
     const logLikelihood = this.calculateLogLikelihood(
-      empiricalData,
-      theoreticalData
+      likelihoodInfo.data || empiricalData,
+      likelihoodInfo.parameters || { exponent: -regression.slope }
     );
-    const numParameters = 2; // Power law has 2 parameters: exponent and scaling constant
-    const sampleSize = empiricalData.length;
+    // The likelihood covers only the tail at or above xmin, so the AIC is comparable only with fits
+    // to that same tail (see DistributionUtils.getLikelihoodLowerBound)
+    const numParameters = 2; // Power law has 2 fitted parameters: α and xmin
+    // BIC and adjusted R² count the observations in the likelihood (the weighted tail), not the points
+    const sampleSize =
+      likelihoodInfo.tailObservations !== undefined
+        ? likelihoodInfo.tailObservations
+        : empiricalData.length;
 
     const aic = calculateAIC(logLikelihood, numParameters);
     const bic = calculateBIC(logLikelihood, numParameters, sampleSize);
@@ -159,29 +550,82 @@ class PowerLawAnalyzer extends DistributionAnalyzer {
   }
 
   /**
-   * Calculates log-likelihood for power law distribution
-   * @param {Array} empiricalData - Empirical data points
-   * @param {Array} theoreticalData - Theoretical data points
+   * Calculates the frequency-weighted log-likelihood for a continuous power law
+   * starting at the smallest observed value (xmin)
+   * PDF: p(x) = (α/xmin) * (x/xmin)^(-(α+1)), where α is the CCDF exponent
+   * Binned data uses the probability mass of each bin instead of the PDF.
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {Object} parameters - Power law parameters {exponent}
    * @returns {number} Log-likelihood value
    */
-  calculateLogLikelihood(empiricalData, theoreticalData) {
-    // Simplified log-likelihood calculation
-    // In practice, this would use the actual power law PDF
-    let logLikelihood = 0;
+  calculateLogLikelihood(data, parameters) {
+    const { exponent } = parameters;
+    const positiveData = data.filter((item) => item.value > 0);
+    if (positiveData.length === 0 || !(exponent > 0)) {
+      return -Infinity;
+    }
 
-    for (let i = 0; i < empiricalData.length; i++) {
-      const observed = empiricalData[i].ccdf;
-      const expected = theoreticalData[i].theoreticalCCDF;
+    const xmin = this.getLowerBound(positiveData);
 
-      // Avoid log(0) by using small epsilon
-      const epsilon = 1e-10;
-      const logProb = Math.log(Math.max(expected, epsilon));
-      logLikelihood += logProb;
+    if (DistributionUtils.isBinned(positiveData)) {
+      return this.calculateBinnedLogLikelihood(positiveData, {
+        exponent,
+        scalingConstant: Math.pow(xmin, exponent),
+      });
+    }
+
+    let logLikelihood = 0;
+
+    for (const item of positiveData) {
+      const weight = item.frequency !== undefined ? item.frequency : 1;
+      const logPdf =
+        Math.log(exponent) -
+        Math.log(xmin) -
+        (exponent + 1) * Math.log(item.value / xmin);
+      logLikelihood += logPdf * weight;
     }
 
     return logLikelihood;
   }
 
+  /**
+   * Gets the lower bound (xmin) of the fitted power law: the smallest value or bin edge
+   * @param {Array} data - Data points, possibly binned
+   * @returns {number} Lower bound
+   */
+  getLowerBound(data) {
+    return Math.min(
+      ...data.map((item) =>
+        item.binLower !== undefined ? item.binLower : item.value
+      )
+    );
+  }
+
+  /**
+   * Fits the exponent of binned data by maximizing the binned log-likelihood
+   * @param {Array} data - Bins with binLower, binUpper and frequency
+   * @param {number} startExponent - Starting exponent (e.g. from the regression)
+   * @returns {number} Maximum-likelihood exponent
+   */
+  fitBinnedExponent(data, startExponent) {
+    const positiveData = data.filter((item) => item.binLower > 0);
+    const xmin = this.getLowerBound(positiveData);
+
+    // Optimize ln(α) so the exponent stays positive
+    const fit = nelderMead(
+      ([logExponent]) => {
+        const exponent = Math.exp(logExponent);
+        return -this.calculateBinnedLogLikelihood(positiveData, {
+          exponent,
+          scalingConstant: Math.pow(xmin, exponent),
+        });
+      },
+      [Math.log(startExponent)]
+    );
+
+    return Math.exp(fit.point[0]);
+  }
+
   /**
    * Determines confidence level based on R² value
    * @param {number} rSquared - R² value
@@ -206,6 +650,39 @@ class PowerLawAnalyzer extends DistributionAnalyzer {
     return xValues.map((x) => scalingConstant * Math.pow(x, -exponent));
   }
 
+  /**
+   * Gets the probability P(X ≥ x) = (x / xmin)^(-(α - 1)) within the tail above xmin
+   * @param {number} x - Value at or above xmin
+   * @param {Object} parameters - Power law parameters {exponent, xmin}
+   * @returns {number} Tail probability
+   */
+  getTailProbability(x, parameters) {
+    const { exponent, xmin } = parameters;
+    return x <= xmin ? 1 : Math.pow(x / xmin, -exponent);
+  }
+
+  /**
+   * Gets the log-density of the tail, p(x) = ((α - 1) / xmin) (x / xmin)^(-α) for x ≥ xmin
+   * @param {number} x - Value at or above xmin
+   * @param {Object} parameters - Power law parameters {exponent, xmin}
+   * @returns {number} ln p(x)
+   */
+  getLogDensity(x, parameters) {
+    const { exponent, xmin } = parameters;
+    return (
+      Math.log(exponent) - Math.log(xmin) - (exponent + 1) * Math.log(x / xmin)
+    );
+  }
+
+  /**
+   * Gets the lower cutoff: the power law only describes the tail above xmin
+   * @param {Object} parameters - Power law parameters {xmin}
+   * @returns {number} xmin
+   */
+  getSupportMinimum(parameters) {
+    return parameters.xmin;
+  }
+
   /**
    * Gets plot data for power law visualization
    * @param {Array} data - Data points
@@ -0,0 +1,186 @@
+// Tests for PowerLawWithCutoffAnalyzer
+
+describe("PowerLawWithCutoffAnalyzer", () => {
+  let PowerLawWithCutoffAnalyzer;
+  let PowerLawAnalyzer;
+  let buildHistogram;
+  let calculateCCDF;
+  let generateSample;
+  let generateValues;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      PowerLawAnalyzer = require("./powerLawAnalyzer.js");
+      PowerLawWithCutoffAnalyzer = require("./powerLawWithCutoffAnalyzer.js");
+      ({ buildHistogram, calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateSample, generateValues } = require("./dataGenerator.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      PowerLawAnalyzer = window.PowerLawAnalyzer;
+      PowerLawWithCutoffAnalyzer = window.PowerLawWithCutoffAnalyzer;
+      buildHistogram = window.buildHistogram;
+      calculateCCDF = window.calculateCCDF;
+      generateSample = window.generateSample;
+      generateValues = window.generateValues;
+    }
+  });
+
+  const truncatedPowerLaw = {
+    distribution: "powerLawWithCutoff",
+    alpha: 1.5,
+    lambda: 0.01,
+    xmin: 1,
+  };
+
+  describe("constructor", () => {
+    it("should create a three-parameter extension of the power law", () => {
+      const analyzer = new PowerLawWithCutoffAnalyzer();
+
+      expect(analyzer.name).toBe("powerLawWithCutoff");
+      expect(analyzer.displayName).toBe("Power Law with Cutoff");
+      expect(analyzer.parameterNames).toEqual(["alpha", "lambda", "xmin"]);
+      expect(analyzer.nestedModel).toBe("powerLaw");
+    });
+  });
+
+  describe("logTailIntegral", () => {
+    it("should match closed forms of ∫_a^∞ t^(-α) e^(-λt) dt", () => {
+      const analyzer = new PowerLawWithCutoffAnalyzer();
+
+      // α = 0: e^(-λa) / λ
+      expect(analyzer.logTailIntegral(0, 0.5, 2)).toBeCloseTo(
+        Math.log(Math.exp(-1) / 0.5),
+        8
+      );
+      // α = 1, λ = a = 1: the exponential integral E1(1)
+      expect(analyzer.logTailIntegral(1, 1, 1)).toBeCloseTo(
+        Math.log(0.21938393439552),
+        8
+      );
+      // A negligible cutoff leaves the power law's 1 / ((α - 1) a^(α - 1))
+      expect(analyzer.logTailIntegral(2, 1e-9, 3)).toBeCloseTo(
+        Math.log(1 / 3),
+        6
+      );
+    });
+  });
+
+  describe("fitMaximumLikelihood", () => {
+    it("should recover the exponent and the cutoff", () => {
+      const analyzer = new PowerLawWithCutoffAnalyzer();
+      const data = buildHistogram(
+        generateValues(truncatedPowerLaw, { size: 20000, seed: 7 })
+      );
+      const fit = analyzer.fitMaximumLikelihood(data);
+
+      expect(fit.xmin).toBe(Math.min(...data.map((d) => d.value)));
+      expect(fit.sampleSize).toBe(20000);
+      expect(fit.alpha).toBeCloseTo(1.5, 1);
+      expect(1 / fit.lambda).toBeGreaterThan(80);
+      expect(1 / fit.lambda).toBeLessThan(125);
+      expect(fit.logLikelihood).toBeCloseTo(
+        analyzer.calculateLogLikelihood(data, fit),
+        6
+      );
+    });
+
+    it("should refit above a higher bound", () => {
+      const analyzer = new PowerLawWithCutoffAnalyzer();
+      const data = buildHistogram(
+        generateValues(truncatedPowerLaw, { size: 20000, seed: 7 })
+      );
+      const fit = analyzer.fitTruncated(data, 10);
+
+      expect(fit.xmin).toBe(10);
+      expect(fit.sampleSize).toBe(
+        data
+          .filter((d) => d.value >= 10)
+          .reduce((sum, d) => sum + d.frequency, 0)
+      );
+      expect(fit.alpha).toBeCloseTo(1.5, 0);
+    });
+
+    it("should reject a tail with a single value", () => {
+      expect(() =>
+        new PowerLawWithCutoffAnalyzer().fitMaximumLikelihood([
+          { value: 3, frequency: 10 },
+        ])
+      ).toThrow("need at least two distinct values");
+    });
+  });
+
+  describe("analyze", () => {
+    it("should find a significant cutoff in a truncated power law", () => {
+      const analyzer = new PowerLawWithCutoffAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(
+          generateValues(truncatedPowerLaw, { size: 20000, seed: 7 })
+        )
+      );
+      const result = analyzer.analyze(data);
+      const test = result.goodnessOfFit.nestedTest;
+
+      expect(result.distributionName).toBe("powerLawWithCutoff");
+      expect(result.fitMethod).toBe("MLE");
+      expect(result.parameters.cutoff).toBeCloseTo(
+        1 / result.parameters.lambda,
+        10
+      );
+      expect(test.favorsCutoff).toBe(true);
+      expect(test.pValue).toBeLessThan(0.001);
+      expect(test.logLikelihoodRatio).toBeGreaterThan(0);
+      expect(result.goodnessOfFit.rSquared).toBe(
+        result.goodnessOfFit.tailRSquared
+      );
+      result.theoreticalValues.forEach((d) => {
+        expect(d.value).toBeGreaterThanOrEqual(result.parameters.xmin);
+      });
+      // BIC counts the observations in the tail, not its distinct values
+      expect(result.goodnessOfFit.bic).toBeCloseTo(
+        3 * Math.log(result.parameters.tailObservations) -
+          2 * result.goodnessOfFit.logLikelihood,
+        8
+      );
+    });
+
+    it("should fall back on the power law's R² when the cutoff is not significant", () => {
+      const analyzer = new PowerLawWithCutoffAnalyzer();
+      const data = calculateCCDF(
+        generateSample(
+          { distribution: "powerLaw", alpha: 2.5, xmin: 1 },
+          { size: 2000, seed: 3 }
+        )
+      );
+      const result = analyzer.analyze(data);
+      const powerLaw = new PowerLawAnalyzer().analyze(data);
+
+      expect(result.parameters.xmin).toBe(powerLaw.parameters.xmin);
+      expect(result.goodnessOfFit.nestedTest.favorsCutoff).toBe(false);
+      expect(result.goodnessOfFit.rSquared).toBeCloseTo(
+        powerLaw.goodnessOfFit.rSquared,
+        10
+      );
+      expect(result.goodnessOfFit.aic).toBeGreaterThan(
+        powerLaw.goodnessOfFit.aic
+      );
+    });
+  });
+
+  describe("getConditionalLogDensity", () => {
+    it("should renormalize the density above the bound", () => {
+      const analyzer = new PowerLawWithCutoffAnalyzer();
+      const parameters = { alpha: 1.8, lambda: 0.05, xmin: 2 };
+
+      expect(analyzer.getConditionalLogDensity(12, parameters, 5)).toBeCloseTo(
+        analyzer.getLogDensity(12, parameters) -
+          Math.log(analyzer.getTailProbability(5, parameters)),
+        8
+      );
+      // Bounds below xmin condition on nothing
+      expect(analyzer.getConditionalLogDensity(12, parameters, 1)).toBe(
+        analyzer.getLogDensity(12, parameters)
+      );
+    });
+  });
+});
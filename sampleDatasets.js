@@ -0,0 +1,242 @@
+// Sample Datasets - Bundled example histograms with their provenance and expected verdicts
+
+// Load dependencies if in Node.js environment
+if (typeof module !== 'undefined' && typeof generateSample === 'undefined') {
+    const dataGenerator = require('./dataGenerator.js');
+
+    global.generateSample = dataGenerator.generateSample;
+}
+
+/**
+ * Catalog of sample datasets
+ * Each entry has an id, a display name, its kind ('real' or 'synthetic'), a description of where the
+ * numbers come from, the verdict the analysis reaches with what to look for in its output, and
+ * expectedBestFit, the highest-ranked distribution type that is a good fit (null when none is). Real datasets carry their histogram as [value, count] pairs; synthetic ones carry
+ * the dataGenerator spec and seed that reproduce them.
+ */
+const SAMPLE_DATASETS = [
+    {
+        id: 'junit5-function-lengths',
+        name: 'JUnit 5: lines per method',
+        kind: 'real',
+        description: 'NCSS line counts of the 12,513 methods in JUnit 5 (github.com/junit-team/junit5), from the PMD NcssCount command in the README (lines.xml). '
+            + 'The histogram the page has always offered; the JUnit 5 commit it was measured on was not recorded.',
+        expectedVerdict: 'Log-normal. Only the 1.4% of methods above xmin = 15 follow a discrete power law (α near 4.4), with no cutoff; '
+            + 'on that tail the likelihood-ratio tests cannot tell it from the log-normal.',
+        expectedBestFit: 'logNormal',
+        data: [
+            [1, 1436], [2, 5491], [3, 1773], [4, 1163], [5, 737], [6, 512], [7, 354], [8, 267],
+            [9, 200], [10, 132], [11, 146], [12, 52], [13, 45], [14, 32], [15, 32], [16, 26],
+            [17, 27], [18, 14], [19, 11], [20, 10], [21, 7], [22, 7], [23, 7], [24, 6],
+            [25, 2], [26, 2], [27, 5], [28, 1], [29, 2], [30, 1], [31, 2], [33, 1],
+            [34, 1], [36, 1], [37, 1], [39, 1], [43, 2], [44, 1], [70, 1], [73, 1],
+            [74, 1]
+        ]
+    },
+    {
+        id: 'npm-function-lengths',
+        name: 'npm CLI: lines per function',
+        kind: 'real',
+        description: 'Lines per function in the 109 source files under lib/ of npm 10.8.2 (739 functions), measured with "isitapowerlaw.js measure" '
+            + 'on the published package (npm pack npm@10.8.2).',
+        expectedVerdict: 'Log-normal, with the Lomax close behind: heavy-tailed, but the log-log CCDF bends downward instead of staying straight.',
+        expectedBestFit: 'logNormal',
+        data: [
+            [1, 10], [2, 149], [3, 86], [4, 42], [5, 16], [6, 28], [7, 25], [8, 29],
+            [9, 21], [10, 21], [11, 26], [12, 21], [13, 23], [14, 15], [15, 16], [16, 12],
+            [17, 12], [18, 7], [19, 9], [20, 12], [21, 18], [22, 10], [23, 6], [24, 10],
+            [25, 6], [26, 8], [27, 9], [28, 7], [29, 3], [30, 3], [31, 3], [32, 5],
+            [33, 5], [34, 1], [35, 5], [36, 3], [37, 1], [38, 2], [39, 2], [41, 1],
+            [42, 3], [43, 4], [44, 4], [45, 2], [46, 1], [47, 3], [48, 3], [49, 1],
+            [50, 2], [52, 1], [53, 2], [54, 2], [55, 2], [57, 1], [58, 1], [60, 1],
+            [63, 1], [64, 1], [65, 1], [68, 1], [69, 1], [71, 1], [75, 1], [76, 1],
+            [77, 1], [78, 2], [81, 1], [88, 1], [97, 1], [103, 1], [111, 1], [125, 1],
+            [307, 1]
+        ]
+    },
+    {
+        id: 'npm-dependency-file-sizes',
+        name: 'npm dependencies: lines per file',
+        kind: 'real',
+        description: 'Non-blank lines in each of the 885 .js files of the dependencies bundled with npm 10.8.2 (node_modules of npm pack npm@10.8.2).',
+        expectedVerdict: 'Log-normal: file sizes have a log-normal body, as most studies of source file sizes report. '
+            + 'Above xmin = 183 a cutoff near 1,200 lines fits significantly better than a pure power law.',
+        expectedBestFit: 'logNormal',
+        data: [
+            [1, 7], [2, 17], [3, 24], [4, 10], [5, 29], [6, 12], [7, 10], [8, 9],
+            [9, 5], [10, 12], [11, 9], [12, 10], [13, 6], [14, 15], [15, 7], [16, 10],
+            [17, 15], [18, 9], [19, 6], [20, 10], [21, 12], [22, 8], [23, 3], [24, 18],
+            [25, 11], [26, 10], [27, 8], [28, 8], [29, 11], [30, 5], [31, 11], [32, 8],
+            [33, 8], [34, 11], [35, 10], [36, 4], [37, 4], [38, 4], [39, 6], [40, 3],
+            [41, 7], [42, 2], [43, 11], [44, 3], [45, 8], [46, 8], [47, 6], [48, 2],
+            [49, 3], [50, 4], [51, 2], [52, 4], [53, 4], [54, 3], [55, 6], [56, 4],
+            [57, 4], [58, 9], [59, 2], [60, 7], [61, 2], [62, 4], [63, 2], [64, 2],
+            [65, 5], [66, 5], [67, 3], [68, 6], [69, 2], [70, 8], [71, 3], [72, 2],
+            [73, 3], [74, 3], [75, 2], [76, 3], [77, 4], [78, 3], [79, 6], [80, 3],
+            [81, 2], [82, 1], [83, 4], [84, 4], [85, 2], [86, 2], [87, 1], [88, 1],
+            [89, 2], [90, 1], [91, 1], [92, 6], [93, 3], [94, 2], [95, 2], [96, 3],
+            [97, 1], [98, 1], [100, 3], [101, 2], [102, 3], [104, 2], [105, 1], [108, 3],
+            [109, 1], [110, 1], [112, 7], [113, 2], [114, 2], [115, 4], [116, 1], [117, 2],
+            [118, 3], [119, 8], [120, 1], [121, 2], [122, 1], [124, 3], [125, 2], [127, 3],
+            [128, 2], [130, 2], [132, 2], [133, 1], [135, 2], [136, 2], [137, 1], [138, 3],
+            [139, 1], [140, 1], [141, 2], [142, 1], [143, 2], [144, 1], [145, 2], [146, 4],
+            [148, 3], [149, 2], [151, 3], [152, 3], [153, 1], [155, 1], [157, 1], [158, 2],
+            [159, 1], [161, 1], [163, 1], [165, 1], [166, 1], [167, 1], [168, 2], [169, 1],
+            [171, 1], [172, 3], [173, 1], [175, 3], [178, 1], [180, 1], [183, 3], [185, 2],
+            [186, 1], [187, 3], [188, 1], [193, 2], [195, 1], [196, 1], [197, 1], [198, 2],
+            [199, 3], [205, 1], [208, 1], [210, 1], [215, 2], [216, 2], [217, 1], [219, 1],
+            [221, 1], [223, 3], [224, 1], [225, 1], [226, 2], [229, 2], [231, 2], [232, 1],
+            [233, 1], [234, 1], [235, 1], [237, 1], [241, 1], [242, 2], [243, 3], [247, 1],
+            [248, 2], [253, 1], [257, 1], [262, 1], [267, 1], [272, 3], [274, 1], [275, 1],
+            [277, 1], [279, 1], [281, 1], [285, 1], [291, 1], [293, 1], [294, 1], [297, 1],
+            [299, 1], [300, 1], [301, 1], [302, 1], [303, 1], [306, 1], [317, 1], [324, 1],
+            [326, 1], [338, 2], [343, 1], [345, 2], [347, 1], [356, 1], [357, 1], [367, 4],
+            [368, 1], [370, 1], [376, 1], [377, 1], [378, 1], [381, 1], [382, 1], [387, 1],
+            [388, 1], [391, 1], [392, 1], [393, 1], [396, 1], [400, 1], [419, 1], [422, 1],
+            [423, 1], [426, 1], [438, 1], [441, 1], [450, 1], [477, 1], [478, 1], [480, 1],
+            [492, 1], [507, 1], [509, 1], [510, 1], [515, 1], [559, 5], [571, 1], [588, 2],
+            [592, 1], [606, 1], [607, 1], [670, 1], [793, 1], [805, 1], [808, 1], [836, 1],
+            [998, 1], [1000, 1], [1001, 1], [1010, 1], [1011, 1], [1017, 1], [1018, 1], [1028, 1],
+            [1053, 1], [1224, 1], [1233, 1], [1276, 1], [1308, 1], [1353, 1], [1380, 1], [1382, 1],
+            [1408, 1], [1442, 1], [1446, 1], [1979, 1], [2014, 1], [2156, 1]
+        ]
+    },
+    {
+        id: 'rbenv-commit-sizes',
+        name: 'rbenv: lines changed per commit',
+        kind: 'real',
+        description: 'Lines added plus deleted in each of the 631 non-merge commits of rbenv (github.com/rbenv/rbenv) up to September 2025, '
+            + 'from "git log --numstat".',
+        expectedVerdict: 'Log-normal: most commits are small, and the largest fall short of a power-law tail, '
+            + 'which a cutoff near 580 lines above xmin = 19 fits significantly better.',
+        expectedBestFit: 'logNormal',
+        data: [
+            [1, 17], [2, 150], [3, 23], [4, 48], [5, 20], [6, 39], [7, 18], [8, 24],
+            [9, 12], [10, 16], [11, 12], [12, 14], [13, 12], [14, 17], [15, 7], [16, 11],
+            [17, 4], [18, 8], [19, 8], [20, 8], [21, 4], [22, 9], [23, 5], [24, 9],
+            [25, 3], [26, 6], [27, 5], [28, 4], [29, 4], [30, 2], [31, 4], [32, 4],
+            [33, 4], [34, 1], [35, 2], [36, 4], [37, 2], [38, 2], [39, 1], [40, 4],
+            [41, 2], [42, 1], [43, 2], [44, 1], [45, 3], [46, 2], [47, 1], [48, 2],
+            [49, 1], [50, 2], [51, 3], [52, 2], [53, 1], [55, 1], [57, 3], [58, 1],
+            [60, 3], [68, 2], [71, 2], [74, 2], [76, 1], [79, 1], [80, 2], [81, 2],
+            [85, 1], [87, 1], [90, 2], [91, 1], [92, 1], [93, 1], [94, 1], [100, 2],
+            [105, 1], [113, 1], [117, 1], [119, 1], [122, 1], [125, 1], [126, 1], [127, 1],
+            [130, 2], [131, 1], [138, 1], [139, 1], [140, 1], [144, 2], [145, 1], [161, 1],
+            [168, 1], [234, 1], [257, 1], [266, 1], [306, 2], [359, 1], [371, 1], [427, 1],
+            [466, 1], [547, 1], [612, 1], [891, 1]
+        ]
+    },
+    {
+        id: 'npm-dependency-fan-in',
+        name: 'npm dependencies: fan-in',
+        kind: 'real',
+        description: 'For each package bundled with npm 10.8.2, the number of other bundled packages (and npm itself) that declare it as a dependency. '
+            + 'The 172 packages with at least one dependent are included.',
+        expectedVerdict: 'Discrete power law with a cutoff near 8. Fan-in is the classic power-law metric of software dependency graphs, '
+            + 'but here the discrete power law from 1 (α near 2.1) loses to the cutoff: with 172 packages the largest fan-ins fall short of a power-law tail.',
+        expectedBestFit: 'discretePowerLawWithCutoff',
+        data: [
+            [1, 103], [2, 20], [3, 18], [4, 9], [5, 9], [6, 6], [7, 2], [10, 1],
+            [11, 1], [16, 2], [17, 1]
+        ]
+    },
+    {
+        id: 'synthetic-power-law',
+        name: 'Synthetic: power law',
+        kind: 'synthetic',
+        description: '2,000 draws from a continuous power law with α = 2.5 and xmin = 1 (seed 2024).',
+        expectedVerdict: 'Power law with an exponent near 2.5 and no cutoff; on a sample this size the likelihood-ratio tests cannot rule out '
+            + 'the log-normal or the Lomax.',
+        expectedBestFit: 'powerLaw',
+        generator: { spec: { distribution: 'powerLaw', alpha: 2.5, xmin: 1 }, size: 2000, seed: 2024, precision: 4 }
+    },
+    {
+        id: 'synthetic-discrete-power-law',
+        name: 'Synthetic: discrete power law',
+        kind: 'synthetic',
+        description: '2,000 integer draws from a discrete power law with α = 2.2 and xmin = 1 (seed 2024).',
+        expectedVerdict: 'Zipf (a discrete power law from 1) with an exponent near 2.2, and no significant cutoff.',
+        expectedBestFit: 'zipf',
+        generator: { spec: { distribution: 'discretePowerLaw', alpha: 2.2, xmin: 1 }, size: 2000, seed: 2024 }
+    },
+    {
+        id: 'synthetic-log-normal',
+        name: 'Synthetic: log-normal',
+        kind: 'synthetic',
+        description: '2,000 draws from a log-normal distribution with μ = 1.5 and σ = 0.8 (seed 2024).',
+        expectedVerdict: 'Log-normal with μ near 1.5 and σ near 0.8.',
+        expectedBestFit: 'logNormal',
+        generator: { spec: { distribution: 'logNormal', mu: 1.5, sigma: 0.8 }, size: 2000, seed: 2024, precision: 4 }
+    },
+    {
+        id: 'synthetic-exponential',
+        name: 'Synthetic: exponential',
+        kind: 'synthetic',
+        description: '2,000 draws from an exponential distribution with λ = 0.2, shifted to start at 1 (seed 2024).',
+        expectedVerdict: 'Exponential with a rate near 0.2. The Lomax runs off to its exponential limit, so the data is no heavier-tailed '
+            + 'than an exponential.',
+        expectedBestFit: 'exponential',
+        generator: { spec: { distribution: 'exponential', lambda: 0.2, xmin: 1 }, size: 2000, seed: 2024, precision: 4 }
+    },
+    {
+        id: 'synthetic-mixture',
+        name: 'Synthetic: log-normal body, power-law tail',
+        kind: 'synthetic',
+        description: '2,000 draws, 80% from a log-normal (μ = 1, σ = 0.5) and 20% from a power law with α = 2.2 above 5 (seed 2024).',
+        expectedVerdict: 'Power law: above xmin (about 12) a power law with an exponent near 2.1 fits the tail, and a cutoff adds nothing '
+            + 'significant. No single distribution fits everywhere; the log-normal ranks first but is not a good fit to the whole sample.',
+        expectedBestFit: 'powerLaw',
+        generator: {
+            spec: {
+                distribution: 'mixture',
+                components: [
+                    { weight: 0.8, distribution: 'logNormal', mu: 1, sigma: 0.5 },
+                    { weight: 0.2, distribution: 'powerLaw', alpha: 2.2, xmin: 5 }
+                ]
+            },
+            size: 2000,
+            seed: 2024,
+            precision: 4
+        }
+    }
+];
+
+/**
+ * Looks up a sample dataset by id
+ * @param {string} id - Dataset id from SAMPLE_DATASETS
+ * @returns {Object} Catalog entry
+ * @throws {Error} If no dataset has this id
+ */
+function getSampleDataset(id) {
+    const dataset = SAMPLE_DATASETS.find(entry => entry.id === id);
+    if (!dataset) {
+        throw new Error(`Unknown sample dataset "${id}".`);
+    }
+    return dataset;
+}
+
+/**
+ * Builds the histogram of a sample dataset
+ * Synthetic datasets are regenerated from their seed, so they are identical on every load.
+ * @param {string} id - Dataset id from SAMPLE_DATASETS
+ * @returns {Array<{value: number, frequency: number}>} Histogram sorted by value
+ * @throws {Error} If no dataset has this id
+ */
+function loadSampleDataset(id) {
+    const dataset = getSampleDataset(id);
+
+    if (dataset.generator) {
+        const { spec, ...options } = dataset.generator;
+        return generateSample(spec, options);
+    }
+    return dataset.data.map(([value, frequency]) => ({ value, frequency }));
+}
+
+// Export functions for testing (if in Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SAMPLE_DATASETS,
+        getSampleDataset,
+        loadSampleDataset
+    };
+}
@@ -0,0 +1,93 @@
+// Tests for sampleDatasets.js functions
+
+describe("SAMPLE_DATASETS", () => {
+  it("should describe every dataset and give its expected verdict", () => {
+    const ids = SAMPLE_DATASETS.map((dataset) => dataset.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    SAMPLE_DATASETS.forEach((dataset) => {
+      expect(["real", "synthetic"]).toContain(dataset.kind);
+      expect(dataset.name).toBeTruthy();
+      expect(dataset.description).toBeTruthy();
+      expect(dataset.expectedVerdict).toBeTruthy();
+      expect("expectedBestFit" in dataset).toBe(true);
+      expect(Boolean(dataset.data) !== Boolean(dataset.generator)).toBe(true);
+    });
+  });
+});
+
+describe("expected verdicts", () => {
+  it("should match the best fit the analysis reaches", () => {
+    const engine = new AnalysisEngine();
+    [
+      PowerLawAnalyzer,
+      DiscretePowerLawAnalyzer,
+      PowerLawWithCutoffAnalyzer,
+      DiscretePowerLawWithCutoffAnalyzer,
+      LogNormalAnalyzer,
+      ExponentialAnalyzer,
+      GeometricAnalyzer,
+      WeibullAnalyzer,
+      GammaAnalyzer,
+      LomaxAnalyzer,
+      YuleSimonAnalyzer,
+      ZipfAnalyzer,
+    ].forEach((Analyzer) => engine.registerAnalyzer(new Analyzer()));
+
+    SAMPLE_DATASETS.forEach((dataset) => {
+      const analysis = engine.analyzeMultiple(
+        calculateCCDF(loadSampleDataset(dataset.id))
+      );
+      const bestFit = analysis.bestFit && analysis.bestFit.distributionType;
+
+      expect([dataset.id, bestFit]).toEqual([
+        dataset.id,
+        dataset.expectedBestFit,
+      ]);
+    });
+  });
+});
+
+describe("loadSampleDataset", () => {
+  it("should load every dataset as a sorted histogram ready for analysis", () => {
+    SAMPLE_DATASETS.forEach((dataset) => {
+      const histogram = loadSampleDataset(dataset.id);
+
+      expect(histogram.length).toBeGreaterThanOrEqual(5);
+      histogram.forEach((d, i) => {
+        expect(d.value).toBeGreaterThan(0);
+        expect(d.frequency).toBeGreaterThan(0);
+        if (i > 0) expect(d.value).toBeGreaterThan(histogram[i - 1].value);
+      });
+    });
+  });
+
+  it("should keep the JUnit 5 histogram the page has always offered", () => {
+    const histogram = loadSampleDataset("junit5-function-lengths");
+
+    expect(histogram[0]).toEqual({ value: 1, frequency: 1436 });
+    expect(histogram.reduce((sum, d) => sum + d.frequency, 0)).toBe(12513);
+  });
+
+  it("should regenerate synthetic datasets identically", () => {
+    const first = loadSampleDataset("synthetic-power-law");
+
+    expect(first.reduce((sum, d) => sum + d.frequency, 0)).toBe(2000);
+    expect(loadSampleDataset("synthetic-power-law")).toEqual(first);
+  });
+
+  it("should read back from the input area with the format auto-detected", () => {
+    SAMPLE_DATASETS.forEach((dataset) => {
+      const histogram = loadSampleDataset(dataset.id);
+      const text = histogram.map((d) => `${d.value} ${d.frequency}`).join("\n");
+
+      expect(parseInputData(text, { format: "auto" })).toEqual(histogram);
+    });
+  });
+
+  it("should reject unknown ids", () => {
+    expect(() => loadSampleDataset("bogus")).toThrow(
+      'Unknown sample dataset "bogus"'
+    );
+  });
+});
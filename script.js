@@ -1,56 +1,60 @@
 // Multi-Distribution Analysis System
 // Uses the new modular architecture with AnalysisEngine
 
-const sampleData = `1 1436
-2 5491
-3 1773
-4 1163
-5 737
-6 512
-7 354
-8 267
-9 200
-10 132
-11 146
-12 52
-13 45
-14 32
-15 32
-16 26
-17 27
-18 14
-19 11
-20 10
-21 7
-22 7
-23 7
-24 6
-25 2
-26 2
-27 5
-28 1
-29 2
-30 1
-31 2
-33 1
-34 1
-36 1
-37 1
-39 1
-43 2
-44 1
-70 1
-73 1
-74 1`;
+// Distributions offered by the "Generate Sample" button (see dataGenerator.js)
+const generatorPresets = {
+  powerLaw: {
+    label: "power law (α = 2.5, xmin = 1)",
+    spec: { distribution: "powerLaw", alpha: 2.5, xmin: 1 },
+    precision: 4,
+  },
+  discretePowerLaw: {
+    label: "discrete power law (α = 2.2, xmin = 1)",
+    spec: { distribution: "discretePowerLaw", alpha: 2.2, xmin: 1 },
+  },
+  logNormal: {
+    label: "log-normal (μ = 1.5, σ = 0.8)",
+    spec: { distribution: "logNormal", mu: 1.5, sigma: 0.8 },
+    precision: 4,
+  },
+  exponential: {
+    label: "exponential (λ = 0.2, xmin = 1)",
+    spec: { distribution: "exponential", lambda: 0.2, xmin: 1 },
+    precision: 4,
+  },
+  mixture: {
+    label: "mixture of a log-normal body and a power-law tail",
+    spec: {
+      distribution: "mixture",
+      components: [
+        { weight: 0.8, distribution: "logNormal", mu: 1, sigma: 0.5 },
+        { weight: 0.2, distribution: "powerLaw", alpha: 2.2, xmin: 5 },
+      ],
+    },
+    precision: 4,
+  },
+};
 
 let currentViewMode = "loglog";
-let currentDistribution = "all"; // "all", "powerLaw", "logNormal", "exponential"
+let currentDistribution = "all"; // "all", "powerLaw", "logNormal", "exponential", "weibull", "gamma"
 let chartInstance = null;
 let analysisResults = null;
 let analysisEngine = null;
+let analyzedData = null; // Data behind analysisResults, resampled by the bootstrap test
+let bootstrapRunId = 0; // Incremented to abandon a bootstrap test when new data is analyzed
 
 // Interactive control state
-let visibleDistributions = ["powerLaw", "logNormal", "exponential"];
+let visibleDistributions = [
+  "powerLaw",
+  "powerLawWithCutoff",
+  "logNormal",
+  "exponential",
+  "weibull",
+  "gamma",
+  "lomax",
+  "yuleSimon",
+  "zipf",
+];
 let currentPlotType = "logarithmic";
 
 /*
@@ -66,12 +70,20 @@ let currentPlotType = "logarithmic";
  * - powerlaw_plot_view: User clicks Power Law Plot button
  * - lognormal_plot_view: User clicks Log-Normal Plot button
  * - exponential_plot_view: User clicks Exponential Plot button
+ * - weibull_plot_view: User clicks Weibull Plot button
+ * - gamma_plot_view: User clicks Gamma Plot button
  *
  * Interactive Controls:
  * - interactive_controls_shown: Interactive controls panel becomes visible
  * - toggle_powerlaw: User toggles Power Law distribution visibility
+ * - toggle_powerlaw_cutoff: User toggles Power Law with Cutoff distribution visibility
  * - toggle_lognormal: User toggles Log-Normal distribution visibility
  * - toggle_exponential: User toggles Exponential distribution visibility
+ * - toggle_weibull: User toggles Weibull distribution visibility
+ * - toggle_gamma: User toggles Gamma distribution visibility
+ * - toggle_lomax: User toggles Lomax (Pareto II) distribution visibility
+ * - toggle_yule_simon: User toggles Yule–Simon distribution visibility
+ * - toggle_zipf: User toggles Zipf (Zeta) distribution visibility
  * - change_plot_type: User switches between linear/logarithmic scales
  *
  * Chart Interactions:
@@ -81,12 +93,33 @@ let currentPlotType = "logarithmic";
  * - residual_plot_rendered: Residual plot is displayed
  */
 
-// Initialize the analysis engine with all three distribution analyzers
+// Discrete variants share the controls, colors and plots of their continuous counterparts
+const distributionFamilies = {
+  discretePowerLaw: "powerLaw",
+  discretePowerLawWithCutoff: "powerLawWithCutoff",
+  geometric: "exponential",
+};
+
+function getDistributionFamily(distributionType) {
+  return distributionFamilies[distributionType] || distributionType;
+}
+
+// Initialize the analysis engine; for integer data the discrete power law (with and without cutoff)
+// and the geometric replace their continuous counterparts, and the Yule–Simon and Zipf also run
 function initializeAnalysisEngine() {
   analysisEngine = new AnalysisEngine();
   analysisEngine.registerAnalyzer(new PowerLawAnalyzer());
+  analysisEngine.registerAnalyzer(new DiscretePowerLawAnalyzer());
+  analysisEngine.registerAnalyzer(new PowerLawWithCutoffAnalyzer());
+  analysisEngine.registerAnalyzer(new DiscretePowerLawWithCutoffAnalyzer());
   analysisEngine.registerAnalyzer(new LogNormalAnalyzer());
   analysisEngine.registerAnalyzer(new ExponentialAnalyzer());
+  analysisEngine.registerAnalyzer(new GeometricAnalyzer());
+  analysisEngine.registerAnalyzer(new WeibullAnalyzer());
+  analysisEngine.registerAnalyzer(new GammaAnalyzer());
+  analysisEngine.registerAnalyzer(new LomaxAnalyzer());
+  analysisEngine.registerAnalyzer(new YuleSimonAnalyzer());
+  analysisEngine.registerAnalyzer(new ZipfAnalyzer());
 }
 
 function showError(message) {
@@ -95,34 +128,103 @@ function showError(message) {
   const resultsContainer = document.getElementById("resultsContainer");
   errorMsg.textContent = message;
   errorMsg.classList.remove("hidden");
+  showNotices([]);
   resultsContainer.classList.add("hidden");
 }
 
+function showNotices(notices) {
+  const noticeMsg = document.getElementById("noticeMsg");
+  if (!noticeMsg) return;
+  noticeMsg.textContent = notices.join(" ");
+  noticeMsg.classList.toggle("hidden", notices.length === 0);
+}
+
+// Describe what normalizeData changed so users know their paste was cleaned up
+function describeNormalization(normalization) {
+  const notices = [];
+  if (normalization.wasReordered) {
+    notices.push("Input was not sorted; values were sorted ascending.");
+  }
+  if (normalization.mergedValues.length > 0) {
+    const merged = normalization.mergedValues
+      .map(
+        (m) =>
+          `${m.value} (${m.occurrences} lines, total count ${m.frequency.toLocaleString()})`
+      )
+      .join(", ");
+    notices.push(`Merged duplicate values: ${merged}.`);
+  }
+  return notices;
+}
+
 function parseInput() {
   try {
     // Reset error message
     const errorMsg = document.getElementById("errorMsg");
     const dataInput = document.getElementById("dataInput");
+    const inputFormat = document.getElementById("inputFormat");
+    const valueColumn = document.getElementById("valueColumn");
+    const countColumn = document.getElementById("countColumn");
+    const labelColumn = document.getElementById("labelColumn");
+    const zeroHandlingSelect = document.getElementById("zeroHandling");
+    const reportRule = document.getElementById("reportRule");
+    const churnMetric = document.getElementById("churnMetric");
     errorMsg.textContent = "";
     errorMsg.classList.add("hidden");
 
     const inputText = dataInput.value;
-
-    // Use the new data processor
-    const parsedData = parseInputData(inputText);
-    const dataWithCCDF = calculateCCDF(parsedData);
+    const format = inputFormat ? inputFormat.value : "auto";
+    const zeroHandling = zeroHandlingSelect ? zeroHandlingSelect.value : "error";
+
+    const notices = [];
+    let parsedData;
+    if (format === "pmd" || format === "eslint") {
+      // Metric rule violations become one observation each
+      const importReport =
+        format === "pmd" ? parsePmdReport : parseEslintReport;
+      const report = importReport(inputText, {
+        rule: reportRule ? reportRule.value.trim() : undefined,
+        allowNonPositive: zeroHandling !== "error",
+      });
+      parsedData = report.data;
+      notices.push(
+        `Imported ${report.observations.length.toLocaleString()} ${report.rule} violations.`
+      );
+    } else if (format === "git") {
+      const metric = churnMetric ? churnMetric.value : "linesPerCommit";
+      parsedData = parseGitChurn(inputText, metric);
+      notices.push(`Analyzing ${CHURN_METRICS[metric].toLowerCase()}.`);
+    } else {
+      // Use the new data processor
+      parsedData = parseInputData(inputText, {
+        format,
+        valueColumn: valueColumn ? valueColumn.value.trim() : undefined,
+        countColumn: countColumn ? countColumn.value.trim() : undefined,
+        labelColumn: labelColumn ? labelColumn.value.trim() : undefined,
+        zeroHandling,
+      });
+    }
+    const { data: positiveData, preprocessing } = applyZeroHandling(
+      parsedData,
+      zeroHandling
+    );
+    const normalization = normalizeData(positiveData);
+    showNotices(notices.concat(describeNormalization(normalization)));
+    const dataWithCCDF = calculateCCDF(normalization.data);
 
     // Run multi-distribution analysis
-    analyzeData(dataWithCCDF);
+    analyzeData(dataWithCCDF, preprocessing);
   } catch (err) {
     showError("Error parsing input: " + err.message);
   }
 }
 
-function analyzeData(dataWithCCDF) {
+function analyzeData(dataWithCCDF, preprocessing = null) {
   try {
     // Run multi-distribution analysis using the analysis engine
-    const result = analysisEngine.analyzeMultiple(dataWithCCDF);
+    const result = analysisEngine.analyzeMultiple(dataWithCCDF, null, {
+      preprocessing,
+    });
 
     // Track multi-distribution analysis usage
     fathom.trackEvent("multi_distribution_analysis", {
@@ -136,6 +238,8 @@ function analyzeData(dataWithCCDF) {
 
     // Update the UI with results
     updateResults();
+    updateTailMembers(dataWithCCDF);
+    resetBootstrapPanel(dataWithCCDF);
     updateChart();
 
     // Show results container
@@ -172,14 +276,32 @@ function updateResults() {
 
     // Format parameters based on distribution type
     let paramText = "";
-    if (bestFit.distributionType === "powerLaw") {
-      paramText = `α = ${bestFit.parameters.exponent.toFixed(2)}`;
+    if (getDistributionFamily(bestFit.distributionType) === "powerLaw") {
+      paramText = `${formatPowerLawExponent(
+        bestFit.parameters
+      )}, ${formatPowerLawTail(bestFit.parameters)}`;
+    } else if (
+      getDistributionFamily(bestFit.distributionType) === "powerLawWithCutoff"
+    ) {
+      paramText = formatPowerLawCutoff(bestFit);
     } else if (bestFit.distributionType === "logNormal") {
       paramText = `μ = ${bestFit.parameters.mu.toFixed(
         2
       )}, σ = ${bestFit.parameters.sigma.toFixed(2)}`;
-    } else if (bestFit.distributionType === "exponential") {
-      paramText = `λ = ${bestFit.parameters.lambda.toFixed(3)}`;
+    } else if (
+      getDistributionFamily(bestFit.distributionType) === "exponential"
+    ) {
+      paramText = formatExponentialParameters(bestFit.parameters);
+    } else if (bestFit.distributionType === "weibull") {
+      paramText = formatWeibullParameters(bestFit.parameters);
+    } else if (bestFit.distributionType === "gamma") {
+      paramText = formatGammaParameters(bestFit.parameters);
+    } else if (bestFit.distributionType === "lomax") {
+      paramText = formatLomaxParameters(bestFit.parameters);
+    } else if (bestFit.distributionType === "yuleSimon") {
+      paramText = formatYuleSimonParameters(bestFit.parameters);
+    } else if (bestFit.distributionType === "zipf") {
+      paramText = formatZipfParameters(bestFit.parameters);
     }
     document.getElementById("bestParameters").textContent = paramText;
 
@@ -204,6 +326,24 @@ function updateResults() {
 
   fathom.trackEvent(bestFit ? bestFit.distributionType : "no clear fit");
 
+  const preprocessingNote = analysisResults.summary.preprocessingNote
+    ? `<p class="text-sm mt-2 text-gray-600">${analysisResults.summary.preprocessingNote}</p>`
+    : "";
+  const cutoffResult = rankedResults.find(
+    (r) => getDistributionFamily(r.distributionType) === "powerLawWithCutoff"
+  );
+  const cutoffNote = cutoffResult
+    ? `<p class="text-sm mt-2">${describePowerLawCutoff(cutoffResult)}</p>`
+    : "";
+  const zipfComparison = DistributionUtils.findComparison(
+    analysisResults.comparisons || [],
+    "zipf",
+    "discretePowerLaw"
+  );
+  const zipfNote = zipfComparison
+    ? `<p class="text-sm mt-2">${describeZipfComparison(zipfComparison)}</p>`
+    : "";
+
   if (bestFit) {
     verdictCard.className = "p-4 rounded-lg bg-green-50";
     verdictContent.innerHTML = `
@@ -211,6 +351,9 @@ function updateResults() {
           ✓ ${analysisResults.summary.verdict}
       </div>
       <p class="text-sm">${analysisResults.summary.recommendation}</p>
+      ${cutoffNote}
+      ${zipfNote}
+      ${preprocessingNote}
     `;
   } else {
     verdictCard.className = "p-4 rounded-lg bg-yellow-50";
@@ -219,11 +362,132 @@ function updateResults() {
           ✗ ${analysisResults.summary.verdict}
       </div>
       <p class="text-sm">${analysisResults.summary.recommendation}</p>
+      ${cutoffNote}
+      ${zipfNote}
+      ${preprocessingNote}
     `;
   }
 
   // Update detailed distribution comparison
   updateDistributionComparison(rankedResults);
+  updateLikelihoodRatioTests(analysisResults.comparisons || []);
+}
+
+// Format the maximum-likelihood exponent α of p(x) ∝ x^(-α) with its standard error
+function formatPowerLawExponent(parameters) {
+  const error = parameters.alphaStandardError
+    ? ` ± ${parameters.alphaStandardError.toFixed(2)}`
+    : "";
+  return `α = ${parameters.alpha.toFixed(2)}${error}`;
+}
+
+// Format the estimated lower cutoff xmin and the number of observations fitted above it
+function formatPowerLawTail(parameters) {
+  const observations = Math.round(parameters.tailObservations);
+  const noun = observations === 1 ? "observation" : "observations";
+  return `xmin = ${parameters.xmin.toLocaleString()}, ${observations.toLocaleString()} ${noun} in tail`;
+}
+
+// Round a cutoff scale to two significant digits for display, e.g. 61.7 → "62", 1234 → "1,200"
+function formatApproximateScale(value) {
+  return Number(value.toPrecision(2)).toLocaleString();
+}
+
+// Format the exponent, the cutoff scale 1/λ (if the nested test finds one) and the lower bound of a
+// power law with cutoff; a cutoff of null means λ collapsed toward 0
+function formatPowerLawCutoff(result) {
+  const { parameters } = result;
+  const cutoff = result.goodnessOfFit.nestedTest.favorsCutoff
+    ? `cutoff at ~${formatApproximateScale(parameters.cutoff)}`
+    : parameters.cutoff === null
+    ? "no cutoff"
+    : "no significant cutoff";
+  return `α = ${parameters.alpha.toFixed(
+    2
+  )}, ${cutoff}, xmin = ${parameters.xmin.toLocaleString()}`;
+}
+
+// Say whether the nested likelihood-ratio test finds a cutoff in the power-law tail
+function describePowerLawCutoff(result) {
+  const test = result.goodnessOfFit.nestedTest;
+  if (test.favorsCutoff) {
+    return `Above xmin = ${result.parameters.xmin.toLocaleString()}, the data looks like a power law with a cutoff at ~${formatApproximateScale(
+      result.parameters.cutoff
+    )}: the cutoff fits significantly better than a pure power law (likelihood-ratio test, p = ${test.pValue.toFixed(
+      3
+    )}).`;
+  }
+  if (result.parameters.cutoff === null) {
+    return `Above xmin = ${result.parameters.xmin.toLocaleString()}, the fitted cutoff lies far beyond the largest value: there is no cutoff, and the tail is a pure power law.`;
+  }
+  return `A cutoff does not significantly improve on a pure power law above xmin = ${result.parameters.xmin.toLocaleString()} (likelihood-ratio test, p = ${test.pValue.toFixed(
+    3
+  )}).`;
+}
+
+// Say whether the likelihood-ratio test on the discrete power law's tail finds that one power law, the
+// Zipf distribution, runs all the way down to 1
+function describeZipfComparison(comparison) {
+  const bound = comparison.lowerBound.toLocaleString();
+  const pValue = comparison.pValue.toFixed(3);
+  if (comparison.lowerBound <= 1) {
+    return "The discrete power law runs from xmin = 1, so it is the Zipf distribution.";
+  }
+  if (comparison.favored === "zipf") {
+    return `One power law from 1, the Zipf distribution, fits the values ≥ ${bound} significantly better than the discrete power law fitted to them alone (likelihood-ratio test, p = ${pValue}).`;
+  }
+  if (comparison.favored) {
+    return `Above xmin = ${bound}, the discrete power law fits significantly better than the Zipf distribution (likelihood-ratio test, p = ${pValue}): the power law does not run down to 1.`;
+  }
+  return `On the values ≥ ${bound}, the likelihood-ratio test cannot tell the Zipf distribution from the discrete power law (p = ${pValue}).`;
+}
+
+// Format the exponential rate λ and the lower bound xmin it is fitted above
+function formatExponentialParameters(parameters) {
+  return `λ = ${parameters.lambda.toFixed(3)}, xmin = ${(
+    parameters.xmin || 0
+  ).toLocaleString()}`;
+}
+
+// Format the Weibull shape k and scale λ
+function formatWeibullParameters(parameters) {
+  return `k = ${parameters.shape.toFixed(2)}, λ = ${Number(
+    parameters.scale.toPrecision(3)
+  ).toLocaleString()}`;
+}
+
+// Format the gamma shape k and rate β
+function formatGammaParameters(parameters) {
+  return `k = ${parameters.shape.toFixed(2)}, β = ${Number(
+    parameters.rate.toPrecision(3)
+  ).toLocaleString()}`;
+}
+
+// Format the Lomax exponent α and the scale σ below which its head flattens, or the rate of the
+// exponential it reduces to when σ runs off to its bound
+function formatLomaxParameters(parameters) {
+  if (parameters.exponentialLimit) {
+    return `σ → ∞, exponential limit with rate α/σ = ${Number(
+      parameters.rate.toPrecision(3)
+    ).toLocaleString()}`;
+  }
+  return `α = ${parameters.alpha.toFixed(2)}, σ = ${Number(
+    parameters.scale.toPrecision(3)
+  ).toLocaleString()}`;
+}
+
+// Format the Yule–Simon ρ and the exponent ρ + 1 of its power-law tail
+function formatYuleSimonParameters(parameters) {
+  return `ρ = ${parameters.rho.toFixed(2)}, tail α = ${(
+    parameters.rho + 1
+  ).toFixed(2)}`;
+}
+
+// Format the Zipf exponent s and its standard error
+function formatZipfParameters(parameters) {
+  return `s = ${parameters.alpha.toFixed(
+    2
+  )} ± ${parameters.alphaStandardError.toFixed(2)}`;
 }
 
 // Update the detailed distribution comparison panel
@@ -239,16 +503,42 @@ function updateDistributionComparison(rankedResults) {
 
       // Format parameters
       let paramText = "";
-      if (result.distributionType === "powerLaw") {
-        paramText = `α = ${result.parameters.exponent.toFixed(2)}`;
+      if (getDistributionFamily(result.distributionType) === "powerLaw") {
+        paramText = `${formatPowerLawExponent(
+          result.parameters
+        )}, ${formatPowerLawTail(result.parameters)}`;
+      } else if (
+        getDistributionFamily(result.distributionType) === "powerLawWithCutoff"
+      ) {
+        paramText = formatPowerLawCutoff(result);
       } else if (result.distributionType === "logNormal") {
         paramText = `μ = ${result.parameters.mu.toFixed(
           2
         )}, σ = ${result.parameters.sigma.toFixed(2)}`;
-      } else if (result.distributionType === "exponential") {
-        paramText = `λ = ${result.parameters.lambda.toFixed(3)}`;
+      } else if (
+        getDistributionFamily(result.distributionType) === "exponential"
+      ) {
+        paramText = formatExponentialParameters(result.parameters);
+      } else if (result.distributionType === "weibull") {
+        paramText = formatWeibullParameters(result.parameters);
+      } else if (result.distributionType === "gamma") {
+        paramText = formatGammaParameters(result.parameters);
+      } else if (result.distributionType === "lomax") {
+        paramText = formatLomaxParameters(result.parameters);
+      } else if (result.distributionType === "yuleSimon") {
+        paramText = formatYuleSimonParameters(result.parameters);
+      } else if (result.distributionType === "zipf") {
+        paramText = formatZipfParameters(result.parameters);
       }
 
+      // Tail fits have an AIC over the tail only, which ranks them only against fits to the same tail
+      const likelihoodLowerBound =
+        DistributionUtils.getLikelihoodLowerBound(result);
+      const aicLabel =
+        likelihoodLowerBound !== null
+          ? `AIC (x ≥ ${likelihoodLowerBound.toLocaleString()}):`
+          : "AIC:";
+
       const cardClass = isWinner
         ? "bg-green-50 border-2 border-green-200"
         : "bg-white border border-gray-200";
@@ -283,7 +573,7 @@ function updateDistributionComparison(rankedResults) {
             <span class="font-medium text-xs">${paramText}</span>
           </div>
           <div class="flex justify-between">
-            <span class="text-gray-600">AIC:</span>
+            <span class="text-gray-600">${aicLabel}</span>
             <span class="font-medium">${result.goodnessOfFit.aic.toFixed(
               1
             )}</span>
@@ -306,6 +596,216 @@ function updateDistributionComparison(rankedResults) {
     .join("");
 }
 
+// Show the pairwise likelihood-ratio tests: a positive ratio favors the first distribution of the
+// pair. Nested pairs have no normalized ratio; pairs whose test failed show the error.
+function updateLikelihoodRatioTests(comparisons) {
+  const container = document.getElementById("likelihoodRatioTests");
+  const table = document.getElementById("likelihoodRatioTable");
+  if (!container || !table) return;
+
+  container.classList.toggle("hidden", comparisons.length === 0);
+  if (comparisons.length === 0) return;
+
+  const { lowerBound, sampleSize, discretized } = comparisons[0];
+  const discretizedNote = discretized
+    ? " Continuous distributions give each integer x the probability of [x, x + 1), so that they compare with the discrete ones."
+    : "";
+  document.getElementById("likelihoodRatioNote").textContent =
+    (lowerBound > 0
+      ? `Compared on the ${Math.round(
+          sampleSize
+        ).toLocaleString()} observations at or above ${lowerBound.toLocaleString()}, where every distribution applies. Distributions that can be truncated there are refitted to those observations. Nested pairs use the χ² likelihood-ratio test, the others Vuong's test.`
+      : `Compared on all ${Math.round(
+          sampleSize
+        ).toLocaleString()} observations. Nested pairs use the χ² likelihood-ratio test, the others Vuong's test.`) +
+    discretizedNote;
+
+  table.innerHTML = comparisons
+    .map((comparison) => {
+      if (comparison.error) {
+        return `
+      <tr class="border-t border-gray-200">
+        <td class="py-1 pr-4">${comparison.firstName} vs ${
+          comparison.secondName
+        }</td>
+        <td class="py-1 text-gray-600" colspan="4">Not tested: ${
+          comparison.error
+        }</td>
+      </tr>`;
+      }
+      const sign = comparison.logLikelihoodRatio >= 0 ? "+" : "";
+      const verdict = comparison.favored
+        ? `${
+            comparison.favored === comparison.first
+              ? comparison.firstName
+              : comparison.secondName
+          } fits better`
+        : "Inconclusive";
+      return `
+      <tr class="border-t border-gray-200">
+        <td class="py-1 pr-4">${comparison.firstName} vs ${
+        comparison.secondName
+      }</td>
+        <td class="py-1 pr-4 text-right">${sign}${comparison.logLikelihoodRatio.toFixed(
+          1
+        )}</td>
+        <td class="py-1 pr-4 text-right">${
+          comparison.nested
+            ? "—"
+            : `${sign}${comparison.normalizedRatio.toFixed(2)}`
+        }</td>
+        <td class="py-1 pr-4 text-right">${comparison.pValue.toFixed(3)}</td>
+        <td class="py-1 ${
+          comparison.favored ? "font-medium" : "text-gray-600"
+        }">${verdict}</td>
+      </tr>`;
+    })
+    .join("");
+}
+
+// List the labeled observations behind the largest values
+function updateTailMembers(dataWithCCDF) {
+  const container = document.getElementById("tailMembers");
+  const table = document.getElementById("tailMembersTable");
+  if (!container || !table) return;
+
+  const members = getTailMembers(dataWithCCDF, 20);
+  container.classList.toggle("hidden", members.length === 0);
+  table.innerHTML = members
+    .map(
+      (member) => `
+      <tr class="border-t border-gray-200">
+        <td class="py-1 pr-4 font-mono">${escapeHtml(member.label)}</td>
+        <td class="py-1 pr-4 text-right">${member.value.toLocaleString()}</td>
+        <td class="py-1 text-right">${(member.tailProbability * 100).toFixed(
+          2
+        )}%</td>
+      </tr>`
+    )
+    .join("");
+}
+
+// Clear the bootstrap test for newly analyzed data; the test needs individual values, not bins
+function resetBootstrapPanel(dataWithCCDF) {
+  const panel = document.getElementById("bootstrapPanel");
+  if (!panel) return;
+
+  analyzedData = dataWithCCDF;
+  bootstrapRunId++;
+  panel.classList.toggle("hidden", DistributionUtils.isBinned(dataWithCCDF));
+  document.getElementById("bootstrapBtn").disabled = false;
+  document.getElementById("bootstrapProgress").textContent = "";
+  document.getElementById("bootstrapResult").textContent = "";
+}
+
+// Run the bootstrap test of the fitted power law in short batches so the progress stays visible
+function runBootstrapTest() {
+  const powerLawResult =
+    analysisResults &&
+    analysisResults.results.find(
+      (r) => getDistributionFamily(r.distributionType) === "powerLaw"
+    );
+  if (!powerLawResult || !analyzedData) return;
+
+  const replicates = Number(
+    document.getElementById("bootstrapReplicates").value
+  );
+  if (!Number.isInteger(replicates) || replicates < 1) {
+    showError("The number of bootstrap replicates must be a positive integer.");
+    return;
+  }
+
+  const analyzer = analysisEngine.getAnalyzer(powerLawResult.distributionType);
+  const data = analyzedData;
+  const fit = analyzer.estimateXmin(data);
+  const random = createRandom(1);
+  const runId = ++bootstrapRunId;
+  const button = document.getElementById("bootstrapBtn");
+  const progress = document.getElementById("bootstrapProgress");
+  let completed = 0;
+  let worseFits = 0;
+
+  button.disabled = true;
+  document.getElementById("bootstrapResult").textContent = "";
+  fathom.trackEvent("bootstrap test", { replicates });
+
+  const runBatch = () => {
+    // A new analysis replaced the data
+    if (runId !== bootstrapRunId) return;
+
+    const batchEnd = Date.now() + 100;
+    while (completed < replicates && Date.now() < batchEnd) {
+      if (
+        analyzer.simulateBootstrapReplicate(data, fit, random) >=
+        fit.ksDistance
+      ) {
+        worseFits++;
+      }
+      completed++;
+    }
+    progress.textContent = `${completed.toLocaleString()} / ${replicates.toLocaleString()} replicates`;
+
+    if (completed < replicates) {
+      setTimeout(runBatch, 0);
+      return;
+    }
+    button.disabled = false;
+    const test = analyzer.summarizeBootstrap(fit, worseFits, replicates);
+    // A power law the test rules out can no longer be the verdict
+    analysisEngine.applyBootstrapTest(
+      analysisResults,
+      powerLawResult.distributionType,
+      test
+    );
+    updateResults();
+    updateChart();
+    showBootstrapResult(test);
+  };
+  runBatch();
+}
+
+// Show the bootstrap p-value and what it means for the power-law hypothesis
+function showBootstrapResult(test) {
+  const conclusion = test.plausible
+    ? "a power law is plausible."
+    : "the power law is ruled out (p ≤ 0.1).";
+  const result = document.getElementById("bootstrapResult");
+  result.className = `mt-2 text-sm font-medium ${
+    test.plausible ? "text-green-700" : "text-red-700"
+  }`;
+  result.textContent = `p = ${test.pValue.toFixed(2)}: ${test.worseFits.toLocaleString()} of ${test.replicates.toLocaleString()} synthetic datasets fit worse than yours, so ${conclusion}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Tooltip lines naming the labeled observations behind a data point
+const labelTooltipCallbacks = {
+  afterLabel: function (context) {
+    const labels = context.raw && context.raw.labels;
+    if (!labels || labels.length === 0) return "";
+    const shown = labels.slice(0, 5);
+    if (labels.length > shown.length) {
+      shown.push(`… and ${labels.length - shown.length} more`);
+    }
+    return shown;
+  },
+};
+
+// Data points of the result covering the most values; power-law results only cover the tail above xmin
+function getEmpiricalPoints() {
+  return analysisResults.results.reduce((widest, result) =>
+    result.theoreticalValues.length > widest.theoreticalValues.length
+      ? result
+      : widest
+  ).theoreticalValues;
+}
+
 function updateChart() {
   if (!analysisResults) return;
 
@@ -318,7 +818,6 @@ function updateChart() {
 
   // Get the best fit result for plotting
   const bestFit = analysisResults.bestFit;
-  const firstResult = analysisResults.results[0]; // Use first result for data
 
   if (currentViewMode === "frequency") {
     // Show frequency distribution (bar chart)
@@ -352,9 +851,10 @@ function updateChart() {
     const datasets = [
       {
         label: "Empirical CCDF",
-        data: firstResult.theoreticalValues.map((d) => ({
+        data: getEmpiricalPoints().map((d) => ({
           x: d.value,
           y: d.ccdf,
+          labels: d.labels,
         })),
         backgroundColor: "rgba(136, 132, 216, 0.1)",
         borderColor: "rgba(136, 132, 216, 1)",
@@ -394,6 +894,9 @@ function updateChart() {
       options: {
         responsive: true,
         maintainAspectRatio: false,
+        plugins: {
+          tooltip: { callbacks: labelTooltipCallbacks },
+        },
         scales: {
           y: {
             beginAtZero: true,
@@ -414,12 +917,24 @@ function updateChart() {
     });
   } else if (currentViewMode === "loglog") {
     // Show distribution-specific plot based on best fit
-    if (bestFit && bestFit.distributionType === "powerLaw") {
+    const bestFamily =
+      bestFit && getDistributionFamily(bestFit.distributionType);
+    if (bestFamily === "powerLaw" || bestFamily === "powerLawWithCutoff") {
       showPowerLawPlot(ctx);
-    } else if (bestFit && bestFit.distributionType === "logNormal") {
+    } else if (bestFamily === "logNormal") {
       showLogNormalPlot(ctx);
-    } else if (bestFit && bestFit.distributionType === "exponential") {
+    } else if (bestFamily === "exponential") {
       showExponentialPlot(ctx);
+    } else if (bestFamily === "weibull") {
+      showWeibullPlot(ctx);
+    } else if (bestFamily === "gamma") {
+      showGammaPlot(ctx);
+    } else if (bestFamily === "lomax") {
+      showLomaxPlot(ctx);
+    } else if (bestFamily === "yuleSimon") {
+      showYuleSimonPlot(ctx);
+    } else if (bestFamily === "zipf") {
+      showZipfPlot(ctx);
     } else {
       // Show power law plot as default
       showPowerLawPlot(ctx);
@@ -430,6 +945,10 @@ function updateChart() {
     showLogNormalPlot(ctx);
   } else if (currentViewMode === "exponential") {
     showExponentialPlot(ctx);
+  } else if (currentViewMode === "weibull") {
+    showWeibullPlot(ctx);
+  } else if (currentViewMode === "gamma") {
+    showGammaPlot(ctx);
   } else if (currentViewMode === "qqplot") {
     showQQPlot(ctx);
   } else if (currentViewMode === "enhancedCCDF") {
@@ -442,38 +961,76 @@ function updateChart() {
 // Helper functions for distribution-specific plots
 function showPowerLawPlot(ctx) {
   const powerLawResult = analysisResults.results.find(
-    (r) => r.distributionType === "powerLaw"
+    (r) => getDistributionFamily(r.distributionType) === "powerLaw"
   );
   if (!powerLawResult) return;
 
-  // Create log-log plot for power law
-  const scatterData = powerLawResult.theoreticalValues.map((d) => ({
+  // Create log-log plot for power law, with the fitted tail above xmin as a line
+  const scatterData = getEmpiricalPoints().map((d) => ({
     x: Math.log10(d.value),
     y: Math.log10(d.ccdf),
+    labels: d.labels,
+  }));
+  const tailData = powerLawResult.theoreticalValues.map((d) => ({
+    x: Math.log10(d.value),
+    y: d.theoreticalLogCCDF,
   }));
+  const datasets = [
+    {
+      label: "Data Points (Log-Log)",
+      data: scatterData,
+      backgroundColor: "rgba(136, 132, 216, 0.8)",
+      pointRadius: 5,
+    },
+    {
+      label: `Fitted tail (xmin = ${powerLawResult.parameters.xmin.toLocaleString()})`,
+      data: tailData,
+      borderColor: "rgba(255, 115, 0, 1)",
+      borderWidth: 2,
+      pointRadius: 0,
+      showLine: true,
+    },
+  ];
+
+  // The power law with cutoff bends away from the straight tail beyond its cutoff
+  const cutoffResult = analysisResults.results.find(
+    (r) => getDistributionFamily(r.distributionType) === "powerLawWithCutoff"
+  );
+  if (cutoffResult) {
+    datasets.push({
+      label: cutoffResult.goodnessOfFit.nestedTest.favorsCutoff
+        ? `With cutoff at ~${formatApproximateScale(
+            cutoffResult.parameters.cutoff
+          )}`
+        : cutoffResult.parameters.cutoff === null
+        ? "With cutoff (none found)"
+        : "With cutoff (not significant)",
+      data: cutoffResult.theoreticalValues.map((d) => ({
+        x: Math.log10(d.value),
+        y: d.theoreticalLogCCDF,
+      })),
+      borderColor: "rgba(139, 92, 246, 1)",
+      borderWidth: 2,
+      borderDash: [6, 4],
+      pointRadius: 0,
+      showLine: true,
+    });
+  }
 
   chartInstance = new Chart(ctx, {
     type: "scatter",
-    data: {
-      datasets: [
-        {
-          label: "Data Points (Log-Log)",
-          data: scatterData,
-          backgroundColor: "rgba(136, 132, 216, 0.8)",
-          pointRadius: 5,
-        },
-      ],
-    },
+    data: { datasets },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
         title: {
           display: true,
-          text: `Power Law Analysis (R² = ${powerLawResult.goodnessOfFit.rSquared.toFixed(
-            3
-          )})`,
+          text: `Power Law Analysis (${formatPowerLawExponent(
+            powerLawResult.parameters
+          )}, R² = ${powerLawResult.goodnessOfFit.rSquared.toFixed(3)})`,
         },
+        tooltip: { callbacks: labelTooltipCallbacks },
       },
       scales: {
         y: {
@@ -501,13 +1058,10 @@ function showLogNormalPlot(ctx) {
 
   // Get the log-normal specific plot data or create fallback
   let chartData = [];
-  if (
-    logNormalResult.logNormalProbabilityPlot &&
-    logNormalResult.logNormalProbabilityPlot.plotData
-  ) {
-    chartData = logNormalResult.logNormalProbabilityPlot.plotData.map((d) => ({
-      x: d.x,
-      y: d.y,
+  if (logNormalResult.plotData) {
+    chartData = logNormalResult.plotData.map((d) => ({
+      x: d.theoreticalQuantile,
+      y: d.lnValue,
     }));
   } else {
     // Fallback: create normal probability plot from theoretical values
@@ -517,6 +1071,10 @@ function showLogNormalPlot(ctx) {
     }));
   }
 
+  const { mu, sigma } = logNormalResult.parameters;
+  const quantiles = chartData.map((d) => d.x);
+  const quantileRange = [Math.min(...quantiles), Math.max(...quantiles)];
+
   // Show normal probability plot for log-normal
   chartInstance = new Chart(ctx, {
     type: "scatter",
@@ -528,6 +1086,16 @@ function showLogNormalPlot(ctx) {
           backgroundColor: "rgba(34, 197, 94, 0.8)",
           pointRadius: 5,
         },
+        {
+          // ln(x) = μ + σ z for the maximum-likelihood fit
+          label: `Fitted (μ = ${mu.toFixed(2)}, σ = ${sigma.toFixed(2)})`,
+          type: "line",
+          data: quantileRange.map((z) => ({ x: z, y: mu + sigma * z })),
+          borderColor: "rgba(239, 68, 68, 1)",
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
       ],
     },
     options: {
@@ -561,7 +1129,7 @@ function showLogNormalPlot(ctx) {
 
 function showExponentialPlot(ctx) {
   const exponentialResult = analysisResults.results.find(
-    (r) => r.distributionType === "exponential"
+    (r) => getDistributionFamily(r.distributionType) === "exponential"
   );
   if (!exponentialResult) return;
 
@@ -612,6 +1180,353 @@ function showExponentialPlot(ctx) {
   });
 }
 
+function showWeibullPlot(ctx) {
+  const weibullResult = analysisResults.results.find(
+    (r) => r.distributionType === "weibull"
+  );
+  if (!weibullResult) return;
+
+  // Show Weibull probability plot: ln(-ln(CCDF)) against ln(x) is a line of slope k
+  const chartData = (weibullResult.plotData || []).map((d) => ({
+    x: d.x,
+    y: d.y,
+  }));
+  const { shape, scale } = weibullResult.parameters;
+  const logValues = chartData.map((d) => d.x);
+  const fittedLine = [Math.min(...logValues), Math.max(...logValues)].map(
+    (lnValue) => ({ x: lnValue, y: shape * (lnValue - Math.log(scale)) })
+  );
+
+  chartInstance = new Chart(ctx, {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          label: "Weibull Probability Plot",
+          data: chartData,
+          backgroundColor: "rgba(245, 158, 11, 0.8)",
+          pointRadius: 5,
+        },
+        {
+          label: `MLE Fit (${formatWeibullParameters(
+            weibullResult.parameters
+          )})`,
+          type: "line",
+          data: fittedLine,
+          borderColor: "rgba(239, 68, 68, 1)",
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: {
+          display: true,
+          text: `Weibull Analysis (R² = ${weibullResult.goodnessOfFit.rSquared.toFixed(
+            3
+          )})`,
+        },
+      },
+      scales: {
+        y: {
+          title: {
+            display: true,
+            text: "ln(-ln(CCDF))",
+          },
+        },
+        x: {
+          title: {
+            display: true,
+            text: "ln(Value)",
+          },
+        },
+      },
+    },
+  });
+}
+
+function showGammaPlot(ctx) {
+  const gammaResult = analysisResults.results.find(
+    (r) => r.distributionType === "gamma"
+  );
+  if (!gammaResult) return;
+
+  // Show gamma probability plot: ln(x) against ln of the standard gamma quantiles at the fitted
+  // shape is a line of slope 1
+  const chartData = (gammaResult.plotData || []).map((d) => ({
+    x: d.x,
+    y: d.y,
+  }));
+  const logQuantiles = chartData.map((d) => d.x);
+  const fittedLine = [
+    Math.min(...logQuantiles),
+    Math.max(...logQuantiles),
+  ].map((lnQuantile) => ({
+    x: lnQuantile,
+    y: lnQuantile - Math.log(gammaResult.parameters.rate),
+  }));
+
+  chartInstance = new Chart(ctx, {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          label: "Gamma Probability Plot",
+          data: chartData,
+          backgroundColor: "rgba(99, 102, 241, 0.8)",
+          pointRadius: 5,
+        },
+        {
+          label: `MLE Fit (${formatGammaParameters(gammaResult.parameters)})`,
+          type: "line",
+          data: fittedLine,
+          borderColor: "rgba(239, 68, 68, 1)",
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: {
+          display: true,
+          text: `Gamma Analysis (R² = ${gammaResult.goodnessOfFit.rSquared.toFixed(
+            3
+          )})`,
+        },
+      },
+      scales: {
+        y: {
+          title: {
+            display: true,
+            text: "ln(Value)",
+          },
+        },
+        x: {
+          title: {
+            display: true,
+            text: "ln(Standard Gamma Quantile)",
+          },
+        },
+      },
+    },
+  });
+}
+
+function showLomaxPlot(ctx) {
+  const lomaxResult = analysisResults.results.find(
+    (r) => r.distributionType === "lomax"
+  );
+  if (!lomaxResult) return;
+
+  // Show log-log CCDF with the fitted Lomax curve, straight above σ and flattening below it
+  const scatterData = getEmpiricalPoints()
+    .filter((d) => d.value > 0 && d.ccdf > 0)
+    .map((d) => ({
+      x: Math.log10(d.value),
+      y: Math.log10(d.ccdf),
+      labels: d.labels,
+    }));
+  const fittedData = lomaxResult.theoreticalValues.map((d) => ({
+    x: Math.log10(d.value),
+    y: Math.log10(d.theoreticalCCDF),
+  }));
+
+  chartInstance = new Chart(ctx, {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          label: "Data Points (Log-Log)",
+          data: scatterData,
+          backgroundColor: "rgba(236, 72, 153, 0.8)",
+          pointRadius: 5,
+        },
+        {
+          label: `MLE Fit (${formatLomaxParameters(lomaxResult.parameters)})`,
+          data: fittedData,
+          borderColor: "rgba(239, 68, 68, 1)",
+          borderWidth: 2,
+          pointRadius: 0,
+          showLine: true,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: {
+          display: true,
+          text: `Lomax Analysis (R² = ${lomaxResult.goodnessOfFit.rSquared.toFixed(
+            3
+          )})`,
+        },
+        tooltip: { callbacks: labelTooltipCallbacks },
+      },
+      scales: {
+        y: {
+          title: {
+            display: true,
+            text: "log(CCDF)",
+          },
+        },
+        x: {
+          title: {
+            display: true,
+            text: "log(Value)",
+          },
+        },
+      },
+    },
+  });
+}
+
+function showYuleSimonPlot(ctx) {
+  const yuleSimonResult = analysisResults.results.find(
+    (r) => r.distributionType === "yuleSimon"
+  );
+  if (!yuleSimonResult) return;
+
+  // Show log-log CCDF with the fitted Yule–Simon curve, bending from its head into a power-law tail
+  const scatterData = getEmpiricalPoints()
+    .filter((d) => d.value > 0 && d.ccdf > 0)
+    .map((d) => ({
+      x: Math.log10(d.value),
+      y: Math.log10(d.ccdf),
+      labels: d.labels,
+    }));
+  const fittedData = yuleSimonResult.theoreticalValues.map((d) => ({
+    x: Math.log10(d.value),
+    y: Math.log10(d.theoreticalCCDF),
+  }));
+
+  chartInstance = new Chart(ctx, {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          label: "Data Points (Log-Log)",
+          data: scatterData,
+          backgroundColor: "rgba(146, 64, 14, 0.8)",
+          pointRadius: 5,
+        },
+        {
+          label: `MLE Fit (${formatYuleSimonParameters(yuleSimonResult.parameters)})`,
+          data: fittedData,
+          borderColor: "rgba(239, 68, 68, 1)",
+          borderWidth: 2,
+          pointRadius: 0,
+          showLine: true,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: {
+          display: true,
+          text: `Yule–Simon Analysis (R² = ${yuleSimonResult.goodnessOfFit.rSquared.toFixed(
+            3
+          )})`,
+        },
+        tooltip: { callbacks: labelTooltipCallbacks },
+      },
+      scales: {
+        y: {
+          title: {
+            display: true,
+            text: "log(CCDF)",
+          },
+        },
+        x: {
+          title: {
+            display: true,
+            text: "log(Value)",
+          },
+        },
+      },
+    },
+  });
+}
+
+function showZipfPlot(ctx) {
+  const zipfResult = analysisResults.results.find(
+    (r) => r.distributionType === "zipf"
+  );
+  if (!zipfResult) return;
+
+  // Show log-log CCDF with the fitted Zipf curve, a power law over every value from 1
+  const scatterData = getEmpiricalPoints()
+    .filter((d) => d.value > 0 && d.ccdf > 0)
+    .map((d) => ({
+      x: Math.log10(d.value),
+      y: Math.log10(d.ccdf),
+      labels: d.labels,
+    }));
+  const fittedData = zipfResult.theoreticalValues.map((d) => ({
+    x: Math.log10(d.value),
+    y: Math.log10(d.theoreticalCCDF),
+  }));
+
+  chartInstance = new Chart(ctx, {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          label: "Data Points (Log-Log)",
+          data: scatterData,
+          backgroundColor: "rgba(30, 58, 138, 0.8)",
+          pointRadius: 5,
+        },
+        {
+          label: `MLE Fit (${formatZipfParameters(zipfResult.parameters)})`,
+          data: fittedData,
+          borderColor: "rgba(239, 68, 68, 1)",
+          borderWidth: 2,
+          pointRadius: 0,
+          showLine: true,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        title: {
+          display: true,
+          text: `Zipf Analysis (R² = ${zipfResult.goodnessOfFit.rSquared.toFixed(
+            3
+          )})`,
+        },
+        tooltip: { callbacks: labelTooltipCallbacks },
+      },
+      scales: {
+        y: {
+          title: {
+            display: true,
+            text: "log(CCDF)",
+          },
+        },
+        x: {
+          title: {
+            display: true,
+            text: "log(Value)",
+          },
+        },
+      },
+    },
+  });
+}
+
 // Enhanced CCDF Plot with all theoretical curves overlaid
 function createEnhancedCCDFPlot(analysisResults) {
   if (
@@ -623,12 +1538,12 @@ function createEnhancedCCDFPlot(analysisResults) {
   }
 
   const datasets = [];
-  const firstResult = analysisResults.results[0];
 
   // Add empirical data points
-  const empiricalData = firstResult.theoreticalValues.map((d) => ({
+  const empiricalData = getEmpiricalPoints().map((d) => ({
     x: d.value,
     y: d.ccdf,
+    labels: d.labels,
   }));
 
   datasets.push({
@@ -643,13 +1558,20 @@ function createEnhancedCCDFPlot(analysisResults) {
   // Add theoretical curves for all distributions
   const colors = {
     powerLaw: "#3b82f6", // Blue
+    powerLawWithCutoff: "#8b5cf6", // Purple
     logNormal: "#10b981", // Green
     exponential: "#ef4444", // Red
+    weibull: "#f59e0b", // Yellow
+    gamma: "#6366f1", // Indigo
+    lomax: "#ec4899", // Pink
+    yuleSimon: "#92400e", // Brown
+    zipf: "#1e3a8a", // Dark blue
   };
 
   analysisResults.results.forEach((result) => {
     // Only add if distribution is visible
-    if (!visibleDistributions.includes(result.distributionType)) {
+    const family = getDistributionFamily(result.distributionType);
+    if (!visibleDistributions.includes(family)) {
       return;
     }
 
@@ -663,16 +1585,10 @@ function createEnhancedCCDFPlot(analysisResults) {
     const rSquared = result.goodnessOfFit.rSquared;
 
     datasets.push({
-      label: `${
-        result.distributionType === "powerLaw"
-          ? "Power Law"
-          : result.distributionType === "logNormal"
-          ? "Log-Normal"
-          : "Exponential"
-      } (R² = ${rSquared.toFixed(3)})`,
+      label: `${result.displayName} (R² = ${rSquared.toFixed(3)})`,
       type: "line",
       data: theoreticalData,
-      borderColor: colors[result.distributionType] || "#6b7280",
+      borderColor: colors[family] || "#6b7280",
       backgroundColor: "transparent",
       borderWidth: isBestFit ? 4 : 2,
       pointRadius: 0,
@@ -768,6 +1684,7 @@ function createEnhancedCCDFChartConfig(analysisResults) {
           display: true,
           text: "Distribution Comparison - CCDF with Theoretical Curves",
         },
+        tooltip: { callbacks: labelTooltipCallbacks },
         zoom: {
           zoom: {
             wheel: {
@@ -957,11 +1874,18 @@ function showQQPlot(ctx) {
   let theoreticalQuantiles = [];
   let plotTitle = "";
 
-  if (bestFit.distributionType === "powerLaw") {
+  if (getDistributionFamily(bestFit.distributionType) === "powerLaw") {
     // For power law: use the fitted parameters to generate theoretical quantiles
     theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
-    plotTitle = `Q-Q Plot: Power Law (α=${bestFit.parameters.exponent.toFixed(
-      2
+    plotTitle = `Q-Q Plot: Power Law (${formatPowerLawExponent(
+      bestFit.parameters
+    )})`;
+  } else if (
+    getDistributionFamily(bestFit.distributionType) === "powerLawWithCutoff"
+  ) {
+    theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
+    plotTitle = `Q-Q Plot: Power Law with Cutoff (${formatPowerLawCutoff(
+      bestFit
     )})`;
   } else if (bestFit.distributionType === "logNormal") {
     // For log-normal: use the fitted parameters
@@ -969,12 +1893,37 @@ function showQQPlot(ctx) {
     plotTitle = `Q-Q Plot: Log-Normal (μ=${bestFit.parameters.mu.toFixed(
       2
     )}, σ=${bestFit.parameters.sigma.toFixed(2)})`;
-  } else if (bestFit.distributionType === "exponential") {
+  } else if (
+    getDistributionFamily(bestFit.distributionType) === "exponential"
+  ) {
     // For exponential: use the fitted parameters
     theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
-    plotTitle = `Q-Q Plot: Exponential (λ=${bestFit.parameters.lambda.toFixed(
-      3
+    plotTitle = `Q-Q Plot: ${bestFit.displayName} (${formatExponentialParameters(
+      bestFit.parameters
+    )})`;
+  } else if (bestFit.distributionType === "weibull") {
+    theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
+    plotTitle = `Q-Q Plot: Weibull (${formatWeibullParameters(
+      bestFit.parameters
     )})`;
+  } else if (bestFit.distributionType === "gamma") {
+    theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
+    plotTitle = `Q-Q Plot: Gamma (${formatGammaParameters(
+      bestFit.parameters
+    )})`;
+  } else if (bestFit.distributionType === "lomax") {
+    theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
+    plotTitle = `Q-Q Plot: Lomax (${formatLomaxParameters(
+      bestFit.parameters
+    )})`;
+  } else if (bestFit.distributionType === "yuleSimon") {
+    theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
+    plotTitle = `Q-Q Plot: Yule–Simon (${formatYuleSimonParameters(
+      bestFit.parameters
+    )})`;
+  } else if (bestFit.distributionType === "zipf") {
+    theoreticalQuantiles = data.map((d) => 1 - d.theoreticalCCDF);
+    plotTitle = `Q-Q Plot: Zipf (${formatZipfParameters(bestFit.parameters)})`;
   }
 
   // Create Q-Q plot data (theoretical vs empirical quantiles)
@@ -1055,6 +2004,15 @@ document.addEventListener("DOMContentLoaded", function () {
   const dataInput = document.getElementById("dataInput");
   const analyzeBtn = document.getElementById("analyzeBtn");
   const sampleBtn = document.getElementById("sampleBtn");
+  const sampleDataset = document.getElementById("sampleDataset");
+  const sampleDescription = document.getElementById("sampleDescription");
+  const generateBtn = document.getElementById("generateBtn");
+  const generatorDistribution = document.getElementById(
+    "generatorDistribution"
+  );
+  const generatorSeed = document.getElementById("generatorSeed");
+  const uploadReportBtn = document.getElementById("uploadReportBtn");
+  const reportFile = document.getElementById("reportFile");
 
   const freqBtn = document.getElementById("freqBtn");
   const ccdfBtn = document.getElementById("ccdfBtn");
@@ -1062,16 +2020,123 @@ document.addEventListener("DOMContentLoaded", function () {
   const powerLawBtn = document.getElementById("powerLawBtn");
   const logNormalBtn = document.getElementById("logNormalBtn");
   const exponentialBtn = document.getElementById("exponentialBtn");
+  const weibullBtn = document.getElementById("weibullBtn");
+  const gammaBtn = document.getElementById("gammaBtn");
   const qqPlotBtn = document.getElementById("qqPlotBtn");
   const enhancedCCDFBtn = document.getElementById("enhancedCCDFBtn");
   const residualPlotBtn = document.getElementById("residualPlotBtn");
 
-  // Load sample data
+  // Column pickers only apply to delimited input
+  const inputFormat = document.getElementById("inputFormat");
+  const columnOptions = document.getElementById("columnOptions");
+  const ruleOptions = document.getElementById("ruleOptions");
+  const churnOptions = document.getElementById("churnOptions");
+  function updateFormatOptions() {
+    if (columnOptions) {
+      columnOptions.classList.toggle(
+        "hidden",
+        inputFormat.value !== "delimited"
+      );
+    }
+    if (ruleOptions) {
+      ruleOptions.classList.toggle(
+        "hidden",
+        !["pmd", "eslint"].includes(inputFormat.value)
+      );
+    }
+    if (churnOptions) {
+      churnOptions.classList.toggle("hidden", inputFormat.value !== "git");
+    }
+  }
+  if (inputFormat) {
+    inputFormat.addEventListener("change", updateFormatOptions);
+  }
+
+  // Load a PMD or ESLint report file into the input area
+  if (uploadReportBtn && reportFile) {
+    uploadReportBtn.addEventListener("click", function () {
+      reportFile.click();
+    });
+    reportFile.addEventListener("change", function () {
+      const file = this.files[0];
+      if (!file) return;
+      file.text().then(function (text) {
+        dataInput.value = text;
+        // ESLint's json formatter writes an array of file results
+        inputFormat.value = text.trimStart().startsWith("[") ? "eslint" : "pmd";
+        updateFormatOptions();
+        fathom.trackEvent("upload report");
+      });
+      this.value = "";
+    });
+  }
+
+  // Write a histogram into the input area as "value count" lines; auto-detection reads them as
+  // pairs and, unlike a fixed format, still recognizes whatever is pasted in their place
+  function showHistogramInput(histogram) {
+    dataInput.value = histogram
+      .map((d) => `${d.value} ${d.frequency}`)
+      .join("\n");
+    inputFormat.value = "auto";
+    updateFormatOptions();
+  }
+
+  // Sample dataset catalog: real-world metrics first, then synthetic data with known answers
+  [
+    ["real", "Real-world software metrics"],
+    ["synthetic", "Synthetic (known distribution)"],
+  ].forEach(([kind, label]) => {
+    const group = document.createElement("optgroup");
+    group.label = label;
+    SAMPLE_DATASETS.filter((dataset) => dataset.kind === kind).forEach(
+      (dataset) => {
+        group.appendChild(new Option(dataset.name, dataset.id));
+      }
+    );
+    sampleDataset.appendChild(group);
+  });
+  function updateSampleDescription() {
+    const dataset = getSampleDataset(sampleDataset.value);
+    sampleDescription.textContent = `${dataset.description} Expected verdict: ${dataset.expectedVerdict}`;
+  }
+  sampleDataset.addEventListener("change", updateSampleDescription);
+  updateSampleDescription();
+
+  // Load the selected sample dataset
   sampleBtn.addEventListener("click", function () {
-    dataInput.value = sampleData;
-    fathom.trackEvent("load sample");
+    showHistogramInput(loadSampleDataset(sampleDataset.value));
+    fathom.trackEvent("load sample", { dataset: sampleDataset.value });
   });
 
+  // Generate a seeded synthetic sample; the seed is kept so the sample can be reproduced
+  if (generateBtn) {
+    generateBtn.addEventListener("click", function () {
+      const preset = generatorPresets[generatorDistribution.value];
+      let seed = generatorSeed.value.trim();
+      if (seed === "") {
+        seed = String(Math.floor(Math.random() * 1000000));
+        generatorSeed.value = seed;
+      }
+      const sample = generateSample(preset.spec, {
+        size: 2000,
+        seed: /^\d+$/.test(seed) ? Number(seed) : seed,
+        precision: preset.precision,
+      });
+      showHistogramInput(sample);
+      showNotices([
+        `Generated 2,000 observations from a ${preset.label} with seed ${seed}.`,
+      ]);
+      fathom.trackEvent("generate sample", {
+        distribution: generatorDistribution.value,
+      });
+    });
+  }
+
+  const bootstrapBtn = document.getElementById("bootstrapBtn");
+  if (bootstrapBtn) {
+    bootstrapBtn.addEventListener("click", runBootstrapTest);
+  }
+
   // Switch between view modes
   freqBtn.addEventListener("click", function () {
     setViewMode("frequency");
@@ -1101,6 +2166,16 @@ document.addEventListener("DOMContentLoaded", function () {
     setViewMode("exponential");
   });
 
+  weibullBtn.addEventListener("click", function () {
+    fathom.trackEvent("weibull_plot_view");
+    setViewMode("weibull");
+  });
+
+  gammaBtn.addEventListener("click", function () {
+    fathom.trackEvent("gamma_plot_view");
+    setViewMode("gamma");
+  });
+
   qqPlotBtn.addEventListener("click", function () {
     fathom.trackEvent("qq_plot_view");
     setViewMode("qqplot");
@@ -1118,8 +2193,16 @@ document.addEventListener("DOMContentLoaded", function () {
 
   // Interactive control event listeners
   const powerLawCheckbox = document.getElementById("powerLawCheckbox");
+  const powerLawWithCutoffCheckbox = document.getElementById(
+    "powerLawWithCutoffCheckbox"
+  );
   const logNormalCheckbox = document.getElementById("logNormalCheckbox");
   const exponentialCheckbox = document.getElementById("exponentialCheckbox");
+  const weibullCheckbox = document.getElementById("weibullCheckbox");
+  const gammaCheckbox = document.getElementById("gammaCheckbox");
+  const lomaxCheckbox = document.getElementById("lomaxCheckbox");
+  const yuleSimonCheckbox = document.getElementById("yuleSimonCheckbox");
+  const zipfCheckbox = document.getElementById("zipfCheckbox");
   const plotTypeRadios = document.querySelectorAll('input[name="plotType"]');
 
   if (powerLawCheckbox) {
@@ -1129,6 +2212,13 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   }
 
+  if (powerLawWithCutoffCheckbox) {
+    powerLawWithCutoffCheckbox.addEventListener("change", function () {
+      fathom.trackEvent("toggle_powerlaw_cutoff", { visible: this.checked });
+      toggleDistributionVisibility("powerLawWithCutoff", this.checked);
+    });
+  }
+
   if (logNormalCheckbox) {
     logNormalCheckbox.addEventListener("change", function () {
       fathom.trackEvent("toggle_lognormal", { visible: this.checked });
@@ -1143,6 +2233,41 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   }
 
+  if (weibullCheckbox) {
+    weibullCheckbox.addEventListener("change", function () {
+      fathom.trackEvent("toggle_weibull", { visible: this.checked });
+      toggleDistributionVisibility("weibull", this.checked);
+    });
+  }
+
+  if (gammaCheckbox) {
+    gammaCheckbox.addEventListener("change", function () {
+      fathom.trackEvent("toggle_gamma", { visible: this.checked });
+      toggleDistributionVisibility("gamma", this.checked);
+    });
+  }
+
+  if (lomaxCheckbox) {
+    lomaxCheckbox.addEventListener("change", function () {
+      fathom.trackEvent("toggle_lomax", { visible: this.checked });
+      toggleDistributionVisibility("lomax", this.checked);
+    });
+  }
+
+  if (yuleSimonCheckbox) {
+    yuleSimonCheckbox.addEventListener("change", function () {
+      fathom.trackEvent("toggle_yule_simon", { visible: this.checked });
+      toggleDistributionVisibility("yuleSimon", this.checked);
+    });
+  }
+
+  if (zipfCheckbox) {
+    zipfCheckbox.addEventListener("change", function () {
+      fathom.trackEvent("toggle_zipf", { visible: this.checked });
+      toggleDistributionVisibility("zipf", this.checked);
+    });
+  }
+
   plotTypeRadios.forEach((radio) => {
     radio.addEventListener("change", function () {
       if (this.checked) {
@@ -1171,9 +2296,15 @@ document.addEventListener("DOMContentLoaded", function () {
       (mode === "ccdf" ? "bg-blue-500 text-white" : "bg-gray-200");
     loglogBtn.className =
       "px-3 py-2 rounded text-sm " +
-      (["loglog", "powerLaw", "logNormal", "exponential", "qqplot"].includes(
-        mode
-      )
+      ([
+        "loglog",
+        "powerLaw",
+        "logNormal",
+        "exponential",
+        "weibull",
+        "gamma",
+        "qqplot",
+      ].includes(mode)
         ? "bg-blue-500 text-white"
         : "bg-gray-200");
 
@@ -1185,8 +2316,14 @@ document.addEventListener("DOMContentLoaded", function () {
       "px-3 py-2 mr-2 rounded text-sm " +
       (mode === "logNormal" ? "bg-green-500 text-white" : "bg-gray-200");
     exponentialBtn.className =
-      "px-3 py-2 rounded text-sm " +
+      "px-3 py-2 mr-2 rounded text-sm " +
       (mode === "exponential" ? "bg-green-500 text-white" : "bg-gray-200");
+    weibullBtn.className =
+      "px-3 py-2 mr-2 rounded text-sm " +
+      (mode === "weibull" ? "bg-green-500 text-white" : "bg-gray-200");
+    gammaBtn.className =
+      "px-3 py-2 rounded text-sm " +
+      (mode === "gamma" ? "bg-green-500 text-white" : "bg-gray-200");
 
     qqPlotBtn.className =
       "px-3 py-2 rounded text-sm " +
@@ -1,5 +1,10 @@
 // Statistical Tests Module - Pure functions for regression and goodness-of-fit tests
 
+// Load dependencies if in Node.js environment
+if (typeof module !== 'undefined' && typeof normalCDF === 'undefined') {
+    global.normalCDF = require('./mathUtils.js').normalCDF;
+}
+
 /**
  * Performs linear regression on x,y data points
  * @param {Array<{x: number, y: number}>} data - Array of x,y coordinate objects
@@ -84,9 +89,18 @@ function kolmogorovSmirnovTest(empiricalCDF, theoreticalCDF) {
         maxDiff = Math.max(maxDiff, diff);
     }
 
+    return kolmogorovSmirnovSignificance(maxDiff, n);
+}
+
+/**
+ * Assesses a Kolmogorov-Smirnov statistic computed elsewhere (e.g. against a fitted tail)
+ * @param {number} ksStatistic - Maximum distance between the empirical and theoretical CDFs
+ * @param {number} n - Number of observations the empirical CDF was built from
+ * @returns {Object} KS test results with statistic and p-value approximation
+ */
+function kolmogorovSmirnovSignificance(ksStatistic, n) {
     // Approximate p-value using Kolmogorov distribution
     // This is a simplified approximation
-    const ksStatistic = maxDiff;
     const lambda = ksStatistic * Math.sqrt(n);
     
     // Approximation for p-value (two-sided test)
@@ -219,14 +233,110 @@ function regressionConfidenceIntervals(regressionResult, confidenceLevel = 0.95)
     };
 }
 
+/**
+ * Performs Vuong's likelihood-ratio test of two non-nested models fitted to the same observations
+ * The log-likelihood ratio R = Σ w (ln p1(x) - ln p2(x)) is normalized by √n σ, where σ² is the
+ * weighted variance of the pointwise differences; if both models are equally close to the truth,
+ * R / (√n σ) is standard normal (Vuong 1989; Clauset, Shalizi & Newman 2009, appendix C).
+ * Models with different numbers of parameters are compared on R - (kA - kB), Vuong's correction in
+ * the manner of AIC, so that the extra parameters of the larger model do not count as evidence.
+ * @param {Array<number>} logLikelihoodsA - Log-likelihood of each observation under the first model
+ * @param {Array<number>} logLikelihoodsB - Log-likelihood of the same observations under the second model
+ * @param {Array<number>} [weights] - Frequency of each observation, 1 by default
+ * @param {number} [parameterDifference=0] - Free parameters of the first model minus those of the second
+ * @returns {Object} {logLikelihoodRatio, normalizedRatio, pValue, sampleSize}; logLikelihoodRatio is
+ *   the uncorrected R, normalizedRatio the corrected one, which favors the first model when positive,
+ *   and pValue is the two-sided probability of a normalized ratio this far from 0 by chance
+ */
+function vuongTest(logLikelihoodsA, logLikelihoodsB, weights, parameterDifference = 0) {
+    if (!Array.isArray(logLikelihoodsA) || !Array.isArray(logLikelihoodsB)) {
+        throw new Error('Both log-likelihoods must be arrays');
+    }
+
+    if (logLikelihoodsA.length !== logLikelihoodsB.length) {
+        throw new Error('Log-likelihood arrays must have the same length');
+    }
+
+    if (logLikelihoodsA.length === 0) {
+        throw new Error('Log-likelihood arrays cannot be empty');
+    }
+
+    const weightOf = i => (weights ? weights[i] : 1);
+    let sampleSize = 0;
+    let logLikelihoodRatio = 0;
+    for (let i = 0; i < logLikelihoodsA.length; i++) {
+        sampleSize += weightOf(i);
+        logLikelihoodRatio += weightOf(i) * (logLikelihoodsA[i] - logLikelihoodsB[i]);
+    }
+
+    const meanDifference = logLikelihoodRatio / sampleSize;
+    let variance = 0;
+    for (let i = 0; i < logLikelihoodsA.length; i++) {
+        variance += weightOf(i) * Math.pow(logLikelihoodsA[i] - logLikelihoodsB[i] - meanDifference, 2);
+    }
+    variance /= sampleSize;
+
+    const correctedRatio = logLikelihoodRatio - parameterDifference;
+
+    // Identical pointwise differences leave nothing to chance: either no difference or a certain one.
+    // Identical models stay undecided; counting their parameters does not make one of them better.
+    if (!(variance > 0)) {
+        const undecided = logLikelihoodRatio === 0 || correctedRatio === 0;
+        return {
+            logLikelihoodRatio,
+            normalizedRatio: undecided ? 0 : Math.sign(correctedRatio) * Infinity,
+            pValue: undecided ? 1 : 0,
+            sampleSize
+        };
+    }
+
+    const normalizedRatio = correctedRatio / Math.sqrt(sampleSize * variance);
+
+    return {
+        logLikelihoodRatio,
+        normalizedRatio,
+        pValue: Math.max(0, Math.min(1, 2 * normalCDF(-Math.abs(normalizedRatio)))),
+        sampleSize
+    };
+}
+
+/**
+ * Performs the likelihood-ratio test of a model against a simpler one nested within it
+ * By Wilks' theorem, twice the log-likelihood ratio is χ² with one degree of freedom when the nested
+ * model is true, so p = P(χ²₁ ≥ 2R) = 2 Φ(-√(2R)). When the extra parameter's null value lies on the
+ * boundary of its range (e.g. a cutoff rate λ = 0), the statistic is half χ²₁ and this p-value is
+ * conservative by a factor of 2 (Clauset, Shalizi & Newman 2009, section 5).
+ * @param {number} logLikelihoodFull - Maximized log-likelihood of the full model
+ * @param {number} logLikelihoodNested - Maximized log-likelihood of the nested model on the same data
+ * @returns {Object} {logLikelihoodRatio, statistic, pValue}; the full model is favored when pValue is small
+ */
+function nestedLikelihoodRatioTest(logLikelihoodFull, logLikelihoodNested) {
+    if (!isFinite(logLikelihoodFull) || !isFinite(logLikelihoodNested)) {
+        throw new Error('Both log-likelihoods must be finite');
+    }
+
+    const logLikelihoodRatio = logLikelihoodFull - logLikelihoodNested;
+    // The full model can only do better; a slightly negative ratio is optimizer noise
+    const statistic = Math.max(0, 2 * logLikelihoodRatio);
+
+    return {
+        logLikelihoodRatio,
+        statistic,
+        pValue: Math.max(0, Math.min(1, 2 * normalCDF(-Math.sqrt(statistic))))
+    };
+}
+
 // Export functions for testing (if in Node.js environment)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         linearRegression,
         kolmogorovSmirnovTest,
+        kolmogorovSmirnovSignificance,
         andersonDarlingTest,
         calculateAIC,
         calculateBIC,
-        regressionConfidenceIntervals
+        regressionConfidenceIntervals,
+        vuongTest,
+        nestedLikelihoodRatioTest
     };
 }
@@ -0,0 +1,551 @@
+// Weibull Distribution Analyzer - Stretched exponential, between the exponential and the power law
+
+// Load dependencies if in Node.js environment
+if (
+  typeof module !== "undefined" &&
+  typeof DistributionAnalyzer === "undefined"
+) {
+  const {
+    DistributionAnalyzer,
+    DistributionUtils,
+  } = require("./distributionAnalyzer.js");
+  const mathUtils = require("./mathUtils.js");
+  const statisticalTests = require("./statisticalTests.js");
+
+  // Make functions available globally
+  global.DistributionAnalyzer = DistributionAnalyzer;
+  global.DistributionUtils = DistributionUtils;
+  global.mathUtils = mathUtils;
+  global.statisticalTests = statisticalTests;
+}
+
+// Euler-Mascheroni constant: E[ln X] = ln λ - γ / k for a Weibull variable
+const EULER_GAMMA = 0.5772156649015329;
+
+// Smallest shape a truncated fit may reach: above xmin, k → 0 with (xmin/λ)^k k → α - 1 tends to a
+// power law with exponent α, and keeping k away from 0 keeps λ = xmin t^(-1/k) representable
+const MIN_TRUNCATED_SHAPE = 0.01;
+
+/**
+ * Weibull Distribution Analyzer Class
+ * Implements the DistributionAnalyzer interface for Weibull (stretched exponential) distributions
+ *
+ * Weibull distribution: P(X > x) = e^(-(x/λ)^k) with shape k and scale λ
+ * k = 1 is the exponential; k < 1 stretches the tail towards a power law, k > 1 compresses it.
+ * Weibull probability plot: ln(-ln(CCDF)) vs ln(x) is a straight line with slope k.
+ */
+class WeibullAnalyzer extends DistributionAnalyzer {
+  constructor() {
+    super();
+    this.name = "weibull";
+    this.displayName = "Weibull";
+    this.description = "P(X > x) = e^(-(x/λ)^k)";
+    this.parameterNames = ["shape", "scale"];
+
+    // Store references to utility functions
+    if (typeof module !== "undefined") {
+      // Node.js environment - require modules directly
+      this.mathUtils = require("./mathUtils.js");
+      this.statisticalTests = require("./statisticalTests.js");
+    } else {
+      // Browser environment - functions should be available globally
+      this.mathUtils = {
+        nelderMead: nelderMead,
+      };
+      this.statisticalTests = {
+        linearRegression: linearRegression,
+        kolmogorovSmirnovTest: kolmogorovSmirnovTest,
+        calculateAIC: calculateAIC,
+        calculateBIC: calculateBIC,
+      };
+    }
+  }
+
+  /**
+   * Analyzes data for Weibull distribution
+   * @param {Array} dataWithCCDF - Data points with CCDF values
+   * @returns {Object} Analysis results with parameters, goodness of fit, and theoretical values
+   */
+  analyze(dataWithCCDF) {
+    if (!Array.isArray(dataWithCCDF) || dataWithCCDF.length === 0) {
+      throw new Error("Data must be a non-empty array");
+    }
+
+    // Filter out points with non-positive values (the Weibull requires x > 0)
+    const validData = dataWithCCDF.filter((item) => item.value > 0);
+
+    if (validData.length < 3) {
+      throw new Error(
+        "Not enough valid data points after filtering. Need at least 3 points with positive values."
+      );
+    }
+
+    // Estimate the shape and scale by frequency-weighted maximum likelihood
+    let { shape, scale } = this.fitMaximumLikelihood(validData);
+    let fitMethod = "MLE";
+
+    // Binned histograms are fitted by maximizing the binned likelihood instead
+    if (DistributionUtils.isBinned(validData)) {
+      ({ shape, scale } = this.fitBinnedParameters(validData, {
+        shape,
+        scale,
+      }));
+      fitMethod = "binnedMLE";
+    }
+
+    const parameters = { shape, scale };
+
+    // Calculate theoretical CCDF values for the Weibull
+    const theoreticalValues = validData.map((item) => ({
+      ...item,
+      theoreticalCCDF: this.getTheoreticalCCDF([item.value], parameters)[0],
+    }));
+
+    // Calculate goodness of fit metrics
+    const goodnessOfFit = this.calculateGoodnessOfFit(
+      validData,
+      theoreticalValues,
+      { parameters }
+    );
+
+    // Generate Weibull probability plot data
+    const weibullProbabilityPlot =
+      this.generateWeibullProbabilityPlot(validData);
+
+    return {
+      distributionName: this.name,
+      parameters,
+      fitMethod,
+      goodnessOfFit,
+      theoreticalValues,
+      weibullProbabilityPlot,
+      plotData: weibullProbabilityPlot.plotData,
+      validDataPoints: validData.length,
+      originalDataPoints: dataWithCCDF.length,
+    };
+  }
+
+  /**
+   * Fits k and λ by frequency-weighted maximum likelihood
+   * The log-likelihood Σ w [ln k - k ln λ + (k - 1) ln x - (x/λ)^k + (xmin/λ)^k] has no closed-form
+   * maximum, so it is maximized numerically over (ln k, ln λ), starting from the log moments:
+   * Var(ln X) = π² / (6k²) and E[ln X] = ln λ - γ / k. Without xmin the last term vanishes; with
+   * xmin only the values at or above it are used and the fit is conditioned on X ≥ xmin. A heavy
+   * tail drives a truncated fit towards k → 0 and λ → 0, where both powers overflow, so it is
+   * maximized over (ln k, ln t) with t = (xmin/λ)^k instead (see getConditionalLogDensity).
+   * @param {Array} data - Data points with value and frequency (weight); non-positive values are ignored
+   * @param {number} [xmin] - Truncation point for a fit conditioned on X ≥ xmin
+   * @returns {Object} {shape, scale, sampleSize}, plus xmin for a truncated fit
+   * @throws {Error} If fewer than two distinct values remain
+   */
+  fitMaximumLikelihood(data, xmin) {
+    const observations = data.filter(
+      (item) =>
+        item.value > 0 &&
+        (item.frequency === undefined || item.frequency > 0) &&
+        (xmin === undefined || item.value >= xmin)
+    );
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+
+    let sampleSize = 0;
+    let logSum = 0;
+    let squaredLogSum = 0;
+    for (const item of observations) {
+      const lnValue = Math.log(item.value);
+      sampleSize += weightOf(item);
+      logSum += weightOf(item) * lnValue;
+      squaredLogSum += weightOf(item) * lnValue * lnValue;
+    }
+
+    const meanLog = logSum / sampleSize;
+    const varianceLog = squaredLogSum / sampleSize - meanLog * meanLog;
+    if (!(varianceLog > 1e-12 * Math.max(1, meanLog * meanLog))) {
+      throw new Error(
+        "Cannot fit a Weibull: need at least two distinct positive values."
+      );
+    }
+
+    const startShape = Math.PI / Math.sqrt(6 * varianceLog);
+    const startLogScale = meanLog + EULER_GAMMA / startShape;
+
+    if (xmin === undefined) {
+      const negativeLogLikelihood = ([logShape, logScale]) => {
+        const shape = Math.exp(logShape);
+        let powerSum = 0;
+        for (const item of observations) {
+          powerSum +=
+            weightOf(item) *
+            Math.exp(shape * (Math.log(item.value) - logScale));
+        }
+        return -(
+          sampleSize * (logShape - shape * logScale) +
+          (shape - 1) * logSum -
+          powerSum
+        );
+      };
+
+      const fit = this.mathUtils.nelderMead(negativeLogLikelihood, [
+        Math.log(startShape),
+        startLogScale,
+      ]);
+      return {
+        shape: Math.exp(fit.point[0]),
+        scale: Math.exp(fit.point[1]),
+        sampleSize,
+      };
+    }
+
+    const truncatedShape = (logShape) =>
+      Math.max(Math.exp(logShape), MIN_TRUNCATED_SHAPE);
+    const negativeLogLikelihood = ([logShape, logT]) => {
+      const parameters = {
+        shape: truncatedShape(logShape),
+        scale: xmin * Math.exp(-logT / truncatedShape(logShape)),
+      };
+      let logLikelihood = 0;
+      for (const item of observations) {
+        logLikelihood +=
+          weightOf(item) *
+          this.getConditionalLogDensity(item.value, parameters, xmin, logT);
+      }
+      return -logLikelihood;
+    };
+
+    const fit = this.mathUtils.nelderMead(negativeLogLikelihood, [
+      Math.log(startShape),
+      startShape * (Math.log(xmin) - startLogScale),
+    ]);
+    const shape = truncatedShape(fit.point[0]);
+    return {
+      shape,
+      scale: xmin * Math.exp(-fit.point[1] / shape),
+      sampleSize,
+      xmin,
+    };
+  }
+
+  /**
+   * Refits the distribution to the observations at or above xmin, conditioned on X ≥ xmin
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {number} xmin - Truncation point
+   * @returns {Object} Maximum-likelihood parameters {shape, scale, xmin, sampleSize}
+   */
+  fitTruncated(data, xmin) {
+    return this.fitMaximumLikelihood(data, xmin);
+  }
+
+  /**
+   * Fits k and λ to binned data by maximizing the binned log-likelihood
+   * @param {Array} data - Bins with binLower, binUpper and frequency
+   * @param {Object} start - Starting parameters {shape, scale}
+   * @returns {Object} Maximum-likelihood parameters {shape, scale}
+   */
+  fitBinnedParameters(data, start) {
+    // Optimize ln(k) and ln(λ) so both stay positive
+    const fit = this.mathUtils.nelderMead(
+      ([logShape, logScale]) =>
+        -this.calculateBinnedLogLikelihood(data, {
+          shape: Math.exp(logShape),
+          scale: Math.exp(logScale),
+        }),
+      [Math.log(start.shape), Math.log(start.scale)]
+    );
+
+    return { shape: Math.exp(fit.point[0]), scale: Math.exp(fit.point[1]) };
+  }
+
+  /**
+   * Generates Weibull probability plot data
+   * For a Weibull distribution, ln(-ln(1 - F)) vs ln(x) is linear with slope k and intercept -k ln λ.
+   * F is Bernard's median-rank plotting position (rank - 0.3) / (n + 0.4) at the mid-rank of each
+   * run of equal values, which stays inside (0, 1) at both ends.
+   * @param {Array} data - Data points with positive value and frequency (weight)
+   * @returns {Object} Weibull probability plot data
+   */
+  generateWeibullProbabilityPlot(data) {
+    const sortedData = [...data].sort((a, b) => a.value - b.value);
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+
+    const n = sortedData.reduce((sum, item) => sum + weightOf(item), 0);
+    let cumulativeWeight = 0;
+    const plotData = sortedData.map((item) => {
+      const weight = weightOf(item);
+      const rank = cumulativeWeight + (weight + 1) / 2;
+      cumulativeWeight += weight;
+      const empiricalCDF = (rank - 0.3) / (n + 0.4);
+
+      return {
+        x: Math.log(item.value),
+        y: Math.log(-Math.log(1 - empiricalCDF)),
+        originalValue: item.value,
+        originalCCDF: item.ccdf,
+        frequency: weight,
+      };
+    });
+
+    // Perform linear regression on ln(x) vs ln(-ln(CCDF))
+    const regression = this.statisticalTests.linearRegression(
+      plotData.map((point) => ({ x: point.x, y: point.y }))
+    );
+
+    return {
+      plotData,
+      regression,
+      estimatedShape: regression.slope,
+      estimatedScale: Math.exp(-regression.intercept / regression.slope),
+      rSquared: regression.rSquared,
+    };
+  }
+
+  /**
+   * Validates if data is suitable for Weibull analysis
+   * @param {Array} data - Data to validate
+   * @returns {Object} Validation result with success flag and message
+   */
+  validateData(data) {
+    if (!Array.isArray(data)) {
+      return { valid: false, message: "Data must be an array" };
+    }
+
+    if (data.length < 3) {
+      return {
+        valid: false,
+        message: "Need at least 3 data points for Weibull analysis",
+      };
+    }
+
+    // Check for positive values (required for the Weibull)
+    const positiveValues = data.filter((item) => item.value > 0);
+    if (positiveValues.length < 3) {
+      return {
+        valid: false,
+        message:
+          "Need at least 3 data points with positive values for Weibull analysis",
+      };
+    }
+
+    if (positiveValues.length < data.length) {
+      return {
+        valid: true,
+        message: `Warning: ${
+          data.length - positiveValues.length
+        } data points with non-positive values will be excluded from Weibull analysis.`,
+        warning: true,
+      };
+    }
+
+    return { valid: true, message: "Data is suitable for Weibull analysis" };
+  }
+
+  /**
+   * Gets theoretical CCDF values for given x values and parameters
+   * @param {Array<number>} xValues - X values to calculate CCDF for
+   * @param {Object} parameters - Weibull parameters {shape, scale}
+   * @returns {Array<number>} Theoretical CCDF values
+   */
+  getTheoreticalCCDF(xValues, parameters) {
+    const { shape, scale } = parameters;
+    return xValues.map((x) => {
+      if (x <= 0) return 1; // CCDF = 1 for x <= 0
+      return Math.exp(-Math.pow(x / scale, shape));
+    });
+  }
+
+  /**
+   * Gets plot data for Weibull visualization
+   * @param {Array} data - Data points
+   * @param {Object} parameters - Weibull parameters
+   * @returns {Object} Plot data for different visualization types
+   */
+  getPlotData(data, parameters) {
+    const validData = data.filter((d) => d.value > 0 && d.ccdf > 0);
+    return {
+      linear: {
+        empirical: data.map((d) => ({ x: d.value, y: d.ccdf })),
+        theoretical: data.map((d) => ({
+          x: d.value,
+          y: this.getTheoreticalCCDF([d.value], parameters)[0],
+        })),
+      },
+      weibull: {
+        empirical: validData.map((d) => ({
+          x: Math.log(d.value),
+          y: Math.log(-Math.log(d.ccdf)),
+        })),
+        theoretical: validData.map((d) => ({
+          x: Math.log(d.value),
+          y:
+            parameters.shape * (Math.log(d.value) - Math.log(parameters.scale)),
+        })),
+      },
+    };
+  }
+
+  /**
+   * Gets the distribution-specific plot for Weibull (Weibull probability plot)
+   * @param {Array} data - Data points
+   * @returns {Object} Weibull probability plot data
+   */
+  getDistributionSpecificPlot(data) {
+    const validData = data.filter((d) => d.value > 0);
+    const weibullProbPlot = this.generateWeibullProbabilityPlot(validData);
+
+    return {
+      type: "weibullProbability",
+      title: "Weibull Probability Plot",
+      xLabel: "ln(Value)",
+      yLabel: "ln(-ln(CCDF))",
+      data: weibullProbPlot.plotData,
+      regression: weibullProbPlot.regression,
+      description:
+        "Weibull distributions appear as straight lines in plots of ln(x) vs ln(-ln(CCDF)), with slope k",
+    };
+  }
+
+  /**
+   * Calculates goodness of fit metrics for Weibull distribution
+   * @param {Array} empiricalData - Empirical data points
+   * @param {Array} theoreticalData - Theoretical data points
+   * @param {Object} additionalInfo - Additional information including parameters
+   * @returns {Object} Goodness of fit metrics
+   */
+  calculateGoodnessOfFit(empiricalData, theoreticalData, additionalInfo = {}) {
+    // Calculate Kolmogorov-Smirnov test
+    const empiricalCCDF = empiricalData.map((d) => d.ccdf);
+    const theoreticalCCDF = theoreticalData.map((d) => d.theoreticalCCDF);
+    const ksTest = this.statisticalTests.kolmogorovSmirnovTest(
+      empiricalCCDF,
+      theoreticalCCDF
+    );
+
+    // Calculate Weibull probability plot R²
+    const weibullProbPlot = this.generateWeibullProbabilityPlot(empiricalData);
+    const weibullProbR2 = weibullProbPlot.rSquared;
+
+    // Calculate log-likelihood for AIC/BIC
+    const logLikelihood = this.calculateLogLikelihood(
+      empiricalData,
+      additionalInfo.parameters
+    );
+    const numParameters = 2; // Weibull has 2 parameters: k and λ
+    const sampleSize = empiricalData.length;
+
+    const aic = this.statisticalTests.calculateAIC(
+      logLikelihood,
+      numParameters
+    );
+    const bic = this.statisticalTests.calculateBIC(
+      logLikelihood,
+      numParameters,
+      sampleSize
+    );
+
+    // Use Weibull probability plot R² as primary goodness-of-fit measure
+    const confidenceLevel = this.getConfidenceLevel(weibullProbR2);
+    const isWeibull = weibullProbR2 > 0.9;
+
+    return {
+      rSquared: weibullProbR2,
+      weibullProbabilityR2: weibullProbR2,
+      adjustedRSquared:
+        1 -
+        ((1 - weibullProbR2) * (sampleSize - 1)) /
+          (sampleSize - numParameters - 1),
+      kolmogorovSmirnov: ksTest,
+      logLikelihood,
+      aic,
+      bic,
+      confidenceLevel,
+      isWeibull,
+      confidenceScore: weibullProbR2,
+    };
+  }
+
+  /**
+   * Calculates frequency-weighted log-likelihood for Weibull distribution
+   * @param {Array} data - Data points; frequency is used as a (possibly fractional) weight
+   * @param {Object} parameters - Weibull parameters {shape, scale}
+   * @returns {number} Log-likelihood value
+   */
+  calculateLogLikelihood(data, parameters) {
+    if (DistributionUtils.isBinned(data)) {
+      return this.calculateBinnedLogLikelihood(data, parameters);
+    }
+
+    let logLikelihood = 0;
+
+    for (const item of data) {
+      if (item.value > 0) {
+        const logPdf = this.getLogDensity(item.value, parameters);
+        const weight = item.frequency !== undefined ? item.frequency : 1;
+        logLikelihood += logPdf * weight;
+      }
+    }
+
+    return logLikelihood;
+  }
+
+  /**
+   * Gets the log-density of a positive value
+   * Weibull PDF: (k/λ) (x/λ)^(k-1) e^(-(x/λ)^k)
+   * @param {number} x - Positive value
+   * @param {Object} parameters - Weibull parameters {shape, scale}
+   * @returns {number} ln p(x)
+   */
+  getLogDensity(x, parameters) {
+    const { shape, scale } = parameters;
+    const logRatio = Math.log(x / scale);
+    return (
+      Math.log(shape / scale) +
+      (shape - 1) * logRatio -
+      Math.exp(shape * logRatio)
+    );
+  }
+
+  /**
+   * Gets the log-density conditioned on X ≥ lowerBound
+   * With t = (b/λ)^k, ln p(x | X ≥ b) = ln k - ln x + ln t + k ln(x/b) - t ((x/b)^k - 1), which stays
+   * finite for bounds far in the tail, where (x/λ)^k and (b/λ)^k overflow
+   * @param {number} x - Value at or above lowerBound
+   * @param {Object} parameters - Weibull parameters {shape, scale}
+   * @param {number} lowerBound - Conditioning bound
+   * @param {number} [logT] - ln t, when known more precisely than k ln(b/λ)
+   * @returns {number} ln p(x | X ≥ lowerBound)
+   */
+  getConditionalLogDensity(x, parameters, lowerBound, logT) {
+    if (!(lowerBound > 0)) {
+      return this.getLogDensity(x, parameters);
+    }
+    const { shape, scale } = parameters;
+    const logTail =
+      logT !== undefined ? logT : shape * Math.log(lowerBound / scale);
+    const logRatio = Math.log(x / lowerBound);
+    return (
+      Math.log(shape) -
+      Math.log(x) +
+      logTail +
+      shape * logRatio -
+      Math.exp(logTail) * Math.expm1(shape * logRatio)
+    );
+  }
+
+  /**
+   * Determines confidence level based on R² value
+   * @param {number} rSquared - R² value
+   * @returns {string} Confidence level description
+   */
+  getConfidenceLevel(rSquared) {
+    if (rSquared > 0.98) return "Very High";
+    if (rSquared > 0.95) return "High";
+    if (rSquared > 0.9) return "Moderate";
+    if (rSquared > 0.8) return "Low";
+    return "Very Low";
+  }
+}
+
+// Export for testing (if in Node.js environment)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WeibullAnalyzer;
+}
@@ -0,0 +1,220 @@
+// Tests for WeibullAnalyzer
+
+describe("WeibullAnalyzer", () => {
+  let WeibullAnalyzer;
+  let DistributionAnalyzer;
+  let buildHistogram;
+  let calculateCCDF;
+  let generateSample;
+  let generateValues;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      const { DistributionAnalyzer: DA } = require("./distributionAnalyzer.js");
+      DistributionAnalyzer = DA;
+      WeibullAnalyzer = require("./weibullAnalyzer.js");
+      ({ buildHistogram, calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateSample, generateValues } = require("./dataGenerator.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      DistributionAnalyzer = window.DistributionAnalyzer;
+      WeibullAnalyzer = window.WeibullAnalyzer;
+      buildHistogram = window.buildHistogram;
+      calculateCCDF = window.calculateCCDF;
+      generateSample = window.generateSample;
+      generateValues = window.generateValues;
+    }
+  });
+
+  const stretchedExponential = {
+    distribution: "weibull",
+    shape: 0.6,
+    scale: 10,
+  };
+
+  describe("constructor", () => {
+    it("should create a WeibullAnalyzer with correct properties", () => {
+      const analyzer = new WeibullAnalyzer();
+
+      expect(analyzer.name).toBe("weibull");
+      expect(analyzer.displayName).toBe("Weibull");
+      expect(analyzer.description).toBe("P(X > x) = e^(-(x/λ)^k)");
+      expect(analyzer.parameterNames).toEqual(["shape", "scale"]);
+      expect(analyzer instanceof DistributionAnalyzer).toBe(true);
+    });
+  });
+
+  describe("validateData", () => {
+    let analyzer;
+
+    beforeEach(() => {
+      analyzer = new WeibullAnalyzer();
+    });
+
+    it("should reject non-array data and too few positive values", () => {
+      expect(analyzer.validateData("not an array").valid).toBe(false);
+      expect(
+        analyzer.validateData([
+          { value: 0, ccdf: 0.9 },
+          { value: 1, ccdf: 0.5 },
+          { value: 2, ccdf: 0.2 },
+        ]).message
+      ).toBe(
+        "Need at least 3 data points with positive values for Weibull analysis"
+      );
+    });
+
+    it("should accept positive data", () => {
+      const result = analyzer.validateData([
+        { value: 1, ccdf: 0.8 },
+        { value: 2, ccdf: 0.5 },
+        { value: 3, ccdf: 0.2 },
+      ]);
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe("getTheoreticalCCDF", () => {
+    it("should reduce to the exponential when k = 1", () => {
+      const analyzer = new WeibullAnalyzer();
+      const ccdf = analyzer.getTheoreticalCCDF([0.5, 2, 10], {
+        shape: 1,
+        scale: 4,
+      });
+
+      expect(ccdf[0]).toBeCloseTo(Math.exp(-0.125), 10);
+      expect(ccdf[1]).toBeCloseTo(Math.exp(-0.5), 10);
+      expect(ccdf[2]).toBeCloseTo(Math.exp(-2.5), 10);
+    });
+  });
+
+  describe("fitMaximumLikelihood", () => {
+    let analyzer;
+
+    beforeEach(() => {
+      analyzer = new WeibullAnalyzer();
+    });
+
+    it("should recover a stretched exponential sample", () => {
+      const fit = analyzer.fitMaximumLikelihood(
+        buildHistogram(
+          generateValues(stretchedExponential, { size: 20000, seed: 11 })
+        )
+      );
+
+      expect(fit.sampleSize).toBe(20000);
+      expect(fit.shape).toBeCloseTo(0.6, 1);
+      expect(fit.scale / 10).toBeCloseTo(1, 1);
+    });
+
+    it("should weight values by frequency", () => {
+      const values = generateValues(
+        { distribution: "weibull", shape: 2, scale: 5 },
+        { size: 500, seed: 3 }
+      ).map((x) => Math.ceil(x));
+      const weighted = analyzer.fitMaximumLikelihood(buildHistogram(values));
+      const expanded = analyzer.fitMaximumLikelihood(
+        values.map((value) => ({ value }))
+      );
+
+      expect(weighted.shape).toBeCloseTo(expanded.shape, 4);
+      expect(weighted.scale).toBeCloseTo(expanded.scale, 4);
+    });
+
+    it("should refit above a higher bound and condition on it", () => {
+      const data = buildHistogram(
+        generateValues(stretchedExponential, { size: 20000, seed: 11 })
+      );
+      const fit = analyzer.fitTruncated(data, 20);
+
+      expect(fit.xmin).toBe(20);
+      expect(fit.sampleSize).toBe(
+        data
+          .filter((d) => d.value >= 20)
+          .reduce((sum, d) => sum + d.frequency, 0)
+      );
+      expect(fit.shape).toBeCloseTo(0.6, 1);
+      expect(analyzer.getConditionalLogDensity(30, fit, 20)).toBeCloseTo(
+        analyzer.getLogDensity(30, fit) -
+          Math.log(analyzer.getTailProbability(20, fit)),
+        8
+      );
+    });
+
+    it("should keep a truncated fit to a power-law tail finite", () => {
+      const data = generateSample(
+        { distribution: "powerLaw", alpha: 2.5, xmin: 1 },
+        { size: 2000, seed: 3 }
+      );
+      const fit = analyzer.fitTruncated(data, 2);
+
+      // k → 0 approaches the power law; the floor keeps both parameters representable
+      expect(fit.shape).toBeGreaterThan(0);
+      expect(fit.scale).toBeGreaterThan(0);
+      data
+        .filter((d) => d.value >= 2)
+        .forEach((d) => {
+          expect(
+            Number.isFinite(analyzer.getConditionalLogDensity(d.value, fit, 2))
+          ).toBe(true);
+        });
+    });
+
+    it("should reject data with a single distinct value", () => {
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+      ).toThrow("need at least two distinct positive values");
+    });
+  });
+
+  describe("analyze", () => {
+    it("should fit a Weibull sample and report its probability plot", () => {
+      const analyzer = new WeibullAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(
+          generateValues(stretchedExponential, { size: 5000, seed: 11 })
+        )
+      );
+
+      const result = analyzer.analyze(data);
+
+      expect(result.distributionName).toBe("weibull");
+      expect(result.fitMethod).toBe("MLE");
+      expect(result.parameters.shape).toBeCloseTo(0.6, 1);
+      expect(result.goodnessOfFit.rSquared).toBeGreaterThan(0.99);
+      expect(result.plotData).toHaveLength(data.length);
+      expect(result.weibullProbabilityPlot.estimatedShape).toBeCloseTo(0.6, 1);
+      result.theoreticalValues.forEach((d) => {
+        expect(d.theoreticalCCDF).toBeGreaterThan(0);
+        expect(d.theoreticalCCDF).toBeLessThanOrEqual(1);
+      });
+    });
+
+    it("should throw error for empty data", () => {
+      expect(() => new WeibullAnalyzer().analyze([])).toThrow(
+        "Data must be a non-empty array"
+      );
+    });
+  });
+
+  describe("getDistributionSpecificPlot", () => {
+    it("should generate a Weibull probability plot", () => {
+      const analyzer = new WeibullAnalyzer();
+      const testData = [
+        { value: 1, ccdf: 0.8 },
+        { value: 2, ccdf: 0.6 },
+        { value: 3, ccdf: 0.4 },
+        { value: 4, ccdf: 0.2 },
+      ];
+
+      const plotData = analyzer.getDistributionSpecificPlot(testData);
+
+      expect(plotData.type).toBe("weibullProbability");
+      expect(plotData.xLabel).toBe("ln(Value)");
+      expect(plotData.yLabel).toBe("ln(-ln(CCDF))");
+      expect(plotData.data).toHaveLength(testData.length);
+      expect(plotData.description).toContain("straight lines");
+    });
+  });
+});
@@ -0,0 +1,469 @@
+// Yule–Simon Distribution Analyzer - Preferential-attachment model for integer data (word counts, degrees)
+
+// Load dependencies if in Node.js environment
+if (
+  typeof module !== "undefined" &&
+  typeof DistributionAnalyzer === "undefined"
+) {
+  const {
+    DistributionAnalyzer,
+    DistributionUtils,
+  } = require("./distributionAnalyzer.js");
+  const mathUtils = require("./mathUtils.js");
+  const statisticalTests = require("./statisticalTests.js");
+
+  // Make functions available globally
+  global.DistributionAnalyzer = DistributionAnalyzer;
+  global.DistributionUtils = DistributionUtils;
+  global.mathUtils = mathUtils;
+  global.statisticalTests = statisticalTests;
+}
+
+/**
+ * Yule–Simon Distribution Analyzer Class
+ * Implements the DistributionAnalyzer interface for the Yule–Simon distribution
+ *
+ * Yule–Simon distribution: P(X = k) = ρ B(k, ρ + 1) = ρ Γ(k) Γ(ρ + 1) / Γ(k + ρ + 1) for k = 1, 2, ...
+ * with P(X ≥ k) = Γ(k) Γ(ρ + 1) / Γ(k + ρ). For large k, P(X = k) ∝ k^(-(ρ + 1)), a discrete power
+ * law, but the head bends away from it. The log-likelihood is an exact log-probability over every
+ * observation, like the Zipf's. Runs only for integer data.
+ * Yule–Simon plot: ln P(X ≥ k) of the data vs that of the fitted distribution is a straight line of
+ * slope 1 through the origin.
+ */
+class YuleSimonAnalyzer extends DistributionAnalyzer {
+  constructor() {
+    super();
+    this.name = "yuleSimon";
+    this.displayName = "Yule–Simon";
+    this.description = "P(X = k) = ρ B(k, ρ + 1), k = 1, 2, ...";
+    this.parameterNames = ["rho"];
+    this.discreteOnly = true;
+
+    // Store references to utility functions
+    if (typeof module !== "undefined") {
+      // Node.js environment - require modules directly
+      this.mathUtils = require("./mathUtils.js");
+      this.statisticalTests = require("./statisticalTests.js");
+    } else {
+      // Browser environment - functions should be available globally
+      this.mathUtils = {
+        nelderMead: nelderMead,
+        logGamma: logGamma,
+      };
+      this.statisticalTests = {
+        linearRegression: linearRegression,
+        kolmogorovSmirnovTest: kolmogorovSmirnovTest,
+        calculateAIC: calculateAIC,
+        calculateBIC: calculateBIC,
+      };
+    }
+  }
+
+  /**
+   * Analyzes data for Yule–Simon distribution
+   * @param {Array} dataWithCCDF - Data points with CCDF values
+   * @returns {Object} Analysis results with parameters, goodness of fit, and theoretical values
+   */
+  analyze(dataWithCCDF) {
+    if (!Array.isArray(dataWithCCDF) || dataWithCCDF.length === 0) {
+      throw new Error("Data must be a non-empty array");
+    }
+
+    // Filter out points with non-positive values
+    const validData = dataWithCCDF.filter((item) => item.value > 0);
+
+    if (validData.length < 3) {
+      throw new Error(
+        "Not enough valid data points after filtering. Need at least 3 points with positive values."
+      );
+    }
+
+    // Estimate ρ by frequency-weighted maximum likelihood
+    const { rho } = this.fitMaximumLikelihood(validData);
+    const parameters = { rho };
+
+    // Calculate theoretical CCDF values for the Yule–Simon
+    const theoreticalValues = validData.map((item) => ({
+      ...item,
+      theoreticalCCDF: this.getTheoreticalCCDF([item.value], parameters)[0],
+    }));
+
+    // Calculate goodness of fit metrics
+    const goodnessOfFit = this.calculateGoodnessOfFit(
+      validData,
+      theoreticalValues,
+      { parameters }
+    );
+
+    // Generate Yule–Simon plot data
+    const yuleSimonPlot = this.generateYuleSimonPlot(validData, rho);
+
+    return {
+      distributionName: this.name,
+      parameters,
+      fitMethod: "discreteMLE",
+      goodnessOfFit,
+      theoreticalValues,
+      yuleSimonPlot,
+      plotData: yuleSimonPlot.plotData,
+      validDataPoints: validData.length,
+      originalDataPoints: dataWithCCDF.length,
+    };
+  }
+
+  /**
+   * Estimates ρ by frequency-weighted maximum likelihood
+   * Conditioned on X ≥ b (b = 1 without xmin), the log-likelihood is, up to terms free of ρ,
+   * n ln ρ + n ln Γ(b + ρ) - Σ w ln Γ(x + ρ + 1). It has no closed-form maximum, so it is maximized
+   * numerically over ln ρ, starting from the discrete power-law approximation
+   * ρ ≈ n / Σ w ln(x / (b - 1/2)) of the tail exponent.
+   * @param {Array} data - Data points with positive integer value and frequency (weight)
+   * @param {number} [xmin] - Truncation point for a fit conditioned on X ≥ xmin
+   * @returns {Object} {rho, sampleSize}, plus xmin for a truncated fit
+   * @throws {Error} If the values are not positive integers or fewer than two distinct values remain
+   */
+  fitMaximumLikelihood(data, xmin) {
+    const observations = data.filter(
+      (item) =>
+        item.value > 0 &&
+        (item.frequency === undefined || item.frequency > 0) &&
+        (xmin === undefined || item.value >= xmin)
+    );
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+
+    if (!observations.every((item) => Number.isInteger(item.value))) {
+      throw new Error(
+        "Yule–Simon distribution requires positive integer values"
+      );
+    }
+    if (new Set(observations.map((item) => item.value)).size < 2) {
+      throw new Error(
+        "Cannot fit a Yule–Simon: need at least two distinct positive integer values."
+      );
+    }
+
+    const lowerBound = xmin !== undefined ? Math.max(1, Math.ceil(xmin)) : 1;
+    let sampleSize = 0;
+    let shiftedLogSum = 0;
+    for (const item of observations) {
+      sampleSize += weightOf(item);
+      shiftedLogSum +=
+        weightOf(item) * Math.log(item.value / (lowerBound - 0.5));
+    }
+
+    const { logGamma } = this.mathUtils;
+    const negativeLogLikelihood = ([logRho]) => {
+      const rho = Math.exp(logRho);
+      let logLikelihood = sampleSize * (logRho + logGamma(lowerBound + rho));
+      for (const item of observations) {
+        logLikelihood -= weightOf(item) * logGamma(item.value + rho + 1);
+      }
+      return -logLikelihood;
+    };
+
+    const fit = this.mathUtils.nelderMead(negativeLogLikelihood, [
+      Math.log(sampleSize / shiftedLogSum),
+    ]);
+
+    const result = { rho: Math.exp(fit.point[0]), sampleSize };
+    return xmin !== undefined ? { ...result, xmin } : result;
+  }
+
+  /**
+   * Refits the distribution to the observations at or above xmin, conditioned on X ≥ xmin
+   * @param {Array} data - Data points with value and frequency (weight)
+   * @param {number} xmin - Truncation point
+   * @returns {Object} Maximum-likelihood parameters {rho, xmin, sampleSize}
+   */
+  fitTruncated(data, xmin) {
+    return this.fitMaximumLikelihood(data, xmin);
+  }
+
+  /**
+   * Generates Yule–Simon plot data
+   * ln P(X ≥ k) of the data against ln P(X ≥ k) = ln Γ(k) + ln Γ(ρ + 1) - ln Γ(k + ρ) of the fitted
+   * distribution is a straight line of slope 1 through the origin when the data follows it. The
+   * empirical tail probability never reaches 0, so the largest value is kept.
+   * @param {Array} data - Data points with positive integer value and frequency (weight)
+   * @param {number} rho - Yule–Simon ρ
+   * @returns {Object} Yule–Simon plot data
+   */
+  generateYuleSimonPlot(data, rho) {
+    const sortedData = [...data].sort((a, b) => a.value - b.value);
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+
+    const n = sortedData.reduce((sum, item) => sum + weightOf(item), 0);
+    let remaining = n;
+    const plotData = sortedData.map((item) => {
+      const point = {
+        x: this.getLogTailProbability(item.value, { rho }),
+        y: Math.log(remaining / n),
+        originalValue: item.value,
+        originalCCDF: item.ccdf,
+        frequency: weightOf(item),
+      };
+      remaining -= weightOf(item);
+      return point;
+    });
+
+    // Perform linear regression on fitted vs observed ln P(X ≥ k)
+    const regression = this.statisticalTests.linearRegression(plotData);
+
+    return {
+      plotData,
+      regression,
+      rSquared: regression.rSquared,
+    };
+  }
+
+  /**
+   * Validates if data is suitable for Yule–Simon analysis
+   * @param {Array} data - Data to validate
+   * @returns {Object} Validation result with success flag and message
+   */
+  validateData(data) {
+    if (!Array.isArray(data)) {
+      return { valid: false, message: "Data must be an array" };
+    }
+
+    if (data.length < 3) {
+      return {
+        valid: false,
+        message: "Need at least 3 data points for Yule–Simon analysis",
+      };
+    }
+
+    if (!DistributionUtils.isIntegerValued(data)) {
+      return {
+        valid: false,
+        message: "Yule–Simon analysis needs positive integer values",
+      };
+    }
+
+    return { valid: true, message: "Data is suitable for Yule–Simon analysis" };
+  }
+
+  /**
+   * Gets theoretical CCDF values P(X > x) = Γ(⌊x⌋ + 1) Γ(ρ + 1) / Γ(⌊x⌋ + ρ + 1)
+   * @param {Array<number>} xValues - X values to calculate CCDF for
+   * @param {Object} parameters - Yule–Simon parameters {rho}
+   * @returns {Array<number>} Theoretical CCDF values
+   */
+  getTheoreticalCCDF(xValues, parameters) {
+    return xValues.map((x) =>
+      x < 1
+        ? 1
+        : Math.exp(this.getLogTailProbability(Math.floor(x) + 1, parameters))
+    );
+  }
+
+  /**
+   * Gets the theoretical probability P(X ≥ x) = Γ(⌈x⌉) Γ(ρ + 1) / Γ(⌈x⌉ + ρ)
+   * @param {number} x - Value
+   * @param {Object} parameters - Yule–Simon parameters {rho}
+   * @returns {number} Tail probability
+   */
+  getTailProbability(x, parameters) {
+    return Math.exp(this.getLogTailProbability(x, parameters));
+  }
+
+  /**
+   * Gets ln P(X ≥ x) = ln Γ(⌈x⌉) + ln Γ(ρ + 1) - ln Γ(⌈x⌉ + ρ), which stays finite far in the tail
+   * @param {number} x - Value
+   * @param {Object} parameters - Yule–Simon parameters {rho}
+   * @returns {number} ln P(X ≥ x)
+   */
+  getLogTailProbability(x, parameters) {
+    if (x <= 1) {
+      return 0;
+    }
+    const { logGamma } = this.mathUtils;
+    const k = Math.ceil(x);
+    const { rho } = parameters;
+    return logGamma(k) + logGamma(rho + 1) - logGamma(k + rho);
+  }
+
+  /**
+   * Gets plot data for Yule–Simon visualization
+   * @param {Array} data - Data points
+   * @param {Object} parameters - Yule–Simon parameters
+   * @returns {Object} Plot data for different visualization types
+   */
+  getPlotData(data, parameters) {
+    const validData = data.filter((d) => d.value > 0 && d.ccdf > 0);
+    return {
+      linear: {
+        empirical: data.map((d) => ({ x: d.value, y: d.ccdf })),
+        theoretical: data.map((d) => ({
+          x: d.value,
+          y: this.getTheoreticalCCDF([d.value], parameters)[0],
+        })),
+      },
+      loglog: {
+        empirical: validData.map((d) => ({
+          x: Math.log10(d.value),
+          y: Math.log10(d.ccdf),
+        })),
+        theoretical: validData.map((d) => ({
+          x: Math.log10(d.value),
+          y:
+            this.getLogTailProbability(Math.floor(d.value) + 1, parameters) /
+            Math.LN10,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Gets the distribution-specific plot for Yule–Simon (Yule–Simon plot at the fitted ρ)
+   * @param {Array} data - Data points
+   * @returns {Object} Yule–Simon plot data
+   */
+  getDistributionSpecificPlot(data) {
+    const validData = data.filter((d) => d.value > 0);
+    const { rho } = this.fitMaximumLikelihood(validData);
+    const yuleSimonPlot = this.generateYuleSimonPlot(validData, rho);
+
+    return {
+      type: "yuleSimon",
+      title: "Yule–Simon Plot",
+      xLabel: "ln P(X ≥ k), fitted",
+      yLabel: "ln P(X ≥ k), observed",
+      data: yuleSimonPlot.plotData,
+      regression: yuleSimonPlot.regression,
+      rho,
+      description:
+        "Yule–Simon distributions appear as straight lines of slope 1 through the origin when observed tail probabilities are plotted against fitted ones",
+    };
+  }
+
+  /**
+   * Calculates goodness of fit metrics for Yule–Simon distribution
+   * @param {Array} empiricalData - Empirical data points
+   * @param {Array} theoreticalData - Theoretical data points
+   * @param {Object} additionalInfo - Additional information including parameters
+   * @returns {Object} Goodness of fit metrics
+   */
+  calculateGoodnessOfFit(empiricalData, theoreticalData, additionalInfo = {}) {
+    // Calculate Kolmogorov-Smirnov test
+    const empiricalCCDF = empiricalData.map((d) => d.ccdf);
+    const theoreticalCCDF = theoreticalData.map((d) => d.theoreticalCCDF);
+    const ksTest = this.statisticalTests.kolmogorovSmirnovTest(
+      empiricalCCDF,
+      theoreticalCCDF
+    );
+
+    // Calculate Yule–Simon plot R² at the fitted ρ
+    const yuleSimonR2 = this.generateYuleSimonPlot(
+      empiricalData,
+      additionalInfo.parameters.rho
+    ).rSquared;
+
+    // Calculate log-likelihood for AIC/BIC
+    const logLikelihood = this.calculateLogLikelihood(
+      empiricalData,
+      additionalInfo.parameters
+    );
+    const numParameters = 1; // Yule–Simon has 1 parameter: ρ
+    const sampleSize = empiricalData.length;
+
+    const aic = this.statisticalTests.calculateAIC(
+      logLikelihood,
+      numParameters
+    );
+    const bic = this.statisticalTests.calculateBIC(
+      logLikelihood,
+      numParameters,
+      sampleSize
+    );
+
+    // Use Yule–Simon plot R² as primary goodness-of-fit measure
+    const confidenceLevel = this.getConfidenceLevel(yuleSimonR2);
+    const isYuleSimon = yuleSimonR2 > 0.9;
+
+    return {
+      rSquared: yuleSimonR2,
+      yuleSimonR2,
+      adjustedRSquared:
+        1 -
+        ((1 - yuleSimonR2) * (sampleSize - 1)) /
+          (sampleSize - numParameters - 1),
+      kolmogorovSmirnov: ksTest,
+      logLikelihood,
+      aic,
+      bic,
+      confidenceLevel,
+      isYuleSimon,
+      confidenceScore: yuleSimonR2,
+    };
+  }
+
+  /**
+   * Calculates the frequency-weighted log-likelihood from the exact probabilities
+   * @param {Array} data - Data points with positive integer value and frequency (weight)
+   * @param {Object} parameters - Yule–Simon parameters {rho}
+   * @returns {number} Log-likelihood value
+   */
+  calculateLogLikelihood(data, parameters) {
+    let logLikelihood = 0;
+
+    for (const item of data) {
+      if (item.value > 0) {
+        const logProbability = this.getLogDensity(item.value, parameters);
+        const weight = item.frequency !== undefined ? item.frequency : 1;
+        logLikelihood += logProbability * weight;
+      }
+    }
+
+    return logLikelihood;
+  }
+
+  /**
+   * Gets the log-probability ln P(X = x) = ln ρ + ln Γ(x) + ln Γ(ρ + 1) - ln Γ(x + ρ + 1)
+   * @param {number} x - Positive integer
+   * @param {Object} parameters - Yule–Simon parameters {rho}
+   * @returns {number} ln P(X = x)
+   */
+  getLogDensity(x, parameters) {
+    const { logGamma } = this.mathUtils;
+    const { rho } = parameters;
+    return (
+      Math.log(rho) + logGamma(x) + logGamma(rho + 1) - logGamma(x + rho + 1)
+    );
+  }
+
+  /**
+   * Gets the log-probability conditioned on X ≥ lowerBound, i.e. on X ≥ ⌈lowerBound⌉, from the exact
+   * log tail probability
+   * @param {number} x - Integer at or above lowerBound
+   * @param {Object} parameters - Yule–Simon parameters {rho}
+   * @param {number} lowerBound - Conditioning bound
+   * @returns {number} ln P(X = x | X ≥ lowerBound)
+   */
+  getConditionalLogDensity(x, parameters, lowerBound) {
+    return (
+      this.getLogDensity(x, parameters) -
+      this.getLogTailProbability(lowerBound, parameters)
+    );
+  }
+
+  /**
+   * Determines confidence level based on R² value
+   * @param {number} rSquared - R² value
+   * @returns {string} Confidence level description
+   */
+  getConfidenceLevel(rSquared) {
+    if (rSquared > 0.98) return "Very High";
+    if (rSquared > 0.95) return "High";
+    if (rSquared > 0.9) return "Moderate";
+    if (rSquared > 0.8) return "Low";
+    return "Very Low";
+  }
+}
+
+// Export for testing (if in Node.js environment)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = YuleSimonAnalyzer;
+}
@@ -0,0 +1,222 @@
+// Tests for YuleSimonAnalyzer
+
+describe("YuleSimonAnalyzer", () => {
+  let YuleSimonAnalyzer;
+  let DistributionAnalyzer;
+  let buildHistogram;
+  let calculateCCDF;
+  let generateValues;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      const { DistributionAnalyzer: DA } = require("./distributionAnalyzer.js");
+      DistributionAnalyzer = DA;
+      YuleSimonAnalyzer = require("./yuleSimonAnalyzer.js");
+      ({ buildHistogram, calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateValues } = require("./dataGenerator.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      DistributionAnalyzer = window.DistributionAnalyzer;
+      YuleSimonAnalyzer = window.YuleSimonAnalyzer;
+      buildHistogram = window.buildHistogram;
+      calculateCCDF = window.calculateCCDF;
+      generateValues = window.generateValues;
+    }
+  });
+
+  const heavyYuleSimon = { distribution: "yuleSimon", rho: 1.5 };
+
+  describe("constructor", () => {
+    it("should create a YuleSimonAnalyzer with correct properties", () => {
+      const analyzer = new YuleSimonAnalyzer();
+
+      expect(analyzer.name).toBe("yuleSimon");
+      expect(analyzer.displayName).toBe("Yule–Simon");
+      expect(analyzer.description).toBe(
+        "P(X = k) = ρ B(k, ρ + 1), k = 1, 2, ..."
+      );
+      expect(analyzer.parameterNames).toEqual(["rho"]);
+      expect(analyzer.discreteOnly).toBe(true);
+      expect(analyzer instanceof DistributionAnalyzer).toBe(true);
+    });
+  });
+
+  describe("probabilities", () => {
+    it("should give P(X > k) = 1 / (k + 1) when ρ = 1", () => {
+      const analyzer = new YuleSimonAnalyzer();
+      const ccdf = analyzer.getTheoreticalCCDF([0.5, 1, 3.7, 999], { rho: 1 });
+
+      expect(ccdf[0]).toBe(1);
+      expect(ccdf[1]).toBeCloseTo(1 / 2, 12);
+      expect(ccdf[2]).toBeCloseTo(1 / 4, 12);
+      expect(ccdf[3]).toBeCloseTo(1 / 1000, 12);
+      expect(analyzer.getTailProbability(4, { rho: 1 })).toBeCloseTo(1 / 4, 12);
+    });
+
+    it("should have probabilities that sum to 1", () => {
+      const analyzer = new YuleSimonAnalyzer();
+      const parameters = { rho: 2.5 };
+      let total = 0;
+      for (let k = 1; k <= 10000; k++) {
+        total += Math.exp(analyzer.getLogDensity(k, parameters));
+      }
+
+      expect(
+        total + analyzer.getTheoreticalCCDF([10000], parameters)[0]
+      ).toBeCloseTo(1, 10);
+    });
+  });
+
+  describe("fitMaximumLikelihood", () => {
+    let analyzer;
+
+    beforeEach(() => {
+      analyzer = new YuleSimonAnalyzer();
+    });
+
+    it("should recover ρ", () => {
+      const fit = analyzer.fitMaximumLikelihood(
+        buildHistogram(generateValues(heavyYuleSimon, { size: 20000, seed: 3 }))
+      );
+
+      expect(fit.sampleSize).toBe(20000);
+      expect(fit.rho).toBeCloseTo(1.5, 1);
+    });
+
+    it("should weight values by frequency", () => {
+      const values = generateValues(
+        { distribution: "yuleSimon", rho: 0.8 },
+        { size: 500, seed: 5 }
+      );
+      const weighted = analyzer.fitMaximumLikelihood(buildHistogram(values));
+      const expanded = analyzer.fitMaximumLikelihood(
+        values.map((value) => ({ value }))
+      );
+
+      expect(weighted.rho).toBeCloseTo(expanded.rho, 4);
+    });
+
+    it("should refit above a higher bound and condition on it", () => {
+      const data = buildHistogram(
+        generateValues(heavyYuleSimon, { size: 20000, seed: 3 })
+      );
+      const fit = analyzer.fitTruncated(data, 10);
+
+      expect(fit.xmin).toBe(10);
+      expect(fit.sampleSize).toBe(
+        data
+          .filter((d) => d.value >= 10)
+          .reduce((sum, d) => sum + d.frequency, 0)
+      );
+      expect(fit.rho).toBeCloseTo(1.5, 0);
+      expect(analyzer.getConditionalLogDensity(50, fit, 10)).toBeCloseTo(
+        analyzer.getLogDensity(50, fit) -
+          Math.log(analyzer.getTailProbability(10, fit)),
+        8
+      );
+      // Far in the tail the conditional probability stays finite
+      expect(analyzer.getConditionalLogDensity(2e9, fit, 1e9)).toBeGreaterThan(
+        -Infinity
+      );
+    });
+
+    it("should reject non-integer and degenerate data", () => {
+      expect(() =>
+        analyzer.fitMaximumLikelihood([
+          { value: 1.5, frequency: 2 },
+          { value: 3, frequency: 1 },
+        ])
+      ).toThrow("requires positive integer values");
+      expect(() =>
+        analyzer.fitMaximumLikelihood([{ value: 3, frequency: 10 }])
+      ).toThrow("need at least two distinct positive integer values");
+    });
+  });
+
+  describe("analyze", () => {
+    it("should fit a Yule–Simon sample from its exact probabilities", () => {
+      const analyzer = new YuleSimonAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(generateValues(heavyYuleSimon, { size: 20000, seed: 3 }))
+      );
+
+      const result = analyzer.analyze(data);
+
+      expect(result.distributionName).toBe("yuleSimon");
+      expect(result.fitMethod).toBe("discreteMLE");
+      expect(result.parameters.rho).toBeCloseTo(1.5, 1);
+      expect(result.goodnessOfFit.rSquared).toBeGreaterThan(0.99);
+      expect(result.goodnessOfFit.logLikelihood).toBeCloseTo(
+        data.reduce(
+          (sum, d) =>
+            sum +
+            d.frequency *
+              Math.log(
+                analyzer.getTailProbability(d.value, result.parameters) -
+                  analyzer.getTailProbability(d.value + 1, result.parameters)
+              ),
+          0
+        ),
+        4
+      );
+      expect(result.goodnessOfFit.aic).toBeCloseTo(
+        2 - 2 * result.goodnessOfFit.logLikelihood,
+        8
+      );
+      // Every distinct value counts once in the plot, so the sparse far tail pulls the slope a little
+      expect(Math.abs(result.yuleSimonPlot.regression.slope - 1)).toBeLessThan(
+        0.1
+      );
+      expect(result.plotData).toHaveLength(data.length);
+    });
+
+    it("should throw error for empty data", () => {
+      expect(() => new YuleSimonAnalyzer().analyze([])).toThrow(
+        "Data must be a non-empty array"
+      );
+    });
+  });
+
+  describe("validateData", () => {
+    it("should only accept positive integer values", () => {
+      const analyzer = new YuleSimonAnalyzer();
+
+      expect(
+        analyzer.validateData([{ value: 1 }, { value: 2 }, { value: 5 }]).valid
+      ).toBe(true);
+      expect(
+        analyzer.validateData([{ value: 1 }, { value: 2.5 }, { value: 5 }])
+      ).toEqual({
+        valid: false,
+        message: "Yule–Simon analysis needs positive integer values",
+      });
+    });
+  });
+
+  describe("getDistributionSpecificPlot", () => {
+    it("should generate a Yule–Simon plot at the fitted ρ", () => {
+      const analyzer = new YuleSimonAnalyzer();
+      const data = calculateCCDF(
+        buildHistogram(
+          generateValues(
+            { distribution: "yuleSimon", rho: 2 },
+            { size: 500, seed: 9 }
+          )
+        )
+      );
+
+      const plotData = analyzer.getDistributionSpecificPlot(data);
+
+      expect(plotData.type).toBe("yuleSimon");
+      expect(plotData.rho).toBeCloseTo(
+        analyzer.fitMaximumLikelihood(data).rho,
+        12
+      );
+      expect(plotData.data).toHaveLength(data.length);
+      // The smallest value has P(X ≥ 1) = 1 on both axes
+      expect(plotData.data[0].x).toBe(0);
+      expect(plotData.data[0].y).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// Zipf (Zeta) Distribution Analyzer - Discrete power law over every positive integer (ranks, counts)
+
+// Load dependencies if in Node.js environment
+if (
+  typeof module !== "undefined" &&
+  typeof DiscretePowerLawAnalyzer === "undefined"
+) {
+  // Make classes available globally (this also loads PowerLawAnalyzer and its dependencies)
+  global.DiscretePowerLawAnalyzer = require("./discretePowerLawAnalyzer.js");
+}
+
+/**
+ * Zipf Distribution Analyzer Class
+ * Fits the zeta distribution P(X = k) = k^(-s) / ζ(s) for k = 1, 2, ..., i.e. the discrete power
+ * law with xmin fixed at 1, so that it describes all of the data rather than a tail. Its
+ * log-likelihood is an exact log-probability over every observation, so its AIC compares with the
+ * Yule–Simon's, and with the discrete power law's only when that fit's xmin is 1. Above a higher
+ * xmin, AnalysisEngine.compareDistributions tests the Zipf fit, conditioned on that xmin, against
+ * the discrete power law fitted to the tail alone, and that test ranks the two (see
+ * DistributionUtils.compareByLikelihood): it asks whether one power law runs all the way down to 1.
+ * Runs only for integer data.
+ */
+class ZipfAnalyzer extends DiscretePowerLawAnalyzer {
+  constructor() {
+    super();
+    this.name = "zipf";
+    this.displayName = "Zipf (Zeta)";
+    this.description = "P(X = k) = k^(-s) / ζ(s), k = 1, 2, ...";
+    this.parameterNames = ["alpha"];
+    this.continuousCounterpart = null;
+    this.nestedModel = null;
+    this.discreteOnly = true;
+  }
+
+  /**
+   * Fits the exponent s (reported as alpha) by maximizing the likelihood of every observation, with
+   * xmin fixed at 1
+   * @param {Array} dataWithCCDF - Data points with CCDF values
+   * @returns {{fit: Object, fitMethod: string}} Fit with alpha, alphaStandardError, exponent, xmin,
+   *   sampleSize and ksDistance
+   */
+  fitExponent(dataWithCCDF) {
+    const observations = dataWithCCDF
+      .filter(
+        (item) =>
+          item.value > 0 && (item.frequency === undefined || item.frequency > 0)
+      )
+      .sort((a, b) => a.value - b.value);
+    const fit = this.fitMaximumLikelihood(observations, 1);
+
+    return {
+      fit: { ...fit, ksDistance: this.calculateKSDistance(observations, fit) },
+      fitMethod: "discreteMLE",
+    };
+  }
+
+  /**
+   * Generates Zipf plot data
+   * ln P(X ≥ k) of the data against ln P(X ≥ k) = ln(ζ(s, k) / ζ(s)) of the fitted distribution is a
+   * straight line of slope 1 through the origin when the data follows it. The empirical tail
+   * probability never reaches 0, so the largest value is kept.
+   * @param {Array} data - Data points with positive integer value and frequency (weight)
+   * @param {number} alpha - Exponent s
+   * @returns {Object} Zipf plot data
+   */
+  generateZipfPlot(data, alpha) {
+    const sortedData = [...data].sort((a, b) => a.value - b.value);
+    const weightOf = (item) =>
+      item.frequency !== undefined ? item.frequency : 1;
+    const parameters = { alpha, xmin: 1 };
+
+    const n = sortedData.reduce((sum, item) => sum + weightOf(item), 0);
+    let remaining = n;
+    const plotData = sortedData.map((item) => {
+      const point = {
+        x: Math.log(this.getTailProbability(item.value, parameters)),
+        y: Math.log(remaining / n),
+        originalValue: item.value,
+        originalCCDF: item.ccdf,
+        frequency: weightOf(item),
+      };
+      remaining -= weightOf(item);
+      return point;
+    });
+
+    const regression = linearRegression(plotData);
+
+    return {
+      plotData,
+      regression,
+      rSquared: regression.rSquared,
+    };
+  }
+
+  /**
+   * Calculates goodness of fit metrics for the Zipf distribution
+   * R² is that of the Zipf plot at the fitted exponent, which, unlike the log-log regression of the
+   * power law, measures how well this particular distribution describes all of the data. AIC and
+   * BIC count the single parameter s.
+   * @param {Array} empiricalData - Empirical data points with log transforms
+   * @param {Array} theoreticalData - Theoretical data points
+   * @param {Object} regression - Log-log regression results
+   * @param {Object} likelihoodInfo - Observations (data), fitted parameters, ksStatistic and
+   *   tailObservations
+   * @returns {Object} Goodness of fit metrics
+   */
+  calculateGoodnessOfFit(
+    empiricalData,
+    theoreticalData,
+    regression,
+    likelihoodInfo
+  ) {
+    const powerLawFit = super.calculateGoodnessOfFit(
+      empiricalData,
+      theoreticalData,
+      regression,
+      likelihoodInfo
+    );
+    const zipfR2 = this.generateZipfPlot(
+      likelihoodInfo.data,
+      likelihoodInfo.parameters.alpha
+    ).rSquared;
+
+    const numParameters = 1; // Zipf has 1 parameter: s
+    const sampleSize = likelihoodInfo.tailObservations;
+    const { isPowerLaw, ...metrics } = powerLawFit;
+
+    return {
+      ...metrics,
+      rSquared: zipfR2,
+      zipfR2,
+      adjustedRSquared:
+        1 -
+        ((1 - zipfR2) * (sampleSize - 1)) / (sampleSize - numParameters - 1),
+      aic: calculateAIC(powerLawFit.logLikelihood, numParameters),
+      bic: calculateBIC(powerLawFit.logLikelihood, numParameters, sampleSize),
+      confidenceLevel: this.getConfidenceLevel(zipfR2),
+      isZipf: zipfR2 > 0.9,
+      confidenceScore: zipfR2,
+    };
+  }
+
+  /**
+   * Gets the distribution-specific plot for Zipf (Zipf plot at the fitted exponent)
+   * @param {Array} data - Data points
+   * @returns {Object} Zipf plot data
+   */
+  getDistributionSpecificPlot(data) {
+    const observations = data.filter(
+      (item) =>
+        item.value > 0 && (item.frequency === undefined || item.frequency > 0)
+    );
+    const { alpha } = this.fitMaximumLikelihood(observations, 1);
+    const zipfPlot = this.generateZipfPlot(observations, alpha);
+
+    return {
+      type: "zipf",
+      title: "Zipf Plot",
+      xLabel: "ln P(X ≥ k), fitted",
+      yLabel: "ln P(X ≥ k), observed",
+      data: zipfPlot.plotData,
+      regression: zipfPlot.regression,
+      alpha,
+      description:
+        "Zipf distributions appear as straight lines of slope 1 through the origin when observed tail probabilities are plotted against fitted ones",
+    };
+  }
+}
+
+// Export for testing (if in Node.js environment)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ZipfAnalyzer;
+}
@@ -0,0 +1,131 @@
+// Tests for ZipfAnalyzer
+
+describe("ZipfAnalyzer", () => {
+  let ZipfAnalyzer;
+  let DiscretePowerLawAnalyzer;
+  let buildHistogram;
+  let calculateCCDF;
+  let generateSample;
+  let generateValues;
+
+  beforeAll(() => {
+    // Load modules in Node.js environment
+    if (typeof require !== "undefined") {
+      DiscretePowerLawAnalyzer = require("./discretePowerLawAnalyzer.js");
+      ZipfAnalyzer = require("./zipfAnalyzer.js");
+      ({ buildHistogram, calculateCCDF } = require("./dataProcessor.js"));
+      ({ generateSample, generateValues } = require("./dataGenerator.js"));
+    } else {
+      // Browser environment - classes should be available globally
+      DiscretePowerLawAnalyzer = window.DiscretePowerLawAnalyzer;
+      ZipfAnalyzer = window.ZipfAnalyzer;
+      buildHistogram = window.buildHistogram;
+      calculateCCDF = window.calculateCCDF;
+      generateSample = window.generateSample;
+      generateValues = window.generateValues;
+    }
+  });
+
+  function zipfData(alpha, size, seed) {
+    return calculateCCDF(
+      generateSample(
+        { distribution: "discretePowerLaw", alpha, xmin: 1 },
+        { size, seed }
+      )
+    );
+  }
+
+  describe("constructor", () => {
+    it("should create a discrete power law over every positive integer", () => {
+      const analyzer = new ZipfAnalyzer();
+
+      expect(analyzer.name).toBe("zipf");
+      expect(analyzer.displayName).toBe("Zipf (Zeta)");
+      expect(analyzer.description).toBe(
+        "P(X = k) = k^(-s) / ζ(s), k = 1, 2, ..."
+      );
+      expect(analyzer.parameterNames).toEqual(["alpha"]);
+      expect(analyzer.discreteOnly).toBe(true);
+      // Unlike the discrete power law, it runs alongside the continuous one
+      expect(analyzer.continuousCounterpart).toBeNull();
+      expect(analyzer instanceof DiscretePowerLawAnalyzer).toBe(true);
+    });
+  });
+
+  describe("analyze", () => {
+    it("should fit the exponent from every observation", () => {
+      const analyzer = new ZipfAnalyzer();
+      const data = zipfData(2.2, 5000, 4);
+
+      const result = analyzer.analyze(data);
+
+      expect(result.distributionName).toBe("zipf");
+      expect(result.fitMethod).toBe("discreteMLE");
+      expect(result.parameters.xmin).toBe(1);
+      expect(result.parameters.tailObservations).toBe(5000);
+      expect(result.parameters.tailFraction).toBe(1);
+      expect(result.parameters.alpha).toBeCloseTo(2.2, 1);
+      expect(result.goodnessOfFit.rSquared).toBeGreaterThan(0.95);
+      expect(result.goodnessOfFit.zipfR2).toBe(result.goodnessOfFit.rSquared);
+    });
+
+    it("should report the discrete power law's log-likelihood at xmin = 1, with one parameter", () => {
+      const analyzer = new ZipfAnalyzer();
+      const data = zipfData(2.2, 5000, 4);
+
+      const result = analyzer.analyze(data);
+      const logLikelihood = new DiscretePowerLawAnalyzer().calculateLogLikelihood(
+        data,
+        { alpha: result.parameters.alpha, xmin: 1 }
+      );
+
+      expect(result.goodnessOfFit.logLikelihood).toBeCloseTo(logLikelihood, 8);
+      expect(result.goodnessOfFit.aic).toBeCloseTo(2 - 2 * logLikelihood, 8);
+      // BIC counts the 5000 observations, not the distinct values
+      expect(result.goodnessOfFit.bic).toBeCloseTo(
+        Math.log(5000) - 2 * logLikelihood,
+        8
+      );
+    });
+
+    it("should keep xmin at 1 where the discrete power law moves it up", () => {
+      const head = [1, 2, 3, 4].map((value) => ({ value, frequency: 300 }));
+      const tail = buildHistogram(
+        generateValues(
+          { distribution: "discretePowerLaw", alpha: 2.5, xmin: 5 },
+          { size: 5000, seed: 7 }
+        )
+      );
+      const data = calculateCCDF([...head, ...tail]);
+
+      const zipf = new ZipfAnalyzer().analyze(data);
+      const discrete = new DiscretePowerLawAnalyzer().analyze(data);
+
+      expect(zipf.parameters.xmin).toBe(1);
+      expect(zipf.parameters.tailObservations).toBe(6200);
+      expect(discrete.parameters.xmin).toBeGreaterThan(1);
+      // A flat head is not Zipf-like
+      expect(zipf.goodnessOfFit.rSquared).toBeLessThan(
+        new ZipfAnalyzer().analyze(zipfData(2.2, 5000, 4)).goodnessOfFit
+          .rSquared
+      );
+    });
+  });
+
+  describe("getDistributionSpecificPlot", () => {
+    it("should generate a Zipf plot at the fitted exponent", () => {
+      const analyzer = new ZipfAnalyzer();
+      const data = zipfData(2, 2000, 9);
+
+      const plotData = analyzer.getDistributionSpecificPlot(data);
+
+      expect(plotData.type).toBe("zipf");
+      expect(plotData.alpha).toBeCloseTo(
+        analyzer.fitMaximumLikelihood(data, 1).alpha,
+        12
+      );
+      expect(plotData.data).toHaveLength(data.length);
+      expect(plotData.regression.slope).toBeCloseTo(1, 1);
+    });
+  });
+});